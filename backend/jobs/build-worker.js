@@ -0,0 +1,42 @@
+// Build Worker - Runs one obfuscation job, key variant or preview off the main thread and reports back to the build queue
+const { parentPort, workerData } = require('worker_threads');
+const obfuscationService = require('../services/obfuscation');
+const { LuaSyntaxError } = require('../../obfuscation-engine/parser');
+const { BundleError } = require('../../obfuscation-engine/bundler');
+const { VirtualizationError } = require('../../obfuscation-engine/virtualizer');
+
+// What the job fails with; unexpected errors are logged here and not shown to users
+function describeError(error) {
+    if (error instanceof LuaSyntaxError) {
+        return { message: `Lua syntax error: ${error.message}`, status: 400 };
+    }
+    if (error instanceof BundleError) {
+        return { message: `Bundling failed: ${error.message}`, status: 400 };
+    }
+    if (error instanceof VirtualizationError) {
+        return { message: `${error.message}; disable virtualization for this script`, status: 400, details: { feature: error.feature, line: error.line } };
+    }
+    if (error.status) {
+        return { message: error.message, status: error.status, details: error.details };
+    }
+    console.error('Obfuscation error:', error);
+    return { message: 'Failed to obfuscate code', status: 500 };
+}
+
+const { task, project, user, seed } = workerData;
+try {
+    let result;
+    if (task === 'preview') {
+        result = obfuscationService.previewSnippet(workerData.code, workerData.settings, user, { seed });
+    } else if (task === 'variant') {
+        result = obfuscationService.buildKeyVariant(project, workerData.key, workerData.build);
+    } else {
+        result = obfuscationService.obfuscateProject(project, user, {
+            seed,
+            onProgress: (progress, message) => parentPort.postMessage({ type: 'progress', progress, message })
+        });
+    }
+    parentPort.postMessage({ type: 'done', result });
+} catch (error) {
+    parentPort.postMessage({ type: 'failed', error: describeError(error) });
+}
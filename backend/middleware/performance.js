@@ -169,8 +169,8 @@ class CacheMiddleware {
 
             const originalSend = res.send;
             res.send = function(data) {
-                // Cache successful responses
-                if (res.statusCode === 200) {
+                // Cache successful responses, unless the route asked not to
+                if (res.statusCode === 200 && !/no-store/.test(res.get('Cache-Control') || '')) {
                     try {
                         const parsedData = JSON.parse(data);
                         this.cache.set(key, {
@@ -181,7 +181,8 @@ class CacheMiddleware {
                         // Ignore non-JSON responses
                     }
                 }
-                originalSend.call(this, data);
+                // this is the cache here, so Express gets the response back explicitly
+                return originalSend.call(res, data);
             }.bind(this);
 
             next();
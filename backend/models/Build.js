@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+
+// One obfuscation build of a project. Builds are kept so any of them can be promoted
+// back to live if a newer one turns out to be broken.
+const buildSchema = new mongoose.Schema({
+  buildId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  project: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    required: true
+  },
+  // Counts up from 1 within each project
+  number: {
+    type: Number,
+    required: true
+  },
+  // User who started the build
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // SHA-256 of the files, entry point and external modules the build was made from
+  sourceHash: {
+    type: String,
+    required: true
+  },
+  seed: {
+    type: String,
+    required: true
+  },
+  settings: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  // Profile version the settings came from, if any
+  profile: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  // Transforms, sizes and duration as reported by the engine
+  report: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  obfuscatedCode: {
+    type: String,
+    required: true,
+    select: false
+  },
+  sourceMap: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null,
+    select: false
+  },
+  // Copy of the source, so watermarked variants of the build can be made after the project changes
+  source: {
+    type: {
+      files: [{
+        originalName: String,
+        content: String
+      }],
+      entryPoint: String,
+      externalModules: [String]
+    },
+    select: false
+  }
+}, {
+  timestamps: true
+});
+
+buildSchema.index({ project: 1, number: -1 }, { unique: true });
+
+// Generate unique build ID
+buildSchema.pre('validate', function(next) {
+  if (!this.buildId) {
+    const crypto = require('crypto');
+    this.buildId = `build_${crypto.randomBytes(16).toString('hex')}`;
+  }
+  next();
+});
+
+module.exports = mongoose.model('Build', buildSchema);
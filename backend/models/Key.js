@@ -80,6 +80,11 @@ const keySchema = new mongoose.Schema({
       type: String
     }]
   },
+  // Release channel of the project the key loads builds from; channels without a build get stable
+  channel: {
+    type: String,
+    default: 'stable'
+  },
   banInfo: {
     isBanned: {
       type: Boolean,
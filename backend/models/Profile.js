@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+
+// Named obfuscation settings saved on an account. Saving new settings adds a version;
+// earlier versions are kept so projects built with them can be rebuilt the same way.
+const profileSchema = new mongoose.Schema({
+  profileId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 50
+  },
+  description: {
+    type: String,
+    maxlength: 500,
+    default: ''
+  },
+  // Number of the newest version
+  version: {
+    type: Number,
+    default: 1
+  },
+  versions: [{
+    version: {
+      type: Number,
+      required: true
+    },
+    // Pass flags, tier, pass order and pass options; the target and preserve list stay per project
+    settings: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }]
+}, {
+  timestamps: true
+});
+
+profileSchema.index({ owner: 1, name: 1 }, { unique: true });
+
+// Generate unique profile ID
+profileSchema.pre('validate', function(next) {
+  if (!this.profileId) {
+    const crypto = require('crypto');
+    this.profileId = `prof_${crypto.randomBytes(16).toString('hex')}`;
+  }
+  next();
+});
+
+// One version with its settings, the newest by default; null when there is no such version
+profileSchema.methods.getVersion = function(version = this.version) {
+  return this.versions.find(entry => entry.version === version) || null;
+};
+
+module.exports = mongoose.model('Profile', profileSchema);
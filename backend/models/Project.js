@@ -44,12 +44,24 @@ const projectSchema = new mongoose.Schema({
       default: Date.now
     }
   }],
+  // File the bundle starts from when the project has several files (defaults to the first)
+  entryPoint: {
+    type: String,
+    default: null
+  },
+  // Modules required at runtime instead of bundled, by name or script-relative path
+  externalModules: [String],
   obfuscationSettings: {
     tier: {
       type: String,
       enum: ['standard', 'premium'],
       default: 'standard'
     },
+    target: {
+      type: String,
+      enum: ['5.1', '5.3', 'luau'],
+      default: 'luau'
+    },
     stringEncryption: {
       type: Boolean,
       default: true
@@ -62,6 +74,18 @@ const projectSchema = new mongoose.Schema({
       type: Boolean,
       default: true
     },
+    globalAliasing: {
+      type: Boolean,
+      default: false
+    },
+    junkCode: {
+      type: Boolean,
+      default: false
+    },
+    constantObfuscation: {
+      type: Boolean,
+      default: false
+    },
     controlFlowFlattening: {
       type: Boolean,
       default: false
@@ -74,11 +98,33 @@ const projectSchema = new mongoose.Schema({
       type: Boolean,
       default: false
     },
+    minify: {
+      type: Boolean,
+      default: false
+    },
     integrityChecks: {
       type: Boolean,
       default: true
-    }
+    },
+    // Preferred pass order; passes not listed run after these in their default order
+    passOrder: [String],
+    // Per-pass options keyed by pass name, e.g. { variableRenaming: { renameGlobals: true } };
+    // { enabled: true } turns on passes that have no flag of their own
+    passOptions: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null
+    },
+    // Names no pass renames or aliases, such as functions other scripts call;
+    // --@enigma:keep annotations in the source add to it
+    preserve: [String]
+  },
+  // Profile the settings came from, as { profileId, name, version }. The settings are a copy
+  // of that version, so later versions only reach the project when the profile is applied again.
+  profile: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
   },
+  // Code of the live build, the one /api/loader/validate serves
   obfuscatedCode: {
     type: String,
     default: null
@@ -87,6 +133,62 @@ const projectSchema = new mongoose.Schema({
     type: String,
     default: null
   },
+  // Serve every key its own watermarked variant of the build instead of obfuscatedCode
+  watermarkKeys: {
+    type: Boolean,
+    default: false
+  },
+  // Build in obfuscatedCode; older builds stay in the builds collection
+  liveBuild: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Build',
+    default: null
+  },
+  // Builds published to release channels other than stable, which always gets liveBuild.
+  // Keys on a channel with no build of its own get the live build.
+  channels: {
+    type: Map,
+    of: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Build'
+    },
+    default: {}
+  },
+  // Number of the newest build
+  buildCount: {
+    type: Number,
+    default: 0
+  },
+  // Seed and settings of the build in obfuscatedCode, enough to regenerate it exactly
+  lastBuild: {
+    seed: {
+      type: String,
+      default: null
+    },
+    settings: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null
+    },
+    transforms: [String],
+    // Profile version the build used, if any
+    profile: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null
+    },
+    inputSize: Number,
+    outputSize: Number,
+    duration: Number,
+    createdAt: {
+      type: Date,
+      default: null
+    },
+    // Maps the build back to original lines and names; never sent with the project
+    sourceMap: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+      select: false
+    }
+  },
   stats: {
     totalKeys: {
       type: Number,
@@ -126,17 +228,68 @@ projectSchema.pre('save', function(next) {
   next();
 });
 
+// Make a build the live one. The build must be loaded with +obfuscatedCode and +sourceMap.
+projectSchema.methods.promoteBuild = function(build) {
+  this.obfuscatedCode = build.obfuscatedCode;
+  this.liveBuild = build._id;
+  this.lastBuild = {
+    seed: build.seed,
+    settings: build.settings,
+    transforms: build.report.transforms,
+    profile: build.profile,
+    inputSize: build.report.inputSize,
+    outputSize: build.report.outputSize,
+    duration: build.report.duration,
+    createdAt: build.createdAt,
+    sourceMap: build.sourceMap
+  };
+  this.generateLoaderScript();
+};
+
+// Publish a build to a release channel; publishing to stable makes it the live build
+projectSchema.methods.publishBuild = function(build, channel = 'stable') {
+  if (channel === 'stable') {
+    this.promoteBuild(build);
+  } else {
+    this.channels.set(channel, build._id);
+  }
+};
+
+// ID of the build a channel serves: its own build, or the live build
+projectSchema.methods.channelBuild = function(channel = 'stable') {
+  return (channel !== 'stable' && this.channels && this.channels.get(channel)) || this.liveBuild;
+};
+
+// Channels a build is published to
+projectSchema.methods.buildChannels = function(build) {
+  const channels = String(this.liveBuild) === String(build._id) ? ['stable'] : [];
+  (this.channels || new Map()).forEach((buildId, channel) => {
+    if (String(buildId) === String(build._id)) channels.push(channel);
+  });
+  return channels;
+};
+
+// Channel names are short lowercase words such as "beta" or "qa-team"
+projectSchema.statics.isChannelName = function(name) {
+  return typeof name === 'string' && /^[a-z][a-z0-9-]{0,31}$/.test(name);
+};
+
+// Why a channel name is rejected, or null when isChannelName accepts it
+projectSchema.statics.channelNameError = function(name) {
+  return this.isChannelName(name) ? null : 'Channel must be a lowercase name of at most 32 letters, digits and dashes';
+};
+
 // Generate loader script
 projectSchema.methods.generateLoaderScript = function() {
   const crypto = require('crypto');
   const integrityHash = crypto.createHash('sha256')
     .update(this.obfuscatedCode || '')
     .digest('hex');
-  
+
+  // Nothing time-dependent goes in the loader, so a seeded rebuild reproduces it byte for byte
   const loaderTemplate = `
 -- EnigmaCode Loader v1.0
 -- Project: ${this.name}
--- Generated: ${new Date().toISOString()}
 
 local HttpService = game:GetService("HttpService")
 local Players = game:GetService("Players")
@@ -145,22 +298,30 @@ local API_BASE = "${process.env.API_BASE_URL || 'http://localhost:3000/api'}"
 local PROJECT_ID = "${this.projectId}"
 local INTEGRITY_HASH = "${integrityHash}"
 
+local MAX_RETRIES = 5
+
 local function validateKey(key, userId)
-    local success, response = pcall(function()
-        return HttpService:GetAsync(API_BASE .. "/loader/validate", {
-            ["Content-Type"] = "application/json",
-            ["X-Project-ID"] = PROJECT_ID,
-            ["X-User-Key"] = key,
-            ["X-User-ID"] = tostring(userId or Players.LocalPlayer.UserId)
-        })
-    end)
-    
-    if not success then
-        return false, nil
+    for attempt = 0, MAX_RETRIES do
+        local success, response = pcall(function()
+            return HttpService:GetAsync(API_BASE .. "/loader/validate", {
+                ["Content-Type"] = "application/json",
+                ["X-Project-ID"] = PROJECT_ID,
+                ["X-User-Key"] = key,
+                ["X-User-ID"] = tostring(userId or Players.LocalPlayer.UserId)
+            })
+        end)
+        
+        if not success then
+            return false, nil
+        end
+        
+        local data = HttpService:JSONDecode(response)
+        -- The key's copy of the build is still being made
+        if not data.retry or attempt == MAX_RETRIES then
+            return data.valid == true, data.code
+        end
+        task.wait(data.retryAfter or 5)
     end
-    
-    local data = HttpService:JSONDecode(response)
-    return data.valid == true, data.code
 end
 
 local function executeScript(code)
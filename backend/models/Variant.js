@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+// Watermarked variant of one build for one key. A variant is kept for every build a key
+// has been served, so a leaked copy of any of them can be traced back to the key.
+const variantSchema = new mongoose.Schema({
+  key: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Key',
+    required: true
+  },
+  build: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Build',
+    required: true
+  },
+  project: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    required: true
+  },
+  // Seed derived from the build's seed and the key
+  seed: {
+    type: String,
+    default: null
+  },
+  code: {
+    type: String,
+    default: null,
+    select: false
+  },
+  // Tokens only this variant contains, used to identify leaked copies
+  fingerprint: {
+    type: [String],
+    select: false
+  },
+  sourceMap: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null,
+    select: false
+  },
+  // Why the variant could not be made; the key is refused the build until it is rebuilt
+  error: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+variantSchema.index({ key: 1, build: 1 }, { unique: true });
+variantSchema.index({ project: 1 });
+
+module.exports = mongoose.model('Variant', variantSchema);
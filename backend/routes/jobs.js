@@ -0,0 +1,76 @@
+const express = require('express');
+const { authenticateToken } = require('../middleware/auth');
+const buildQueue = require('../services/builds');
+
+const router = express.Router();
+
+// Job status changes by the second, so responses must never be served from a cache
+router.use((req, res, next) => {
+  res.set('Cache-Control', 'no-store');
+  next();
+});
+
+// The job if it belongs to the user
+const findJob = (req) => {
+  const job = buildQueue.get(req.params.jobId);
+  return job && job.owner === String(req.user._id) ? job : null;
+};
+
+// List the user's recent build jobs
+router.get('/', authenticateToken, (req, res) => {
+  res.json({ jobs: buildQueue.list(req.user._id).map(job => buildQueue.describe(job)) });
+});
+
+// Status, progress and logs of a job; completed jobs include the obfuscated code and report
+router.get('/:jobId', authenticateToken, (req, res) => {
+  const job = findJob(req);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  res.json({ job: buildQueue.describe(job, { withResult: true }) });
+});
+
+// Stream of job updates as server-sent events; the stream ends when the job finishes
+router.get('/:jobId/events', authenticateToken, (req, res) => {
+  const job = findJob(req);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    Connection: 'keep-alive'
+  });
+  res.flushHeaders();
+
+  const send = (current) => {
+    const finished = buildQueue.isFinished(current);
+    res.write(`event: ${finished ? 'finished' : 'update'}\n`);
+    res.write(`data: ${JSON.stringify(buildQueue.describe(current, { withResult: finished }))}\n\n`);
+    if (finished) {
+      buildQueue.off('update', listener);
+      res.end();
+    }
+  };
+  const listener = (updated) => {
+    if (updated.id === job.id) send(updated);
+  };
+
+  buildQueue.on('update', listener);
+  req.on('close', () => buildQueue.off('update', listener));
+  send(job);
+});
+
+// Cancel a queued or running job
+router.post('/:jobId/cancel', authenticateToken, (req, res) => {
+  const job = findJob(req);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  if (!buildQueue.cancel(job.id)) {
+    return res.status(409).json({ error: `Job is ${job.status === 'running' ? 'being saved' : job.status} and cannot be cancelled` });
+  }
+  res.json({ message: 'Job cancelled', job: buildQueue.describe(job) });
+});
+
+module.exports = router;
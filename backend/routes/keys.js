@@ -1,9 +1,11 @@
 const express = require('express');
 const Key = require('../models/Key');
+const Variant = require('../models/Variant');
 const Project = require('../models/Project');
 const Analytics = require('../models/Analytics');
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
 const webhookService = require('../services/webhook');
+const obfuscationService = require('../services/obfuscation');
 
 const router = express.Router();
 
@@ -61,7 +63,19 @@ router.get('/:keyId', authenticateToken, async (req, res) => {
       return res.status(404).json({ error: 'Key not found' });
     }
 
-    res.json({ key });
+    // Watermarked variants made for the key, and why any could not be made
+    const variants = await Variant.find({ key: key._id })
+      .populate('build', 'buildId number')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      key,
+      variants: variants.map(variant => ({
+        build: variant.build && { buildId: variant.build.buildId, number: variant.build.number },
+        error: variant.error,
+        createdAt: variant.createdAt
+      }))
+    });
   } catch (error) {
     console.error('Key fetch error:', error);
     res.status(500).json({ error: 'Failed to fetch key' });
@@ -71,11 +85,15 @@ router.get('/:keyId', authenticateToken, async (req, res) => {
 // Create new key
 router.post('/', authenticateToken, async (req, res) => {
   try {
-    const { projectId, type = 'permanent', linkedUserId, expiresAt, restrictions } = req.body;
+    const { projectId, type = 'permanent', linkedUserId, expiresAt, restrictions, channel = 'stable' } = req.body;
 
     if (!projectId) {
       return res.status(400).json({ error: 'Project ID is required' });
     }
+    const channelError = Project.channelNameError(channel);
+    if (channelError) {
+      return res.status(400).json({ error: channelError });
+    }
 
     // Verify project ownership
     const project = await Project.findOne({
@@ -93,7 +111,8 @@ router.post('/', authenticateToken, async (req, res) => {
       owner: req.user._id,
       type,
       linkedUserId,
-      restrictions: restrictions || {}
+      restrictions: restrictions || {},
+      channel
     });
 
     if (type === 'custom' && expiresAt) {
@@ -126,6 +145,7 @@ router.post('/', authenticateToken, async (req, res) => {
         keyString: key.keyString,
         type: key.type,
         status: key.status,
+        channel: key.channel,
         expiresAt: key.expiresAt,
         createdAt: key.createdAt
       }
@@ -136,10 +156,73 @@ router.post('/', authenticateToken, async (req, res) => {
   }
 });
 
+// Identify the key a leaked script was issued to from its watermark (admin only)
+router.post('/identify-leak', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { code, projectId } = req.body || {};
+    if (typeof code !== 'string' || code.length === 0 || code.length > 5 * 1024 * 1024) {
+      return res.status(400).json({ error: 'Code must be a non-empty string of at most 5 MB' });
+    }
+
+    // Every build a key was served has its own variant, so all of them are searched
+    const query = { error: null };
+    if (projectId) {
+      const project = await Project.findOne({ projectId });
+      if (!project) {
+        return res.status(404).json({ error: 'Project not found' });
+      }
+      query.project = project._id;
+    }
+
+    const variants = await Variant.find(query)
+      .select('+fingerprint')
+      .populate({
+        path: 'key',
+        populate: [
+          { path: 'project', select: 'name projectId' },
+          { path: 'owner', select: 'username email' }
+        ]
+      })
+      .populate('build', 'buildId number');
+    const candidates = variants
+      .filter(variant => variant.key)
+      .map(variant => ({ id: String(variant._id), fingerprint: variant.fingerprint, variant }));
+    const { match, scores } = obfuscationService.identifyLeak(code, candidates);
+
+    const describe = ({ id, score }) => {
+      const { key, build } = candidates.find(candidate => candidate.id === id).variant;
+      return {
+        keyId: key.keyId,
+        keyString: key.keyString,
+        status: key.status,
+        linkedUserId: key.linkedUserId,
+        lastIP: key.usage.lastIP,
+        project: key.project,
+        owner: key.owner,
+        build: build && { buildId: build.buildId, number: build.number },
+        score
+      };
+    };
+
+    res.json({
+      match: match ? describe(scores[0]) : null,
+      candidates: scores.slice(0, 10).map(describe),
+      variantsChecked: candidates.length
+    });
+  } catch (error) {
+    console.error('Leak identification error:', error);
+    res.status(500).json({ error: 'Failed to identify leak' });
+  }
+});
+
 // Update key
 router.put('/:keyId', authenticateToken, async (req, res) => {
   try {
-    const { status, linkedUserId, restrictions } = req.body;
+    const { status, linkedUserId, restrictions, channel } = req.body;
+    const channelError = channel !== undefined && Project.channelNameError(channel);
+    if (channelError) {
+      return res.status(400).json({ error: channelError });
+    }
 
     const key = await Key.findOne({
       keyId: req.params.keyId,
@@ -153,6 +236,7 @@ router.put('/:keyId', authenticateToken, async (req, res) => {
     if (status) key.status = status;
     if (linkedUserId !== undefined) key.linkedUserId = linkedUserId;
     if (restrictions) key.restrictions = { ...key.restrictions, ...restrictions };
+    if (channel !== undefined) key.channel = channel;
 
     await key.save();
 
@@ -266,7 +350,10 @@ router.delete('/:keyId', authenticateToken, async (req, res) => {
       return res.status(404).json({ error: 'Key not found' });
     }
 
-    await Key.findByIdAndDelete(key._id);
+    await Promise.all([
+      Key.findByIdAndDelete(key._id),
+      Variant.deleteMany({ key: key._id })
+    ]);
 
     // Update stats
     await Promise.all([
@@ -1,12 +1,23 @@
 const express = require('express');
 const Key = require('../models/Key');
 const Project = require('../models/Project');
+const Variant = require('../models/Variant');
 const Analytics = require('../models/Analytics');
-const User = require('../models/User');
 const webhookService = require('../services/webhook');
+const variantService = require('../services/variants');
 
 const router = express.Router();
 
+// Each key is served its own build, chosen from headers the cache does not key on, so
+// responses must never be served from a cache
+router.use((req, res, next) => {
+  res.set('Cache-Control', 'no-store');
+  next();
+});
+
+// Seconds loaders wait before asking again for a variant that is being built
+const RETRY_AFTER = 5;
+
 // Validate key and return obfuscated code
 router.get('/validate', async (req, res) => {
   try {
@@ -160,6 +171,36 @@ router.get('/validate', async (req, res) => {
       return res.status(401).json({ valid: false, error: 'Activation limit reached' });
     }
 
+    // Keys get the build of their release channel; watermarked projects give every key
+    // its own variant of it, and never the shared build, which could not be traced
+    const served = await variantService.servedBuild(project, key);
+    let code = served.code;
+    if (project.watermarkKeys && served.id) {
+      const variant = await Variant.findOne({ key: key._id, build: served.id }).select('+code');
+      if (!variant) {
+        // Variants are queued when a build is published; keys that load first wait for theirs
+        await variantService.queue(project, key, served);
+        res.set('Retry-After', String(RETRY_AFTER));
+        return res.status(202).json({
+          valid: false,
+          retry: true,
+          retryAfter: RETRY_AFTER,
+          error: 'Your build is being prepared; try again shortly'
+        });
+      }
+      if (variant.error) {
+        await Analytics.logEvent('error', key.owner, project._id, key._id, {
+          errorCode: 'WATERMARK_FAILED',
+          errorMessage: variant.error,
+          ip,
+          userAgent,
+          robloxUserId: userId
+        });
+        return res.status(503).json({ valid: false, error: 'This build is not available for your key' });
+      }
+      code = variant.code;
+    }
+
     // Successful validation
     key.recordActivation(userId, ip, userAgent, true);
     await key.save();
@@ -179,7 +220,7 @@ router.get('/validate', async (req, res) => {
     // Return obfuscated code
     res.json({
       valid: true,
-      code: project.obfuscatedCode,
+      code,
       keyInfo: {
         type: key.type,
         expiresAt: key.expiresAt,
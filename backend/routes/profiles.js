@@ -0,0 +1,228 @@
+const express = require('express');
+const Profile = require('../models/Profile');
+const Project = require('../models/Project');
+const { authenticateToken } = require('../middleware/auth');
+const obfuscationService = require('../services/obfuscation');
+const { getPreset } = require('../../obfuscation-engine/presets');
+
+const router = express.Router();
+
+// Most projects one request can apply a profile to
+const MAX_APPLY = 100;
+
+const describeProfile = (profile, { withVersions = false } = {}) => ({
+  profileId: profile.profileId,
+  name: profile.name,
+  description: profile.description,
+  builtIn: false,
+  version: profile.version,
+  settings: profile.getVersion().settings,
+  ...(withVersions && {
+    versions: profile.versions.map(entry => ({ version: entry.version, settings: entry.settings, createdAt: entry.createdAt }))
+  }),
+  createdAt: profile.createdAt,
+  updatedAt: profile.updatedAt
+});
+
+const builtIn = (profileId) => obfuscationService.listPresets().find(preset => preset.profileId === profileId) || null;
+
+// Checks a profile's settings against the user's plan; returns the settings to store
+const profileSettings = (settings, user) => {
+  if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+    const error = new Error('Settings must be an object');
+    error.status = 400;
+    throw error;
+  }
+  const normalized = obfuscationService.profileSettings(settings);
+  obfuscationService.checkSettings(normalized, user);
+  return normalized;
+};
+
+const validName = (name) => typeof name === 'string' && name.trim().length > 0 && name.trim().length <= 50;
+
+const sendError = (res, error, message) => {
+  if (error.status === 400 || error.status === 403) {
+    return res.status(error.status).json({ error: error.message, details: error.details });
+  }
+  if (error.code === 11000) {
+    return res.status(409).json({ error: 'You already have a profile with this name' });
+  }
+  console.error(`${message}:`, error);
+  res.status(500).json({ error: message });
+};
+
+// Built-in presets and the user's saved profiles with their newest settings
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const profiles = await Profile.find({ owner: req.user._id }).sort({ name: 1 });
+    res.json({
+      presets: obfuscationService.listPresets(),
+      profiles: profiles.map(profile => describeProfile(profile))
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch profiles');
+  }
+});
+
+// A preset, or a saved profile with every version
+router.get('/:profileId', authenticateToken, async (req, res) => {
+  try {
+    const preset = builtIn(req.params.profileId);
+    if (preset) {
+      return res.json({ profile: preset });
+    }
+
+    const profile = await Profile.findOne({ profileId: req.params.profileId, owner: req.user._id });
+    if (!profile) {
+      return res.status(404).json({ error: 'Profile not found' });
+    }
+    res.json({ profile: describeProfile(profile, { withVersions: true }) });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch profile');
+  }
+});
+
+// Save a profile from { name, description, settings }
+router.post('/', authenticateToken, async (req, res) => {
+  try {
+    const { name, description, settings } = req.body || {};
+    if (!validName(name)) {
+      return res.status(400).json({ error: 'Profile name must be 1 to 50 characters' });
+    }
+    if (getPreset(name.trim())) {
+      return res.status(400).json({ error: `'${name.trim()}' is the name of a built-in preset` });
+    }
+
+    const profile = new Profile({
+      owner: req.user._id,
+      name: name.trim(),
+      description: description || '',
+      versions: [{ version: 1, settings: profileSettings(settings, req.user) }]
+    });
+    await profile.save();
+
+    res.status(201).json({
+      message: 'Profile created successfully',
+      profile: describeProfile(profile, { withVersions: true })
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to create profile');
+  }
+});
+
+// Rename a profile or save new settings as its next version
+router.put('/:profileId', authenticateToken, async (req, res) => {
+  try {
+    if (getPreset(req.params.profileId)) {
+      return res.status(403).json({ error: 'Built-in presets cannot be changed' });
+    }
+
+    const profile = await Profile.findOne({ profileId: req.params.profileId, owner: req.user._id });
+    if (!profile) {
+      return res.status(404).json({ error: 'Profile not found' });
+    }
+
+    const { name, description, settings } = req.body || {};
+    if (name !== undefined) {
+      if (!validName(name)) {
+        return res.status(400).json({ error: 'Profile name must be 1 to 50 characters' });
+      }
+      if (getPreset(name.trim())) {
+        return res.status(400).json({ error: `'${name.trim()}' is the name of a built-in preset` });
+      }
+      profile.name = name.trim();
+    }
+    if (description !== undefined) profile.description = description;
+    if (settings !== undefined) {
+      const normalized = profileSettings(settings, req.user);
+      // Saving the same settings again does not make a new version
+      if (JSON.stringify(normalized) !== JSON.stringify(profile.getVersion().settings)) {
+        profile.version += 1;
+        profile.versions.push({ version: profile.version, settings: normalized });
+      }
+    }
+
+    await profile.save();
+
+    res.json({
+      message: 'Profile updated successfully',
+      profile: describeProfile(profile, { withVersions: true })
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to update profile');
+  }
+});
+
+// Delete a profile; projects keep the settings it gave them
+router.delete('/:profileId', authenticateToken, async (req, res) => {
+  try {
+    if (getPreset(req.params.profileId)) {
+      return res.status(403).json({ error: 'Built-in presets cannot be deleted' });
+    }
+
+    const profile = await Profile.findOneAndDelete({ profileId: req.params.profileId, owner: req.user._id });
+    if (!profile) {
+      return res.status(404).json({ error: 'Profile not found' });
+    }
+
+    res.json({ message: 'Profile deleted successfully' });
+  } catch (error) {
+    sendError(res, error, 'Failed to delete profile');
+  }
+});
+
+// Apply a profile version, the newest by default, to several projects at once.
+// Each project keeps its own target and preserve list.
+router.post('/:profileId/apply', authenticateToken, async (req, res) => {
+  try {
+    const { projectIds, version } = req.body || {};
+    if (!Array.isArray(projectIds) || projectIds.length === 0 || projectIds.length > MAX_APPLY ||
+        !projectIds.every(id => typeof id === 'string')) {
+      return res.status(400).json({ error: `projectIds must be an array of 1 to ${MAX_APPLY} project IDs` });
+    }
+    if (version !== undefined && !Number.isInteger(version)) {
+      return res.status(400).json({ error: 'Version must be an integer' });
+    }
+
+    let source = builtIn(req.params.profileId);
+    let settings = source && source.settings;
+    if (source && version !== undefined && version !== source.version) {
+      return res.status(404).json({ error: `Preset '${source.name}' has no version ${version}` });
+    }
+    if (!source) {
+      const profile = await Profile.findOne({ profileId: req.params.profileId, owner: req.user._id });
+      if (!profile) {
+        return res.status(404).json({ error: 'Profile not found' });
+      }
+      const entry = profile.getVersion(version);
+      if (!entry) {
+        return res.status(404).json({ error: `Profile '${profile.name}' has no version ${version}` });
+      }
+      source = { profileId: profile.profileId, name: profile.name, version: entry.version };
+      settings = entry.settings;
+    }
+
+    // The user's plan may have changed since the profile was saved
+    obfuscationService.checkSettings(settings, req.user);
+
+    const projects = await Project.find({ projectId: { $in: projectIds }, owner: req.user._id });
+    const reference = { profileId: source.profileId, name: source.name, version: source.version };
+    for (const project of projects) {
+      project.obfuscationSettings = obfuscationService.applyProfile(project.obfuscationSettings, settings);
+      project.profile = reference;
+      await project.save();
+    }
+
+    const applied = projects.map(project => project.projectId);
+    res.json({
+      message: `Profile applied to ${applied.length} project${applied.length === 1 ? '' : 's'}`,
+      profile: reference,
+      applied,
+      notFound: projectIds.filter(id => !applied.includes(id))
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to apply profile');
+  }
+});
+
+module.exports = router;
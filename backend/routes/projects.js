@@ -2,9 +2,15 @@ const express = require('express');
 const multer = require('multer');
 const path = require('path');
 const Project = require('../models/Project');
+const Key = require('../models/Key');
+const Build = require('../models/Build');
+const Variant = require('../models/Variant');
+const User = require('../models/User');
 const Analytics = require('../models/Analytics');
 const { authenticateToken } = require('../middleware/auth');
-const obfuscator = require('../../obfuscation-engine/obfuscator');
+const obfuscationService = require('../services/obfuscation');
+const buildQueue = require('../services/builds');
+const variantService = require('../services/variants');
 const webhookService = require('../services/webhook');
 
 const router = express.Router();
@@ -13,18 +19,51 @@ const router = express.Router();
 const storage = multer.memoryStorage();
 const upload = multer({
   storage,
+  // Keep folders in file names so require("lib.util") can find lib/util.lua
+  preservePath: true,
   limits: {
     fileSize: 10 * 1024 * 1024, // 10MB limit
   },
   fileFilter: (req, file, cb) => {
-    if (file.mimetype === 'text/plain' || file.originalname.endsWith('.lua')) {
+    if (file.mimetype === 'text/plain' || /\.luau?$/.test(file.originalname)) {
       cb(null, true);
     } else {
-      cb(new Error('Only .lua and .txt files are allowed'));
+      cb(new Error('Only .lua, .luau and .txt files are allowed'));
     }
   }
 });
 
+// A project's script is either one "file" or several "files" that require each other
+const uploadFiles = upload.fields([
+  { name: 'file', maxCount: 1 },
+  { name: 'files', maxCount: 50 }
+]);
+
+const toProjectFile = (file) => ({
+  filename: `${Date.now()}_${path.basename(file.originalname)}`,
+  originalName: file.originalname.replace(/\\/g, '/'),
+  content: file.buffer.toString('utf8'),
+  size: file.size
+});
+
+// Build history entry without its code; live tells whether it is the stable build and
+// channels lists every channel it is published to
+const describeBuild = (build, project) => ({
+  buildId: build.buildId,
+  number: build.number,
+  author: build.author,
+  sourceHash: build.sourceHash,
+  seed: build.seed,
+  settings: build.settings,
+  profile: build.profile,
+  report: build.report,
+  live: String(project.liveBuild) === String(build._id),
+  channels: project.buildChannels(build),
+  createdAt: build.createdAt
+});
+
+const uploadedFiles = (req) => [...((req.files && req.files.file) || []), ...((req.files && req.files.files) || [])];
+
 // Get all projects for user
 router.get('/', authenticateToken, async (req, res) => {
   try {
@@ -39,6 +78,51 @@ router.get('/', authenticateToken, async (req, res) => {
   }
 });
 
+// Obfuscation passes with their tiers and option schemas, for the settings form
+router.get('/passes', authenticateToken, (req, res) => {
+  res.json({ passes: obfuscationService.describePasses() });
+});
+
+// Largest snippet a preview accepts
+const MAX_PREVIEW_SOURCE = 16 * 1024;
+
+// Obfuscate a snippet with the given settings and show what each pass changed; nothing is saved
+router.post('/preview', authenticateToken, async (req, res) => {
+  try {
+    const { code, settings, seed } = req.body || {};
+    if (typeof code !== 'string' || code.trim().length === 0) {
+      return res.status(400).json({ error: 'Code must be a non-empty string' });
+    }
+    if (Buffer.byteLength(code) > MAX_PREVIEW_SOURCE) {
+      return res.status(413).json({ error: `Previews take at most ${MAX_PREVIEW_SOURCE / 1024} KB of code` });
+    }
+    if (settings !== undefined && (settings === null || typeof settings !== 'object' || Array.isArray(settings))) {
+      return res.status(400).json({ error: 'Settings must be an object' });
+    }
+    if (seed !== undefined && (typeof seed !== 'string' || seed.length === 0 || seed.length > 128)) {
+      return res.status(400).json({ error: 'Seed must be a non-empty string of at most 128 characters' });
+    }
+
+    // Refused before a worker is started when the plan does not allow the settings
+    obfuscationService.checkSettings(obfuscationService.normalizeSettings(settings), req.user);
+
+    const preview = await buildQueue.preview({
+      code,
+      settings: settings || {},
+      user: obfuscationService.userInput(req.user),
+      seed
+    });
+
+    res.json({ preview });
+  } catch (error) {
+    if (error.status && error.status < 500) {
+      return res.status(error.status).json({ error: error.message, details: error.details });
+    }
+    console.error('Preview error:', error);
+    res.status(500).json({ error: 'Failed to preview obfuscation' });
+  }
+});
+
 // Get specific project
 router.get('/:projectId', authenticateToken, async (req, res) => {
   try {
@@ -59,26 +143,30 @@ router.get('/:projectId', authenticateToken, async (req, res) => {
 });
 
 // Create new project
-router.post('/', authenticateToken, upload.single('file'), async (req, res) => {
+router.post('/', authenticateToken, uploadFiles, async (req, res) => {
   try {
-    const { name, description } = req.body;
-    const file = req.file;
+    const { name, description, entryPoint } = req.body;
+    const files = uploadedFiles(req).map(toProjectFile);
 
-    if (!name || !file) {
+    if (!name || files.length === 0) {
       return res.status(400).json({ error: 'Project name and file are required' });
     }
 
+    const names = files.map(file => file.originalName);
+    if (new Set(names).size !== names.length) {
+      return res.status(400).json({ error: 'File names must be unique' });
+    }
+    if (entryPoint && !names.includes(entryPoint)) {
+      return res.status(400).json({ error: `Entry point '${entryPoint}' is not one of the uploaded files` });
+    }
+
     // Create project
     const project = new Project({
       name,
       description: description || '',
       owner: req.user._id,
-      files: [{
-        filename: `${Date.now()}_${file.originalname}`,
-        originalName: file.originalname,
-        content: file.buffer.toString('utf8'),
-        size: file.size
-      }]
+      files,
+      entryPoint: entryPoint || null
     });
 
     await project.save();
@@ -113,7 +201,7 @@ router.post('/', authenticateToken, upload.single('file'), async (req, res) => {
 // Update project settings
 router.put('/:projectId', authenticateToken, async (req, res) => {
   try {
-    const { name, description, obfuscationSettings } = req.body;
+    const { name, description, obfuscationSettings, entryPoint, externalModules, watermarkKeys } = req.body;
 
     const project = await Project.findOne({
       projectId: req.params.projectId,
@@ -126,12 +214,54 @@ router.put('/:projectId', authenticateToken, async (req, res) => {
 
     if (name) project.name = name;
     if (description !== undefined) project.description = description;
+    if (entryPoint !== undefined) {
+      if (entryPoint !== null && !project.files.some(file => file.originalName === entryPoint)) {
+        return res.status(400).json({ error: `Entry point '${entryPoint}' is not one of the project files` });
+      }
+      project.entryPoint = entryPoint;
+    }
+    if (externalModules !== undefined) {
+      if (!Array.isArray(externalModules) || !externalModules.every(module => typeof module === 'string')) {
+        return res.status(400).json({ error: 'External modules must be an array of strings' });
+      }
+      project.externalModules = externalModules;
+    }
+    if (watermarkKeys !== undefined) {
+      if (typeof watermarkKeys !== 'boolean') {
+        return res.status(400).json({ error: 'watermarkKeys must be a boolean' });
+      }
+      project.watermarkKeys = watermarkKeys;
+    }
     if (obfuscationSettings) {
-      project.obfuscationSettings = { ...project.obfuscationSettings, ...obfuscationSettings };
+      const settings = {
+        ...obfuscationService.normalizeSettings(project.obfuscationSettings),
+        ...obfuscationService.normalizeSettings(obfuscationSettings)
+      };
+      const violations = obfuscationService.validateSettings(settings, req.user);
+      if (violations.length > 0) {
+        return res.status(403).json({ error: 'Obfuscation settings not allowed by your plan', details: violations });
+      }
+      const problems = obfuscationService.validatePipeline(settings);
+      if (problems.length > 0) {
+        return res.status(400).json({ error: 'Invalid obfuscation pipeline', details: problems });
+      }
+      project.obfuscationSettings = settings;
+      // Settings edited by hand no longer follow the profile
+      if (obfuscationService.touchesProfile(obfuscationSettings)) {
+        project.profile = null;
+      }
     }
 
     await project.save();
 
+    // Keys get their variants of the published builds before they next load them
+    if (watermarkKeys === true) {
+      const published = await Build.find({ _id: { $in: [project.liveBuild, ...project.channels.values()] } });
+      for (const build of published) {
+        await variantService.queueBuild(project, build);
+      }
+    }
+
     res.json({
       message: 'Project updated successfully',
       project
@@ -142,7 +272,7 @@ router.put('/:projectId', authenticateToken, async (req, res) => {
   }
 });
 
-// Obfuscate project code
+// Queue an obfuscation build of the project; GET /api/jobs/:jobId reports its progress
 router.post('/:projectId/obfuscate', authenticateToken, async (req, res) => {
   try {
     const project = await Project.findOne({
@@ -158,25 +288,306 @@ router.post('/:projectId/obfuscate', authenticateToken, async (req, res) => {
       return res.status(400).json({ error: 'No files to obfuscate' });
     }
 
-    // Get the main file content
-    const mainFile = project.files[0];
-    const sourceCode = mainFile.content;
+    // Run the engine with the project's settings, checked against the user's plan.
+    // An optional seed reproduces an earlier build exactly. The build is published to
+    // channel, stable by default; with promote: false it is only recorded, and can be
+    // published later through /builds/:buildId/promote.
+    const { seed, promote = true, channel = 'stable' } = req.body || {};
+    if (seed !== undefined && (typeof seed !== 'string' || seed.length === 0 || seed.length > 128)) {
+      return res.status(400).json({ error: 'Seed must be a non-empty string of at most 128 characters' });
+    }
+    if (typeof promote !== 'boolean') {
+      return res.status(400).json({ error: 'promote must be a boolean' });
+    }
+    const channelError = Project.channelNameError(channel);
+    if (channelError) {
+      return res.status(400).json({ error: channelError });
+    }
+
+    // Settings the plan does not allow are refused before anything is queued
+    obfuscationService.checkSettings(obfuscationService.normalizeSettings(project.obfuscationSettings), req.user);
+
+    const active = buildQueue.activeJob(project.projectId);
+    if (active) {
+      return res.status(409).json({ error: 'This project is already being built', job: buildQueue.describe(active) });
+    }
+
+    const profile = project.profile;
+    const input = obfuscationService.buildInput(project, req.user);
+    const job = buildQueue.enqueue({
+      owner: req.user._id,
+      projectId: project.projectId,
+      input: { ...input, seed },
+      // Saved on the main thread; the project is loaded again since it may have changed meanwhile
+      onComplete: async ({ code, report, sourceMap }) => {
+        const current = await Project.findByIdAndUpdate(project._id, { $inc: { buildCount: 1 } }, { new: true });
+        if (!current) {
+          const error = new Error('Project was deleted during the build');
+          error.status = 404;
+          throw error;
+        }
+
+        const { seed: buildSeed, settings, ...details } = report;
+        const build = new Build({
+          project: current._id,
+          number: current.buildCount,
+          author: req.user._id,
+          sourceHash: obfuscationService.sourceHash(input.project),
+          seed: buildSeed,
+          settings,
+          profile,
+          report: details,
+          obfuscatedCode: code,
+          sourceMap,
+          source: {
+            files: input.project.files,
+            entryPoint: input.project.entryPoint,
+            externalModules: input.project.externalModules
+          }
+        });
+        await build.save();
+
+        if (promote) {
+          current.publishBuild(build, channel);
+          await current.save();
+          await variantService.queueBuild(current, build);
+        }
+
+        return { obfuscatedCode: code, report, build: describeBuild(build, current) };
+      }
+    });
+
+    res.status(202).json({
+      message: 'Obfuscation queued',
+      job: buildQueue.describe(job)
+    });
+  } catch (error) {
+    if (error.status === 403 || error.status === 400) {
+      return res.status(error.status).json({ error: error.message, details: error.details });
+    }
+    console.error('Obfuscation error:', error);
+    res.status(500).json({ error: 'Failed to queue obfuscation' });
+  }
+});
+
+// Build history of a project, newest first
+router.get('/:projectId/builds', authenticateToken, async (req, res) => {
+  try {
+    const project = await Project.findOne({
+      projectId: req.params.projectId,
+      owner: req.user._id
+    });
+
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    const builds = await Build.find({ project: project._id })
+      .sort({ number: -1 })
+      .limit(100)
+      .populate('author', 'username');
+
+    res.json({ builds: builds.map(build => describeBuild(build, project)) });
+  } catch (error) {
+    console.error('Builds fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch builds' });
+  }
+});
+
+// One build with its obfuscated code
+router.get('/:projectId/builds/:buildId', authenticateToken, async (req, res) => {
+  try {
+    const project = await Project.findOne({
+      projectId: req.params.projectId,
+      owner: req.user._id
+    });
+
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    const build = await Build.findOne({ buildId: req.params.buildId, project: project._id })
+      .select('+obfuscatedCode')
+      .populate('author', 'username');
+
+    if (!build) {
+      return res.status(404).json({ error: 'Build not found' });
+    }
+
+    res.json({ build: { ...describeBuild(build, project), obfuscatedCode: build.obfuscatedCode } });
+  } catch (error) {
+    console.error('Build fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch build' });
+  }
+});
+
+// Publish a build to a channel, stable by default. Promoting an earlier build to stable
+// rolls every stable key back to it.
+router.post('/:projectId/builds/:buildId/promote', authenticateToken, async (req, res) => {
+  try {
+    const { channel = 'stable' } = req.body || {};
+    const channelError = Project.channelNameError(channel);
+    if (channelError) {
+      return res.status(400).json({ error: channelError });
+    }
+
+    const project = await Project.findOne({
+      projectId: req.params.projectId,
+      owner: req.user._id
+    });
+
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    const build = await Build.findOne({ buildId: req.params.buildId, project: project._id })
+      .select('+obfuscatedCode +sourceMap');
 
-    // Apply obfuscation based on settings
-    const obfuscatedCode = await obfuscateCode(sourceCode, project.obfuscationSettings);
-    
-    project.obfuscatedCode = obfuscatedCode;
-    project.loaderScript = project.generateLoaderScript();
-    
+    if (!build) {
+      return res.status(404).json({ error: 'Build not found' });
+    }
+
+    project.publishBuild(build, channel);
     await project.save();
+    await variantService.queueBuild(project, build);
 
     res.json({
-      message: 'Code obfuscated successfully',
-      obfuscated: true
+      message: channel === 'stable' ? `Build ${build.number} is now live` : `Build ${build.number} published to ${channel}`,
+      build: describeBuild(build, project)
     });
   } catch (error) {
-    console.error('Obfuscation error:', error);
-    res.status(500).json({ error: 'Failed to obfuscate code' });
+    console.error('Build promotion error:', error);
+    res.status(500).json({ error: 'Failed to promote build' });
+  }
+});
+
+// Stop publishing to a channel; its keys get the stable build again
+router.delete('/:projectId/channels/:channel', authenticateToken, async (req, res) => {
+  try {
+    if (req.params.channel === 'stable') {
+      return res.status(400).json({ error: 'The stable channel always serves the live build' });
+    }
+
+    const project = await Project.findOne({
+      projectId: req.params.projectId,
+      owner: req.user._id
+    });
+
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+    if (!project.channels.has(req.params.channel)) {
+      return res.status(404).json({ error: 'Channel has no build' });
+    }
+
+    project.channels.delete(req.params.channel);
+    await project.save();
+
+    res.json({ message: `Keys on ${req.params.channel} now get the stable build` });
+  } catch (error) {
+    console.error('Channel removal error:', error);
+    res.status(500).json({ error: 'Failed to remove channel' });
+  }
+});
+
+// Add files to a project, replacing files with the same name
+router.post('/:projectId/files', authenticateToken, uploadFiles, async (req, res) => {
+  try {
+    const files = uploadedFiles(req).map(toProjectFile);
+    if (files.length === 0) {
+      return res.status(400).json({ error: 'No files uploaded' });
+    }
+
+    const project = await Project.findOne({
+      projectId: req.params.projectId,
+      owner: req.user._id
+    });
+
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    files.forEach(file => {
+      const index = project.files.findIndex(existing => existing.originalName === file.originalName);
+      if (index === -1) {
+        project.files.push(file);
+      } else {
+        project.files.set(index, file);
+      }
+    });
+
+    await project.save();
+
+    res.json({
+      message: 'Files uploaded successfully',
+      files: project.files.map(file => ({ name: file.originalName, size: file.size })),
+      entryPoint: obfuscationService.entryPoint(project)
+    });
+  } catch (error) {
+    console.error('File upload error:', error);
+    res.status(500).json({ error: 'Failed to upload files' });
+  }
+});
+
+// Map an error or stack trace from the obfuscated build back to the original script.
+// With keyId, the trace comes from the build that key is served: its watermarked
+// variant, or the build of its release channel.
+router.post('/:projectId/deobfuscate', authenticateToken, async (req, res) => {
+  try {
+    const { trace, keyId } = req.body || {};
+    if (typeof trace !== 'string' || trace.length === 0 || trace.length > 65536) {
+      return res.status(400).json({ error: 'Trace must be a non-empty string of at most 65536 characters' });
+    }
+    // Anything but a string would reach the key query as a Mongo operator
+    if (keyId !== undefined && typeof keyId !== 'string') {
+      return res.status(400).json({ error: 'keyId must be a string' });
+    }
+
+    const project = await Project.findOne({
+      projectId: req.params.projectId,
+      owner: req.user._id
+    }).select('+lastBuild.sourceMap');
+
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    let sourceMap = project.lastBuild && project.lastBuild.sourceMap;
+    let seed = project.lastBuild && project.lastBuild.seed;
+    if (keyId !== undefined) {
+      const key = await Key.findOne({ keyId, project: project._id });
+      if (!key) {
+        return res.status(404).json({ error: 'Key not found' });
+      }
+      const served = project.channelBuild(key.channel);
+      const variant = project.watermarkKeys &&
+        await Variant.findOne({ key: key._id, build: served, error: null }).select('+sourceMap');
+      if (variant && variant.sourceMap) {
+        sourceMap = variant.sourceMap;
+        seed = variant.seed;
+      } else if (String(served) !== String(project.liveBuild)) {
+        const build = await Build.findById(served).select('+sourceMap');
+        if (build) {
+          sourceMap = build.sourceMap;
+          seed = build.seed;
+        }
+      }
+    }
+    if (!sourceMap) {
+      return res.status(400).json({ error: 'Project has no source map; obfuscate it first' });
+    }
+
+    const result = obfuscationService.deobfuscateTrace(sourceMap, trace);
+
+    res.json({
+      file: sourceMap.file,
+      seed,
+      trace: result.trace,
+      frames: result.frames
+    });
+  } catch (error) {
+    console.error('Deobfuscation error:', error);
+    res.status(500).json({ error: 'Failed to deobfuscate trace' });
   }
 });
 
@@ -218,6 +629,11 @@ router.delete('/:projectId', authenticateToken, async (req, res) => {
       return res.status(404).json({ error: 'Project not found' });
     }
 
+    await Promise.all([
+      Build.deleteMany({ project: project._id }),
+      Variant.deleteMany({ project: project._id })
+    ]);
+
     // Update user stats
     await User.findByIdAndUpdate(req.user._id, {
       $inc: { 'stats.totalProjects': -1 }
@@ -230,44 +646,4 @@ router.delete('/:projectId', authenticateToken, async (req, res) => {
   }
 });
 
-// Obfuscation function (placeholder - will be enhanced)
-async function obfuscateCode(sourceCode, settings) {
-  let obfuscated = sourceCode;
-  
-  if (settings.stringEncryption) {
-    // Basic string encryption
-    obfuscated = obfuscated.replace(/"([^"]+)"/g, (match, str) => {
-      const encoded = Buffer.from(str).toString('base64');
-      return `(function() local b='${encoded}' return (b:gsub('.', function(c) return string.char(c:byte() + 1) end)) end)()`;
-    });
-  }
-  
-  if (settings.variableRenaming) {
-    // Basic variable renaming
-    const varMap = new Map();
-    let varCounter = 0;
-    
-    obfuscated = obfuscated.replace(/local\s+([a-zA-Z_][a-zA-Z0-9_]*)/g, (match, varName) => {
-      if (!varMap.has(varName)) {
-        varMap.set(varName, `_${varCounter.toString(36)}`);
-        varCounter++;
-      }
-      return `local ${varMap.get(varName)}`;
-    });
-  }
-  
-  if (settings.antiDebugging) {
-    // Add anti-debugging checks
-    const antiDebugCode = `
--- Anti-debug protection
-if debug and debug.getinfo then
-  error("Debug detected", 0)
-end
-`;
-    obfuscated = antiDebugCode + obfuscated;
-  }
-  
-  return obfuscated;
-}
-
 module.exports = router;
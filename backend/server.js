@@ -15,6 +15,8 @@ const apiRoutes = require('./routes/api');
 const loaderRoutes = require('./routes/loader');
 const webhookRoutes = require('./routes/webhooks');
 const subscriptionRoutes = require('./routes/subscription');
+const jobRoutes = require('./routes/jobs');
+const profileRoutes = require('./routes/profiles');
 const jobScheduler = require('./jobs/scheduler');
 const { PerformanceMonitor, CacheMiddleware, DatabaseOptimizer } = require('./middleware/performance');
 
@@ -78,6 +80,8 @@ app.use('/api/api', apiRoutes);
 app.use('/api/loader', loaderRoutes);
 app.use('/api/webhooks', webhookRoutes);
 app.use('/api/subscription', subscriptionRoutes);
+app.use('/api/jobs', jobRoutes);
+app.use('/api/profiles', profileRoutes);
 app.use('/api/performance', require('./routes/performance'));
 
 // Health check endpoint
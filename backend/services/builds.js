@@ -0,0 +1,284 @@
+// Build Queue - Runs obfuscation jobs on worker threads and tracks their progress, logs and results
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const { Worker } = require('worker_threads');
+
+const WORKER_SCRIPT = path.join(__dirname, '../jobs/build-worker.js');
+
+const FINISHED = ['completed', 'failed', 'cancelled'];
+
+class BuildQueue extends EventEmitter {
+    constructor() {
+        super();
+        // Every open job stream listens for updates
+        this.setMaxListeners(0);
+
+        // Builds that run at once; each one keeps a CPU core busy
+        this.concurrency = Number(process.env.BUILD_WORKERS) || Math.max(1, os.cpus().length - 1);
+        // Builds still running after this long are stopped
+        this.timeout = 10 * 60 * 1000;
+        // Finished jobs can be polled for this long
+        this.retention = 60 * 60 * 1000;
+        // Previews are stopped after this long or when they use more memory than this
+        this.previewTimeout = 10 * 1000;
+        this.previewMemory = 256;
+        this.previews = 0;
+        // Watermarked variants a project can have queued or running at once; keys whose
+        // variant is not queued because of this are queued again when they next load
+        this.variantLimit = 50;
+
+        this.jobs = new Map();
+        // Work of each unfinished job: { input, onComplete, onFail, worker, done }
+        this.tasks = new Map();
+        this.pending = [];
+        // Variants wait behind every owner build and leave one worker free for them
+        this.pendingVariants = [];
+    }
+
+    // Queues a build of obfuscationService.buildInput() plus an optional seed.
+    // onComplete(result) runs on the main thread once the worker has built the code,
+    // for example to save it; its return value becomes the job's result. onFail(error)
+    // runs if the job fails instead.
+    // Watermarked variants of a build for one key are queued with task: 'variant' in the
+    // input and a variant name; they are not the owner's jobs, and a variant already queued
+    // under the same name is returned instead of being queued again. Returns null when the
+    // project already has variantLimit variants queued or running.
+    enqueue({ owner, projectId, input, onComplete, onFail, variant = null }) {
+        if (variant) {
+            const queued = this.variantJob(variant);
+            if (queued) return queued;
+            if (this.variantCount(projectId) >= this.variantLimit) return null;
+        }
+
+        const job = {
+            id: crypto.randomUUID(),
+            owner: String(owner),
+            projectId,
+            variant,
+            status: 'queued',
+            progress: 0,
+            logs: [],
+            error: null,
+            details: null,
+            result: null,
+            createdAt: new Date(),
+            startedAt: null,
+            finishedAt: null
+        };
+        this.jobs.set(job.id, job);
+        this.tasks.set(job.id, { input, onComplete, onFail, worker: null, done: false });
+        (variant ? this.pendingVariants : this.pending).push(job.id);
+        this.log(job, 'Queued');
+        this.drain();
+        return job;
+    }
+
+    // Runs obfuscationService.previewSnippet() on its own worker, outside the queue, and
+    // resolves with its result. At most as many previews as builds run at once.
+    preview({ code, settings, user, seed }) {
+        const fail = (message, status) => Object.assign(new Error(message), { status });
+        if (this.previews >= this.concurrency) {
+            return Promise.reject(fail('Too many previews are running; try again shortly', 429));
+        }
+
+        this.previews++;
+        return new Promise((resolve, reject) => {
+            const worker = new Worker(WORKER_SCRIPT, {
+                workerData: { task: 'preview', code, settings, user, seed },
+                env: process.env,
+                resourceLimits: { maxOldGenerationSizeMb: this.previewMemory }
+            });
+            let settled = false;
+            const settle = (error, result) => {
+                if (settled) return;
+                settled = true;
+                clearTimeout(timer);
+                this.previews--;
+                worker.terminate();
+                if (error) reject(error);
+                else resolve(result);
+            };
+
+            const timer = setTimeout(() => {
+                settle(fail(`Preview took longer than ${Math.round(this.previewTimeout / 1000)} seconds; use a shorter snippet or fewer passes`, 422));
+            }, this.previewTimeout);
+
+            worker.on('message', (message) => {
+                if (message.type === 'done') settle(null, message.result);
+                else if (message.type === 'failed') settle(Object.assign(fail(message.error.message, message.error.status), { details: message.error.details }));
+            });
+            worker.on('error', (error) => {
+                if (error.code === 'ERR_WORKER_OUT_OF_MEMORY') {
+                    return settle(fail('Preview ran out of memory; use a shorter snippet or fewer passes', 422));
+                }
+                console.error('Preview worker error:', error);
+                settle(fail('Failed to obfuscate code', 500));
+            });
+            worker.on('exit', () => settle(fail('Preview worker stopped unexpectedly', 500)));
+        });
+    }
+
+    get(id) {
+        return this.jobs.get(id) || null;
+    }
+
+    // Builds of one user, newest first
+    list(owner) {
+        return [...this.jobs.values()]
+            .filter(job => job.owner === String(owner) && !job.variant)
+            .sort((a, c) => c.createdAt - a.createdAt);
+    }
+
+    // The unfinished job building a project, if any
+    activeJob(projectId) {
+        return [...this.jobs.values()].find(job => job.projectId === projectId && !job.variant && !this.isFinished(job)) || null;
+    }
+
+    // The unfinished job building a variant, if any
+    variantJob(variant) {
+        return [...this.jobs.values()].find(job => job.variant === variant && !this.isFinished(job)) || null;
+    }
+
+    // Unfinished variant jobs of a project
+    variantCount(projectId) {
+        return [...this.jobs.values()].filter(job => job.variant && job.projectId === projectId && !this.isFinished(job)).length;
+    }
+
+    isFinished(job) {
+        return FINISHED.includes(job.status);
+    }
+
+    // Stops a queued or running job. Returns false when it has already finished or
+    // its build is being saved.
+    cancel(id) {
+        const job = this.jobs.get(id);
+        const task = this.tasks.get(id);
+        if (!job || !task || task.done) return false;
+
+        this.pending = this.pending.filter(pendingId => pendingId !== id);
+        this.pendingVariants = this.pendingVariants.filter(pendingId => pendingId !== id);
+        this.finish(job, 'cancelled');
+        return true;
+    }
+
+    // Public view of a job; the result is only included when asked for
+    describe(job, { withResult = false } = {}) {
+        const position = this.pending.indexOf(job.id);
+        return {
+            jobId: job.id,
+            projectId: job.projectId,
+            status: job.status,
+            progress: job.progress,
+            ...(position >= 0 && { position: position + 1 }),
+            logs: job.logs,
+            error: job.error,
+            ...(job.details && { details: job.details }),
+            createdAt: job.createdAt,
+            startedAt: job.startedAt,
+            finishedAt: job.finishedAt,
+            ...(withResult && job.result && { result: job.result })
+        };
+    }
+
+    drain() {
+        while (this.pending.length > 0 && this.runningCount() < this.concurrency) {
+            this.start(this.jobs.get(this.pending.shift()));
+        }
+        // One worker stays free for owner builds whenever there is more than one
+        const variantWorkers = Math.max(1, this.concurrency - 1);
+        while (this.pending.length === 0 && this.pendingVariants.length > 0 &&
+               this.runningCount() < this.concurrency && this.runningCount(true) < variantWorkers) {
+            this.start(this.jobs.get(this.pendingVariants.shift()));
+        }
+    }
+
+    // Jobs running on a worker, or only the variants among them
+    runningCount(variants = false) {
+        return [...this.tasks.entries()]
+            .filter(([id, task]) => task.worker && (!variants || this.jobs.get(id).variant))
+            .length;
+    }
+
+    start(job) {
+        const task = this.tasks.get(job.id);
+        // Workers see this environment, ENIGMA_PASS_MODULES included, as it is now
+        const worker = new Worker(WORKER_SCRIPT, { workerData: task.input, env: process.env });
+        task.worker = worker;
+        job.status = 'running';
+        job.startedAt = new Date();
+        this.log(job, 'Started');
+
+        const timer = setTimeout(() => {
+            this.finish(job, 'failed', { message: `Build stopped after ${Math.round(this.timeout / 1000)} seconds` });
+        }, this.timeout);
+
+        worker.on('message', (message) => {
+            if (this.isFinished(job)) return;
+            if (message.type === 'progress') {
+                job.progress = message.progress;
+                this.log(job, message.message);
+            } else if (message.type === 'done') {
+                task.done = true;
+                this.complete(job, task, message.result);
+            } else if (message.type === 'failed') {
+                this.finish(job, 'failed', message.error);
+            }
+        });
+        worker.on('error', (error) => {
+            console.error('Build worker error:', error);
+            this.finish(job, 'failed', { message: 'Failed to obfuscate code' });
+        });
+        worker.on('exit', () => {
+            clearTimeout(timer);
+            task.worker = null;
+            if (!task.done && !this.isFinished(job)) {
+                this.finish(job, 'failed', { message: 'Build worker stopped unexpectedly' });
+            }
+            this.drain();
+        });
+    }
+
+    async complete(job, task, result) {
+        this.log(job, 'Saving build');
+        try {
+            job.result = task.onComplete ? await task.onComplete(result) : result;
+            job.progress = 100;
+            this.finish(job, 'completed');
+        } catch (error) {
+            console.error('Build save error:', error);
+            this.finish(job, 'failed', { message: error.status ? error.message : 'Failed to save build' });
+        }
+    }
+
+    finish(job, status, error) {
+        if (this.isFinished(job)) return;
+        const task = this.tasks.get(job.id);
+        this.tasks.delete(job.id);
+        if (task && task.worker) task.worker.terminate();
+
+        job.status = status;
+        job.finishedAt = new Date();
+        if (error) {
+            job.error = error.message;
+            job.details = error.details || null;
+        }
+        this.log(job, error ? `Failed: ${error.message}` : `Build ${status}`);
+
+        if (status === 'failed' && task && task.onFail) {
+            Promise.resolve()
+                .then(() => task.onFail(error))
+                .catch(failure => console.error('Build failure handler error:', failure));
+        }
+
+        setTimeout(() => this.jobs.delete(job.id), this.retention).unref();
+    }
+
+    log(job, message) {
+        job.logs.push({ time: new Date(), message });
+        this.emit('update', job);
+    }
+}
+
+module.exports = new BuildQueue();
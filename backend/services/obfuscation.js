@@ -0,0 +1,387 @@
+// Obfuscation Service - Runs the Lua obfuscation engine for projects and enforces plan limits
+const crypto = require('crypto');
+const path = require('path');
+const LuaObfuscator = require('../../obfuscation-engine/obfuscator');
+const SourceMap = require('../../obfuscation-engine/sourcemap');
+const ModuleBundler = require('../../obfuscation-engine/bundler');
+const Watermark = require('../../obfuscation-engine/watermark');
+const LineDiff = require('../../obfuscation-engine/diff');
+const { PipelineError } = require('../../obfuscation-engine/passes');
+const { PRESETS } = require('../../obfuscation-engine/presets');
+
+// Fewest fingerprint tokens that still tell one key's variant from the others
+const MIN_FINGERPRINT = 8;
+
+// Largest preview output; bigger builds need a shorter snippet
+const MAX_PREVIEW_OUTPUT = 1024 * 1024;
+// Lines of each pass's diff a preview returns
+const MAX_DIFF_LINES = 2000;
+
+// Modules that add custom passes, as a comma-separated list of paths. Each exports a
+// function that registers its passes on the registry it is given.
+const PASS_MODULES = (process.env.ENIGMA_PASS_MODULES || '').split(',').map(file => file.trim()).filter(Boolean);
+
+// Settings besides the on/off flag of each registered pass
+const BASE_SETTING_KEYS = ['tier', 'target', 'passOrder', 'passOptions', 'preserve'];
+
+// Settings that belong to each project rather than to the profile it uses
+const PROJECT_SETTING_KEYS = ['target', 'preserve'];
+
+class ObfuscationService {
+    constructor() {
+        // Obfuscation tiers available on each subscription plan
+        this.planTiers = {
+            free: ['standard'],
+            standard: ['standard'],
+            premium: ['standard', 'premium']
+        };
+
+        // Transforms projects can use: the built-in passes and those of PASS_MODULES. Build
+        // workers load this service as well, so they register the same passes; a pass
+        // registered on the main thread any other way would not exist in the worker.
+        this.passes = LuaObfuscator.passes;
+        PASS_MODULES.forEach(file => require(path.resolve(file))(this.passes));
+        this.buildPasses = new Set(this.passes.names());
+    }
+
+    // Every pass builds can run, with its tier and options, for building the project settings form
+    describePasses() {
+        return this.passes.describe().filter(pass => this.buildPasses.has(pass.name));
+    }
+
+    // Plan that is currently in effect; lapsed subscriptions fall back to free
+    getEffectivePlan(user) {
+        const subscription = (user && user.subscription) || {};
+        const expired = subscription.expiresAt && new Date(subscription.expiresAt) < new Date();
+        if (subscription.isActive === false || expired) {
+            return 'free';
+        }
+        return this.planTiers[subscription.plan] ? subscription.plan : 'free';
+    }
+
+    // Plain settings object with only the options the engine understands
+    normalizeSettings(settings = {}) {
+        const source = typeof settings.toObject === 'function' ? settings.toObject() : settings;
+        const normalized = {};
+        [...BASE_SETTING_KEYS, ...this.passes.names()].forEach(key => {
+            if (source[key] !== undefined && source[key] !== null) normalized[key] = source[key];
+        });
+        return normalized;
+    }
+
+    // Returns a list of reasons the user's plan does not allow these settings
+    validateSettings(settings, user) {
+        const plan = this.getEffectivePlan(user);
+        const allowedTiers = this.planTiers[plan];
+        const violations = [];
+        const tier = settings.tier || 'standard';
+
+        if (!allowedTiers.includes(tier)) {
+            violations.push(`The ${tier} tier is not available on the ${plan} plan`);
+        }
+
+        this.passes.enabledNames(settings).forEach(name => {
+            const { tier: passTier } = this.passes.get(name);
+            if (!allowedTiers.includes(passTier)) {
+                violations.push(`${name} requires a ${passTier} plan`);
+            }
+        });
+
+        return violations;
+    }
+
+    // Returns a list of problems with the pass order and options, such as unknown
+    // passes, options of the wrong type or an order that breaks a pass's constraints
+    validatePipeline(settings) {
+        const errors = [];
+        const { passOrder = [], passOptions = {}, preserve = [] } = settings;
+        if (!Array.isArray(passOrder) || !passOrder.every(name => typeof name === 'string')) {
+            return ['passOrder must be an array of pass names'];
+        }
+        if (!Array.isArray(preserve) || !preserve.every(name => typeof name === 'string')) {
+            return ['preserve must be an array of names'];
+        }
+        if (typeof passOptions !== 'object' || Array.isArray(passOptions)) {
+            return ['passOptions must be an object keyed by pass name'];
+        }
+
+        const unavailable = this.passes.enabledNames(settings).filter(name => !this.buildPasses.has(name));
+        if (unavailable.length > 0) {
+            return unavailable.map(name => `Pass '${name}' is not available to builds; register it from a module in ENIGMA_PASS_MODULES`);
+        }
+
+        const check = (fn) => {
+            try {
+                fn();
+            } catch (error) {
+                if (!(error instanceof PipelineError)) throw error;
+                errors.push(error.message);
+            }
+        };
+
+        Object.entries(passOptions).forEach(([name, options]) => check(() => {
+            if (options === null || typeof options !== 'object' || Array.isArray(options)) {
+                throw new PipelineError(`Options of pass '${name}' must be an object`);
+            }
+            if (options.enabled !== undefined && typeof options.enabled !== 'boolean') {
+                throw new PipelineError(`Option 'enabled' of pass '${name}' must be boolean`);
+            }
+            this.passes.resolveOptions(name, options);
+        }));
+        if (errors.length === 0) {
+            // Plan as premium so ordering problems show up whatever tier is selected
+            check(() => this.passes.plan(this.passes.enabledNames(settings), { order: passOrder, tier: 'premium' }));
+        }
+
+        return errors;
+    }
+
+    // Settings a profile stores: everything but the target and preserve list, with every
+    // pass switched on or off explicitly so the profile keeps its meaning if defaults change
+    profileSettings(settings = {}) {
+        const normalized = this.normalizeSettings(settings);
+        PROJECT_SETTING_KEYS.forEach(key => delete normalized[key]);
+        this.passes.names().forEach(name => {
+            normalized[name] = this.passes.isEnabled(name, normalized);
+        });
+        return normalized;
+    }
+
+    // True when the settings change anything a profile decides
+    touchesProfile(settings = {}) {
+        return Object.keys(this.normalizeSettings(settings)).some(key => !PROJECT_SETTING_KEYS.includes(key));
+    }
+
+    // Project settings after applying a profile; the project keeps its target and preserve list
+    applyProfile(projectSettings, profileSettings) {
+        const current = this.normalizeSettings(projectSettings);
+        const applied = { passOrder: [], passOptions: null, ...this.normalizeSettings(profileSettings) };
+        PROJECT_SETTING_KEYS.forEach(key => {
+            if (current[key] !== undefined) applied[key] = current[key];
+            else delete applied[key];
+        });
+        return applied;
+    }
+
+    // The built-in presets, listed like saved profiles
+    listPresets() {
+        return Object.entries(PRESETS).map(([name, preset]) => ({
+            profileId: name,
+            name,
+            description: preset.description,
+            builtIn: true,
+            version: preset.version,
+            settings: this.profileSettings(preset.settings)
+        }));
+    }
+
+    // Obfuscates the project and returns the code with a build report and a private
+    // source map. Projects with several files are bundled from their entry point first.
+    // Passing the seed from an earlier report regenerates that build byte-for-byte.
+    // options.onProgress(progress, message) is called as passes finish, with progress in percent.
+    // options.approved skips the plan check, for settings an earlier build was already allowed.
+    obfuscateProject(project, user, options = {}) {
+        const settings = this.normalizeSettings(project.obfuscationSettings);
+        if (!options.approved) this.checkSettings(settings, user);
+
+        const progress = options.onProgress || (() => {});
+        const entryPoint = this.entryPoint(project);
+        const obfuscator = new LuaObfuscator({
+            ...settings,
+            seed: options.seed,
+            fileName: entryPoint,
+            onPass: (name, done, total) => progress(Math.round(5 + (done / total) * 90), `Ran ${name} (${done}/${total})`)
+        });
+        const startTime = process.hrtime.bigint();
+        const source = project.files.length > 1
+            ? this.bundleProject(project, entryPoint, obfuscator.target)
+            : project.files[0].content;
+        progress(5, project.files.length > 1 ? `Bundled ${project.files.length} files from ${entryPoint}` : `Loaded ${entryPoint}`);
+        const code = obfuscator.obfuscate(source);
+        const duration = Number(process.hrtime.bigint() - startTime) / 1e6;
+
+        const files = obfuscator.sourceMap.sources;
+        const inputSize = project.files
+            .filter(file => files.includes(file.originalName))
+            .reduce((total, file) => total + Buffer.byteLength(file.content), 0);
+
+        return {
+            code,
+            sourceMap: obfuscator.sourceMap.toJSON(),
+            report: {
+                seed: obfuscator.seed,
+                settings,
+                tier: obfuscator.options.tier,
+                target: obfuscator.target.id,
+                transforms: obfuscator.appliedTransforms,
+                files,
+                inputSize,
+                outputSize: Buffer.byteLength(code),
+                ...(obfuscator.minification && { minification: obfuscator.minification }),
+                duration: Math.round(duration * 100) / 100
+            }
+        };
+    }
+
+    // Throws with status 403 when the user's plan does not allow the settings and 400 when
+    // the pipeline is invalid, so builds can be refused before they are queued
+    checkSettings(settings, user) {
+        const violations = this.validateSettings(settings, user);
+        if (violations.length > 0) {
+            const error = new Error('Obfuscation settings not allowed by your plan');
+            error.status = 403;
+            error.details = violations;
+            throw error;
+        }
+
+        const problems = this.validatePipeline(settings);
+        if (problems.length > 0) {
+            const error = new Error('Invalid obfuscation pipeline');
+            error.status = 400;
+            error.details = problems;
+            throw error;
+        }
+    }
+
+    // Obfuscates a snippet with the given settings and returns the output together with
+    // a diff of what each pass changed. The last entry, "output", shows the wrapper and
+    // the final minification. Throws like obfuscateProject.
+    previewSnippet(source, settings, user, options = {}) {
+        const normalized = this.normalizeSettings(settings);
+        this.checkSettings(normalized, user);
+
+        const snapshots = [];
+        const obfuscator = new LuaObfuscator({
+            ...normalized,
+            seed: options.seed,
+            fileName: 'preview.lua',
+            onPass: (name, done, total, ast) => snapshots.push({ name, code: obfuscator.generate(ast) })
+        });
+        const startTime = process.hrtime.bigint();
+        // Passes are compared with the regenerated source, so formatting is not shown as a change
+        const original = obfuscator.generate(obfuscator.parse(source));
+        const code = obfuscator.obfuscate(source);
+        if (Buffer.byteLength(code) > MAX_PREVIEW_OUTPUT) {
+            const error = new Error(`Preview output is larger than ${MAX_PREVIEW_OUTPUT / 1024} KB; use a shorter snippet`);
+            error.status = 413;
+            throw error;
+        }
+        snapshots.push({ name: 'output', code });
+
+        let previous = original;
+        const passes = snapshots.map(snapshot => {
+            const diff = LineDiff.compare(previous, snapshot.code);
+            const lines = LineDiff.format(diff).split('\n');
+            previous = snapshot.code;
+            return {
+                name: snapshot.name,
+                added: diff.added,
+                removed: diff.removed,
+                size: Buffer.byteLength(snapshot.code),
+                diff: lines.slice(0, MAX_DIFF_LINES).join('\n'),
+                ...(lines.length > MAX_DIFF_LINES && { truncated: true })
+            };
+        });
+        const duration = Number(process.hrtime.bigint() - startTime) / 1e6;
+
+        return {
+            code,
+            seed: obfuscator.seed,
+            settings: normalized,
+            tier: obfuscator.options.tier,
+            target: obfuscator.target.id,
+            transforms: obfuscator.appliedTransforms,
+            passes,
+            inputSize: Buffer.byteLength(source),
+            outputSize: Buffer.byteLength(code),
+            duration: Math.round(duration * 100) / 100
+        };
+    }
+
+    // Copy of what a build reads from a project and its owner, safe to send to a worker thread
+    buildInput(project, user) {
+        return {
+            project: {
+                obfuscationSettings: this.normalizeSettings(project.obfuscationSettings),
+                entryPoint: project.entryPoint,
+                externalModules: [...(project.externalModules || [])],
+                files: project.files.map(file => ({ originalName: file.originalName, content: file.content }))
+            },
+            user: this.userInput(user)
+        };
+    }
+
+    // Copy of the subscription that plan checks read, safe to send to a worker thread
+    userInput(user) {
+        const subscription = (user && user.subscription) || {};
+        return {
+            subscription: {
+                plan: subscription.plan,
+                isActive: subscription.isActive,
+                expiresAt: subscription.expiresAt
+            }
+        };
+    }
+
+    // File a build of the project starts from: the entry point set on it, or its first file
+    entryPoint(project) {
+        return project.entryPoint || project.files[0].originalName;
+    }
+
+    // SHA-256 of what a build reads from the project besides its settings. File order only
+    // matters when it decides the entry point.
+    sourceHash(project) {
+        const files = [...project.files]
+            .sort((a, c) => (a.originalName < c.originalName ? -1 : 1))
+            .map(file => [file.originalName, file.content]);
+        return crypto.createHash('sha256').update(JSON.stringify({
+            entryPoint: this.entryPoint(project),
+            externalModules: [...(project.externalModules || [])].sort(),
+            files
+        })).digest('hex');
+    }
+
+    // Single chunk made of the entry point and every project file it requires.
+    // Throws ModuleBundler.BundleError for missing or circular requires.
+    bundleProject(project, entryPoint, target) {
+        const files = project.files.map(file => ({ name: file.originalName, content: file.content }));
+        const bundler = new ModuleBundler({ target, externals: project.externalModules });
+        return bundler.bundle(files, entryPoint);
+    }
+
+    // Watermarked variant of a published build for one key. project holds the source and
+    // settings the build was made from and build is its { seed, code }. The variant is built
+    // with a seed derived from the key, so a leaked copy can be traced back to the key. The
+    // owner's plan allowed the settings when the build was made, so they are not checked again.
+    buildKeyVariant(project, key, build) {
+        if (!build || !build.seed) {
+            const error = new Error('Project has not been obfuscated yet');
+            error.status = 400;
+            throw error;
+        }
+
+        const seed = Watermark.seed(build.seed, key.keyId);
+        const { code, sourceMap } = this.obfuscateProject(project, null, { seed, approved: true });
+        const fingerprint = Watermark.fingerprint(code, build.code || '');
+        if (fingerprint.length < MIN_FINGERPRINT) {
+            const error = new Error('Build varies too little to watermark; enable variable renaming or string encryption');
+            error.status = 400;
+            throw error;
+        }
+
+        return { baseSeed: build.seed, seed, code, fingerprint, sourceMap, createdAt: new Date() };
+    }
+
+    // Ranks variants, given as { id, fingerprint }, by how much of each a leaked script
+    // contains; match is the id of the variant the script came from, or null when none stands out
+    identifyLeak(code, variants) {
+        return Watermark.identify(code, variants);
+    }
+
+    // Maps an error message or stack trace from an obfuscated build back to the original script
+    deobfuscateTrace(sourceMap, trace) {
+        return new SourceMap(sourceMap).mapTrace(trace);
+    }
+}
+
+module.exports = new ObfuscationService();
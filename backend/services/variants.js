@@ -0,0 +1,81 @@
+// Variant Service - Builds every key its own watermarked variant of the builds it is served
+const Key = require('../models/Key');
+const Build = require('../models/Build');
+const Variant = require('../models/Variant');
+const obfuscationService = require('./obfuscation');
+const buildQueue = require('./builds');
+
+class VariantService {
+    // ID, seed and code of the build a key is served: the build of its release channel,
+    // or the live build
+    async servedBuild(project, key) {
+        const buildId = project.channelBuild(key.channel);
+        if (buildId && String(buildId) !== String(project.liveBuild)) {
+            const build = await Build.findById(buildId).select('+obfuscatedCode');
+            if (build) return { id: build._id, seed: build.seed, code: build.obfuscatedCode };
+        }
+        return { id: project.liveBuild, seed: project.lastBuild && project.lastBuild.seed, code: project.obfuscatedCode };
+    }
+
+    // What a build was made from, as a build input: its own copy of the source and settings,
+    // since the project's files may have changed since it was built
+    async buildInput(project, buildId) {
+        const build = await Build.findById(buildId).select('+source');
+        if (!build || !build.source) return obfuscationService.buildInput(project);
+        return obfuscationService.buildInput({ ...build.source.toObject(), obfuscationSettings: build.settings });
+    }
+
+    // Queues the key's variant of a served build unless it is already queued. input is the
+    // build's input when the caller has it. Returns the job, or null when the project has
+    // as many variants queued as the build queue allows.
+    async queue(project, key, served, input = null) {
+        const variant = `${key.keyId}:${served.id}`;
+        const queued = buildQueue.variantJob(variant);
+        if (queued) return queued;
+
+        const save = async (fields) => {
+            await Variant.updateOne(
+                { key: key._id, build: served.id },
+                { $set: { project: project._id, ...fields } },
+                { upsert: true }
+            );
+        };
+        return buildQueue.enqueue({
+            owner: project.owner,
+            projectId: project.projectId,
+            variant,
+            input: {
+                ...(input || await this.buildInput(project, served.id)),
+                task: 'variant',
+                key: { keyId: key.keyId },
+                build: { seed: served.seed, code: served.code }
+            },
+            onComplete: ({ seed, code, fingerprint, sourceMap }) => save({ seed, code, fingerprint, sourceMap, error: null }),
+            onFail: (error) => save({ seed: null, code: null, fingerprint: [], sourceMap: null, error: error.message })
+        });
+    }
+
+    // Queues variants of a just-published build for the active keys it is served to, so
+    // they are ready before the keys load it
+    async queueBuild(project, build) {
+        const channels = project.buildChannels(build);
+        if (!project.watermarkKeys || channels.length === 0) return;
+
+        // Stable builds also serve keys on channels that have no build of their own
+        const channel = channels.includes('stable')
+            ? { $or: [{ channel: { $in: channels } }, { channel: { $nin: [...project.channels.keys()] } }] }
+            : { channel: { $in: channels } };
+        const made = await Variant.find({ build: build._id }).distinct('key');
+        const keys = await Key.find({ project: project._id, status: 'active', _id: { $nin: made }, ...channel });
+        if (keys.length === 0) return;
+
+        const published = await Build.findById(build._id).select('+obfuscatedCode');
+        const served = { id: published._id, seed: published.seed, code: published.obfuscatedCode };
+        const input = await this.buildInput(project, build._id);
+        for (const key of keys) {
+            if (!await this.queue(project, key, served, input)) break;
+        }
+    }
+}
+
+module.exports = new VariantService();
@@ -0,0 +1,5 @@
+#!/usr/bin/env node
+// EnigmaCode CLI - Obfuscates Lua scripts offline, e.g. enigmacode obfuscate src -o dist
+const CommandLine = require('../obfuscation-engine/cli');
+
+process.exitCode = new CommandLine().run(process.argv.slice(2));
@@ -2,6 +2,7 @@
 const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
+const SeededRandom = require('../obfuscation-engine/random');
 
 class LoaderGenerator {
     constructor() {
@@ -23,7 +24,10 @@ class LoaderGenerator {
             throw new Error('Loader template not loaded');
         }
 
-        const config = this.generateLoaderConfig(project, options);
+        // Same seed, project and options always produce the same loader
+        const seed = options.seed || SeededRandom.generateSeed();
+        const random = new SeededRandom(seed);
+        const config = this.generateLoaderConfig(project, options, random);
         let loader = this.template;
 
         // Replace template variables
@@ -57,6 +61,7 @@ class LoaderGenerator {
             config,
             metadata: {
                 projectId: project.projectId,
+                seed,
                 generatedAt: new Date().toISOString(),
                 version: '2.0',
                 features: this.getLoaderFeatures(options)
@@ -64,9 +69,9 @@ class LoaderGenerator {
         };
     }
 
-    generateLoaderConfig(project, options) {
-        const obfuscationKey = crypto.randomBytes(32).toString('hex');
-        const antiTamperKey = crypto.randomBytes(16).toString('hex');
+    generateLoaderConfig(project, options, random = new SeededRandom(SeededRandom.generateSeed())) {
+        const obfuscationKey = random.hex(32);
+        const antiTamperKey = random.hex(16);
         const integrityHash = crypto.createHash('sha256')
             .update(project.obfuscatedCode || project.files[0]?.content || '')
             .digest('hex')
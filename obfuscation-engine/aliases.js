@@ -0,0 +1,237 @@
+// Global Aliaser - Hoists library and service lookups into an encrypted table resolved at startup
+const LuaParser = require('./parser');
+const ScopeAnalyzer = require('./scope');
+const StringCipher = require('./strings');
+const CodeGenerator = require('./codegen');
+const { traverse, clearLines, CHILD_KEYS, builders: b } = require('./ast');
+
+// Library tables whose fields are hoisted as well, as in string.char or Vector3.new
+const LIBRARIES = new Set([
+    'string', 'math', 'table', 'coroutine', 'os', 'io', 'utf8', 'bit32', 'task', 'buffer',
+    'Enum', 'Instance', 'Vector2', 'Vector3', 'CFrame', 'Color3', 'UDim', 'UDim2', 'BrickColor',
+    'TweenInfo', 'NumberRange', 'NumberSequence', 'ColorSequence', 'Ray', 'Region3', 'Random', 'DateTime'
+]);
+
+// Globals hoisted as values only: their fields (game.Players, _G.x) can change at runtime.
+// debug and the loaders are left alone because anti-debugging replaces them at startup.
+const VALUES = new Set([
+    'print', 'pairs', 'ipairs', 'next', 'select', 'type', 'typeof', 'tostring', 'tonumber',
+    'error', 'assert', 'pcall', 'xpcall', 'rawget', 'rawset', 'rawequal', 'rawlen',
+    'setmetatable', 'getmetatable', 'unpack', 'require', 'collectgarbage', 'newproxy',
+    'tick', 'time', 'wait', 'spawn', 'delay', 'warn', 'game', 'workspace', 'script', 'shared', '_G'
+]);
+
+// Entry kinds in the encrypted table
+const PATH = 1;
+const SERVICE = 2;
+
+class GlobalAliaser {
+    constructor(options) {
+        this.random = options.random;
+        this.target = options.target;
+        this.generateName = options.generateName;
+        this.cipher = new StringCipher(`${options.key}:aliases`);
+        // Roots ("print"), fields ("string.format") and methods ("game:GetService") kept literal
+        this.allowlist = new Set((options.allowlist || []).map(name => name.replace(':', '.')));
+        // Nodes inside statements annotated to be kept
+        this.excluded = options.excluded || new Set();
+    }
+
+    alias(ast) {
+        this.scope = ScopeAnalyzer.analyze(ast);
+        if (!this.environmentIsFixed()) return ast;
+
+        this.globalReferences = new Set();
+        this.scope.globals.forEach(binding => {
+            if (!binding.assigned) binding.references.forEach(identifier => this.globalReferences.add(identifier));
+        });
+        this.writtenFields = this.findWrittenFields(ast);
+        // Identifiers that stay literal: roots of function names and of allowlisted paths
+        this.literal = this.findFunctionNames(ast);
+
+        this.tableName = this.generateName();
+        this.entries = [];
+        this.entryIndex = new Map();
+
+        // Parents replace their children, so string.char is aliased as a whole before
+        // the traversal reaches the string identifier inside it
+        traverse(ast, {
+            enter: (node) => {
+                // A call statement has to stay a call
+                const asStatement = node.type === 'CallStatement';
+                (CHILD_KEYS[node.type] || []).forEach(key => {
+                    const child = node[key];
+                    if (Array.isArray(child)) {
+                        child.forEach((item, i) => {
+                            const replacement = this.replacement(item, asStatement);
+                            if (replacement) child[i] = replacement;
+                        });
+                    } else if (child) {
+                        const replacement = this.replacement(child, asStatement);
+                        if (replacement) node[key] = replacement;
+                    }
+                });
+            }
+        });
+
+        if (this.entries.length > 0) {
+            ast.body.unshift(...this.generateTable());
+        }
+        return ast;
+    }
+
+    // Aliases read globals through the environment once, so scripts that swap
+    // environments (_ENV on 5.3, setfenv elsewhere) are left unchanged
+    environmentIsFixed() {
+        if (this.target.id === '5.3') {
+            const env = this.scope.globals.get('_ENV');
+            return !(env && env.assigned) && !this.scope.localBindings().some(binding => binding.name === '_ENV');
+        }
+        return !this.scope.globals.has('setfenv');
+    }
+
+    // Library fields the script assigns, such as function string.trim() end
+    findWrittenFields(ast) {
+        const written = new Set();
+        const mark = (target) => {
+            const path = this.fieldPath(target, false);
+            if (path) written.add(path.join('.'));
+        };
+        traverse(ast, {
+            enter(node) {
+                if (node.type === 'AssignmentStatement') node.variables.forEach(mark);
+                if (node.type === 'CompoundAssignmentStatement') mark(node.variable);
+                if (node.type === 'FunctionDeclaration' && node.identifier) mark(node.identifier);
+            }
+        });
+        return written;
+    }
+
+    // Roots of declared function names: function string.trim() cannot become function T[1].trim()
+    findFunctionNames(ast) {
+        const roots = new Set();
+        traverse(ast, {
+            enter(node) {
+                if (node.type !== 'FunctionDeclaration' || !node.identifier) return;
+                let root = node.identifier;
+                while (root.type === 'MemberExpression') root = root.base;
+                roots.add(root);
+            }
+        });
+        return roots;
+    }
+
+    // [root, field] for string.char or string["char"] on an unassigned library global
+    fieldPath(node, checkReference = true) {
+        let field = null;
+        if (node.type === 'MemberExpression' && node.indexer === '.') {
+            field = node.identifier.name;
+        } else if (node.type === 'IndexExpression' && node.index.type === 'StringLiteral') {
+            field = node.index.value;
+        }
+        if (field === null || node.base.type !== 'Identifier' || !LIBRARIES.has(node.base.name)) return null;
+        if (checkReference && !this.globalReferences.has(node.base)) return null;
+        return [node.base.name, field];
+    }
+
+    replacement(node, asStatement) {
+        if (!node || typeof node !== 'object' || this.excluded.has(node)) return null;
+
+        if (node.type === 'Identifier' && this.globalReferences.has(node) && !this.literal.has(node) &&
+            this.aliasable([node.name])) {
+            return this.reference(PATH, [node.name]);
+        }
+
+        const path = this.fieldPath(node);
+        if (path && !this.writtenFields.has(path.join('.'))) {
+            if (this.aliasable(path)) return this.reference(PATH, path);
+            // An allowlisted string.format stays literal as a whole
+            this.literal.add(node.base);
+        }
+
+        // obj:Method(...) on an aliased global calls the hoisted method with the hoisted object
+        if (node.type === 'CallExpression' && node.base.type === 'MemberExpression' && node.base.indexer === ':') {
+            const object = node.base.base;
+            const method = node.base.identifier.name;
+            if (object.type !== 'Identifier' || !this.globalReferences.has(object)) return null;
+            const path = [object.name, method];
+            if (!this.aliasable(path)) {
+                this.literal.add(object);
+                return null;
+            }
+
+            // Services never change, so game:GetService("Players") itself is looked up once
+            const [argument] = node.arguments;
+            if (object.name === 'game' && method === 'GetService' && node.arguments.length === 1 &&
+                argument.type === 'StringLiteral' && !asStatement) {
+                return this.reference(SERVICE, [...path, argument.value]);
+            }
+            return b.call(this.reference(PATH, path), [this.reference(PATH, [object.name]), ...node.arguments]);
+        }
+
+        return null;
+    }
+
+    aliasable(path) {
+        const [root] = path;
+        if (!LIBRARIES.has(root) && !VALUES.has(root)) return false;
+        return path.every((_, i) => !this.allowlist.has(path.slice(0, i + 1).join('.')));
+    }
+
+    reference(kind, segments) {
+        const key = `${kind}:${segments.join('\0')}`;
+        if (!this.entryIndex.has(key)) {
+            this.entries.push({ kind, segments });
+            this.entryIndex.set(key, this.entries.length);
+        }
+        return b.index(b.identifier(this.tableName), b.number(this.entryIndex.get(key)));
+    }
+
+    // The table resolves every entry at startup. Entries that fail to resolve (a missing
+    // service, a library this runtime lacks) are resolved again on use, raising the same
+    // error the original lookup would have raised at that point.
+    generateTable() {
+        const names = {};
+        ['decode', 'env', 'entries', 'resolve', 'entry', 'count', 'value', 'method', 'ok'].forEach(name => {
+            names[name] = this.generateName();
+        });
+        const { decode, env, entries, resolve, entry, count, value, method, ok } = names;
+
+        let salt = this.random.int(1, 1 << 16);
+        const encrypt = (text) => {
+            salt += 1;
+            return `${CodeGenerator.quoteString(this.cipher.encrypt(text, salt))}, ${salt}`;
+        };
+        const rows = this.entries.map(({ kind, segments }) => `{${kind}, ${segments.map(encrypt).join(', ')}}`);
+
+        const code = `
+local ${this.tableName}
+do
+    local ${decode} = ${this.cipher.generateDecoder()}
+    local ${env} = ${this.target.runtime.env}
+    local ${entries} = {${rows.join(', ')}}
+    local function ${resolve}(i)
+        local ${entry} = ${entries}[i]
+        local ${count} = #${entry}
+        if ${entry}[1] == ${SERVICE} then ${count} = ${count} - 4 end
+        local ${value} = ${env}
+        for j = 2, ${count}, 2 do
+            ${value} = ${value}[${decode}(${entry}[j], ${entry}[j + 1])]
+        end
+        if ${entry}[1] == ${SERVICE} then
+            local ${method} = ${decode}(${entry}[${count} + 1], ${entry}[${count} + 2])
+            ${value} = ${value}[${method}](${value}, ${decode}(${entry}[${count} + 3], ${entry}[${count} + 4]))
+        end
+        return ${value}
+    end
+    ${this.tableName} = setmetatable({}, {__index = function(_, i) return ${resolve}(i) end})
+    for i = 1, #${entries} do
+        local ${ok}, ${value} = pcall(${resolve}, i)
+        if ${ok} then rawset(${this.tableName}, i, ${value}) end
+    end
+end`;
+        return clearLines(LuaParser.parse(code, { target: this.target })).body;
+    }
+}
+
+module.exports = GlobalAliaser;
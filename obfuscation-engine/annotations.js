@@ -0,0 +1,85 @@
+// Annotations - Reads --@enigma: comments that exclude statements and names from passes
+const { LuaSyntaxError } = require('./lexer');
+const { traverse, forEachBlock } = require('./ast');
+
+// --@enigma:keep            source-level passes leave the statement as written
+// --@enigma:keep name, ...  the names are never renamed or aliased anywhere in the script
+// --@enigma:nostrings       string literals in the statement are not encrypted
+const DIRECTIVES = ['keep', 'nostrings'];
+
+const ANNOTATION = /^\s*@enigma:(\S*)([\s\S]*)$/;
+const NAME = /^[A-Za-z_]\w*$/;
+
+class Annotations {
+    // Sets node.annotations on annotated statements and collects the names kept by
+    // annotations into chunk.preserve. An annotation goes on the first line of its
+    // statement or on the line above it; annotations can be stacked.
+    static attach(chunk) {
+        const statements = [];
+        forEachBlock(chunk, body => statements.push(...body));
+        const comments = chunk.comments || [];
+        const commentLines = new Map(comments.map(comment => [comment.line, comment]));
+        const preserve = new Set(chunk.preserve || []);
+
+        comments.forEach(comment => {
+            const match = ANNOTATION.exec(comment.value);
+            if (!match) return;
+            const [, directive, rest] = match;
+            const fail = (message) => {
+                throw new LuaSyntaxError(message, comment.line, comment.column);
+            };
+            if (!DIRECTIVES.includes(directive)) {
+                fail(`unknown annotation '@enigma:${directive}'`);
+            }
+
+            const names = rest.split(/[\s,]+/).filter(Boolean);
+            if (names.length > 0) {
+                if (directive !== 'keep') fail(`annotation '@enigma:${directive}' does not take names`);
+                names.forEach(name => {
+                    if (!NAME.test(name)) fail(`'${name}' is not a valid name to keep`);
+                    preserve.add(name);
+                });
+                return;
+            }
+
+            let statement = statements.find(node => node.line === comment.line);
+            if (!statement) {
+                let line = comment.lastLine + 1;
+                while (commentLines.has(line) && !statements.some(node => node.line === line)) {
+                    line = commentLines.get(line).lastLine + 1;
+                }
+                statement = statements.find(node => node.line === line);
+            }
+            if (!statement) {
+                fail(`annotation '@enigma:${directive}' must be on or directly above a statement`);
+            }
+            statement.annotations = [...new Set([...(statement.annotations || []), directive])];
+        });
+
+        chunk.preserve = [...preserve];
+        return chunk;
+    }
+
+    // Every node inside a statement annotated with one of the directives
+    static within(root, directives) {
+        const nodes = new Set();
+        traverse(root, {
+            enter(node) {
+                if (!node.annotations || !node.annotations.some(directive => directives.includes(directive))) {
+                    return true;
+                }
+                traverse(node, {
+                    enter(inner) {
+                        nodes.add(inner);
+                    }
+                });
+                return false;
+            }
+        });
+        return nodes;
+    }
+}
+
+Annotations.DIRECTIVES = DIRECTIVES;
+
+module.exports = Annotations;
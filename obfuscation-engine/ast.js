@@ -0,0 +1,198 @@
+// AST helpers - node builders and traversal utilities for the Lua syntax tree
+
+// Child properties for every node type, in evaluation order
+const CHILD_KEYS = {
+    Chunk: ['body'],
+    LocalStatement: ['init', 'variables'],
+    AssignmentStatement: ['init', 'variables'],
+    CallStatement: ['expression'],
+    FunctionDeclaration: ['identifier', 'parameters', 'body'],
+    IfStatement: ['clauses'],
+    IfClause: ['condition', 'body'],
+    ElseifClause: ['condition', 'body'],
+    ElseClause: ['body'],
+    WhileStatement: ['condition', 'body'],
+    DoStatement: ['body'],
+    RepeatStatement: ['body', 'condition'],
+    ForNumericStatement: ['start', 'end', 'step', 'variable', 'body'],
+    ForGenericStatement: ['iterators', 'variables', 'body'],
+    ReturnStatement: ['arguments'],
+    BreakStatement: [],
+    GotoStatement: [],
+    LabelStatement: [],
+    ContinueStatement: [],
+    CompoundAssignmentStatement: ['value', 'variable'],
+    Identifier: [],
+    StringLiteral: [],
+    NumericLiteral: [],
+    BooleanLiteral: [],
+    NilLiteral: [],
+    VarargLiteral: [],
+    TableConstructorExpression: ['fields'],
+    TableKey: ['key', 'value'],
+    TableKeyString: ['key', 'value'],
+    TableValue: ['value'],
+    BinaryExpression: ['left', 'right'],
+    LogicalExpression: ['left', 'right'],
+    UnaryExpression: ['argument'],
+    MemberExpression: ['base', 'identifier'],
+    IndexExpression: ['base', 'index'],
+    CallExpression: ['base', 'arguments'],
+    ParenthesizedExpression: ['expression'],
+    IfExpression: ['condition', 'consequent', 'alternate'],
+    InterpolatedStringExpression: ['expressions']
+};
+
+const STATEMENT_TYPES = new Set([
+    'LocalStatement', 'AssignmentStatement', 'CallStatement', 'IfStatement',
+    'WhileStatement', 'DoStatement', 'RepeatStatement', 'ForNumericStatement',
+    'ForGenericStatement', 'ReturnStatement', 'BreakStatement', 'GotoStatement',
+    'LabelStatement', 'ContinueStatement', 'CompoundAssignmentStatement'
+]);
+
+function isStatement(node) {
+    if (!node) return false;
+    if (node.type === 'FunctionDeclaration') return node.isStatement === true;
+    return STATEMENT_TYPES.has(node.type);
+}
+
+// Walks the tree depth-first. The visitor may define enter(node, parent, key)
+// and leave(node, parent, key); returning false from enter skips the children.
+function traverse(node, visitor, parent = null, key = null) {
+    if (!node || typeof node !== 'object') return;
+    if (Array.isArray(node)) {
+        for (let i = 0; i < node.length; i++) {
+            traverse(node[i], visitor, parent, key);
+        }
+        return;
+    }
+
+    if (visitor.enter && visitor.enter(node, parent, key) === false) return;
+
+    const keys = CHILD_KEYS[node.type] || [];
+    for (const childKey of keys) {
+        traverse(node[childKey], visitor, node, childKey);
+    }
+
+    if (visitor.leave) visitor.leave(node, parent, key);
+}
+
+// Rebuilds the tree bottom-up. The callback receives each node after its
+// children were transformed and may return a replacement node.
+function transform(node, callback, parent = null) {
+    if (!node || typeof node !== 'object') return node;
+    if (Array.isArray(node)) {
+        return node.map(child => transform(child, callback, parent));
+    }
+
+    const keys = CHILD_KEYS[node.type] || [];
+    for (const childKey of keys) {
+        if (node[childKey]) {
+            node[childKey] = transform(node[childKey], callback, node);
+        }
+    }
+
+    const replacement = callback(node, parent);
+    return replacement === undefined ? node : replacement;
+}
+
+// Every statement list in the tree (chunk, function and block bodies)
+function forEachBlock(root, callback) {
+    traverse(root, {
+        enter(node) {
+            if (Array.isArray(node.body)) {
+                callback(node.body, node);
+            }
+        }
+    });
+}
+
+function clone(node) {
+    return JSON.parse(JSON.stringify(node));
+}
+
+// Drops source positions so generated runtime code never maps to a line of the script
+function clearLines(root) {
+    traverse(root, {
+        enter(node) {
+            delete node.line;
+        }
+    });
+    return root;
+}
+
+// Node builders
+const builders = {
+    chunk: (body = []) => ({ type: 'Chunk', body, comments: [] }),
+    identifier: (name) => ({ type: 'Identifier', name }),
+    string: (value) => ({ type: 'StringLiteral', value, raw: null }),
+    number: (value, isFloat = false) => ({ type: 'NumericLiteral', value, raw: null, isFloat }),
+    boolean: (value) => ({ type: 'BooleanLiteral', value }),
+    nil: () => ({ type: 'NilLiteral' }),
+    vararg: () => ({ type: 'VarargLiteral' }),
+    member: (base, name, indexer = '.') => ({
+        type: 'MemberExpression',
+        indexer,
+        identifier: builders.identifier(name),
+        base
+    }),
+    index: (base, index) => ({ type: 'IndexExpression', base, index }),
+    call: (base, args = []) => ({ type: 'CallExpression', base, arguments: args }),
+    binary: (operator, left, right) => ({
+        type: operator === 'and' || operator === 'or' ? 'LogicalExpression' : 'BinaryExpression',
+        operator,
+        left,
+        right
+    }),
+    unary: (operator, argument) => ({ type: 'UnaryExpression', operator, argument }),
+    paren: (expression) => ({ type: 'ParenthesizedExpression', expression }),
+    table: (fields = []) => ({ type: 'TableConstructorExpression', fields }),
+    tableValue: (value) => ({ type: 'TableValue', value }),
+    tableKey: (key, value) => ({ type: 'TableKey', key, value }),
+    tableKeyString: (name, value) => ({ type: 'TableKeyString', key: builders.identifier(name), value }),
+    func: (parameters = [], body = [], isVararg = false) => ({
+        type: 'FunctionDeclaration',
+        identifier: null,
+        isLocal: false,
+        isStatement: false,
+        isVararg,
+        parameters,
+        body
+    }),
+    localFunction: (name, parameters = [], body = [], isVararg = false) => ({
+        type: 'FunctionDeclaration',
+        identifier: builders.identifier(name),
+        isLocal: true,
+        isStatement: true,
+        isVararg,
+        parameters,
+        body
+    }),
+    local: (variables, init = []) => ({
+        type: 'LocalStatement',
+        variables,
+        attribs: variables.map(() => null),
+        init
+    }),
+    assign: (variables, init) => ({ type: 'AssignmentStatement', variables, init }),
+    callStatement: (expression) => ({ type: 'CallStatement', expression }),
+    ifStatement: (clauses) => ({ type: 'IfStatement', clauses }),
+    ifClause: (condition, body) => ({ type: 'IfClause', condition, body }),
+    elseifClause: (condition, body) => ({ type: 'ElseifClause', condition, body }),
+    elseClause: (body) => ({ type: 'ElseClause', body }),
+    whileStatement: (condition, body) => ({ type: 'WhileStatement', condition, body }),
+    doStatement: (body) => ({ type: 'DoStatement', body }),
+    returnStatement: (args = []) => ({ type: 'ReturnStatement', arguments: args }),
+    breakStatement: () => ({ type: 'BreakStatement' })
+};
+
+module.exports = {
+    CHILD_KEYS,
+    isStatement,
+    traverse,
+    transform,
+    forEachBlock,
+    clone,
+    clearLines,
+    builders
+};
@@ -0,0 +1,217 @@
+// Module Bundler - Combines a project's Lua files into one chunk by resolving require calls
+const path = require('path').posix;
+const LuaParser = require('./parser');
+const ScopeAnalyzer = require('./scope');
+const Annotations = require('./annotations');
+const { traverse, clearLines, builders: b } = require('./ast');
+
+const EXTENSIONS = ['.lua', '.luau'];
+
+// Instance methods that look up a child by name, as in script.Parent:WaitForChild("Utils")
+const CHILD_LOOKUPS = ['WaitForChild', 'FindFirstChild'];
+
+const RUNTIME = `
+local _EC_modules, _EC_loaded = {}, {}
+local function _EC_require(index)
+    local value = _EC_loaded[index]
+    if value == nil then
+        value = _EC_modules[index]()
+        if value == nil then value = true end
+        _EC_loaded[index] = value
+    end
+    return value
+end`;
+
+class BundleError extends Error {
+    constructor(message, file = null, line = null) {
+        super(file ? `${file}${line ? `:${line}` : ''}: ${message}` : message);
+        this.name = 'BundleError';
+        this.file = file;
+        this.line = line;
+    }
+}
+
+const normalize = (name) => path.normalize(String(name).replace(/\\/g, '/')).replace(/^\.\//, '');
+
+class ModuleBundler {
+    constructor(options = {}) {
+        this.target = options.target;
+        // Modules provided at runtime rather than by the project, given as the
+        // required name ("socket") or instance path ("script.Parent.Remote")
+        this.externals = new Set(options.externals || []);
+    }
+
+    // Parses the entry file and every project file it requires, directly or indirectly,
+    // and returns one chunk. Statements keep their line and the index of their file in
+    // chunk.sources, so source maps point into the right file.
+    bundle(files, entry) {
+        this.files = new Map(files.map(file => [normalize(file.name), file]));
+        const entryName = normalize(entry || files[0].name);
+        if (!this.files.has(entryName)) {
+            throw new BundleError(`Entry point '${entryName}' is not one of the project files`);
+        }
+
+        this.modules = new Map();
+        this.sources = [];
+        const main = this.load(entryName, []);
+
+        const body = [];
+        if (this.modules.size > 1) {
+            body.push(...clearLines(LuaParser.parse(RUNTIME, { target: this.target })).body);
+            this.modules.forEach(module => {
+                if (module === main) return;
+                const fn = b.func([], module.ast.body, true);
+                body.push(b.assign([b.index(b.identifier('_EC_modules'), b.number(module.index))], [fn]));
+            });
+        }
+        body.push(...main.ast.body);
+
+        const chunk = b.chunk(body);
+        chunk.sources = this.sources;
+        // Names kept by annotations in any file are kept in the whole bundle
+        chunk.preserve = [...new Set([...this.modules.values()].flatMap(module => module.ast.preserve))];
+        return chunk;
+    }
+
+    load(name, stack) {
+        if (this.modules.has(name)) return this.modules.get(name);
+
+        const file = this.files.get(name);
+        let ast;
+        try {
+            ast = Annotations.attach(LuaParser.parse(file.content, { target: this.target }));
+        } catch (error) {
+            if (error instanceof LuaParser.LuaSyntaxError) {
+                error.file = name;
+                error.message = `${name} ${error.message}`;
+            }
+            throw error;
+        }
+
+        const source = this.sources.push(name) - 1;
+        traverse(ast, {
+            enter(node) {
+                if (node.line) node.source = source;
+            }
+        });
+
+        const module = { name, index: this.modules.size, ast };
+        this.modules.set(name, module);
+
+        this.findRequires(ast, name).forEach(({ call, target }) => {
+            const chain = [...stack, name];
+            if (chain.includes(target)) {
+                const cycle = [...chain.slice(chain.indexOf(target)), target].join(' -> ');
+                throw new BundleError(`circular require: ${cycle}`, name, call.line);
+            }
+            const required = this.load(target, chain);
+
+            // require(...) becomes a lookup in the bundled module table
+            call.base = b.identifier('_EC_require');
+            call.arguments = [b.number(required.index)];
+        });
+
+        return module;
+    }
+
+    // Calls to the global require whose module can be found in the project
+    findRequires(ast, file) {
+        const scope = ScopeAnalyzer.analyze(ast);
+        const isGlobal = (identifier) => {
+            const binding = scope.bindingOf.get(identifier);
+            return !binding || binding.kind === 'global';
+        };
+
+        const requires = [];
+        traverse(ast, {
+            enter: (node) => {
+                if (node.type !== 'CallExpression' || node.arguments.length !== 1) return;
+                if (node.base.type !== 'Identifier' || node.base.name !== 'require' || !isGlobal(node.base)) return;
+
+                const [argument] = node.arguments;
+                let target = null;
+                if (argument.type === 'StringLiteral') {
+                    if (this.externals.has(argument.value)) return;
+                    target = this.resolveName(argument.value, file, node);
+                } else {
+                    const segments = this.instancePath(argument, isGlobal);
+                    if (!segments || this.externals.has(['script', ...segments].join('.'))) return;
+                    target = this.resolveInstance(segments, file, node);
+                }
+                requires.push({ call: node, target });
+            }
+        });
+        return requires;
+    }
+
+    // require("a.b"), require("a/b") and relative require("./b") as in package.path and Luau
+    resolveName(name, file, call) {
+        let base;
+        if (name.startsWith('./') || name.startsWith('../')) {
+            base = path.join(path.dirname(file), name);
+        } else if (name.includes('/')) {
+            base = name;
+        } else {
+            base = name.replace(/\./g, '/');
+        }
+        return this.findFile(normalize(base), `'${name}'`, file, call);
+    }
+
+    // Names after "script" in script.Parent.Utils or script:WaitForChild("Utils"),
+    // or null when the argument is not an instance path rooted at the current script
+    instancePath(node, isGlobal) {
+        const segments = [];
+        let current = node;
+        while (current) {
+            if (current.type === 'Identifier') {
+                return current.name === 'script' && isGlobal(current) ? segments.reverse() : null;
+            }
+            if (current.type === 'MemberExpression' && current.indexer === '.') {
+                segments.push(current.identifier.name);
+                current = current.base;
+            } else if (current.type === 'IndexExpression' && current.index.type === 'StringLiteral') {
+                segments.push(current.index.value);
+                current = current.base;
+            } else if (current.type === 'CallExpression' && current.base.type === 'MemberExpression' &&
+                current.base.indexer === ':' && CHILD_LOOKUPS.includes(current.base.identifier.name) &&
+                current.arguments.length > 0 && current.arguments[0].type === 'StringLiteral') {
+                segments.push(current.arguments[0].value);
+                current = current.base.base;
+            } else {
+                return null;
+            }
+        }
+        return null;
+    }
+
+    // Instance paths follow the Rojo layout: a folder's init file is the folder itself
+    resolveInstance(segments, file, call) {
+        const stem = file.replace(/\.luau?$/, '');
+        let current = path.basename(stem) === 'init' ? path.dirname(stem) : stem;
+        segments.forEach(segment => {
+            current = segment === 'Parent' ? path.dirname(current) : path.join(current, segment);
+        });
+        return this.findFile(normalize(current), ['script', ...segments].join('.'), file, call, false);
+    }
+
+    findFile(base, description, file, call, allowExact = true) {
+        const candidates = [
+            ...(allowExact ? [base] : []),
+            ...EXTENSIONS.map(extension => base + extension),
+            ...EXTENSIONS.map(extension => path.join(base, `init${extension}`))
+        ];
+        const found = candidates.find(candidate => this.files.has(candidate));
+        if (!found) {
+            throw new BundleError(
+                `module ${description} not found (tried ${candidates.join(', ')})`,
+                file,
+                call.line
+            );
+        }
+        return found;
+    }
+}
+
+ModuleBundler.BundleError = BundleError;
+
+module.exports = ModuleBundler;
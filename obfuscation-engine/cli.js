@@ -0,0 +1,382 @@
+// Command Line - The enigmacode command, which obfuscates Lua files and directories offline
+const fs = require('fs');
+const path = require('path');
+const LuaObfuscator = require('./obfuscator');
+const ModuleBundler = require('./bundler');
+const { LuaSyntaxError } = require('./lexer');
+const { PipelineError, TIERS } = require('./passes');
+const { resolveTarget } = require('./targets');
+const { PRESETS, getPreset } = require('./presets');
+
+const USAGE = `Usage: enigmacode obfuscate <file or directory>... [options]
+
+Obfuscates each Lua file, or bundles a directory from its entry point, and writes
+the protected scripts together with a JSON build report.
+
+Options:
+  -o, --out <path>          Output directory, or output file for a single input (default: obfuscated)
+  -p, --preset <name>       Start from a built-in preset: fast, balanced or max
+  -c, --config <file>       Settings JSON: preset, tier, target, seed, pass flags, passOrder,
+                            passOptions, preserve, externalModules
+      --target <target>     5.1, 5.3 or luau
+      --tier <tier>         standard or premium
+      --seed <seed>         Seed that makes the build reproducible
+      --enable <passes>     Comma-separated passes to switch on
+      --disable <passes>    Comma-separated passes to switch off
+      --bundle <entry>      Bundle the input directory from this file into one script
+      --external <names>    Comma-separated modules the bundle leaves to the runtime
+      --report <file>       Where to write the report (default: <out>/enigmacode-report.json)
+      --source-maps         Write a private source map next to each output
+  -h, --help                Show this help
+
+Exit status is 0 on success, 1 when a script cannot be parsed, bundled or obfuscated
+and 2 for usage or settings errors.`;
+
+// Flags that take a value, by the option they set
+const VALUE_FLAGS = {
+    '-o': 'out',
+    '--out': 'out',
+    '-p': 'preset',
+    '--preset': 'preset',
+    '-c': 'config',
+    '--config': 'config',
+    '--target': 'target',
+    '--tier': 'tier',
+    '--seed': 'seed',
+    '--enable': 'enable',
+    '--disable': 'disable',
+    '--bundle': 'bundle',
+    '--external': 'external',
+    '--report': 'report'
+};
+
+const LUA_FILE = /\.luau?$/;
+
+// Settings a settings file may contain besides the flag of each pass
+const SETTING_KEYS = ['preset', 'tier', 'target', 'seed', 'passOrder', 'passOptions', 'preserve', 'externalModules'];
+
+class UsageError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'UsageError';
+    }
+}
+
+const list = (value) => value.split(',').map(item => item.trim()).filter(Boolean);
+
+class CommandLine {
+    constructor(options = {}) {
+        this.stdout = options.stdout || process.stdout;
+        this.stderr = options.stderr || process.stderr;
+        this.cwd = options.cwd || process.cwd();
+    }
+
+    // Runs the command and returns its exit status
+    run(argv) {
+        let options;
+        let settings;
+        let units;
+        try {
+            options = this.parseArguments(argv);
+            if (options.help) {
+                this.stdout.write(`${USAGE}\n`);
+                return 0;
+            }
+            settings = this.loadSettings(options);
+            units = this.collectUnits(options);
+        } catch (error) {
+            if (!(error instanceof UsageError || error instanceof PipelineError)) throw error;
+            this.stderr.write(`enigmacode: ${error.message}\n`);
+            if (error instanceof UsageError) this.stderr.write('Run enigmacode --help for usage.\n');
+            return 2;
+        }
+
+        const outputs = this.outputPaths(units, options);
+        const report = { ...(this.preset && { preset: this.preset }), settings, files: [], errors: [] };
+
+        units.forEach(unit => {
+            try {
+                const built = this.build(unit, settings);
+                const output = outputs.get(unit);
+                this.write(output, built.code);
+                if (options.sourceMaps) this.write(`${output}.map.json`, JSON.stringify(built.sourceMap, null, 2));
+
+                report.files.push({ input: this.display(unit.path), output: this.display(output), ...built.report });
+                this.stdout.write(`${this.display(unit.path)} -> ${this.display(output)} (${built.report.inputSize} -> ${built.report.outputSize} bytes)\n`);
+            } catch (error) {
+                const diagnostic = this.diagnose(error, unit);
+                report.errors.push(diagnostic);
+                this.stderr.write(`${diagnostic.file}:${diagnostic.line}:${diagnostic.column}: error: ${diagnostic.message}\n`);
+            }
+        });
+
+        const reportPath = options.report ? this.resolve(options.report) : path.join(outputs.directory, 'enigmacode-report.json');
+        this.write(reportPath, JSON.stringify(report, null, 2));
+        this.stdout.write(`Report written to ${this.display(reportPath)}\n`);
+
+        if (report.errors.length > 0) {
+            this.stderr.write(`${report.errors.length} of ${units.length} scripts failed\n`);
+            return 1;
+        }
+        return 0;
+    }
+
+    parseArguments(argv) {
+        const options = { inputs: [], sourceMaps: false, help: false };
+        const args = [...argv];
+        if (args[0] === '-h' || args[0] === '--help' || args.length === 0) {
+            options.help = true;
+            return options;
+        }
+        if (args.shift() !== 'obfuscate') {
+            throw new UsageError(`unknown command '${argv[0]}'`);
+        }
+
+        while (args.length > 0) {
+            const arg = args.shift();
+            if (VALUE_FLAGS[arg]) {
+                if (args.length === 0) throw new UsageError(`${arg} needs a value`);
+                options[VALUE_FLAGS[arg]] = args.shift();
+            } else if (arg === '--source-maps') {
+                options.sourceMaps = true;
+            } else if (arg === '-h' || arg === '--help') {
+                options.help = true;
+            } else if (arg.startsWith('-')) {
+                throw new UsageError(`unknown option '${arg}'`);
+            } else {
+                options.inputs.push(arg);
+            }
+        }
+
+        if (!options.help && options.inputs.length === 0) {
+            throw new UsageError('no input files');
+        }
+        return options;
+    }
+
+    // Settings of the preset, then the settings file, then the command-line flags
+    loadSettings(options) {
+        let settings = {};
+        this.preset = null;
+        if (options.config) {
+            const file = this.resolve(options.config);
+            try {
+                settings = JSON.parse(fs.readFileSync(file, 'utf8'));
+            } catch (error) {
+                throw new UsageError(`cannot read settings from ${options.config}: ${error.message}`);
+            }
+            if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+                throw new UsageError(`${options.config} must contain a JSON object`);
+            }
+        }
+
+        const passes = LuaObfuscator.passes;
+        Object.keys(settings).forEach(key => {
+            if (!SETTING_KEYS.includes(key) && !passes.has(key)) {
+                throw new UsageError(`unknown setting '${key}' in ${options.config}`);
+            }
+        });
+
+        // A preset gives every setting the settings file and flags leave out
+        const presetName = options.preset || settings.preset;
+        delete settings.preset;
+        if (presetName !== undefined) {
+            const preset = getPreset(presetName);
+            if (!preset) {
+                throw new UsageError(`unknown preset '${presetName}' (expected one of ${Object.keys(PRESETS).join(', ')})`);
+            }
+            settings = {
+                ...preset.settings,
+                ...settings,
+                passOptions: { ...preset.settings.passOptions, ...settings.passOptions }
+            };
+            this.preset = { name: preset.name, version: preset.version };
+        }
+
+        ['target', 'tier', 'seed'].forEach(key => {
+            if (options[key] !== undefined) settings[key] = options[key];
+        });
+        if (options.external !== undefined) settings.externalModules = list(options.external);
+        [[options.enable, true], [options.disable, false]].forEach(([names, enabled]) => {
+            if (names === undefined) return;
+            list(names).forEach(name => {
+                passes.get(name);
+                settings[name] = enabled;
+            });
+        });
+
+        try {
+            resolveTarget(settings.target);
+        } catch (error) {
+            throw new UsageError(error.message);
+        }
+        const tier = settings.tier || 'standard';
+        if (!TIERS.includes(tier)) {
+            throw new UsageError(`unknown tier '${tier}' (expected one of ${TIERS.join(', ')})`);
+        }
+        // The engine leaves out passes above the tier; asking for one here is a mistake
+        const enabled = passes.enabledNames(settings);
+        enabled.forEach(name => {
+            if (TIERS.indexOf(passes.get(name).tier) > TIERS.indexOf(tier)) {
+                throw new UsageError(`pass '${name}' needs the ${passes.get(name).tier} tier (add --tier ${passes.get(name).tier})`);
+            }
+        });
+        Object.entries(settings.passOptions || {}).forEach(([name, values]) => passes.resolveOptions(name, values));
+        passes.plan(enabled, { order: settings.passOrder, tier });
+        return settings;
+    }
+
+    // What to build: each Lua file on its own, or one bundle of a directory
+    collectUnits(options) {
+        const inputs = options.inputs.map(input => {
+            const resolved = this.resolve(input);
+            if (!fs.existsSync(resolved)) throw new UsageError(`${input} does not exist`);
+            return resolved;
+        });
+
+        if (options.bundle) {
+            if (inputs.length !== 1 || !fs.statSync(inputs[0]).isDirectory()) {
+                throw new UsageError('--bundle needs exactly one input directory');
+            }
+            const files = this.luaFiles(inputs[0]);
+            const entry = path.posix.normalize(options.bundle.replace(/\\/g, '/'));
+            if (!files.some(file => file.name === entry)) {
+                throw new UsageError(`entry point ${options.bundle} is not a Lua file in ${options.inputs[0]}`);
+            }
+            return [{ path: path.join(inputs[0], entry), root: inputs[0], name: entry, files }];
+        }
+
+        const units = inputs.flatMap(input => {
+            if (!fs.statSync(input).isDirectory()) {
+                return [{ path: input, root: path.dirname(input), name: path.basename(input) }];
+            }
+            return this.luaFiles(input).map(file => ({ path: file.path, root: input, name: file.name }));
+        });
+
+        // Outputs are named after each input's path relative to its root, so inputs that
+        // share one, such as a/main.lua and b/main.lua, would overwrite each other
+        const named = new Map();
+        units.forEach(unit => {
+            const other = named.get(unit.name);
+            if (other) {
+                throw new UsageError(`${this.display(other.path)} and ${this.display(unit.path)} would both be written to ${unit.name}; obfuscate them in separate runs`);
+            }
+            named.set(unit.name, unit);
+        });
+        return units;
+    }
+
+    // Lua files under a directory with their paths relative to it, skipping hidden folders
+    luaFiles(directory, prefix = '') {
+        return fs.readdirSync(directory, { withFileTypes: true })
+            .filter(entry => !entry.name.startsWith('.') && entry.name !== 'node_modules')
+            .sort((a, c) => a.name.localeCompare(c.name))
+            .flatMap(entry => {
+                const name = prefix ? `${prefix}/${entry.name}` : entry.name;
+                const file = path.join(directory, entry.name);
+                if (entry.isDirectory()) return this.luaFiles(file, name);
+                return LUA_FILE.test(entry.name) ? [{ path: file, name }] : [];
+            });
+    }
+
+    // Output file of each unit. A single input may be written to a named .lua file;
+    // otherwise outputs keep their paths relative to the input under the output directory.
+    outputPaths(units, options) {
+        const outputs = new Map();
+        const out = this.resolve(options.out || 'obfuscated');
+        if (units.length === 1 && LUA_FILE.test(out)) {
+            outputs.set(units[0], out);
+            outputs.directory = path.dirname(out);
+            return outputs;
+        }
+        units.forEach(unit => outputs.set(unit, path.join(out, unit.name)));
+        outputs.directory = out;
+        return outputs;
+    }
+
+    build(unit, settings) {
+        const obfuscator = new LuaObfuscator({ ...settings, fileName: unit.name });
+        const startTime = process.hrtime.bigint();
+        let source;
+        let inputSize;
+        if (unit.files) {
+            const files = unit.files.map(file => ({ name: file.name, content: fs.readFileSync(file.path, 'utf8') }));
+            const bundler = new ModuleBundler({ target: obfuscator.target, externals: settings.externalModules });
+            source = bundler.bundle(files, unit.name);
+            inputSize = files
+                .filter(file => source.sources.includes(file.name))
+                .reduce((total, file) => total + Buffer.byteLength(file.content), 0);
+        } else {
+            source = fs.readFileSync(unit.path, 'utf8');
+            inputSize = Buffer.byteLength(source);
+        }
+        const code = obfuscator.obfuscate(source);
+        const duration = Number(process.hrtime.bigint() - startTime) / 1e6;
+
+        return {
+            code,
+            sourceMap: obfuscator.sourceMap.toJSON(),
+            report: {
+                seed: obfuscator.seed,
+                tier: obfuscator.options.tier,
+                target: obfuscator.target.id,
+                transforms: obfuscator.appliedTransforms,
+                ...(unit.files && { files: obfuscator.sourceMap.sources }),
+                inputSize,
+                outputSize: Buffer.byteLength(code),
+                ...(obfuscator.minification && { minification: obfuscator.minification }),
+                duration: Math.round(duration * 100) / 100
+            }
+        };
+    }
+
+    // file:line:column diagnostic for a script that could not be built
+    diagnose(error, unit) {
+        if (error instanceof LuaSyntaxError) {
+            // Errors from bundled files name the file they come from
+            const file = error.file ? path.join(unit.root, error.file) : unit.path;
+            return {
+                file: this.display(file),
+                line: error.line,
+                column: error.column,
+                message: error.message.replace(/^.*?\[\d+:\d+\] /, '')
+            };
+        }
+        if (error instanceof ModuleBundler.BundleError) {
+            return {
+                file: this.display(error.file ? path.join(unit.root, error.file) : unit.path),
+                line: error.line || 1,
+                column: 1,
+                // BundleError puts "file:line: " in front of the message
+                message: error.file ? error.message.slice(`${error.file}${error.line ? `:${error.line}` : ''}: `.length) : error.message
+            };
+        }
+        // Any other failure, such as a feature virtualization does not support, fails only
+        // this script. Lines of bundles are lines of the bundled chunk, so they are left out.
+        return {
+            file: this.display(unit.path),
+            line: (!unit.files && error.line) || 1,
+            column: 1,
+            message: error.message
+        };
+    }
+
+    write(file, content) {
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.writeFileSync(file, content);
+    }
+
+    resolve(file) {
+        return path.resolve(this.cwd, file);
+    }
+
+    // Paths are shown relative to the working directory
+    display(file) {
+        return path.relative(this.cwd, file).split(path.sep).join('/') || '.';
+    }
+}
+
+CommandLine.UsageError = UsageError;
+CommandLine.USAGE = USAGE;
+
+module.exports = CommandLine;
@@ -0,0 +1,443 @@
+// Code Generator - Turns a Lua AST back into source code
+const { BINARY_PRIORITY, UNARY_PRIORITY } = require('./parser');
+
+const PRIMARY_PRIORITY = 100;
+
+class CodeGenerator {
+    constructor(options = {}) {
+        this.options = {
+            indent: '    ',
+            ...options
+        };
+        this.code = '';
+        this.line = 1;
+        this.depth = 0;
+        this.mappings = [];
+    }
+
+    static generate(ast, options = {}) {
+        return new CodeGenerator(options).generate(ast);
+    }
+
+    generate(ast) {
+        if (ast.type === 'Chunk') {
+            this.block(ast.body, false);
+        } else if (Array.isArray(ast)) {
+            this.block(ast, false);
+        } else {
+            this.expression(ast);
+        }
+        return this.code;
+    }
+
+    // Output helpers
+
+    write(text) {
+        this.code += text;
+        for (let i = 0; i < text.length; i++) {
+            if (text.charCodeAt(i) === 10) this.line++;
+        }
+    }
+
+    newline() {
+        this.write('\n' + this.options.indent.repeat(this.depth));
+    }
+
+    block(body, indent = true) {
+        if (indent) this.depth++;
+        body.forEach((statement, i) => {
+            const previousEnd = this.code.length;
+            if (indent || i > 0) this.newline();
+            const start = this.code.length;
+            this.statement(statement);
+
+            // Guard against "a = b\n(f)()" being read as a call on the previous line
+            if (i > 0 && this.code.charAt(start) === '(') {
+                this.code = this.code.slice(0, previousEnd) + ';' + this.code.slice(previousEnd);
+            }
+        });
+        if (indent) this.depth--;
+    }
+
+    list(items, emit = item => this.expression(item)) {
+        items.forEach((item, i) => {
+            if (i > 0) this.write(', ');
+            emit(item);
+        });
+    }
+
+    // Statements
+
+    statement(node) {
+        if (node.line) {
+            this.mappings.push({ generated: this.line, original: node.line, source: node.source });
+        }
+
+        switch (node.type) {
+            case 'LocalStatement':
+                this.write('local ');
+                this.list(node.variables, (variable) => {
+                    this.write(variable.name);
+                    const attrib = node.attribs && node.attribs[node.variables.indexOf(variable)];
+                    if (attrib) this.write(` <${attrib}>`);
+                });
+                if (node.init.length > 0) {
+                    this.write(' = ');
+                    this.list(node.init);
+                }
+                break;
+            case 'AssignmentStatement':
+                this.list(node.variables);
+                this.write(' = ');
+                this.list(node.init);
+                break;
+            case 'CallStatement':
+                this.expression(node.expression);
+                break;
+            case 'FunctionDeclaration':
+                this.functionDeclaration(node);
+                break;
+            case 'IfStatement':
+                node.clauses.forEach((clause) => {
+                    if (clause.type === 'IfClause') {
+                        this.write('if ');
+                    } else if (clause.type === 'ElseifClause') {
+                        this.newline();
+                        this.write('elseif ');
+                    } else {
+                        this.newline();
+                        this.write('else');
+                    }
+                    if (clause.condition) {
+                        this.expression(clause.condition);
+                        this.write(' then');
+                    }
+                    this.block(clause.body);
+                });
+                this.newline();
+                this.write('end');
+                break;
+            case 'WhileStatement':
+                this.write('while ');
+                this.expression(node.condition);
+                this.write(' do');
+                this.block(node.body);
+                this.newline();
+                this.write('end');
+                break;
+            case 'DoStatement':
+                this.write('do');
+                this.block(node.body);
+                this.newline();
+                this.write('end');
+                break;
+            case 'RepeatStatement':
+                this.write('repeat');
+                this.block(node.body);
+                this.newline();
+                this.write('until ');
+                this.expression(node.condition);
+                break;
+            case 'ForNumericStatement':
+                this.write(`for ${node.variable.name} = `);
+                this.expression(node.start);
+                this.write(', ');
+                this.expression(node.end);
+                if (node.step) {
+                    this.write(', ');
+                    this.expression(node.step);
+                }
+                this.write(' do');
+                this.block(node.body);
+                this.newline();
+                this.write('end');
+                break;
+            case 'ForGenericStatement':
+                this.write(`for ${node.variables.map(v => v.name).join(', ')} in `);
+                this.list(node.iterators);
+                this.write(' do');
+                this.block(node.body);
+                this.newline();
+                this.write('end');
+                break;
+            case 'ReturnStatement':
+                this.write('return');
+                if (node.arguments.length > 0) {
+                    this.write(' ');
+                    this.list(node.arguments);
+                }
+                break;
+            case 'BreakStatement':
+                this.write('break');
+                break;
+            case 'GotoStatement':
+                this.write(`goto ${node.label}`);
+                break;
+            case 'LabelStatement':
+                this.write(`::${node.label}::`);
+                break;
+            case 'ContinueStatement':
+                this.write('continue');
+                break;
+            case 'CompoundAssignmentStatement':
+                this.expression(node.variable);
+                this.write(` ${node.operator}= `);
+                this.expression(node.value);
+                break;
+            default:
+                throw new Error(`Cannot generate statement of type ${node.type}`);
+        }
+    }
+
+    functionDeclaration(node) {
+        if (node.isStatement) {
+            this.write(node.isLocal ? 'local function ' : 'function ');
+            this.expression(node.identifier);
+        } else {
+            this.write('function');
+        }
+
+        this.write('(');
+        const params = node.parameters.map(param => param.name);
+        if (node.isVararg) params.push('...');
+        this.write(params.join(', '));
+        this.write(')');
+
+        this.block(node.body);
+        if (node.body.length > 0) {
+            this.newline();
+        } else {
+            this.write(' ');
+        }
+        this.write('end');
+    }
+
+    // Expressions
+
+    priority(node) {
+        switch (node.type) {
+            case 'BinaryExpression':
+            case 'LogicalExpression':
+                return BINARY_PRIORITY[node.operator][0];
+            case 'UnaryExpression':
+                return UNARY_PRIORITY;
+            case 'NumericLiteral':
+                // Negative constants print with a leading minus sign
+                return node.value < 0 || Object.is(node.value, -0) ? UNARY_PRIORITY : PRIMARY_PRIORITY;
+            default:
+                return PRIMARY_PRIORITY;
+        }
+    }
+
+    isBinary(node) {
+        return node.type === 'BinaryExpression' || node.type === 'LogicalExpression';
+    }
+
+    operand(node, parens) {
+        if (parens) {
+            this.write('(');
+            this.expression(node);
+            this.write(')');
+        } else {
+            this.expression(node);
+        }
+    }
+
+    // Bases of calls and indexing must be prefix expressions
+    prefix(node) {
+        const isPrefix = node.type === 'Identifier' || node.type === 'MemberExpression' ||
+            node.type === 'IndexExpression' || node.type === 'CallExpression' ||
+            node.type === 'ParenthesizedExpression';
+        this.operand(node, !isPrefix);
+    }
+
+    expression(node) {
+        switch (node.type) {
+            case 'Identifier':
+                this.write(node.name);
+                break;
+            case 'StringLiteral':
+                this.write(node.long ? CodeGenerator.longString(node.value) : CodeGenerator.quoteString(node.value));
+                break;
+            case 'NumericLiteral':
+                this.write(CodeGenerator.formatNumber(node));
+                break;
+            case 'BooleanLiteral':
+                this.write(node.value ? 'true' : 'false');
+                break;
+            case 'NilLiteral':
+                this.write('nil');
+                break;
+            case 'VarargLiteral':
+                this.write('...');
+                break;
+            case 'FunctionDeclaration':
+                this.functionDeclaration(node);
+                break;
+            case 'TableConstructorExpression':
+                this.table(node);
+                break;
+            case 'BinaryExpression':
+            case 'LogicalExpression': {
+                const [left, right] = BINARY_PRIORITY[node.operator];
+                const leftParens = this.isBinary(node.left)
+                    ? BINARY_PRIORITY[node.left.operator][1] < left
+                    : this.priority(node.left) === UNARY_PRIORITY && left > UNARY_PRIORITY;
+                const rightParens = this.isBinary(node.right)
+                    ? BINARY_PRIORITY[node.right.operator][0] <= right
+                    : node.right.type === 'IfExpression';
+                this.operand(node.left, leftParens || node.left.type === 'IfExpression');
+                this.write(` ${node.operator} `);
+                this.operand(node.right, rightParens);
+                break;
+            }
+            case 'UnaryExpression': {
+                const argument = node.argument;
+                this.write(node.operator === 'not' ? 'not ' : node.operator);
+                const parens = this.isBinary(argument)
+                    ? BINARY_PRIORITY[argument.operator][0] <= UNARY_PRIORITY
+                    : argument.type === 'IfExpression';
+                // Keep "- -x" from turning into a comment
+                if (!parens && node.operator === '-' && this.startsWithMinus(argument)) {
+                    this.write(' ');
+                }
+                this.operand(argument, parens);
+                break;
+            }
+            case 'MemberExpression':
+                this.prefix(node.base);
+                this.write(node.indexer + node.identifier.name);
+                break;
+            case 'IndexExpression':
+                this.prefix(node.base);
+                this.write('[');
+                this.expression(node.index);
+                this.write(']');
+                break;
+            case 'CallExpression':
+                this.prefix(node.base);
+                this.write('(');
+                this.list(node.arguments);
+                this.write(')');
+                break;
+            case 'ParenthesizedExpression':
+                this.operand(node.expression, true);
+                break;
+            case 'IfExpression':
+                this.write('if ');
+                this.expression(node.condition);
+                this.write(' then ');
+                this.expression(node.consequent);
+                if (node.alternate.type === 'IfExpression' && !node.alternate.inParens) {
+                    this.write(' else');
+                    this.expression(node.alternate);
+                } else {
+                    this.write(' else ');
+                    this.expression(node.alternate);
+                }
+                break;
+            case 'InterpolatedStringExpression':
+                this.write('`');
+                node.parts.forEach((part, i) => {
+                    this.write(CodeGenerator.quoteString(part, '`').slice(1, -1));
+                    if (i < node.expressions.length) {
+                        this.write('{');
+                        this.expression(node.expressions[i]);
+                        this.write('}');
+                    }
+                });
+                this.write('`');
+                break;
+            default:
+                throw new Error(`Cannot generate expression of type ${node.type}`);
+        }
+    }
+
+    startsWithMinus(node) {
+        if (node.type === 'UnaryExpression') return node.operator === '-';
+        if (node.type === 'NumericLiteral') return this.priority(node) === UNARY_PRIORITY;
+        if (this.isBinary(node)) return this.startsWithMinus(node.left);
+        return false;
+    }
+
+    table(node) {
+        if (node.fields.length === 0) {
+            this.write('{}');
+            return;
+        }
+
+        this.write('{');
+        node.fields.forEach((field, i) => {
+            if (i > 0) this.write(', ');
+            switch (field.type) {
+                case 'TableKey':
+                    this.write('[');
+                    this.expression(field.key);
+                    this.write('] = ');
+                    this.expression(field.value);
+                    break;
+                case 'TableKeyString':
+                    this.write(`${field.key.name} = `);
+                    this.expression(field.value);
+                    break;
+                default:
+                    this.expression(field.value);
+                    break;
+            }
+        });
+        this.write('}');
+    }
+
+    // Literal formatting
+
+    static quoteString(value, quote = '"') {
+        let out = quote;
+        for (let i = 0; i < value.length; i++) {
+            const code = value.charCodeAt(i);
+            switch (code) {
+                case 34: out += quote === '"' ? '\\"' : '"'; break;
+                case 96: out += quote === '`' ? '\\`' : '`'; break;
+                case 123: out += quote === '`' ? '\\{' : '{'; break;
+                case 92: out += '\\\\'; break;
+                case 10: out += '\\n'; break;
+                case 13: out += '\\r'; break;
+                case 9: out += '\\t'; break;
+                default:
+                    if (code < 32 || code > 126) {
+                        // Three digits so a following digit is never absorbed
+                        out += '\\' + String(code & 0xFF).padStart(3, '0');
+                    } else {
+                        out += value[i];
+                    }
+            }
+        }
+        return out + quote;
+    }
+
+    // Long bracket form, which keeps multi-line text such as embedded code readable. Lua
+    // drops a line break right after the opening bracket, so one is always written there,
+    // and the level is raised until the text cannot close the string early.
+    static longString(value) {
+        let level = '';
+        while (value.includes(`]${level}]`) || value.endsWith(`]${level}`)) level += '=';
+        return `[${level}[\n${value}]${level}]`;
+    }
+
+    static formatNumber(node) {
+        if (node.raw) return node.raw;
+
+        const value = node.value;
+        if (Number.isNaN(value)) return '(0/0)';
+        if (value === Infinity) return '(1/0)';
+        if (value === -Infinity) return '(-1/0)';
+        if (Object.is(value, -0)) return '-0.0';
+
+        let text = String(value);
+        if (node.isFloat && Number.isInteger(value) && !/[e.]/.test(text)) {
+            text += '.0';
+        }
+        return text;
+    }
+}
+
+module.exports = CodeGenerator;
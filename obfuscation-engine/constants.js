@@ -0,0 +1,161 @@
+// Constant Obfuscator - Rewrites number and boolean literals into expressions with the same value
+const { transform, builders: b } = require('./ast');
+
+// Integers beyond this are left alone so every intermediate value stays exact in a double
+const MAX_INTEGER = 2 ** 48;
+
+// Lua built with 32-bit integers wraps at this magnitude
+const INT32_LIMIT = 2 ** 31;
+
+// Floor division of v * m + r by m must not round up to v + 1 in doubles
+const MAX_DIVIDEND = 2 ** 20;
+
+// Attempts at finding an exact decomposition before keeping the literal
+const ATTEMPTS = 8;
+
+class ConstantObfuscator {
+    constructor(options) {
+        this.random = options.random;
+        this.target = options.target;
+        // Nesting depth of the generated expressions
+        this.intensity = options.intensity || 1;
+        // Share of literals that are rewritten
+        this.coverage = options.coverage === undefined ? 1 : options.coverage;
+        // Nodes inside statements annotated to be kept
+        this.excluded = options.excluded || new Set();
+    }
+
+    obfuscate(ast) {
+        return transform(ast, (node) => {
+            if (this.excluded.has(node)) return undefined;
+
+            let replacement;
+            if (node.type === 'NumericLiteral') {
+                replacement = this.rewriteNumber(node);
+            } else if (node.type === 'BooleanLiteral') {
+                replacement = this.rewriteBoolean(node.value);
+            }
+            if (!replacement) return undefined;
+
+            if (node.line) replacement.line = node.line;
+            if (node.source !== undefined) replacement.source = node.source;
+            return replacement;
+        });
+    }
+
+    rewriteNumber(node) {
+        const { value } = node;
+        if (!Number.isFinite(value) || this.random.float() >= this.coverage) return null;
+
+        // Lua 5.3 keeps integers and floats apart (math.type, string.format("%d")),
+        // so a literal is rebuilt from operations that produce its own subtype
+        if (node.isFloat) return this.float(value, this.intensity);
+        if (!Number.isInteger(value) || Math.abs(value) > MAX_INTEGER) return null;
+        return this.integer(value, this.intensity);
+    }
+
+    // Integer-only operations: exact on 5.3 integers and on doubles below 2^53.
+    // Values that fit in 32 bits keep every intermediate in 32 bits as well.
+    integer(value, depth) {
+        if (depth <= 0) return b.number(value);
+
+        const { features } = this.target;
+        const bound = Math.abs(value) < INT32_LIMIT ? INT32_LIMIT : Number.MAX_SAFE_INTEGER;
+        const fits = (...values) => values.every(item => Math.abs(item) < bound);
+        const forms = ['add', 'sub', 'multiply'];
+        if (features.integerDivision && Math.abs(value) < MAX_DIVIDEND) forms.push('divide');
+        if (features.bitwiseOperators && Math.abs(value) < INT32_LIMIT) forms.push('xor');
+
+        const next = depth - 1;
+        for (let attempt = 0; attempt < ATTEMPTS; attempt++) {
+            switch (this.random.pick(forms)) {
+                case 'add': {
+                    const k = this.random.int(1, 1 << 16);
+                    if (fits(value - k)) {
+                        return b.binary('+', this.integer(value - k, next), this.integer(k, next));
+                    }
+                    break;
+                }
+                case 'sub': {
+                    const k = this.random.int(1, 1 << 16);
+                    if (fits(value + k)) {
+                        return b.binary('-', this.integer(value + k, next), this.integer(k, next));
+                    }
+                    break;
+                }
+                case 'multiply': {
+                    const m = this.random.int(2, 256);
+                    const q = Math.floor(value / m);
+                    if (fits(q * m)) {
+                        const product = b.binary('*', this.integer(q, next), this.integer(m, next));
+                        return b.binary('+', product, this.integer(value - q * m, next));
+                    }
+                    break;
+                }
+                case 'divide': {
+                    const m = this.random.int(2, 64);
+                    const dividend = value * m + this.random.int(0, m);
+                    return b.binary('//', this.integer(dividend, next), this.integer(m, next));
+                }
+                default: {
+                    const mask = this.random.int(1, 1 << 24);
+                    const masked = Number(BigInt(value) ^ BigInt(mask));
+                    return b.binary('~', this.integer(masked, next), this.integer(mask, next));
+                }
+            }
+        }
+        return b.number(value);
+    }
+
+    // Float operations whose result is checked to round to exactly the same double.
+    // Every operand is a float literal or "/" result, so 5.3 keeps the float subtype.
+    float(value, depth) {
+        if (depth <= 0) return b.number(value, true);
+
+        const next = depth - 1;
+        for (let attempt = 0; attempt < ATTEMPTS; attempt++) {
+            const k = this.random.int(1, 1 << 12) / 2 ** this.random.int(0, 8);
+            switch (this.random.pick(['add', 'sub', 'scale'])) {
+                case 'add': {
+                    const part = value - k;
+                    if (Number.isFinite(part) && Object.is(part + k, value)) {
+                        return b.binary('+', this.float(part, next), this.float(k, next));
+                    }
+                    break;
+                }
+                case 'sub': {
+                    const part = value + k;
+                    if (Number.isFinite(part) && Object.is(part - k, value)) {
+                        return b.binary('-', this.float(part, next), this.float(k, next));
+                    }
+                    break;
+                }
+                default: {
+                    // Multiplying and dividing by a power of two is exact unless it over- or underflows
+                    const scale = 2 ** this.random.int(1, 9);
+                    const scaled = value * scale;
+                    if (Number.isFinite(scaled) && Object.is(scaled / scale, value)) {
+                        return b.binary('/', this.float(scaled, next), this.integer(scale, next));
+                    }
+                    break;
+                }
+            }
+        }
+        return b.number(value, true);
+    }
+
+    // Comparisons of two rewritten integers that always give the literal's value
+    rewriteBoolean(value) {
+        if (this.random.float() >= this.coverage) return null;
+
+        const low = this.random.int(-4096, 4096);
+        const high = low + this.random.int(1, 4096);
+        const [operator, left, right] = this.random.pick(value
+            ? [['<', low, high], ['>', high, low], ['<=', low, low], ['>=', high, low], ['~=', low, high], ['==', low, low]]
+            : [['>', low, high], ['<', high, low], ['<=', high, low], ['>=', low, high], ['==', low, high], ['~=', low, low]]);
+        const depth = this.intensity - 1;
+        return b.paren(b.binary(operator, this.integer(left, depth), this.integer(right, depth)));
+    }
+}
+
+module.exports = ConstantObfuscator;
@@ -0,0 +1,122 @@
+// Line Diff - Compares two versions of a script line by line and formats unified diffs
+
+// Largest table the longest-common-subsequence search may fill; bigger changes are
+// reported as every old line removed and every new line added
+const MAX_CELLS = 4000000;
+
+class LineDiff {
+    // Returns { added, removed, hunks }, each hunk being
+    // { oldStart, oldLines, newStart, newLines, lines } with lines prefixed ' ', '-' or '+'
+    static compare(before, after, options = {}) {
+        const context = options.context === undefined ? 3 : options.context;
+        const a = before.split('\n');
+        const c = after.split('\n');
+
+        // Lines both versions start and end with need no search
+        let start = 0;
+        while (start < a.length && start < c.length && a[start] === c[start]) start++;
+        let endA = a.length;
+        let endC = c.length;
+        while (endA > start && endC > start && a[endA - 1] === c[endC - 1]) {
+            endA--;
+            endC--;
+        }
+
+        const ops = [
+            ...a.slice(0, start).map(line => [' ', line]),
+            ...LineDiff.middle(a.slice(start, endA), c.slice(start, endC), options.maxCells || MAX_CELLS),
+            ...a.slice(endA).map(line => [' ', line])
+        ];
+
+        // Line numbers on each side where every operation starts
+        let oldLine = 1;
+        let newLine = 1;
+        const numbered = ops.map(([type, line]) => {
+            const op = { type, line, oldLine, newLine };
+            if (type !== '+') oldLine++;
+            if (type !== '-') newLine++;
+            return op;
+        });
+
+        // Changes with their context, merged where the context overlaps
+        const ranges = [];
+        numbered.forEach((op, index) => {
+            if (op.type === ' ') return;
+            const from = Math.max(0, index - context);
+            const to = Math.min(numbered.length, index + context + 1);
+            const last = ranges[ranges.length - 1];
+            if (last && from <= last.to) last.to = to;
+            else ranges.push({ from, to });
+        });
+
+        const hunks = ranges.map(({ from, to }) => {
+            const slice = numbered.slice(from, to);
+            const oldLines = slice.filter(op => op.type !== '+').length;
+            const newLines = slice.filter(op => op.type !== '-').length;
+            // An empty side starts at the line before, as in other unified diffs
+            return {
+                oldStart: oldLines === 0 ? slice[0].oldLine - 1 : slice[0].oldLine,
+                oldLines,
+                newStart: newLines === 0 ? slice[0].newLine - 1 : slice[0].newLine,
+                newLines,
+                lines: slice.map(op => op.type + op.line)
+            };
+        });
+
+        return {
+            added: ops.filter(([type]) => type === '+').length,
+            removed: ops.filter(([type]) => type === '-').length,
+            hunks
+        };
+    }
+
+    // Operations turning a into c through their longest common subsequence
+    static middle(a, c, maxCells) {
+        if (a.length * c.length > maxCells) {
+            return [...a.map(line => ['-', line]), ...c.map(line => ['+', line])];
+        }
+
+        // common[i * width + j] is the length of the longest common subsequence of a[i..] and c[j..]
+        const width = c.length + 1;
+        const common = new Uint32Array((a.length + 1) * width);
+        for (let i = a.length - 1; i >= 0; i--) {
+            for (let j = c.length - 1; j >= 0; j--) {
+                common[i * width + j] = a[i] === c[j]
+                    ? common[(i + 1) * width + j + 1] + 1
+                    : Math.max(common[(i + 1) * width + j], common[i * width + j + 1]);
+            }
+        }
+
+        const ops = [];
+        let i = 0;
+        let j = 0;
+        while (i < a.length && j < c.length) {
+            if (a[i] === c[j]) {
+                ops.push([' ', a[i++]]);
+                j++;
+            } else if (common[(i + 1) * width + j] >= common[i * width + j + 1]) {
+                ops.push(['-', a[i++]]);
+            } else {
+                ops.push(['+', c[j++]]);
+            }
+        }
+        while (i < a.length) ops.push(['-', a[i++]]);
+        while (j < c.length) ops.push(['+', c[j++]]);
+        return ops;
+    }
+
+    // Unified diff text of compare()'s hunks
+    static format(diff, labels = { before: 'before', after: 'after' }) {
+        if (diff.hunks.length === 0) return '';
+        return [
+            `--- ${labels.before}`,
+            `+++ ${labels.after}`,
+            ...diff.hunks.flatMap(hunk => [
+                `@@ -${hunk.oldStart},${hunk.oldLines} +${hunk.newStart},${hunk.newLines} @@`,
+                ...hunk.lines
+            ])
+        ].join('\n');
+    }
+}
+
+module.exports = LineDiff;
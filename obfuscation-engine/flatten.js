@@ -0,0 +1,496 @@
+// Control-Flow Flattener - Rewrites function bodies into a dispatcher loop over shuffled states
+const ScopeAnalyzer = require('./scope');
+const { traverse, builders: b } = require('./ast');
+
+// Lua allows 200 locals per function; leave room for the ones the body keeps
+const MAX_HOISTED_LOCALS = 120;
+
+// Globals used by the numeric for-loop lowering
+const LOOP_BUILTINS = ['tonumber', 'error', 'math'];
+
+const LOOP_TYPES = new Set(['WhileStatement', 'RepeatStatement', 'ForNumericStatement', 'ForGenericStatement']);
+
+// Thrown when a body cannot be flattened without changing its meaning
+class FlattenAbort extends Error {}
+
+class ControlFlowFlattener {
+    constructor(options) {
+        this.random = options.random;
+        this.target = options.target;
+        this.generateName = options.generateName;
+        this.onRename = options.onRename || (() => {});
+        // Names that must not change, and nodes inside statements annotated to be kept
+        this.preserved = options.preserved || new Set();
+        this.excluded = options.excluded || new Set();
+    }
+
+    flatten(ast) {
+        this.scope = ScopeAnalyzer.analyze(ast);
+
+        // The for-loop lowering calls these globals, so they must not be shadowed
+        this.builtinsIntact = LOOP_BUILTINS.every(name => {
+            const global = this.scope.globals.get(name);
+            const shadowed = this.scope.localBindings().some(binding => binding.name === name);
+            return !shadowed && !(global && global.assigned);
+        });
+
+        // Every function body is flattened on its own. Inner functions go first
+        // because outer bodies copy local function nodes when hoisting them.
+        const owners = [ast];
+        traverse(ast, {
+            enter: (node) => {
+                if (node.type === 'FunctionDeclaration' && !this.excluded.has(node)) owners.push(node);
+            }
+        });
+
+        owners.reverse().forEach(owner => {
+            const body = this.flattenRegion(owner.body, false);
+            if (body) owner.body = body;
+        });
+
+        return ast;
+    }
+
+    // Compiles a statement list into a dispatcher. Returns null when the body
+    // has to stay structured. Loop bodies leave the dispatcher on break.
+    flattenRegion(statements, isLoopBody) {
+        if (statements.length === 0) return null;
+
+        const region = {
+            states: [],
+            hoisted: [],
+            stateName: this.generateName()
+        };
+
+        try {
+            const entry = this.newState(region);
+            const exit = this.newState(region);
+            exit.body.push(b.breakStatement());
+
+            let loop = null;
+            let breakState = null;
+            if (isLoopBody) {
+                breakState = this.newState(region);
+                breakState.body.push(b.breakStatement());
+                // Continuing a loop is the same as finishing its body
+                loop = { breakTarget: breakState, continueTarget: exit };
+            }
+
+            const ctx = { loop, labels: new Map(), parent: null, afterLabel: false };
+            const end = this.compileBlock(statements, entry, region, ctx);
+            if (end) this.jump(region, end, exit);
+
+            if (region.hoisted.length > MAX_HOISTED_LOCALS) throw new FlattenAbort();
+
+            return this.buildDispatcher(region, entry, breakState);
+        } catch (error) {
+            if (error instanceof FlattenAbort) return null;
+            throw error;
+        }
+    }
+
+    newState(region) {
+        const state = { id: null, body: [], refs: [] };
+        region.states.push(state);
+        return state;
+    }
+
+    // "state = <id>"; ids are only assigned once every state exists
+    transition(region, state) {
+        const literal = b.number(0);
+        state.refs.push(literal);
+        return b.assign([b.identifier(region.stateName)], [literal]);
+    }
+
+    jump(region, from, to) {
+        from.body.push(this.transition(region, to));
+    }
+
+    // Returns the state that falls through past the block, or null if control
+    // never reaches the end of the block
+    compileBlock(statements, current, region, ctx) {
+        const labels = new Map();
+        statements.forEach(statement => {
+            if (statement.type === 'LabelStatement') {
+                labels.set(statement.label, this.newState(region));
+            }
+        });
+
+        const blockCtx = { loop: ctx.loop, labels, parent: ctx, afterLabel: ctx.afterLabel };
+        for (const statement of statements) {
+            // Code after break or goto is unreachable unless a label starts it
+            if (!current && statement.type !== 'LabelStatement') {
+                current = this.newState(region);
+            }
+            current = this.compileStatement(statement, current, region, blockCtx);
+        }
+        return current;
+    }
+
+    compileStatement(node, current, region, ctx) {
+        if (this.excluded.has(node) && node.type !== 'LocalStatement' && !node.isLocal) {
+            return this.compileKept(node, current, region);
+        }
+        switch (node.type) {
+            case 'LocalStatement': {
+                if (node.attribs && node.attribs.includes('close')) throw new FlattenAbort();
+                node.variables.forEach(variable => this.hoist(variable, region, ctx));
+                const init = node.init.length > 0 ? node.init : [b.nil()];
+                current.body.push(b.assign(node.variables, init));
+                return this.split(current, region);
+            }
+            case 'FunctionDeclaration': {
+                if (!node.isLocal) {
+                    current.body.push(node);
+                    return this.split(current, region);
+                }
+                // The name is declared before the body, so recursion keeps working
+                this.hoist(node.identifier, region, ctx);
+                const fn = { ...node, identifier: null, isLocal: false, isStatement: false };
+                current.body.push(b.assign([node.identifier], [fn]));
+                return this.split(current, region);
+            }
+            case 'IfStatement':
+                return this.compileIf(node, current, region, ctx);
+            case 'WhileStatement':
+            case 'RepeatStatement':
+            case 'ForNumericStatement':
+            case 'ForGenericStatement':
+                if (!this.canInlineLoop(node)) {
+                    return this.compileOpaqueLoop(node, current, region);
+                }
+                return this.compileLoop(node, current, region, ctx);
+            case 'DoStatement':
+                return this.compileBlock(node.body, current, region, ctx);
+            case 'ReturnStatement':
+                current.body.push(node);
+                return null;
+            case 'BreakStatement':
+                if (!ctx.loop) throw new FlattenAbort();
+                this.jump(region, current, ctx.loop.breakTarget);
+                return null;
+            case 'ContinueStatement':
+                if (!ctx.loop) throw new FlattenAbort();
+                this.jump(region, current, ctx.loop.continueTarget);
+                return null;
+            case 'GotoStatement':
+                this.jump(region, current, this.resolveLabel(node.label, ctx));
+                return null;
+            case 'LabelStatement': {
+                const target = ctx.labels.get(node.label);
+                ctx.afterLabel = true;
+                if (current) this.jump(region, current, target);
+                return target;
+            }
+            default:
+                current.body.push(node);
+                return this.split(current, region);
+        }
+    }
+
+    // Randomly ends the state after a plain statement so straight-line code is
+    // spread over several dispatcher branches as well
+    split(current, region) {
+        if (this.random.float() < 0.5) return current;
+        const next = this.newState(region);
+        this.jump(region, current, next);
+        return next;
+    }
+
+    resolveLabel(name, ctx) {
+        for (let scope = ctx; scope; scope = scope.parent) {
+            if (scope.labels.has(name)) return scope.labels.get(name);
+        }
+        // The label belongs to a block that is not being flattened
+        throw new FlattenAbort();
+    }
+
+    hoist(identifier, region, ctx) {
+        const binding = this.scope.bindingOf.get(identifier);
+
+        // A goto back to an earlier label runs the declaration again, and
+        // closures from each run must see a separate variable
+        if (binding.captured && ctx.afterLabel) throw new FlattenAbort();
+
+        // Kept names stay structured rather than being renamed
+        if (this.preserved.has(binding.name) ||
+            binding.declarations.some(declaration => this.excluded.has(declaration))) {
+            throw new FlattenAbort();
+        }
+
+        // Hoisted locals share one scope, so every one gets a unique name
+        const newName = this.generateName();
+        this.onRename(newName, binding.name);
+        binding.name = newName;
+        binding.declarations.forEach(declaration => { declaration.name = newName; });
+        binding.references.forEach(reference => { reference.name = newName; });
+        region.hoisted.push(newName);
+    }
+
+    // Hidden temporaries used by the loop lowering
+    temporary(region) {
+        const name = this.generateName();
+        region.hoisted.push(name);
+        return () => b.identifier(name);
+    }
+
+    compileIf(node, current, region, ctx) {
+        const join = this.newState(region);
+        const branches = [];
+        const clauses = [];
+
+        node.clauses.forEach((clause, i) => {
+            const target = this.newState(region);
+            branches.push({ clause, target });
+            const body = [this.transition(region, target)];
+            if (clause.type === 'ElseClause') {
+                clauses.push(b.elseClause(body));
+            } else if (i === 0) {
+                clauses.push(b.ifClause(clause.condition, body));
+            } else {
+                clauses.push(b.elseifClause(clause.condition, body));
+            }
+        });
+
+        if (node.clauses[node.clauses.length - 1].type !== 'ElseClause') {
+            clauses.push(b.elseClause([this.transition(region, join)]));
+        }
+        current.body.push(b.ifStatement(clauses));
+
+        branches.forEach(({ clause, target }) => {
+            const end = this.compileBlock(clause.body, target, region, ctx);
+            if (end) this.jump(region, end, join);
+        });
+
+        return join;
+    }
+
+    // Conditional jump: if condition then state = a else state = b end
+    branch(region, condition, whenTrue, whenFalse, prefix = []) {
+        return b.ifStatement([
+            b.ifClause(condition, [...prefix, this.transition(region, whenTrue)]),
+            b.elseClause([this.transition(region, whenFalse)])
+        ]);
+    }
+
+    compileLoop(node, current, region, ctx) {
+        const body = this.newState(region);
+        const exit = this.newState(region);
+        const test = this.newState(region);
+        let next = test;
+
+        switch (node.type) {
+            case 'WhileStatement':
+                this.jump(region, current, test);
+                test.body.push(this.branch(region, node.condition, body, exit));
+                break;
+            case 'RepeatStatement':
+                // The condition can see the body's locals, which are hoisted
+                this.jump(region, current, body);
+                test.body.push(this.branch(region, node.condition, exit, body));
+                break;
+            case 'ForNumericStatement': {
+                // The equivalent code given for numeric for in the Lua reference manual
+                const value = this.temporary(region);
+                const limit = this.temporary(region);
+                const step = this.temporary(region);
+                const tonumber = expr => b.call(b.identifier('tonumber'), [expr]);
+                const check = (variable, message) => b.ifStatement([
+                    b.ifClause(b.unary('not', variable()), [
+                        b.callStatement(b.call(b.identifier('error'), [b.string(message)]))
+                    ])
+                ]);
+
+                current.body.push(b.assign([value(), limit(), step()], [
+                    tonumber(node.start),
+                    tonumber(node.end),
+                    tonumber(node.step || b.number(1))
+                ]));
+                current.body.push(check(value, "'for' initial value must be a number"));
+                current.body.push(check(limit, "'for' limit must be a number"));
+                current.body.push(check(step, "'for' step must be a number"));
+                if (this.target.features.integers) {
+                    // An integer start with a float step gives a float loop
+                    current.body.push(b.ifStatement([
+                        b.ifClause(
+                            b.binary('==', b.call(b.member(b.identifier('math'), 'type'), [step()]), b.string('float')),
+                            [b.assign([value()], [b.binary('+', value(), b.number(0, true))])]
+                        )
+                    ]));
+                }
+                this.jump(region, current, test);
+
+                this.hoist(node.variable, region, ctx);
+                const inRange = b.binary('or',
+                    b.binary('and', b.binary('>', step(), b.number(0)), b.binary('<=', value(), limit())),
+                    b.binary('and', b.binary('<=', step(), b.number(0)), b.binary('>=', value(), limit())));
+                test.body.push(this.branch(region, inRange, body, exit, [
+                    b.assign([b.identifier(node.variable.name)], [value()])
+                ]));
+
+                next = this.newState(region);
+                next.body.push(b.assign([value()], [b.binary('+', value(), step())]));
+                this.jump(region, next, test);
+                break;
+            }
+            case 'ForGenericStatement': {
+                // local f, s, var = explist; repeat var_1, ... = f(s, var) until var_1 == nil
+                const iterator = this.temporary(region);
+                const invariant = this.temporary(region);
+                const control = this.temporary(region);
+
+                current.body.push(b.assign([iterator(), invariant(), control()], node.iterators));
+                this.jump(region, current, test);
+
+                node.variables.forEach(variable => this.hoist(variable, region, ctx));
+                const first = () => b.identifier(node.variables[0].name);
+                test.body.push(b.assign(
+                    node.variables.map(variable => b.identifier(variable.name)),
+                    [b.call(iterator(), [invariant(), control()])]
+                ));
+                test.body.push(this.branch(region, b.binary('==', first(), b.nil()), exit, body));
+                body.body.push(b.assign([control()], [first()]));
+                break;
+            }
+            default:
+                break;
+        }
+
+        const loopCtx = {
+            loop: { breakTarget: exit, continueTarget: next },
+            labels: new Map(),
+            parent: ctx,
+            afterLabel: ctx.afterLabel
+        };
+        const end = this.compileBlock(node.body, body, region, loopCtx);
+        if (end) this.jump(region, end, next);
+        return exit;
+    }
+
+    // Loops that must stay structured still get their body flattened
+    compileOpaqueLoop(node, current, region) {
+        if (this.hasEscapingGoto(node)) throw new FlattenAbort();
+
+        const body = this.flattenRegion(node.body, true);
+        if (body) node.body = body;
+
+        current.body.push(node);
+        return this.split(current, region);
+    }
+
+    // Statements annotated to be kept run whole inside their state, unless a
+    // jump out of them would need the structure the dispatcher replaces
+    compileKept(node, current, region) {
+        if (this.hasEscapingJump(node)) throw new FlattenAbort();
+        current.body.push(node);
+        return this.split(current, region);
+    }
+
+    canInlineLoop(node) {
+        // Luau iterates tables directly in generic for, which has no plain-Lua equivalent
+        if (node.type === 'ForGenericStatement' && this.target.id === 'luau') return false;
+        if (node.type === 'ForNumericStatement' && !this.builtinsIntact) return false;
+
+        // Each iteration creates fresh locals; closures capturing them need the real loop
+        let captured = false;
+        const check = (identifier) => {
+            const binding = this.scope.bindingOf.get(identifier);
+            if (binding && binding.captured) captured = true;
+        };
+
+        if (node.type === 'ForNumericStatement') check(node.variable);
+        if (node.type === 'ForGenericStatement') node.variables.forEach(check);
+        traverse(node.body, {
+            enter: (child) => {
+                if (child.type === 'LocalStatement') child.variables.forEach(check);
+                if (child.type === 'FunctionDeclaration') {
+                    if (child.isLocal) check(child.identifier);
+                    return false;
+                }
+                if (child.type === 'ForNumericStatement') check(child.variable);
+                if (child.type === 'ForGenericStatement') child.variables.forEach(check);
+                return undefined;
+            }
+        });
+        return !captured;
+    }
+
+    // break or continue outside any loop of the statement, or a goto leaving it
+    hasEscapingJump(node) {
+        let loops = 0;
+        let escapes = false;
+        traverse(node, {
+            enter: (child) => {
+                if (child.type === 'FunctionDeclaration') return false;
+                if (LOOP_TYPES.has(child.type)) loops++;
+                if ((child.type === 'BreakStatement' || child.type === 'ContinueStatement') && loops === 0) {
+                    escapes = true;
+                }
+                return undefined;
+            },
+            leave: (child) => {
+                if (LOOP_TYPES.has(child.type)) loops--;
+            }
+        });
+        return escapes || this.hasEscapingGoto({ body: [node] });
+    }
+
+    // A goto leaving a structured loop would lose its label once the
+    // surrounding code is flattened
+    hasEscapingGoto(node) {
+        const labels = new Set();
+        const gotos = [];
+        traverse(node.body, {
+            enter: (child) => {
+                if (child.type === 'FunctionDeclaration') return false;
+                if (child.type === 'LabelStatement') labels.add(child.label);
+                if (child.type === 'GotoStatement') gotos.push(child.label);
+                return undefined;
+            }
+        });
+        return gotos.some(label => !labels.has(label));
+    }
+
+    buildDispatcher(region, entry, breakState) {
+        // Distinct random ids, so the order of states reveals nothing
+        const used = new Set();
+        region.states.forEach(state => {
+            let id;
+            do {
+                id = this.random.int(1, 1 << 24);
+            } while (used.has(id));
+            used.add(id);
+            state.id = id;
+            state.refs.forEach(literal => { literal.value = id; });
+        });
+
+        const stateName = region.stateName;
+        const sorted = [...region.states].sort((a, c) => a.id - c.id);
+        const tree = (states) => {
+            if (states.length === 1) return states[0].body;
+            const mid = states.length >> 1;
+            const low = tree(states.slice(0, mid));
+            const high = tree(states.slice(mid));
+            const pivot = b.number(states[mid].id);
+            const state = b.identifier(stateName);
+            // Alternate the comparison so every split does not look the same
+            if (this.random.float() < 0.5) {
+                return [b.ifStatement([b.ifClause(b.binary('<', state, pivot), low), b.elseClause(high)])];
+            }
+            return [b.ifStatement([b.ifClause(b.binary('>=', state, pivot), high), b.elseClause(low)])];
+        };
+
+        const statements = [];
+        const hoisted = region.hoisted.map(name => b.identifier(name));
+        statements.push(b.local([b.identifier(stateName), ...hoisted], [b.number(entry.id)]));
+        statements.push(b.whileStatement(b.boolean(true), tree(sorted)));
+        if (breakState) {
+            statements.push(b.ifStatement([
+                b.ifClause(b.binary('==', b.identifier(stateName), b.number(breakState.id)), [b.breakStatement()])
+            ]));
+        }
+        return statements;
+    }
+}
+
+module.exports = ControlFlowFlattener;
@@ -0,0 +1,119 @@
+// Integrity Checker - Loads the program from a string chunk and verifies the FNV-1a digest of its string constants at startup
+const LuaParser = require('./parser');
+const CodeGenerator = require('./codegen');
+const SourceMap = require('./sourcemap');
+const Minifier = require('./minify');
+const { transform, clearLines, builders: b } = require('./ast');
+
+const FNV_OFFSET = 2166136261;
+const FNV_PRIME = 16777619;
+
+class IntegrityChecker {
+    constructor(options) {
+        this.target = options.target;
+        this.generateName = options.generateName;
+        // Whether the build is minified; the chunk is minified along with it
+        this.minify = options.minify || false;
+        // Name and line table of the chunk the program is loaded from, once protected,
+        // and the bytes minifying it saved
+        this.chunkName = null;
+        this.chunkLines = null;
+        this.savedBytes = 0;
+    }
+
+    // The program is generated into a chunk loaded from a string at startup, and every
+    // string constant of the result, that chunk included, moves into one table. The code
+    // the program runs (its functions, encrypted strings, encrypted chunks and virtualized
+    // function bodies) is then exactly what is hashed. Hashing values rather than source
+    // text means no debug library is needed and reformatting the code does not matter.
+    protect(ast) {
+        const program = this.embed(ast);
+        const tableName = this.generateName();
+        const constants = [];
+        const indices = new Map();
+
+        transform(program, (node) => {
+            if (node.type !== 'StringLiteral') return undefined;
+            if (!indices.has(node.value)) {
+                constants.push(node);
+                indices.set(node.value, constants.length);
+            }
+            return b.index(b.identifier(tableName), b.number(indices.get(node.value)));
+        });
+
+        const table = b.local([b.identifier(tableName)], [b.table(constants.map(literal => b.tableValue(literal)))]);
+        program.body.unshift(table, ...this.verifier(tableName, IntegrityChecker.digest(constants.map(literal => literal.value))));
+        return program;
+    }
+
+    // The program as a named chunk loaded with the target's loader and called with the
+    // script's arguments; errors inside it are mapped back through its line table
+    embed(ast) {
+        const generator = new CodeGenerator();
+        let chunk = generator.generate(ast);
+        if (this.minify) {
+            const minified = new Minifier({ target: this.target }).minify(chunk);
+            this.savedBytes = Buffer.byteLength(chunk) - Buffer.byteLength(minified);
+            chunk = minified;
+        }
+        this.chunkName = this.generateName();
+        this.chunkLines = SourceMap.lineTable(generator.mappings);
+
+        const { load } = this.target.runtime;
+        const loader = clearLines(LuaParser.parse(`return ${load}(${CodeGenerator.quoteString(chunk)}, "=${this.chunkName}")(...)`, { target: this.target }));
+        // The chunk is written out as the code it is, not as one escaped line
+        transform(loader, (node) => {
+            if (node.type === 'StringLiteral' && node.value === chunk) node.long = true;
+        });
+        return loader;
+    }
+
+    // FNV-1a over the bytes of each constant, each followed by a zero byte. The Lua side
+    // has no bitwise operators on 5.1 and Luau, so XOR goes through a table of 4-bit
+    // results and the multiplication is split so every step stays exact in a double:
+    // h * 16777619 = h * 2^24 + h * 403, and h * 2^24 mod 2^32 only depends on h mod 2^8.
+    verifier(tableName, digest) {
+        const code = `
+-- Integrity verification
+do
+    local byte, xor, hash = string.byte, {}, ${FNV_OFFSET}
+    for a = 0, 15 do
+        for c = 0, 15 do
+            local result, bit, x, y = 0, 1, a, c
+            for _ = 1, 4 do
+                if x % 2 ~= y % 2 then result = result + bit end
+                x, y, bit = (x - x % 2) / 2, (y - y % 2) / 2, bit * 2
+            end
+            xor[a * 16 + c] = result
+        end
+    end
+    for i = 1, #${tableName} do
+        local constant = ${tableName}[i]
+        for j = 1, #constant + 1 do
+            local value, low = byte(constant, j) or 0, hash % 256
+            local mixed = xor[low - low % 16 + (value - value % 16) / 16] * 16 + xor[low % 16 * 16 + value % 16]
+            hash = hash - low + mixed
+            hash = (hash % 256 * 16777216 + hash * 403) % 4294967296
+        end
+    end
+    if hash ~= ${digest} then
+        error("Code integrity violation detected", 0)
+    end
+end`;
+        return clearLines(LuaParser.parse(code, { target: this.target })).body;
+    }
+
+    // Digest the generated verifier computes for the constants, as an unsigned 32-bit number
+    static digest(constants) {
+        let hash = FNV_OFFSET;
+        constants.forEach(constant => {
+            for (let i = 0; i <= constant.length; i++) {
+                const value = i < constant.length ? constant.charCodeAt(i) : 0;
+                hash = Math.imul(hash ^ value, FNV_PRIME) >>> 0;
+            }
+        });
+        return hash;
+    }
+}
+
+module.exports = IntegrityChecker;
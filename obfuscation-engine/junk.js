@@ -0,0 +1,146 @@
+// Junk Injector - Inserts opaque predicates and dead branches between statements
+const LuaParser = require('./parser');
+const { forEachBlock, clearLines } = require('./ast');
+
+// Statements that must end their block
+const TERMINATORS = new Set(['ReturnStatement', 'BreakStatement', 'ContinueStatement']);
+
+// Predicates on an integer K that hold for every integer, paired with a form that never holds.
+// Squares are 0 or 1 mod 3 and 4, and a product of consecutive integers is divisible by 2 and 6.
+const PREDICATES = [
+    ['(K * K + K) % 2 == 0', '(K * K + K) % 2 ~= 0'],
+    ['K * K % 4 < 2', 'K * K % 4 > 1'],
+    ['(K * K + 1) % 3 ~= 0', '(K * K + 1) % 3 == 0'],
+    ['K * (K + 1) * (K + 2) % 6 == 0', 'K * (K + 1) * (K + 2) % 6 ~= 0'],
+    ['K * K % 3 ~= 2', 'K * K % 3 == 2']
+];
+
+// Shapes a junk statement can take; LIVE code runs but only touches its own locals,
+// DEAD code sits behind a predicate that is never true
+const SHAPES = [
+    'if FALSE then DEAD end',
+    'if TRUE then LIVE else DEAD end',
+    'while FALSE do DEAD end',
+    'do LIVE end',
+    'repeat LIVE until TRUE'
+];
+
+// Opaque values stay small so every predicate is exact in doubles and 32-bit integers
+const VALUE_LIMIT = 1 << 10;
+
+class JunkInjector {
+    constructor(options) {
+        this.random = options.random;
+        this.target = options.target;
+        this.generateName = options.generateName;
+        // Chance of junk at each statement boundary
+        this.density = options.density === undefined ? 0.2 : options.density;
+        // Nodes inside statements annotated to be kept
+        this.excluded = options.excluded || new Set();
+    }
+
+    inject(ast) {
+        // Each build uses its own table of opaque values and its own mix of shapes
+        this.valuesName = this.generateName();
+        this.values = Array.from({ length: this.random.int(8, 17) }, () => this.random.int(-VALUE_LIMIT, VALUE_LIMIT));
+        this.shapes = this.random.shuffle(SHAPES).slice(0, this.random.int(3, SHAPES.length + 1));
+        this.predicates = this.random.shuffle(PREDICATES).slice(0, this.random.int(3, PREDICATES.length + 1));
+
+        // Blocks are collected first so junk is never injected into other junk
+        const blocks = [];
+        forEachBlock(ast, (body, owner) => {
+            if (!this.excluded.has(owner)) blocks.push(body);
+        });
+
+        let injected = 0;
+        blocks.forEach(body => {
+            for (let i = body.length; i >= 0; i--) {
+                if (!this.canInsert(body, i) || this.random.float() >= this.density) continue;
+                body.splice(i, 0, ...this.junk());
+                injected++;
+            }
+        });
+
+        if (injected > 0) {
+            const table = this.values.join(', ');
+            ast.body.unshift(...this.parse(`local ${this.valuesName} = {${table}}`));
+        }
+        return ast;
+    }
+
+    // Nothing may follow return, break or continue. A label that ends its block is
+    // outside the scope of the block's locals (Lua 5.2+), so it has to stay last.
+    canInsert(body, index) {
+        if (index === 0) return true;
+        const previous = body[index - 1];
+        return !TERMINATORS.has(previous.type) && previous.type !== 'LabelStatement';
+    }
+
+    junk() {
+        const fill = {
+            TRUE: () => this.predicate(true),
+            FALSE: () => this.predicate(false),
+            LIVE: () => this.live(),
+            DEAD: () => this.dead()
+        };
+        const code = this.random.pick(this.shapes).replace(/TRUE|FALSE|LIVE|DEAD/g, slot => fill[slot]());
+        return this.parse(code);
+    }
+
+    predicate(value) {
+        const [holds, fails] = this.random.pick(this.predicates);
+        const operand = this.value();
+        return (value ? holds : fails).replace(/K/g, () => operand);
+    }
+
+    value() {
+        return `${this.valuesName}[${this.random.int(1, this.values.length + 1)}]`;
+    }
+
+    constant() {
+        return this.random.int(2, 97);
+    }
+
+    // Arithmetic on fresh locals, so running it has no visible effect
+    live() {
+        const name = this.generateName();
+        const lines = [`local ${name} = ${this.value()} + ${this.constant()}`];
+        if (this.random.float() < 0.5) {
+            lines.push(`${name} = ${name} * ${this.constant()} % ${this.constant()}`);
+        }
+        if (this.random.float() < 0.5) {
+            const other = this.generateName();
+            lines.push(`local ${other} = ${name} - ${this.value()}`);
+        }
+        return lines.join(' ');
+    }
+
+    // Plausible code that is never reached: writes to the opaque table, early returns
+    dead() {
+        const statements = [];
+        const count = this.random.int(1, 4);
+        for (let i = 0; i < count; i++) {
+            switch (this.random.int(0, 3)) {
+                case 0:
+                    statements.push(`${this.value()} = ${this.value()} * ${this.constant()} - ${this.constant()}`);
+                    break;
+                case 1:
+                    statements.push(`local ${this.generateName()} = ${this.value()} % ${this.constant()}`);
+                    break;
+                default:
+                    statements.push(`${this.value()} = nil`);
+                    break;
+            }
+        }
+        if (this.random.float() < 0.3) {
+            statements.push(`return ${this.value()}`);
+        }
+        return statements.join(' ');
+    }
+
+    parse(code) {
+        return clearLines(LuaParser.parse(code, { target: this.target })).body;
+    }
+}
+
+module.exports = JunkInjector;
@@ -0,0 +1,437 @@
+// Lua Lexer - Converts Lua 5.1-5.4 and Luau source into a token stream
+const { TARGETS } = require('./targets');
+
+class LuaSyntaxError extends Error {
+    constructor(message, line, column) {
+        super(`[${line}:${column}] ${message}`);
+        this.name = 'LuaSyntaxError';
+        this.line = line;
+        this.column = column;
+    }
+}
+
+const ESCAPES = {
+    a: 7, b: 8, f: 12, n: 10, r: 13, t: 9, v: 11,
+    '\\': 92, '"': 34, "'": 39, '\n': 10, '\r': 10
+};
+
+class LuaLexer {
+    constructor(source, options = {}) {
+        const target = options.target || TARGETS['5.3'];
+        this.source = source;
+        this.options = options;
+        this.keywords = target.keywords;
+        this.symbols = target.symbols;
+        this.interpolation = target.features.interpolatedStrings;
+        this.binaryLiterals = target.features.binaryLiterals;
+        this.pos = 0;
+        this.line = 1;
+        this.lineStart = 0;
+        this.comments = [];
+
+        // Brace depths at which interpolated strings resume (Luau)
+        this.braceDepth = 0;
+        this.interpolationStack = [];
+    }
+
+    tokenize() {
+        const tokens = [];
+        let token;
+        do {
+            token = this.next();
+            tokens.push(token);
+        } while (token.type !== 'EOF');
+        return tokens;
+    }
+
+    error(message, line = this.line, column = this.pos - this.lineStart + 1) {
+        throw new LuaSyntaxError(message, line, column);
+    }
+
+    peekChar(offset = 0) {
+        return this.source.charAt(this.pos + offset);
+    }
+
+    newline() {
+        // Treat \r\n and \n\r as a single line break like the reference lexer
+        const ch = this.source[this.pos];
+        this.pos++;
+        const next = this.source[this.pos];
+        if ((next === '\n' || next === '\r') && next !== ch) {
+            this.pos++;
+        }
+        this.line++;
+        this.lineStart = this.pos;
+    }
+
+    skipWhitespaceAndComments() {
+        for (;;) {
+            const ch = this.source[this.pos];
+            if (ch === '\n' || ch === '\r') {
+                this.newline();
+            } else if (ch === ' ' || ch === '\t' || ch === '\f' || ch === '\v') {
+                this.pos++;
+            } else if (ch === '-' && this.source[this.pos + 1] === '-') {
+                this.readComment();
+            } else if (ch === '#' && this.pos === 0 && this.source[1] === '!') {
+                // Shebang line
+                while (this.pos < this.source.length && !/[\r\n]/.test(this.source[this.pos])) {
+                    this.pos++;
+                }
+            } else {
+                return;
+            }
+        }
+    }
+
+    readComment() {
+        const start = this.pos;
+        const line = this.line;
+        const column = start - this.lineStart + 1;
+        this.pos += 2;
+        let text;
+        let long = false;
+
+        const level = this.longBracketLevel();
+        if (level >= 0) {
+            text = this.readLongString(level);
+            long = true;
+        } else {
+            const textStart = this.pos;
+            while (this.pos < this.source.length && !/[\r\n]/.test(this.source[this.pos])) {
+                this.pos++;
+            }
+            text = this.source.slice(textStart, this.pos);
+        }
+
+        this.comments.push({
+            type: 'Comment',
+            value: text,
+            long,
+            raw: this.source.slice(start, this.pos),
+            line,
+            column,
+            lastLine: this.line,
+            range: [start, this.pos]
+        });
+    }
+
+    // Returns the level of a long bracket opening at the current position, or -1
+    longBracketLevel() {
+        if (this.source[this.pos] !== '[') return -1;
+        let level = 0;
+        while (this.source[this.pos + 1 + level] === '=') level++;
+        return this.source[this.pos + 1 + level] === '[' ? level : -1;
+    }
+
+    readLongString(level) {
+        const startLine = this.line;
+        this.pos += level + 2;
+        // A newline immediately following the opening bracket is skipped
+        if (this.source[this.pos] === '\n' || this.source[this.pos] === '\r') {
+            this.newline();
+        }
+        const close = ']' + '='.repeat(level) + ']';
+        let value = '';
+        for (;;) {
+            if (this.pos >= this.source.length) {
+                this.error('unfinished long string/comment', startLine);
+            }
+            if (this.source.startsWith(close, this.pos)) {
+                this.pos += close.length;
+                return value;
+            }
+            const ch = this.source[this.pos];
+            if (ch === '\n' || ch === '\r') {
+                this.newline();
+                value += '\n';
+            } else {
+                value += ch;
+                this.pos++;
+            }
+        }
+    }
+
+    makeToken(type, value, start, extra = {}) {
+        const { line = this.line, lineStart = this.lineStart, ...rest } = extra;
+        return {
+            type,
+            value,
+            line,
+            column: start - lineStart + 1,
+            range: [start, this.pos],
+            ...rest
+        };
+    }
+
+    next() {
+        this.skipWhitespaceAndComments();
+        const start = this.pos;
+
+        if (this.pos >= this.source.length) {
+            return this.makeToken('EOF', '<eof>', start);
+        }
+
+        const ch = this.source[this.pos];
+
+        if (/[A-Za-z_]/.test(ch)) {
+            while (/[A-Za-z0-9_]/.test(this.peekChar())) this.pos++;
+            const word = this.source.slice(start, this.pos);
+            return this.makeToken(this.keywords.has(word) ? 'Keyword' : 'Name', word, start);
+        }
+
+        if (/[0-9]/.test(ch) || (ch === '.' && /[0-9]/.test(this.peekChar(1)))) {
+            return this.readNumber(start);
+        }
+
+        if (ch === '"' || ch === "'") {
+            return this.readQuotedString(start, ch);
+        }
+
+        if (this.interpolation) {
+            if (ch === '`') {
+                return this.readInterpolatedSegment(start, false);
+            }
+            const stack = this.interpolationStack;
+            if (ch === '{') {
+                this.braceDepth++;
+            } else if (ch === '}') {
+                if (stack.length > 0 && stack[stack.length - 1] === this.braceDepth) {
+                    stack.pop();
+                    return this.readInterpolatedSegment(start, true);
+                }
+                this.braceDepth--;
+            }
+        }
+
+        if (ch === '[') {
+            const level = this.longBracketLevel();
+            if (level >= 0) {
+                const line = this.line;
+                const lineStart = this.lineStart;
+                const value = Buffer.from(this.readLongString(level), 'utf8').toString('latin1');
+                return this.makeToken('String', value, start, {
+                    line,
+                    lineStart,
+                    raw: this.source.slice(start, this.pos)
+                });
+            }
+        }
+
+        for (const symbol of this.symbols) {
+            if (this.source.startsWith(symbol, this.pos)) {
+                this.pos += symbol.length;
+                return this.makeToken('Symbol', symbol, start);
+            }
+        }
+
+        this.error(`unexpected symbol near '${ch}'`);
+    }
+
+    readNumber(start) {
+        const src = this.source;
+        let isFloat = false;
+
+        if (src[this.pos] === '0' && /[bB]/.test(src.charAt(this.pos + 1)) && this.binaryLiterals) {
+            // Luau binary literal
+            this.pos += 2;
+        } else if (src[this.pos] === '0' && /[xX]/.test(src.charAt(this.pos + 1))) {
+            this.pos += 2;
+            while (/[0-9a-fA-F.]/.test(src.charAt(this.pos))) {
+                if (src[this.pos] === '.') isFloat = true;
+                this.pos++;
+            }
+            if (/[pP]/.test(src.charAt(this.pos))) {
+                isFloat = true;
+                this.pos++;
+                if (/[+-]/.test(src.charAt(this.pos))) this.pos++;
+                while (/[0-9]/.test(src.charAt(this.pos))) this.pos++;
+            }
+        } else {
+            while (/[0-9.]/.test(src.charAt(this.pos))) {
+                if (src[this.pos] === '.') isFloat = true;
+                this.pos++;
+            }
+            if (/[eE]/.test(src.charAt(this.pos))) {
+                isFloat = true;
+                this.pos++;
+                if (/[+-]/.test(src.charAt(this.pos))) this.pos++;
+                while (/[0-9]/.test(src.charAt(this.pos))) this.pos++;
+            }
+        }
+
+        // Luau allows digit separators; they are accepted here and stripped
+        while (/[A-Za-z0-9_]/.test(src.charAt(this.pos))) this.pos++;
+
+        const raw = src.slice(start, this.pos);
+        const value = LuaLexer.parseNumber(raw);
+        if (value === null) {
+            this.error(`malformed number near '${raw}'`);
+        }
+        return this.makeToken('Number', value, start, { raw, isFloat });
+    }
+
+    static parseNumber(raw) {
+        const text = raw.replace(/_/g, '');
+        if (/^0[bB]/.test(text)) {
+            return /^0[bB][01]+$/.test(text) ? parseInt(text.slice(2), 2) : null;
+        }
+        if (/^0[xX]/.test(text)) {
+            const match = /^0[xX]([0-9a-fA-F]*)(?:\.([0-9a-fA-F]*))?(?:[pP]([+-]?[0-9]+))?$/.exec(text);
+            if (!match || (match[1] === '' && !match[2])) return null;
+            if (match[2] === undefined && match[3] === undefined) {
+                // Hex integers wrap around like Lua 5.3 integers
+                let value = 0n;
+                for (const digit of match[1]) {
+                    value = ((value << 4n) | BigInt(parseInt(digit, 16))) & 0xFFFFFFFFFFFFFFFFn;
+                }
+                return Number(BigInt.asIntN(64, value));
+            }
+            let value = parseInt(match[1] || '0', 16);
+            const fraction = match[2] || '';
+            for (let i = 0; i < fraction.length; i++) {
+                value += parseInt(fraction[i], 16) / Math.pow(16, i + 1);
+            }
+            return value * Math.pow(2, parseInt(match[3] || '0', 10));
+        }
+        if (!/^([0-9]+\.?[0-9]*|\.[0-9]+)([eE][+-]?[0-9]+)?$/.test(text)) return null;
+        return Number(text);
+    }
+
+    readQuotedString(start, quote) {
+        const src = this.source;
+        const line = this.line;
+        const lineStart = this.lineStart;
+        this.pos++;
+        let value = '';
+
+        for (;;) {
+            if (this.pos >= src.length) {
+                this.error('unfinished string', line);
+            }
+            const ch = src[this.pos];
+            if (ch === quote) {
+                this.pos++;
+                break;
+            }
+            if (ch === '\n' || ch === '\r') {
+                this.error('unfinished string', line);
+            }
+            if (ch === '\\') {
+                value += this.readEscape();
+            } else {
+                value += this.encodeChar(ch.codePointAt(0));
+                this.pos += ch.length;
+            }
+        }
+
+        return this.makeToken('String', value, start, {
+            line,
+            lineStart,
+            raw: src.slice(start, this.pos)
+        });
+    }
+
+    // Reads one segment of a Luau `interpolated {string}`. Segments ending in "{"
+    // are followed by an expression; the matching "}" resumes the string.
+    readInterpolatedSegment(start, resumed) {
+        const src = this.source;
+        const line = this.line;
+        const lineStart = this.lineStart;
+        this.pos++;
+        let value = '';
+
+        for (;;) {
+            if (this.pos >= src.length) {
+                this.error('unfinished interpolated string', line);
+            }
+            const ch = src[this.pos];
+            if (ch === '`' || ch === '{') {
+                this.pos++;
+                const closed = ch === '`';
+                if (!closed) {
+                    this.interpolationStack.push(this.braceDepth);
+                }
+                let type;
+                if (resumed) {
+                    type = closed ? 'InterpolationEnd' : 'InterpolationMiddle';
+                } else {
+                    type = closed ? 'InterpolatedString' : 'InterpolationBegin';
+                }
+                return this.makeToken(type, value, start, { line, lineStart, raw: src.slice(start, this.pos) });
+            }
+            if (ch === '\n' || ch === '\r') {
+                this.error('unfinished interpolated string', line);
+            }
+            if (ch === '\\') {
+                value += this.readEscape();
+            } else {
+                value += this.encodeChar(ch.codePointAt(0));
+                this.pos += ch.length;
+            }
+        }
+    }
+
+    // Reads the escape sequence at the current backslash and returns its bytes
+    readEscape() {
+        const src = this.source;
+        this.pos++;
+        const esc = src.charAt(this.pos);
+
+        if (esc === '\n' || esc === '\r') {
+            this.newline();
+            return '\n';
+        }
+        if (Object.prototype.hasOwnProperty.call(ESCAPES, esc)) {
+            this.pos++;
+            return String.fromCharCode(ESCAPES[esc]);
+        }
+        if (/[0-9]/.test(esc)) {
+            let digits = '';
+            while (digits.length < 3 && /[0-9]/.test(src.charAt(this.pos))) {
+                digits += src[this.pos++];
+            }
+            const code = parseInt(digits, 10);
+            if (code > 255) this.error('decimal escape too large');
+            return String.fromCharCode(code);
+        }
+        if (esc === 'x') {
+            const hex = src.substr(this.pos + 1, 2);
+            if (!/^[0-9a-fA-F]{2}$/.test(hex)) this.error('hexadecimal digit expected');
+            this.pos += 3;
+            return String.fromCharCode(parseInt(hex, 16));
+        }
+        if (esc === 'z') {
+            this.pos++;
+            while (/\s/.test(src.charAt(this.pos))) {
+                if (src[this.pos] === '\n' || src[this.pos] === '\r') {
+                    this.newline();
+                } else {
+                    this.pos++;
+                }
+            }
+            return '';
+        }
+        if (esc === 'u') {
+            const match = /^\{([0-9a-fA-F]+)\}/.exec(src.slice(this.pos + 1));
+            if (!match) this.error('missing { in \\u{xxxx}');
+            this.pos += match[0].length + 1;
+            return this.encodeChar(parseInt(match[1], 16));
+        }
+        if (this.interpolation && (esc === '{' || esc === '`')) {
+            this.pos++;
+            return esc;
+        }
+        this.error(`invalid escape sequence '\\${esc}'`);
+    }
+
+    // String values are kept as byte strings (one char per byte, UTF-8 encoded)
+    encodeChar(codePoint) {
+        if (codePoint < 0x80) return String.fromCharCode(codePoint);
+        return Buffer.from(String.fromCodePoint(codePoint), 'utf8').toString('latin1');
+    }
+}
+
+LuaLexer.LuaSyntaxError = LuaSyntaxError;
+
+module.exports = LuaLexer;
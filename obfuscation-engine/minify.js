@@ -0,0 +1,68 @@
+// Minifier - Drops redundant parentheses and reprints generated code with minimal whitespace
+const LuaLexer = require('./lexer');
+const { transform } = require('./ast');
+
+const WORD = /[A-Za-z0-9_]/;
+
+// Character pairs that would lex as one longer token if written together
+const JOINED = new Set([
+    '==', '~=', '<=', '>=', '//', '::', '<<', '>>', '..', '--', '[[', '[=',
+    '+=', '-=', '*=', '/=', '%=', '^=', '.='
+]);
+
+class Minifier {
+    constructor(options = {}) {
+        this.target = options.target;
+    }
+
+    // Parentheses only change the meaning of calls and "..." (they keep one value);
+    // everywhere else the code generator adds the ones precedence needs by itself
+    simplify(ast) {
+        return transform(ast, (node) => {
+            if (node.type !== 'ParenthesizedExpression') return undefined;
+            const inner = node.expression;
+            if (inner.type === 'CallExpression' || inner.type === 'VarargLiteral') return undefined;
+            return inner;
+        });
+    }
+
+    // Reprints the code token by token. Line breaks are kept so line numbers in
+    // errors still match the source map; indentation, comments and spaces are not.
+    minify(code) {
+        const tokens = new LuaLexer(code, { target: this.target }).tokenize();
+        let out = '';
+        let previous = null;
+        let line = 1;
+
+        tokens.forEach((token, i) => {
+            if (token.type === 'EOF') return;
+            // A semicolon only matters before "(", where it stops the line being read as a call
+            if (token.type === 'Symbol' && token.value === ';') {
+                const next = tokens[i + 1];
+                if (next.type !== 'Symbol' || next.value !== '(') return;
+            }
+
+            const text = code.slice(token.range[0], token.range[1]);
+            if (token.line > line) {
+                out += '\n'.repeat(token.line - line);
+            } else if (previous && this.needsSpace(previous, text)) {
+                out += ' ';
+            }
+            out += text;
+            line = token.line + (text.match(/\n/g) || []).length;
+            previous = { type: token.type, text };
+        });
+        return out;
+    }
+
+    needsSpace(previous, text) {
+        const last = previous.text[previous.text.length - 1];
+        const first = text[0];
+        if (WORD.test(last) && WORD.test(first)) return true;
+        // 1 .. 2 would be read as the malformed number 1..2
+        if (previous.type === 'Number' && first === '.') return true;
+        return JOINED.has(last + first);
+    }
+}
+
+module.exports = Minifier;
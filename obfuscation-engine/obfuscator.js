@@ -1,193 +1,231 @@
 // Advanced Lua Obfuscation Engine
-const crypto = require('crypto');
+const LuaParser = require('./parser');
+const CodeGenerator = require('./codegen');
+const ScopeAnalyzer = require('./scope');
+const StringCipher = require('./strings');
+const SeededRandom = require('./random');
+const ControlFlowFlattener = require('./flatten');
+const Virtualizer = require('./virtualizer');
+const ConstantObfuscator = require('./constants');
+const JunkInjector = require('./junk');
+const GlobalAliaser = require('./aliases');
+const SourceMap = require('./sourcemap');
+const Annotations = require('./annotations');
+const Minifier = require('./minify');
+const IntegrityChecker = require('./integrity');
+const PassRegistry = require('./passes');
+const { resolveTarget } = require('./targets');
+const { traverse, transform, clearLines, builders: b } = require('./ast');
 
 class LuaObfuscator {
     constructor(options = {}) {
+        if (typeof options === 'string') {
+            options = { tier: options };
+        }
+
+        // Passes available to this obfuscator; defaults to the built-in registry
+        this.passes = options.registry || LuaObfuscator.passes;
+
         this.options = {
             tier: options.tier || 'standard',
-            stringEncryption: options.stringEncryption !== false,
-            variableRenaming: options.variableRenaming !== false,
-            antiDebugging: options.antiDebugging !== false,
-            controlFlowFlattening: options.controlFlowFlattening || false,
-            bytecodeEncryption: options.bytecodeEncryption || false,
-            virtualization: options.virtualization || false,
-            integrityChecks: options.integrityChecks !== false,
+            target: options.target || 'luau',
             ...options
         };
-        
+        // Each pass is switched on by the option named after it
+        this.passes.names().forEach(name => {
+            this.options[name] = this.passes.isEnabled(name, options);
+        });
+
+        // Dialect the input is parsed as and the output must run on
+        this.target = resolveTarget(this.options.target);
+
+        // Every random choice comes from the seed, so a build can be reproduced exactly
+        this.seed = this.options.seed || SeededRandom.generateSeed();
+        this.random = new SeededRandom(this.seed);
+
+        // Secret that per-build keys are derived from
+        this.buildKey = this.options.buildKey || this.random.fork('build-key').hex(32);
+
+        // Original identifier names keyed by their generated replacement
         this.variableMap = new Map();
         this.stringMap = new Map();
         this.functionMap = new Map();
         this.varCounter = 0;
         this.stringCounter = 0;
         this.functionCounter = 0;
+
+        // Names kept as written by every pass; obfuscate() adds names kept by annotations
+        this.preserved = new Set(this.options.preserve || []);
+
+        // Names of the transforms run by the last obfuscate() call, in order
+        this.appliedTransforms = [];
+
+        // Sizes before and after minification of the last build, when minify is on
+        this.minification = null;
+
+        // Private map of the last build back to the original script
+        this.sourceMap = null;
+        this.chunkLines = {};
+        // Bytes saved minifying chunks the last build embeds as strings
+        this.chunkSavings = 0;
     }
 
-    obfuscate(sourceCode) {
-        let obfuscated = sourceCode;
-        
-        // Apply obfuscation techniques based on tier
-        if (this.options.stringEncryption) {
-            obfuscated = this.encryptStrings(obfuscated);
-        }
-        
-        if (this.options.variableRenaming) {
-            obfuscated = this.renameVariables(obfuscated);
-        }
-        
-        if (this.options.antiDebugging) {
-            obfuscated = this.addAntiDebugging(obfuscated);
-        }
-        
-        // Premium tier features
-        if (this.options.tier === 'premium') {
-            if (this.options.controlFlowFlattening) {
-                obfuscated = this.flattenControlFlow(obfuscated);
-            }
-            
-            if (this.options.bytecodeEncryption) {
-                obfuscated = this.encryptBytecode(obfuscated);
-            }
-            
-            if (this.options.virtualization) {
-                obfuscated = this.virtualize(obfuscated);
+    // Accepts Lua source or a chunk produced by ModuleBundler
+    obfuscate(source) {
+        let ast = typeof source === 'string' ? this.parse(source) : source;
+        this.appliedTransforms = [];
+        this.chunkLines = {};
+        this.chunkSavings = 0;
+        this.minification = null;
+        this.sources = ast.sources || null;
+
+        // Names no pass may rename or alias: the preserve list and --@enigma:keep annotations
+        this.preserved = new Set([...(this.options.preserve || []), ...(ast.preserve || [])]);
+
+        const pipeline = this.passes.plan(this.passes.enabledNames(this.options), {
+            order: this.options.passOrder,
+            tier: this.options.tier
+        });
+        pipeline.forEach((pass, index) => {
+            ast = pass.run(ast, this, this.passOptions(pass));
+            this.appliedTransforms.push(pass.name);
+            // onPass(name, done, total, ast) reports progress to long-running builds and
+            // lets previews show the script after each pass
+            if (this.options.onPass) this.options.onPass(pass.name, index + 1, pipeline.length, ast);
+        });
+
+        return this.wrapObfuscatedCode(ast);
+    }
+
+    // Options of a pass from passOptions[name]; top-level options of the same name also apply
+    passOptions(pass) {
+        const values = {};
+        Object.keys(pass.options).forEach(key => {
+            if (this.options[key] !== undefined) values[key] = this.options[key];
+        });
+        Object.assign(values, (this.options.passOptions || {})[pass.name]);
+        return this.passes.resolveOptions(pass.name, values);
+    }
+
+    parse(sourceCode) {
+        return Annotations.attach(LuaParser.parse(sourceCode, { target: this.target }));
+    }
+
+    // Nodes inside statements annotated with --@enigma:keep or one of the given directives
+    annotated(ast, ...directives) {
+        return Annotations.within(ast, ['keep', ...directives]);
+    }
+
+    generate(ast) {
+        return CodeGenerator.generate(ast);
+    }
+
+    // Parses a runtime snippet into statements that can be spliced into the tree
+    parseSnippet(code) {
+        return clearLines(LuaParser.parse(code, { target: this.target })).body;
+    }
+
+    encryptStrings(ast) {
+        const cipher = new StringCipher(this.buildKey);
+        const decoderName = this.generateVariableName();
+        const saltBase = this.random.int(1, 1 << 16);
+        const excluded = this.annotated(ast, 'nostrings');
+
+        // Replace every string literal with a call to the local decoder
+        transform(ast, (node) => {
+            if (node.type !== 'StringLiteral' || node.value.length === 0 || excluded.has(node)) return undefined;
+
+            let entry = this.stringMap.get(node.value);
+            if (!entry) {
+                const salt = saltBase + this.stringCounter++;
+                entry = { salt, data: cipher.encrypt(node.value, salt) };
+                this.stringMap.set(node.value, entry);
             }
-        }
-        
-        if (this.options.integrityChecks) {
-            obfuscated = this.addIntegrityChecks(obfuscated);
-        }
-        
-        return this.wrapObfuscatedCode(obfuscated);
+            return b.call(b.identifier(decoderName), [b.string(entry.data), b.number(entry.salt)]);
+        });
+
+        // The decoder is a local so it cannot be hooked through _G
+        const decoder = this.parseSnippet(`return ${cipher.generateDecoder()}`)[0].arguments[0];
+        ast.body.unshift(b.local([b.identifier(decoderName)], [decoder]));
+        return ast;
     }
 
-    encryptStrings(code) {
-        // Find all string literals
-        const stringRegex = /"([^"\\]|\\.)*"|'([^'\\]|\\.)*'/g;
-        const strings = [];
-        let match;
-        
-        while ((match = stringRegex.exec(code)) !== null) {
-            strings.push({
-                original: match[0],
-                content: match[0].slice(1, -1), // Remove quotes
-                index: match.index
+    renameVariables(ast, options = {}) {
+        const scope = ScopeAnalyzer.analyze(ast);
+        const taken = scope.globalNames();
+        const excluded = this.annotated(ast);
+        const renamable = (binding) => !this.preserved.has(binding.name) &&
+            !binding.declarations.some(identifier => excluded.has(identifier));
+
+        const rename = (binding) => {
+            let newName;
+            do {
+                newName = this.generateVariableName();
+            } while (taken.has(newName));
+            taken.add(newName);
+
+            this.variableMap.set(newName, binding.name);
+            binding.declarations.forEach(identifier => { identifier.name = newName; });
+            binding.references.forEach(identifier => { identifier.name = newName; });
+        };
+
+        // Locals, parameters and loop variables are always safe to rename
+        scope.localBindings().filter(renamable).forEach(rename);
+
+        // Globals are shared with the host environment, so they are opt-in
+        const { renameGlobals, renameFields: fields = [] } = options;
+        if (renameGlobals) {
+            scope.globals.forEach((binding, name) => {
+                const selected = Array.isArray(renameGlobals) ? renameGlobals.includes(name) : true;
+                if (selected && binding.assigned && !this.isReservedWord(name) && renamable(binding)) {
+                    rename(binding);
+                }
             });
         }
-        
-        // Replace strings with encrypted versions
-        let result = code;
-        for (let i = strings.length - 1; i >= 0; i--) {
-            const str = strings[i];
-            const encrypted = this.encryptString(str.content);
-            const decryptCall = `_G._EC_decrypt("${encrypted}")`;
-            result = result.substring(0, str.index) + decryptCall + result.substring(str.index + str.original.length);
+
+        const renamedFields = fields.filter(name => !this.preserved.has(name));
+        if (renamedFields.length > 0) {
+            this.renameFields(ast, renamedFields, excluded);
         }
-        
-        // Add decryption function
-        const decryptFunction = this.generateDecryptFunction();
-        return decryptFunction + '\n' + result;
-    }
 
-    encryptString(str) {
-        const key = crypto.randomBytes(16);
-        const iv = crypto.randomBytes(16);
-        const cipher = crypto.createCipher('aes-256-cbc', key);
-        
-        let encrypted = cipher.update(str, 'utf8', 'hex');
-        encrypted += cipher.final('hex');
-        
-        // Encode key and IV with the encrypted string
-        const combined = key.toString('hex') + ':' + iv.toString('hex') + ':' + encrypted;
-        return Buffer.from(combined).toString('base64');
+        return ast;
     }
 
-    generateDecryptFunction() {
-        return `
--- String decryption function
-_G._EC_decrypt = function(encrypted)
-    local base64_chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/'
-    local function base64_decode(data)
-        data = string.gsub(data, '[^'..base64_chars..'=]', '')
-        return (data:gsub('.', function(x)
-            if (x == '=') then return '' end
-            local r,f='',(base64_chars:find(x)-1)
-            for i=6,1,-1 do r=r..(f%2^i-f%2^(i-1)>0 and '1' or '0') end
-            return r;
-        end):gsub('%d%d%d?%d?%d?%d?%d?%d?', function(x)
-            if (#x ~= 8) then return '' end
-            local c=0
-            for i=1,8 do c=c+(x:sub(i,i)=='1' and 2^(8-i) or 0) end
-            return string.char(c)
-        end))
-    end
-    
-    local decoded = base64_decode(encrypted)
-    local parts = {}
-    for part in decoded:gmatch("[^:]+") do
-        table.insert(parts, part)
-    end
-    
-    -- Simple XOR decryption for demo (in production, use proper AES)
-    local key = parts[1]
-    local result = ""
-    local keyIndex = 1
-    for i = 1, #parts[3] do
-        local char = string.byte(parts[3], i)
-        local keyChar = string.byte(key, ((keyIndex - 1) % #key) + 1)
-        result = result .. string.char(char ~ keyChar)
-        keyIndex = keyIndex + 1
-    end
-    
-    return result
-end`;
-    }
+    renameFields(ast, fieldNames, excluded = new Set()) {
+        const fieldMap = new Map();
+        fieldNames.forEach(name => {
+            const newName = this.generateVariableName();
+            fieldMap.set(name, newName);
+            this.variableMap.set(newName, name);
+        });
 
-    renameVariables(code) {
-        // Find variable declarations and usages
-        const patterns = [
-            /local\s+([a-zA-Z_][a-zA-Z0-9_]*)/g,
-            /function\s+([a-zA-Z_][a-zA-Z0-9_]*)/g,
-            /([a-zA-Z_][a-zA-Z0-9_]*)\s*=/g
-        ];
-        
-        let result = code;
-        
-        // First pass: identify variables
-        patterns.forEach(pattern => {
-            let match;
-            while ((match = pattern.exec(code)) !== null) {
-                const varName = match[1];
-                if (!this.isReservedWord(varName) && !this.variableMap.has(varName)) {
-                    this.variableMap.set(varName, this.generateVariableName());
+        traverse(ast, {
+            enter: (node) => {
+                const field = node.type === 'MemberExpression' || node.type === 'TableKeyString'
+                    ? (node.identifier || node.key)
+                    : null;
+                if (field && fieldMap.has(field.name) && !excluded.has(node)) {
+                    field.name = fieldMap.get(field.name);
                 }
             }
         });
-        
-        // Second pass: replace variables
-        this.variableMap.forEach((newName, oldName) => {
-            const regex = new RegExp(`\\b${oldName}\\b`, 'g');
-            result = result.replace(regex, newName);
-        });
-        
-        return result;
     }
 
     generateVariableName() {
         const chars = 'abcdefghijklmnopqrstuvwxyz';
         const nums = '0123456789';
         let name = '_';
-        
+
         // Generate obfuscated variable name
         for (let i = 0; i < 8; i++) {
             if (i === 0) {
-                name += chars[Math.floor(Math.random() * chars.length)];
+                name += this.random.pick(chars);
             } else {
                 const charset = chars + nums;
-                name += charset[Math.floor(Math.random() * charset.length)];
+                name += this.random.pick(charset);
             }
         }
-        
+
         return name + this.varCounter++;
     }
 
@@ -201,7 +239,7 @@ end`;
         return reserved.includes(word);
     }
 
-    addAntiDebugging(code) {
+    addAntiDebugging(ast) {
         const antiDebugChecks = `
 -- Anti-debugging protection
 local function _EC_antiDebug()
@@ -209,7 +247,7 @@ local function _EC_antiDebug()
     if debug and debug.getinfo then
         error("Debug library detected", 0)
     end
-    
+
     -- Check for common debugging functions
     local banned = {"debug", "getfenv", "setfenv", "loadstring", "dofile", "loadfile"}
     for _, func in pairs(banned) do
@@ -217,213 +255,175 @@ local function _EC_antiDebug()
             _G[func] = function() error("Function blocked", 0) end
         end
     end
-    
+
     -- Environment integrity check
     local env_hash = 0
     for k, v in pairs(_G) do
         env_hash = env_hash + #tostring(k) + #tostring(type(v))
     end
-    
+
     return env_hash
 end
 
 local _EC_hash = _EC_antiDebug()
 `;
-        
-        return antiDebugChecks + code;
+
+        ast.body.unshift(...this.parseSnippet(antiDebugChecks));
+        return ast;
     }
 
-    flattenControlFlow(code) {
-        // Control flow flattening - convert if/else and loops to switch-like structures
-        let result = code;
-        
-        // Find if-then-else blocks and flatten them
-        const ifPattern = /if\s+(.+?)\s+then\s+(.*?)\s+(?:else\s+(.*?)\s+)?end/gs;
-        
-        result = result.replace(ifPattern, (match, condition, thenBlock, elseBlock) => {
-            const stateVar = this.generateVariableName();
-            const conditionVar = this.generateVariableName();
-            
-            let flattened = `
-local ${conditionVar} = ${condition}
-local ${stateVar} = ${conditionVar} and 1 or 2
-
-while ${stateVar} ~= 0 do
-    if ${stateVar} == 1 then
-        ${thenBlock}
-        ${stateVar} = 0
-    elseif ${stateVar} == 2 then
-        ${elseBlock || ''}
-        ${stateVar} = 0
-    end
-end`;
-            
-            return flattened;
+    aliasGlobals(ast, options = {}) {
+        const aliaser = new GlobalAliaser({
+            random: this.random.fork('aliases'),
+            target: this.target,
+            generateName: () => this.generateVariableName(),
+            key: this.buildKey,
+            allowlist: [...(options.allowlist || []), ...this.preserved],
+            excluded: this.annotated(ast)
         });
-        
-        return result;
+        return aliaser.alias(ast);
     }
 
-    encryptBytecode(code) {
-        // Simulate bytecode encryption by encoding the entire script
-        const encoded = Buffer.from(code).toString('base64');
-        const key = crypto.randomBytes(32).toString('hex');
-        
-        return `
--- Bytecode encryption wrapper
-local function _EC_decrypt_bytecode(encoded, key)
-    local decoded = ""
-    local keyIndex = 1
-    
-    -- Base64 decode
-    local b64chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/'
-    encoded = encoded:gsub('[^'..b64chars..'=]', '')
-    local padded = encoded:gsub('.', function(x)
-        if x == '=' then return '' end
-        local r, f = '', (b64chars:find(x) - 1)
-        for i = 6, 1, -1 do
-            r = r .. (f % 2^i - f % 2^(i-1) > 0 and '1' or '0')
-        end
-        return r
-    end):gsub('%d%d%d?%d?%d?%d?%d?%d?', function(x)
-        if #x ~= 8 then return '' end
-        local c = 0
-        for i = 1, 8 do
-            c = c + (x:sub(i,i) == '1' and 2^(8-i) or 0)
-        end
-        return string.char(c)
-    end)
-    
-    -- XOR decrypt
-    for i = 1, #decoded do
-        local char = string.byte(decoded, i)
-        local keyChar = string.byte(key, ((keyIndex - 1) % #key) + 1)
-        decoded = decoded .. string.char(char ~ keyChar)
-        keyIndex = keyIndex + 1
-    end
-    
-    return decoded
-end
+    injectJunk(ast, options = {}) {
+        const injector = new JunkInjector({
+            random: this.random.fork('junk'),
+            target: this.target,
+            generateName: () => this.generateVariableName(),
+            density: options.density,
+            excluded: this.annotated(ast)
+        });
+        return injector.inject(ast);
+    }
 
-local _EC_code = "${encoded}"
-local _EC_key = "${key}"
-local _EC_decrypted = _EC_decrypt_bytecode(_EC_code, _EC_key)
-loadstring(_EC_decrypted)()`;
+    obfuscateConstants(ast, options = {}) {
+        const obfuscator = new ConstantObfuscator({
+            random: this.random.fork('constants'),
+            target: this.target,
+            intensity: options.intensity,
+            coverage: options.coverage,
+            excluded: this.annotated(ast)
+        });
+        return obfuscator.obfuscate(ast);
     }
 
-    virtualize(code) {
-        // Create a simple virtual machine for Lua code execution
-        return `
--- Virtual Machine Protection
-local _EC_VM = {
-    stack = {},
-    registers = {},
-    pc = 1,
-    instructions = {}
-}
+    flattenControlFlow(ast) {
+        const flattener = new ControlFlowFlattener({
+            random: this.random,
+            target: this.target,
+            generateName: () => this.generateVariableName(),
+            onRename: (newName, oldName) => {
+                this.variableMap.set(newName, this.variableMap.get(oldName) || oldName);
+            },
+            preserved: this.preserved,
+            excluded: this.annotated(ast)
+        });
+        return flattener.flatten(ast);
+    }
 
-function _EC_VM:push(value)
-    table.insert(self.stack, value)
-end
+    encryptBytecode(ast) {
+        // Encrypt the generated script and load it at runtime with the target's loader
+        const cipher = new StringCipher(`${this.buildKey}:bytecode`);
+        const salt = this.random.int(1, 1 << 16);
+        const generator = new CodeGenerator();
+        let chunk = generator.generate(ast);
+        // The minify pass runs last, after this chunk is already encrypted
+        if (this.options.minify) chunk = new Minifier({ target: this.target }).minify(chunk);
+        const payload = CodeGenerator.quoteString(cipher.encrypt(chunk, salt));
+        const { load } = this.target.runtime;
 
-function _EC_VM:pop()
-    return table.remove(self.stack)
-end
+        // The chunk gets its own name so errors inside it can be mapped back
+        const chunkName = this.generateVariableName();
+        this.chunkLines[chunkName] = SourceMap.lineTable(generator.mappings);
 
-function _EC_VM:execute()
-    while self.pc <= #self.instructions do
-        local instr = self.instructions[self.pc]
-        local op = instr[1]
-        
-        if op == "LOAD" then
-            self:push(instr[2])
-        elseif op == "CALL" then
-            local func = self:pop()
-            local args = {}
-            for i = 1, instr[2] do
-                table.insert(args, 1, self:pop())
-            end
-            local result = func(unpack(args))
-            if result ~= nil then
-                self:push(result)
-            end
-        elseif op == "JMP" then
-            self.pc = instr[2] - 1
-        end
-        
-        self.pc = self.pc + 1
-    end
-end
+        const wrapper = `
+-- Bytecode encryption wrapper
+local _EC_decrypt_bytecode = ${cipher.generateDecoder()}
+local _EC_chunk = ${load}(_EC_decrypt_bytecode(${payload}, ${salt}), "=${chunkName}")
+return _EC_chunk()`;
 
--- Convert original code to VM instructions
-${this.codeToVMInstructions(code)}
-_EC_VM:execute()`;
+        return b.chunk(this.parseSnippet(wrapper));
     }
 
-    codeToVMInstructions(code) {
-        // Simplified conversion - in production this would be much more sophisticated
-        const lines = code.split('\n');
-        let instructions = [];
-        
-        lines.forEach(line => {
-            line = line.trim();
-            if (line.includes('print(')) {
-                const match = line.match(/print\((.+)\)/);
-                if (match) {
-                    instructions.push(`{"LOAD", print}`);
-                    instructions.push(`{"LOAD", ${match[1]}}`);
-                    instructions.push(`{"CALL", 1}`);
-                }
-            }
+    virtualize(ast) {
+        // Compile the script to this build's instruction set and run it on an embedded interpreter
+        const virtualizer = new Virtualizer({
+            random: this.random.fork('virtualization'),
+            target: this.target,
+            generateName: () => this.generateVariableName()
         });
-        
-        return `_EC_VM.instructions = {${instructions.join(', ')}}`;
+        return b.chunk(virtualizer.virtualize(ast));
+    }
+
+    addIntegrityChecks(ast) {
+        const checker = new IntegrityChecker({
+            target: this.target,
+            generateName: () => this.generateVariableName(),
+            minify: this.appliedTransforms.includes('minify')
+        });
+        const protectedAst = checker.protect(ast);
+        this.chunkLines[checker.chunkName] = checker.chunkLines;
+        this.chunkSavings += checker.savedBytes;
+        return protectedAst;
+    }
+
+    minify(ast) {
+        return new Minifier({ target: this.target }).simplify(ast);
     }
 
-    addIntegrityChecks(code) {
-        const hash = crypto.createHash('sha256').update(code).digest('hex');
-        
-        return `
--- Integrity verification
-local function _EC_verify_integrity()
-    local current_code = debug.getinfo(1, "S").source
-    local expected_hash = "${hash}"
-    
-    -- Simple hash check (in production, use proper hashing)
-    local actual_hash = 0
-    for i = 1, #current_code do
-        actual_hash = actual_hash + string.byte(current_code, i)
+    wrapObfuscatedCode(ast) {
+        const wrapper = this.parseSnippet(`
+return (function(...)
+    local _EC_protected = function(...)
     end
-    
-    if tostring(actual_hash) ~= expected_hash then
-        error("Code integrity violation detected", 0)
+
+    -- Execute in protected environment; the script's results are passed on
+    local function _EC_finish(success, ...)
+        if not success then
+            -- Silent failure - no error reporting
+            return
+        end
+        return ...
     end
-end
+    return _EC_finish(pcall(_EC_protected, ...))
+end)(...)`);
 
-_EC_verify_integrity()
-${code}`;
-    }
+        // Splice the protected program into the wrapper function body
+        const protectedFunction = wrapper[0].arguments[0].base.body[0].init[0];
+        protectedFunction.body = ast.body;
 
-    wrapObfuscatedCode(code) {
-        const wrapper = `
+        const banner = `
 -- EnigmaCode Protected Script
 -- Unauthorized modification or reverse engineering is prohibited
--- Generated: ${new Date().toISOString()}
 
-(function()
-    local _EC_protected = function()
-        ${code}
-    end
-    
-    -- Execute in protected environment
-    local success, error = pcall(_EC_protected)
-    if not success then
-        -- Silent failure - no error reporting
-        return
-    end
-end)()`;
-        
-        return wrapper;
+`;
+
+        const generator = new CodeGenerator();
+        let code = banner + generator.generate(b.chunk(wrapper));
+        let bannerLines = banner.split('\n').length - 1;
+
+        // Minified builds drop the banner; lines are kept, so the line table still applies
+        if (this.appliedTransforms.includes('minify')) {
+            // Chunks minified before they were embedded count towards the original size
+            const minified = new Minifier({ target: this.target }).minify(code.slice(banner.length));
+            const originalSize = Buffer.byteLength(code) + this.chunkSavings;
+            this.minification = {
+                originalSize,
+                minifiedSize: Buffer.byteLength(minified),
+                savedBytes: originalSize - Buffer.byteLength(minified)
+            };
+            code = minified;
+            bannerLines = 0;
+        }
+
+        this.sourceMap = new SourceMap({
+            file: this.options.fileName,
+            sources: this.sources,
+            names: Object.fromEntries(this.variableMap),
+            lines: SourceMap.lineTable(generator.mappings, bannerLines),
+            chunks: this.chunkLines
+        });
+
+        return code;
     }
 
     // Static method for easy usage
@@ -433,4 +433,125 @@ end)()`;
     }
 }
 
+// Built-in passes in their default order. Passes that hide the whole program run after
+// the source-level ones, and the integrity check hashes the final code, so it runs last.
+const SOURCE_PASSES = [
+    'stringEncryption', 'variableRenaming', 'antiDebugging', 'globalAliasing', 'junkCode',
+    'constantObfuscation', 'controlFlowFlattening'
+];
+
+LuaObfuscator.passes = new PassRegistry()
+    .register({
+        name: 'stringEncryption',
+        description: 'Encrypts string literals with a per-build key and decrypts them at runtime',
+        enabled: true,
+        run: (ast, obfuscator) => obfuscator.encryptStrings(ast)
+    })
+    .register({
+        name: 'variableRenaming',
+        description: 'Replaces local names, and optionally globals and fields, with generated names',
+        enabled: true,
+        options: {
+            renameGlobals: {
+                type: ['boolean', 'string[]'],
+                default: false,
+                description: 'Also rename globals the script assigns: true for all, or a list of names'
+            },
+            renameFields: {
+                type: 'string[]',
+                default: [],
+                description: 'Table fields to rename everywhere they are used'
+            }
+        },
+        run: (ast, obfuscator, options) => obfuscator.renameVariables(ast, options)
+    })
+    .register({
+        name: 'antiDebugging',
+        description: 'Stops the script when debugging functions are present',
+        enabled: true,
+        run: (ast, obfuscator) => obfuscator.addAntiDebugging(ast)
+    })
+    .register({
+        name: 'globalAliasing',
+        description: 'Hoists library and service lookups into an encrypted table resolved at startup',
+        // The table is built before anti-debugging locks down the environment
+        after: ['antiDebugging'],
+        options: {
+            allowlist: {
+                type: 'string[]',
+                default: [],
+                description: 'Globals, fields or methods to keep literal, as in print, string.format or game:GetService'
+            }
+        },
+        run: (ast, obfuscator, options) => obfuscator.aliasGlobals(ast, options)
+    })
+    .register({
+        name: 'junkCode',
+        description: 'Inserts opaque predicates and dead branches between statements',
+        options: {
+            density: {
+                type: 'number',
+                default: 0.2,
+                min: 0,
+                max: 1,
+                description: 'Chance of junk code at each statement boundary'
+            }
+        },
+        run: (ast, obfuscator, options) => obfuscator.injectJunk(ast, options)
+    })
+    .register({
+        name: 'constantObfuscation',
+        description: 'Rewrites numbers into equivalent arithmetic and booleans into comparisons',
+        options: {
+            intensity: {
+                type: 'number',
+                default: 1,
+                min: 1,
+                max: 3,
+                description: 'How deeply the generated expressions nest'
+            },
+            coverage: {
+                type: 'number',
+                default: 1,
+                min: 0,
+                max: 1,
+                description: 'Share of literals that are rewritten'
+            }
+        },
+        run: (ast, obfuscator, options) => obfuscator.obfuscateConstants(ast, options)
+    })
+    .register({
+        name: 'controlFlowFlattening',
+        description: 'Turns function bodies into shuffled state-machine dispatchers',
+        tier: 'premium',
+        run: (ast, obfuscator) => obfuscator.flattenControlFlow(ast)
+    })
+    .register({
+        name: 'bytecodeEncryption',
+        description: 'Encrypts the generated script and loads it at runtime',
+        tier: 'premium',
+        after: SOURCE_PASSES,
+        run: (ast, obfuscator) => obfuscator.encryptBytecode(ast)
+    })
+    .register({
+        name: 'virtualization',
+        description: 'Compiles the script to per-build bytecode run by an embedded interpreter',
+        tier: 'premium',
+        after: [...SOURCE_PASSES, 'bytecodeEncryption'],
+        run: (ast, obfuscator) => obfuscator.virtualize(ast)
+    })
+    .register({
+        name: 'minify',
+        description: 'Removes comments, indentation, redundant spaces, parentheses and semicolons',
+        after: [...SOURCE_PASSES, 'bytecodeEncryption', 'virtualization'],
+        run: (ast, obfuscator) => obfuscator.minify(ast)
+    })
+    .register({
+        name: 'integrityChecks',
+        description: 'Hashes the code and string constants of the build, encrypted code included, and stops the script if they change',
+        enabled: true,
+        after: [...SOURCE_PASSES, 'bytecodeEncryption', 'virtualization', 'minify'],
+        run: (ast, obfuscator) => obfuscator.addIntegrityChecks(ast)
+    });
+
 module.exports = LuaObfuscator;
@@ -0,0 +1,887 @@
+// Lua Parser - Builds an AST from the token stream produced by LuaLexer
+const LuaLexer = require('./lexer');
+const { TARGETS, resolveTarget } = require('./targets');
+
+const { LuaSyntaxError } = LuaLexer;
+
+// Binary operator priorities [left, right], mirroring lparser.c
+const BINARY_PRIORITY = {
+    'or': [1, 1],
+    'and': [2, 2],
+    '<': [3, 3], '>': [3, 3], '<=': [3, 3], '>=': [3, 3], '~=': [3, 3], '==': [3, 3],
+    '|': [4, 4],
+    '~': [5, 5],
+    '&': [6, 6],
+    '<<': [7, 7], '>>': [7, 7],
+    '..': [9, 8],
+    '+': [10, 10], '-': [10, 10],
+    '*': [11, 11], '/': [11, 11], '//': [11, 11], '%': [11, 11],
+    '^': [14, 13]
+};
+
+const UNARY_PRIORITY = 12;
+
+// Operators that only exist in some dialects, keyed by the feature they need
+const OPERATOR_FEATURES = {
+    '&': 'bitwiseOperators',
+    '|': 'bitwiseOperators',
+    '~': 'bitwiseOperators',
+    '<<': 'bitwiseOperators',
+    '>>': 'bitwiseOperators',
+    '//': 'integerDivision'
+};
+
+const COMPOUND_OPERATORS = ['+=', '-=', '*=', '/=', '//=', '%=', '^=', '..='];
+
+// Tokens after "continue" that make it an ordinary identifier in Luau
+const CONTINUE_SUFFIXES = ['(', '.', '[', ':', '=', ',', '{', ...COMPOUND_OPERATORS];
+
+class LuaParser {
+    constructor(source, options = {}) {
+        // Without an explicit target the parser accepts the full Lua 5.4 grammar
+        this.target = options.target ? resolveTarget(options.target) : TARGETS['5.3'];
+        this.features = this.target.features;
+        this.options = options;
+        this.lexer = new LuaLexer(source, { ...options, target: this.target });
+        this.tokens = this.lexer.tokenize();
+        this.index = 0;
+        this.token = this.tokens[0];
+    }
+
+    static parse(source, options = {}) {
+        return new LuaParser(source, options).parseChunk();
+    }
+
+    // Token helpers
+
+    next() {
+        const previous = this.token;
+        this.index++;
+        this.token = this.tokens[this.index] || this.tokens[this.tokens.length - 1];
+        return previous;
+    }
+
+    lookahead(offset = 1) {
+        return this.tokens[this.index + offset] || this.tokens[this.tokens.length - 1];
+    }
+
+    check(value, type) {
+        const token = this.token;
+        if (type && token.type !== type) return false;
+        return (token.type === 'Symbol' || token.type === 'Keyword') && token.value === value;
+    }
+
+    accept(value) {
+        if (this.check(value)) {
+            this.next();
+            return true;
+        }
+        return false;
+    }
+
+    expect(value, opener, openLine) {
+        if (this.check(value)) {
+            return this.next();
+        }
+        if (opener && openLine !== this.token.line) {
+            this.error(`'${value}' expected (to close '${opener}' at line ${openLine}) near ${this.describe(this.token)}`);
+        }
+        this.error(`'${value}' expected near ${this.describe(this.token)}`);
+    }
+
+    expectName() {
+        if (this.token.type !== 'Name') {
+            this.error(`<name> expected near ${this.describe(this.token)}`);
+        }
+        return this.next();
+    }
+
+    describe(token) {
+        if (token.type === 'EOF') return '<eof>';
+        if (token.type === 'String' || token.type === 'Number') return `'${token.raw}'`;
+        return `'${token.value}'`;
+    }
+
+    error(message, token = this.token) {
+        throw new LuaSyntaxError(message, token.line, token.column);
+    }
+
+    unsupported(what, token = this.token) {
+        this.error(`${what} not supported by ${this.target.name}`, token);
+    }
+
+    peekSymbol(value) {
+        const token = this.lookahead();
+        return token.type === 'Symbol' && token.value === value;
+    }
+
+    checkName(value) {
+        return this.token.type === 'Name' && this.token.value === value;
+    }
+
+    node(type, token, props) {
+        return { type, ...props, line: token.line };
+    }
+
+    // Blocks and statements
+
+    parseChunk() {
+        const body = this.parseBlock();
+        if (this.token.type !== 'EOF') {
+            this.error(`'<eof>' expected near ${this.describe(this.token)}`);
+        }
+        return {
+            type: 'Chunk',
+            body,
+            comments: this.lexer.comments
+        };
+    }
+
+    blockFollows(withUntil = true) {
+        const token = this.token;
+        if (token.type === 'EOF') return true;
+        if (token.type !== 'Keyword') return false;
+        switch (token.value) {
+            case 'else':
+            case 'elseif':
+            case 'end':
+                return true;
+            case 'until':
+                return withUntil;
+            default:
+                return false;
+        }
+    }
+
+    parseBlock() {
+        const body = [];
+        while (!this.blockFollows()) {
+            if (this.check('return')) {
+                body.push(this.parseReturnStatement());
+                break;
+            }
+            const statement = this.parseStatement();
+            if (statement) body.push(statement);
+        }
+        return body;
+    }
+
+    parseStatement() {
+        const token = this.token;
+
+        if (token.type === 'Symbol') {
+            if (token.value === ';') {
+                this.next();
+                return null;
+            }
+            if (token.value === '::') {
+                if (!this.features.goto) this.unsupported('labels are');
+                return this.parseLabelStatement();
+            }
+            if (token.value === '@' && this.features.typeAnnotations) {
+                // Luau function attributes such as @native have no runtime effect
+                this.next();
+                this.expectName();
+                return null;
+            }
+        }
+
+        if (token.type === 'Name' && this.features.typeAnnotations) {
+            const following = this.lookahead();
+            if (token.value === 'type' && following.type === 'Name') {
+                return this.parseTypeAlias();
+            }
+            if (token.value === 'export' && following.type === 'Name' && following.value === 'type') {
+                this.next();
+                return this.parseTypeAlias();
+            }
+        }
+
+        if (token.type === 'Name' && token.value === 'continue' && this.features.continue) {
+            const following = this.lookahead();
+            const isSuffix = following.type === 'String' ||
+                (following.type === 'Symbol' && CONTINUE_SUFFIXES.includes(following.value));
+            if (!isSuffix) {
+                this.next();
+                return this.node('ContinueStatement', token, {});
+            }
+        }
+
+        if (token.type === 'Keyword') {
+            switch (token.value) {
+                case 'if': return this.parseIfStatement();
+                case 'while': return this.parseWhileStatement();
+                case 'do': return this.parseDoStatement();
+                case 'for': return this.parseForStatement();
+                case 'repeat': return this.parseRepeatStatement();
+                case 'function': return this.parseFunctionStatement();
+                case 'local': return this.parseLocalStatement();
+                case 'return': return this.parseReturnStatement();
+                case 'break':
+                    this.next();
+                    return this.node('BreakStatement', token, {});
+                case 'goto':
+                    this.next();
+                    return this.node('GotoStatement', token, { label: this.expectName().value });
+                default:
+                    break;
+            }
+        }
+
+        return this.parseExpressionStatement();
+    }
+
+    parseLabelStatement() {
+        const token = this.next();
+        const name = this.expectName().value;
+        this.expect('::');
+        return this.node('LabelStatement', token, { label: name });
+    }
+
+    parseIfStatement() {
+        const token = this.next();
+        const clauses = [];
+        let condition = this.parseExpression();
+        this.expect('then');
+        clauses.push(this.node('IfClause', token, { condition, body: this.parseBlock() }));
+
+        while (this.check('elseif')) {
+            const clauseToken = this.next();
+            condition = this.parseExpression();
+            this.expect('then');
+            clauses.push(this.node('ElseifClause', clauseToken, { condition, body: this.parseBlock() }));
+        }
+
+        if (this.check('else')) {
+            const clauseToken = this.next();
+            clauses.push(this.node('ElseClause', clauseToken, { body: this.parseBlock() }));
+        }
+
+        this.expect('end', 'if', token.line);
+        return this.node('IfStatement', token, { clauses });
+    }
+
+    parseWhileStatement() {
+        const token = this.next();
+        const condition = this.parseExpression();
+        this.expect('do');
+        const body = this.parseBlock();
+        this.expect('end', 'while', token.line);
+        return this.node('WhileStatement', token, { condition, body });
+    }
+
+    parseDoStatement() {
+        const token = this.next();
+        const body = this.parseBlock();
+        this.expect('end', 'do', token.line);
+        return this.node('DoStatement', token, { body });
+    }
+
+    parseRepeatStatement() {
+        const token = this.next();
+        const body = this.parseBlock();
+        this.expect('until', 'repeat', token.line);
+        const condition = this.parseExpression();
+        return this.node('RepeatStatement', token, { body, condition });
+    }
+
+    parseForStatement() {
+        const token = this.next();
+        const first = this.parseTypedIdentifier();
+
+        if (this.accept('=')) {
+            const start = this.parseExpression();
+            this.expect(',');
+            const end = this.parseExpression();
+            const step = this.accept(',') ? this.parseExpression() : null;
+            this.expect('do');
+            const body = this.parseBlock();
+            this.expect('end', 'for', token.line);
+            return this.node('ForNumericStatement', token, { variable: first, start, end, step, body });
+        }
+
+        const variables = [first];
+        while (this.accept(',')) {
+            variables.push(this.parseTypedIdentifier());
+        }
+        this.expect('in');
+        const iterators = this.parseExpressionList();
+        this.expect('do');
+        const body = this.parseBlock();
+        this.expect('end', 'for', token.line);
+        return this.node('ForGenericStatement', token, { variables, iterators, body });
+    }
+
+    parseFunctionStatement() {
+        const token = this.next();
+        let identifier = this.parseIdentifier();
+        let isMethod = false;
+
+        while (this.check('.') || this.check(':')) {
+            const indexer = this.next().value;
+            const name = this.parseIdentifier();
+            identifier = this.node('MemberExpression', name, { indexer: '.', identifier: name, base: identifier });
+            if (indexer === ':') {
+                isMethod = true;
+                break;
+            }
+        }
+
+        const fn = this.parseFunctionBody(token, isMethod);
+        fn.identifier = identifier;
+        fn.isLocal = false;
+        fn.isStatement = true;
+        return fn;
+    }
+
+    parseLocalStatement() {
+        const token = this.next();
+
+        if (this.check('function')) {
+            const fnToken = this.next();
+            const identifier = this.parseIdentifier();
+            const fn = this.parseFunctionBody(fnToken, false);
+            fn.identifier = identifier;
+            fn.isLocal = true;
+            fn.isStatement = true;
+            fn.line = token.line;
+            return fn;
+        }
+
+        const variables = [];
+        const attribs = [];
+        do {
+            variables.push(this.parseTypedIdentifier());
+            attribs.push(this.parseAttrib());
+        } while (this.accept(','));
+
+        const init = this.accept('=') ? this.parseExpressionList() : [];
+        return this.node('LocalStatement', token, { variables, attribs, init });
+    }
+
+    parseAttrib() {
+        if (!this.check('<')) return null;
+        if (!this.features.attributes) this.unsupported('variable attributes are');
+        this.next();
+        const name = this.expectName();
+        if (name.value !== 'const' && name.value !== 'close') {
+            this.error(`unknown attribute '${name.value}'`, name);
+        }
+        this.expect('>');
+        return name.value;
+    }
+
+    parseReturnStatement() {
+        const token = this.next();
+        let args = [];
+        if (!this.blockFollows() && !this.check(';')) {
+            args = this.parseExpressionList();
+        }
+        this.accept(';');
+        if (!this.blockFollows()) {
+            this.error(`'<eof>' expected near ${this.describe(this.token)}`);
+        }
+        return this.node('ReturnStatement', token, { arguments: args });
+    }
+
+    parseExpressionStatement() {
+        const token = this.token;
+        const expression = this.parseSuffixedExpression();
+
+        if (this.features.compoundAssignment && this.token.type === 'Symbol' &&
+            COMPOUND_OPERATORS.includes(this.token.value)) {
+            this.checkAssignable(expression, token);
+            const operator = this.next().value.slice(0, -1);
+            const value = this.parseExpression();
+            return this.node('CompoundAssignmentStatement', token, { operator, variable: expression, value });
+        }
+
+        if (this.check('=') || this.check(',')) {
+            const variables = [expression];
+            while (this.accept(',')) {
+                variables.push(this.parseSuffixedExpression());
+            }
+            for (const variable of variables) {
+                this.checkAssignable(variable, token);
+            }
+            this.expect('=');
+            const init = this.parseExpressionList();
+            return this.node('AssignmentStatement', token, { variables, init });
+        }
+
+        if (expression.type !== 'CallExpression') {
+            this.error(`syntax error near ${this.describe(this.token)}`);
+        }
+        return this.node('CallStatement', token, { expression });
+    }
+
+    checkAssignable(node, token) {
+        const assignable = ['Identifier', 'MemberExpression', 'IndexExpression'].includes(node.type);
+        if (!assignable || node.inParens) {
+            this.error('syntax error: cannot assign to this expression', token);
+        }
+    }
+
+    // Functions
+
+    parseFunctionBody(token, isMethod) {
+        const parameters = [];
+        let isVararg = false;
+
+        if (isMethod) {
+            parameters.push({ type: 'Identifier', name: 'self', line: token.line, implicit: true });
+        }
+
+        if (this.features.typeAnnotations && this.check('<')) {
+            this.parseGenericList();
+        }
+
+        const open = this.expect('(');
+        if (!this.check(')')) {
+            do {
+                if (this.check('...')) {
+                    this.next();
+                    isVararg = true;
+                    if (this.features.typeAnnotations && this.accept(':')) this.parseType();
+                    break;
+                }
+                parameters.push(this.parseTypedIdentifier());
+            } while (this.accept(','));
+        }
+        this.expect(')', '(', open.line);
+        if (this.features.typeAnnotations && this.accept(':')) {
+            this.parseType();
+        }
+
+        const body = this.parseBlock();
+        this.expect('end', 'function', token.line);
+
+        return this.node('FunctionDeclaration', token, {
+            identifier: null,
+            isLocal: false,
+            isStatement: false,
+            isVararg,
+            parameters,
+            body
+        });
+    }
+
+    parseIdentifier() {
+        const token = this.expectName();
+        return this.node('Identifier', token, { name: token.value });
+    }
+
+    // Declared names may carry a Luau type annotation, which is discarded
+    parseTypedIdentifier() {
+        const identifier = this.parseIdentifier();
+        if (this.features.typeAnnotations && this.accept(':')) {
+            this.parseType();
+        }
+        return identifier;
+    }
+
+    // Expressions
+
+    parseExpressionList() {
+        const list = [this.parseExpression()];
+        while (this.accept(',')) {
+            list.push(this.parseExpression());
+        }
+        return list;
+    }
+
+    parseExpression(limit = 0) {
+        let left;
+        const token = this.token;
+
+        if (this.isUnaryOperator(token)) {
+            this.next();
+            const argument = this.parseExpression(UNARY_PRIORITY);
+            left = this.node('UnaryExpression', token, { operator: token.value, argument });
+        } else {
+            left = this.parseSimpleExpression();
+        }
+
+        while (this.features.typeAnnotations && this.accept('::')) {
+            this.parseType();
+        }
+
+        for (;;) {
+            const opToken = this.token;
+            const priority = this.binaryPriority(opToken);
+            if (!priority || priority[0] <= limit) break;
+            this.next();
+            const right = this.parseExpression(priority[1]);
+            const operator = opToken.value;
+            const type = operator === 'and' || operator === 'or' ? 'LogicalExpression' : 'BinaryExpression';
+            left = this.node(type, opToken, { operator, left, right });
+            left.line = left.left.line;
+        }
+
+        return left;
+    }
+
+    isUnaryOperator(token) {
+        if (token.type === 'Keyword') return token.value === 'not';
+        if (token.type !== 'Symbol') return false;
+        if (token.value === '~') this.checkOperator(token);
+        return token.value === '-' || token.value === '#' || token.value === '~';
+    }
+
+    binaryPriority(token) {
+        if (token.type !== 'Symbol' && token.type !== 'Keyword') return null;
+        if (!Object.prototype.hasOwnProperty.call(BINARY_PRIORITY, token.value)) return null;
+        this.checkOperator(token);
+        return BINARY_PRIORITY[token.value];
+    }
+
+    checkOperator(token) {
+        const feature = OPERATOR_FEATURES[token.value];
+        if (feature && !this.features[feature]) {
+            this.unsupported(`operator '${token.value}' is`, token);
+        }
+    }
+
+    parseSimpleExpression() {
+        const token = this.token;
+
+        switch (token.type) {
+            case 'Number':
+                this.next();
+                return this.node('NumericLiteral', token, {
+                    value: token.value,
+                    raw: token.raw,
+                    isFloat: token.isFloat
+                });
+            case 'String':
+                this.next();
+                return this.node('StringLiteral', token, { value: token.value, raw: token.raw });
+            case 'InterpolatedString':
+            case 'InterpolationBegin':
+                return this.parseInterpolatedString();
+            case 'Keyword':
+                switch (token.value) {
+                    case 'nil':
+                        this.next();
+                        return this.node('NilLiteral', token, {});
+                    case 'true':
+                    case 'false':
+                        this.next();
+                        return this.node('BooleanLiteral', token, { value: token.value === 'true' });
+                    case 'function':
+                        this.next();
+                        return this.parseFunctionBody(token, false);
+                    case 'if':
+                        if (this.features.ifExpressions) return this.parseIfExpression();
+                        break;
+                    default:
+                        break;
+                }
+                break;
+            case 'Symbol':
+                if (token.value === '...') {
+                    this.next();
+                    return this.node('VarargLiteral', token, {});
+                }
+                if (token.value === '{') {
+                    return this.parseTableConstructor();
+                }
+                break;
+            default:
+                break;
+        }
+
+        return this.parseSuffixedExpression();
+    }
+
+    // if a then b elseif c then d else e
+    parseIfExpression() {
+        const token = this.next();
+        const condition = this.parseExpression();
+        this.expect('then');
+        const consequent = this.parseExpression();
+        let alternate;
+        if (this.check('elseif')) {
+            alternate = this.parseIfExpression();
+        } else {
+            this.expect('else', 'if', token.line);
+            alternate = this.parseExpression();
+        }
+        return this.node('IfExpression', token, { condition, consequent, alternate });
+    }
+
+    // `text {expr} text`; parts always has one more entry than expressions
+    parseInterpolatedString() {
+        const token = this.next();
+        const parts = [token.value];
+        const expressions = [];
+
+        if (token.type === 'InterpolationBegin') {
+            for (;;) {
+                expressions.push(this.parseExpression());
+                const segment = this.token;
+                if (segment.type !== 'InterpolationMiddle' && segment.type !== 'InterpolationEnd') {
+                    this.error(`'}' expected near ${this.describe(segment)}`);
+                }
+                this.next();
+                parts.push(segment.value);
+                if (segment.type === 'InterpolationEnd') break;
+            }
+        }
+
+        return this.node('InterpolatedStringExpression', token, { parts, expressions });
+    }
+
+    parsePrimaryExpression() {
+        const token = this.token;
+
+        if (token.type === 'Name') {
+            return this.parseIdentifier();
+        }
+
+        if (this.check('(')) {
+            this.next();
+            const expression = this.parseExpression();
+            this.expect(')', '(', token.line);
+            // Parentheses only matter when they truncate a multi-value expression
+            if (expression.type === 'CallExpression' || expression.type === 'VarargLiteral') {
+                return this.node('ParenthesizedExpression', token, { expression });
+            }
+            expression.inParens = true;
+            return expression;
+        }
+
+        this.error(`unexpected symbol near ${this.describe(token)}`);
+    }
+
+    parseSuffixedExpression() {
+        let base = this.parsePrimaryExpression();
+
+        for (;;) {
+            const token = this.token;
+            if (token.type === 'Symbol') {
+                switch (token.value) {
+                    case '.': {
+                        this.next();
+                        const identifier = this.parseIdentifier();
+                        base = this.node('MemberExpression', token, { indexer: '.', identifier, base });
+                        continue;
+                    }
+                    case '[': {
+                        this.next();
+                        const index = this.parseExpression();
+                        this.expect(']');
+                        base = this.node('IndexExpression', token, { base, index });
+                        continue;
+                    }
+                    case ':': {
+                        this.next();
+                        const identifier = this.parseIdentifier();
+                        const method = this.node('MemberExpression', token, { indexer: ':', identifier, base });
+                        base = this.node('CallExpression', this.token, { base: method, arguments: this.parseCallArguments() });
+                        continue;
+                    }
+                    case '(':
+                    case '{':
+                        base = this.node('CallExpression', token, { base, arguments: this.parseCallArguments() });
+                        continue;
+                    default:
+                        break;
+                }
+            } else if (token.type === 'String') {
+                base = this.node('CallExpression', token, { base, arguments: this.parseCallArguments() });
+                continue;
+            }
+            return base;
+        }
+    }
+
+    parseCallArguments() {
+        const token = this.token;
+
+        if (token.type === 'String') {
+            this.next();
+            return [this.node('StringLiteral', token, { value: token.value, raw: token.raw })];
+        }
+
+        if (this.check('{')) {
+            return [this.parseTableConstructor()];
+        }
+
+        if (this.check('(')) {
+            this.next();
+            let args = [];
+            if (!this.check(')')) {
+                args = this.parseExpressionList();
+            }
+            this.expect(')', '(', token.line);
+            return args;
+        }
+
+        this.error(`function arguments expected near ${this.describe(token)}`);
+    }
+
+    parseTableConstructor() {
+        const token = this.expect('{');
+        const fields = [];
+
+        while (!this.check('}')) {
+            if (this.check('[')) {
+                const keyToken = this.next();
+                const key = this.parseExpression();
+                this.expect(']');
+                this.expect('=');
+                const value = this.parseExpression();
+                fields.push(this.node('TableKey', keyToken, { key, value }));
+            } else if (this.token.type === 'Name' && this.lookahead().type === 'Symbol' && this.lookahead().value === '=') {
+                const key = this.parseIdentifier();
+                this.next();
+                const value = this.parseExpression();
+                fields.push(this.node('TableKeyString', key, { key, value }));
+            } else {
+                const value = this.parseExpression();
+                fields.push(this.node('TableValue', value, { value }));
+            }
+
+            if (!this.accept(',') && !this.accept(';')) break;
+        }
+
+        this.expect('}', '{', token.line);
+        return this.node('TableConstructorExpression', token, { fields });
+    }
+
+    // Luau type syntax. Types have no runtime meaning, so they are parsed
+    // only to be skipped and never appear in the AST.
+
+    parseTypeAlias() {
+        this.next();
+        this.expectName();
+        if (this.check('<')) this.parseGenericList();
+        this.expect('=');
+        this.parseType();
+        return null;
+    }
+
+    parseGenericList() {
+        this.expect('<');
+        if (!this.check('>')) {
+            do {
+                this.expectName();
+                this.accept('...');
+                if (this.accept('=')) this.parseType();
+            } while (this.accept(','));
+        }
+        this.expectTypeClose();
+    }
+
+    // ">=" lexes as one token in "local x: Array<number>= {}"
+    expectTypeClose() {
+        if (this.check('>=')) {
+            this.token = { ...this.token, value: '=', column: this.token.column + 1 };
+            this.tokens[this.index] = this.token;
+            return;
+        }
+        this.expect('>');
+    }
+
+    parseType() {
+        if (!this.accept('|')) this.accept('&');
+        this.parseSimpleType();
+        while (this.accept('|') || this.accept('&')) {
+            this.parseSimpleType();
+        }
+    }
+
+    parseSimpleType() {
+        const token = this.token;
+
+        if (this.accept('...')) {
+            this.parseType();
+            return;
+        }
+
+        if (token.type === 'String' || this.check('nil') || this.check('true') || this.check('false')) {
+            this.next();
+        } else if (token.type === 'Name' && token.value === 'typeof' && this.peekSymbol('(')) {
+            this.next();
+            const open = this.expect('(');
+            this.parseExpression();
+            this.expect(')', '(', open.line);
+        } else if (token.type === 'Name') {
+            this.next();
+            while (this.accept('.')) this.expectName();
+            if (this.check('<')) this.parseTypeArguments();
+            // Generic type packs: T...
+            this.accept('...');
+        } else if (this.check('{')) {
+            this.parseTableType();
+        } else if (this.check('(') || this.check('<')) {
+            this.parseFunctionType();
+        } else {
+            this.error(`type expected near ${this.describe(token)}`);
+        }
+
+        while (this.accept('?')) {
+            // Optional suffix
+        }
+    }
+
+    parseTypeArguments() {
+        this.expect('<');
+        if (!this.check('>')) {
+            do {
+                this.parseType();
+            } while (this.accept(','));
+        }
+        this.expectTypeClose();
+    }
+
+    parseTableType() {
+        const open = this.expect('{');
+        while (!this.check('}')) {
+            // read/write property modifiers
+            if ((this.checkName('read') || this.checkName('write')) && this.lookahead().type === 'Name') {
+                this.next();
+            }
+            if (this.accept('[')) {
+                this.parseType();
+                this.expect(']');
+                this.expect(':');
+                this.parseType();
+            } else if (this.token.type === 'Name' && this.peekSymbol(':')) {
+                this.next();
+                this.next();
+                this.parseType();
+            } else {
+                this.parseType();
+            }
+            if (!this.accept(',') && !this.accept(';')) break;
+        }
+        this.expect('}', '{', open.line);
+    }
+
+    // (A, b: B, ...C) -> R, also a plain parenthesized type or type pack
+    parseFunctionType() {
+        if (this.check('<')) this.parseGenericList();
+        const open = this.expect('(');
+        if (!this.check(')')) {
+            do {
+                if (this.token.type === 'Name' && this.peekSymbol(':')) {
+                    this.next();
+                    this.next();
+                }
+                this.parseType();
+            } while (this.accept(','));
+        }
+        this.expect(')', '(', open.line);
+        if (this.accept('->')) {
+            this.parseType();
+        }
+    }
+}
+
+LuaParser.BINARY_PRIORITY = BINARY_PRIORITY;
+LuaParser.UNARY_PRIORITY = UNARY_PRIORITY;
+LuaParser.LuaSyntaxError = LuaSyntaxError;
+
+module.exports = LuaParser;
@@ -0,0 +1,211 @@
+// Pass Registry - Declares obfuscation passes and plans the order a build runs them in
+
+// Tiers in increasing order; a pass runs on its own tier and every tier above it
+const TIERS = ['standard', 'premium'];
+
+const OPTION_TYPES = {
+    boolean: value => typeof value === 'boolean',
+    number: value => typeof value === 'number' && Number.isFinite(value),
+    string: value => typeof value === 'string',
+    'string[]': value => Array.isArray(value) && value.every(item => typeof item === 'string')
+};
+
+class PipelineError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'PipelineError';
+    }
+}
+
+const typesOf = (option) => (Array.isArray(option.type) ? option.type : [option.type]);
+
+class PassRegistry {
+    constructor() {
+        this.passes = new Map();
+    }
+
+    // A pass is { name, description, tier, enabled, dependencies, after, before, options, run }.
+    // dependencies must be enabled and run first; after/before only order the pass
+    // against others when both are enabled. options maps each option name to
+    // { type, default, description }, with min and max for numbers.
+    // run(ast, obfuscator, options) returns the new tree.
+    register(pass) {
+        if (!pass || typeof pass.name !== 'string' || !/^[A-Za-z][\w-]*$/.test(pass.name)) {
+            throw new PipelineError('Pass name must start with a letter and contain only letters, digits, _ and -');
+        }
+        if (this.passes.has(pass.name)) {
+            throw new PipelineError(`Pass '${pass.name}' is already registered`);
+        }
+        if (typeof pass.run !== 'function') {
+            throw new PipelineError(`Pass '${pass.name}' has no run function`);
+        }
+
+        const tier = pass.tier || 'standard';
+        if (!TIERS.includes(tier)) {
+            throw new PipelineError(`Pass '${pass.name}' has unknown tier '${tier}'`);
+        }
+
+        const options = pass.options || {};
+        Object.entries(options).forEach(([key, option]) => {
+            if (key === 'enabled') {
+                throw new PipelineError(`Pass '${pass.name}' cannot declare the reserved option 'enabled'`);
+            }
+            const unknown = typesOf(option).find(type => !OPTION_TYPES[type]);
+            if (unknown !== undefined) {
+                throw new PipelineError(`Option '${key}' of pass '${pass.name}' has unknown type '${unknown}'`);
+            }
+        });
+
+        this.passes.set(pass.name, {
+            name: pass.name,
+            description: pass.description || '',
+            tier,
+            enabled: pass.enabled === true,
+            dependencies: pass.dependencies || [],
+            after: pass.after || [],
+            before: pass.before || [],
+            options,
+            run: pass.run
+        });
+        return this;
+    }
+
+    unregister(name) {
+        return this.passes.delete(name);
+    }
+
+    has(name) {
+        return this.passes.has(name);
+    }
+
+    get(name) {
+        const pass = this.passes.get(name);
+        if (!pass) {
+            throw new PipelineError(`Unknown obfuscation pass '${name}'`);
+        }
+        return pass;
+    }
+
+    names() {
+        return [...this.passes.keys()];
+    }
+
+    // JSON description of every pass, enough to build a settings form from
+    describe() {
+        return [...this.passes.values()].map(pass => ({
+            name: pass.name,
+            description: pass.description,
+            tier: pass.tier,
+            enabled: pass.enabled,
+            dependencies: pass.dependencies,
+            after: pass.after,
+            before: pass.before,
+            options: Object.fromEntries(Object.entries(pass.options).map(([key, option]) => [key, {
+                type: option.type,
+                default: option.default,
+                description: option.description || '',
+                ...(option.min !== undefined && { min: option.min }),
+                ...(option.max !== undefined && { max: option.max })
+            }]))
+        }));
+    }
+
+    // Whether settings turn a pass on: passOptions[name].enabled, then the flag named
+    // after the pass, then the pass's own default
+    isEnabled(name, settings = {}) {
+        const pass = this.get(name);
+        const options = (settings.passOptions || {})[name];
+        if (options && options.enabled !== undefined) return options.enabled === true;
+        if (settings[name] !== undefined) return Boolean(settings[name]);
+        return pass.enabled;
+    }
+
+    enabledNames(settings = {}) {
+        return this.names().filter(name => this.isEnabled(name, settings));
+    }
+
+    // Options for one run of a pass: the given values over the declared defaults
+    resolveOptions(name, values = {}) {
+        const pass = this.get(name);
+        const resolved = {};
+        Object.keys(values).forEach(key => {
+            if (key !== 'enabled' && !pass.options[key]) {
+                throw new PipelineError(`Pass '${name}' has no option '${key}'`);
+            }
+        });
+        Object.entries(pass.options).forEach(([key, option]) => {
+            const value = values[key] === undefined ? option.default : values[key];
+            if (value !== undefined && !typesOf(option).some(type => OPTION_TYPES[type](value))) {
+                throw new PipelineError(`Option '${key}' of pass '${name}' must be ${typesOf(option).join(' or ')}`);
+            }
+            if (typeof value === 'number' && option.min !== undefined && value < option.min) {
+                throw new PipelineError(`Option '${key}' of pass '${name}' must be at least ${option.min}`);
+            }
+            if (typeof value === 'number' && option.max !== undefined && value > option.max) {
+                throw new PipelineError(`Option '${key}' of pass '${name}' must be at most ${option.max}`);
+            }
+            resolved[key] = value;
+        });
+        return resolved;
+    }
+
+    // Orders the enabled passes so every dependency and after/before constraint holds.
+    // Passes named in order run in that order, the rest follow in registration order.
+    // Passes above the build's tier are left out.
+    plan(names, options = {}) {
+        const order = options.order || [];
+        const tier = options.tier || 'standard';
+
+        order.forEach(name => this.get(name));
+        const selected = names
+            .map(name => this.get(name))
+            .filter(pass => TIERS.indexOf(pass.tier) <= TIERS.indexOf(tier));
+        const enabled = new Set(selected.map(pass => pass.name));
+
+        // Passes that have to run before each selected pass
+        const requires = new Map(selected.map(pass => [pass.name, new Set()]));
+        selected.forEach(pass => {
+            pass.dependencies.forEach(dependency => {
+                this.get(dependency);
+                if (!enabled.has(dependency)) {
+                    throw new PipelineError(`Pass '${pass.name}' requires '${dependency}' to be enabled`);
+                }
+                requires.get(pass.name).add(dependency);
+            });
+            pass.after.filter(name => enabled.has(name)).forEach(name => requires.get(pass.name).add(name));
+            pass.before.filter(name => enabled.has(name)).forEach(name => requires.get(name).add(pass.name));
+        });
+
+        // An explicit order may not contradict the constraints
+        order.forEach((name, index) => {
+            if (!enabled.has(name)) return;
+            order.slice(index + 1).forEach(later => {
+                if (enabled.has(later) && requires.get(name).has(later)) {
+                    throw new PipelineError(`Pass '${name}' must run after '${later}'`);
+                }
+            });
+        });
+
+        const registered = this.names();
+        const rank = (name) => (order.includes(name)
+            ? order.indexOf(name)
+            : order.length + registered.indexOf(name));
+
+        const planned = [];
+        const remaining = [...selected].sort((a, c) => rank(a.name) - rank(c.name));
+        while (remaining.length > 0) {
+            const index = remaining.findIndex(pass =>
+                [...requires.get(pass.name)].every(name => planned.some(done => done.name === name)));
+            if (index === -1) {
+                throw new PipelineError(`Passes ${remaining.map(pass => `'${pass.name}'`).join(', ')} have circular ordering constraints`);
+            }
+            planned.push(...remaining.splice(index, 1));
+        }
+        return planned;
+    }
+}
+
+PassRegistry.PipelineError = PipelineError;
+PassRegistry.TIERS = TIERS;
+
+module.exports = PassRegistry;
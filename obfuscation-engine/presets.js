@@ -0,0 +1,80 @@
+// Presets - Built-in obfuscation profiles that bundle pass choices and intensities
+
+// Every preset sets every built-in pass, so a preset means the same thing whatever the
+// pass defaults are. Change a preset's settings only together with its version: projects
+// record the version they were built with.
+const PRESETS = {
+    fast: {
+        version: 1,
+        description: 'Light protection that keeps builds small and quick: encrypted strings, renamed variables and an integrity check',
+        settings: {
+            tier: 'standard',
+            stringEncryption: true,
+            variableRenaming: true,
+            antiDebugging: false,
+            globalAliasing: false,
+            junkCode: false,
+            constantObfuscation: false,
+            controlFlowFlattening: false,
+            bytecodeEncryption: false,
+            virtualization: false,
+            minify: true,
+            integrityChecks: true
+        }
+    },
+    balanced: {
+        version: 1,
+        description: 'Every standard pass at moderate intensity',
+        settings: {
+            tier: 'standard',
+            stringEncryption: true,
+            variableRenaming: true,
+            antiDebugging: true,
+            globalAliasing: true,
+            junkCode: true,
+            constantObfuscation: true,
+            controlFlowFlattening: false,
+            bytecodeEncryption: false,
+            virtualization: false,
+            minify: true,
+            integrityChecks: true,
+            passOptions: {
+                junkCode: { density: 0.1 },
+                constantObfuscation: { intensity: 1, coverage: 0.5 }
+            }
+        }
+    },
+    max: {
+        version: 1,
+        description: 'Strongest protection, with flattened control flow and virtualization; builds are larger and slower',
+        settings: {
+            tier: 'premium',
+            stringEncryption: true,
+            variableRenaming: true,
+            antiDebugging: true,
+            globalAliasing: true,
+            junkCode: true,
+            constantObfuscation: true,
+            controlFlowFlattening: true,
+            bytecodeEncryption: false,
+            virtualization: true,
+            minify: true,
+            integrityChecks: true,
+            passOptions: {
+                junkCode: { density: 0.2 },
+                constantObfuscation: { intensity: 2, coverage: 1 }
+            }
+        }
+    }
+};
+
+// The preset with its name, or null when there is no such preset
+function getPreset(name) {
+    const preset = Object.prototype.hasOwnProperty.call(PRESETS, name) ? PRESETS[name] : null;
+    return preset && { name, ...preset };
+}
+
+module.exports = {
+    PRESETS,
+    getPreset
+};
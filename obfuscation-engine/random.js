@@ -0,0 +1,67 @@
+// Seeded Random - Deterministic random source so a build can be reproduced from its seed
+const crypto = require('crypto');
+
+class SeededRandom {
+    constructor(seed) {
+        this.seed = String(seed);
+        this.counter = 0;
+        this.buffer = Buffer.alloc(0);
+        this.offset = 0;
+    }
+
+    static generateSeed() {
+        return crypto.randomBytes(16).toString('hex');
+    }
+
+    // HMAC-SHA256 in counter mode gives an unbounded, well-mixed byte stream
+    refill() {
+        this.buffer = crypto.createHmac('sha256', this.seed)
+            .update(String(this.counter++))
+            .digest();
+        this.offset = 0;
+    }
+
+    bytes(length) {
+        const out = Buffer.alloc(length);
+        for (let i = 0; i < length; i++) {
+            if (this.offset >= this.buffer.length) this.refill();
+            out[i] = this.buffer[this.offset++];
+        }
+        return out;
+    }
+
+    hex(byteLength) {
+        return this.bytes(byteLength).toString('hex');
+    }
+
+    // Float in [0, 1), a drop-in replacement for Math.random()
+    float() {
+        return this.bytes(4).readUInt32BE(0) / 0x100000000;
+    }
+
+    // Integer in [min, max), matching crypto.randomInt(min, max)
+    int(min, max) {
+        return min + Math.floor(this.float() * (max - min));
+    }
+
+    pick(items) {
+        return items[this.int(0, items.length)];
+    }
+
+    shuffle(items) {
+        const result = [...items];
+        for (let i = result.length - 1; i > 0; i--) {
+            const j = this.int(0, i + 1);
+            [result[i], result[j]] = [result[j], result[i]];
+        }
+        return result;
+    }
+
+    // Independent stream for a named purpose, so adding draws in one pass
+    // does not change the output of another
+    fork(label) {
+        return new SeededRandom(`${this.seed}:${label}`);
+    }
+}
+
+module.exports = SeededRandom;
@@ -0,0 +1,241 @@
+// Scope Analyzer - Resolves every identifier in a Lua AST to its lexical binding
+
+class Scope {
+    constructor(parent, node, isFunction = false) {
+        this.parent = parent;
+        this.node = node;
+        this.isFunction = isFunction;
+        this.bindings = new Map();
+        this.children = [];
+        if (parent) parent.children.push(this);
+    }
+
+    declare(identifier, kind) {
+        const binding = {
+            name: identifier.name,
+            kind,
+            scope: this,
+            declarations: [identifier],
+            references: [],
+            captured: false
+        };
+        this.bindings.set(identifier.name, binding);
+        return binding;
+    }
+
+    lookup(name) {
+        for (let scope = this; scope; scope = scope.parent) {
+            if (scope.bindings.has(name)) return scope.bindings.get(name);
+        }
+        return null;
+    }
+
+    functionScope() {
+        let scope = this;
+        while (scope.parent && !scope.isFunction) scope = scope.parent;
+        return scope;
+    }
+}
+
+class ScopeAnalyzer {
+    constructor() {
+        this.bindings = [];
+        this.globals = new Map();
+        this.bindingOf = new Map();
+        this.root = null;
+    }
+
+    static analyze(ast) {
+        return new ScopeAnalyzer().analyze(ast);
+    }
+
+    analyze(ast) {
+        this.root = new Scope(null, ast, true);
+        this.block(ast.body, this.root);
+        return this;
+    }
+
+    // Bindings declared by the script (locals, parameters and loop variables)
+    localBindings() {
+        return this.bindings;
+    }
+
+    globalNames() {
+        return new Set(this.globals.keys());
+    }
+
+    declare(identifier, scope, kind) {
+        const binding = scope.declare(identifier, kind);
+        this.bindings.push(binding);
+        this.bindingOf.set(identifier, binding);
+        return binding;
+    }
+
+    reference(identifier, scope, isWrite = false) {
+        let binding = scope.lookup(identifier.name);
+
+        if (binding) {
+            if (binding.scope.functionScope() !== scope.functionScope()) {
+                binding.captured = true;
+            }
+        } else {
+            binding = this.globals.get(identifier.name);
+            if (!binding) {
+                binding = {
+                    name: identifier.name,
+                    kind: 'global',
+                    scope: null,
+                    declarations: [],
+                    references: [],
+                    assigned: false
+                };
+                this.globals.set(identifier.name, binding);
+            }
+            if (isWrite) binding.assigned = true;
+        }
+
+        binding.references.push(identifier);
+        this.bindingOf.set(identifier, binding);
+        return binding;
+    }
+
+    block(body, scope) {
+        body.forEach(statement => this.statement(statement, scope));
+    }
+
+    statement(node, scope) {
+        switch (node.type) {
+            case 'LocalStatement':
+                node.init.forEach(expr => this.expression(expr, scope));
+                node.variables.forEach(variable => this.declare(variable, scope, 'local'));
+                break;
+            case 'AssignmentStatement':
+                node.init.forEach(expr => this.expression(expr, scope));
+                node.variables.forEach(variable => this.expression(variable, scope, true));
+                break;
+            case 'CompoundAssignmentStatement':
+                // "x += 1" both reads and writes x
+                this.expression(node.value, scope);
+                this.expression(node.variable, scope);
+                if (node.variable.type === 'Identifier') {
+                    const binding = this.bindingOf.get(node.variable);
+                    if (binding.kind === 'global') binding.assigned = true;
+                }
+                break;
+            case 'CallStatement':
+                this.expression(node.expression, scope);
+                break;
+            case 'FunctionDeclaration':
+                if (node.isLocal) {
+                    this.declare(node.identifier, scope, 'function');
+                } else if (node.identifier) {
+                    this.expression(node.identifier, scope, true);
+                }
+                this.functionBody(node, scope);
+                break;
+            case 'IfStatement':
+                node.clauses.forEach(clause => {
+                    if (clause.condition) this.expression(clause.condition, scope);
+                    this.block(clause.body, new Scope(scope, clause));
+                });
+                break;
+            case 'WhileStatement':
+                this.expression(node.condition, scope);
+                this.block(node.body, new Scope(scope, node));
+                break;
+            case 'DoStatement':
+                this.block(node.body, new Scope(scope, node));
+                break;
+            case 'RepeatStatement': {
+                // The condition can see locals declared in the loop body
+                const inner = new Scope(scope, node);
+                this.block(node.body, inner);
+                this.expression(node.condition, inner);
+                break;
+            }
+            case 'ForNumericStatement': {
+                this.expression(node.start, scope);
+                this.expression(node.end, scope);
+                if (node.step) this.expression(node.step, scope);
+                const inner = new Scope(scope, node);
+                this.declare(node.variable, inner, 'for');
+                this.block(node.body, inner);
+                break;
+            }
+            case 'ForGenericStatement': {
+                node.iterators.forEach(expr => this.expression(expr, scope));
+                const inner = new Scope(scope, node);
+                node.variables.forEach(variable => this.declare(variable, inner, 'for'));
+                this.block(node.body, inner);
+                break;
+            }
+            case 'ReturnStatement':
+                node.arguments.forEach(expr => this.expression(expr, scope));
+                break;
+            default:
+                break;
+        }
+    }
+
+    functionBody(node, scope) {
+        const inner = new Scope(scope, node, true);
+        node.parameters.forEach(param => this.declare(param, inner, 'parameter'));
+        this.block(node.body, inner);
+    }
+
+    expression(node, scope, isWrite = false) {
+        if (!node) return;
+
+        switch (node.type) {
+            case 'Identifier':
+                this.reference(node, scope, isWrite);
+                break;
+            case 'FunctionDeclaration':
+                this.functionBody(node, scope);
+                break;
+            case 'TableConstructorExpression':
+                node.fields.forEach(field => {
+                    if (field.type === 'TableKey') this.expression(field.key, scope);
+                    this.expression(field.value, scope);
+                });
+                break;
+            case 'BinaryExpression':
+            case 'LogicalExpression':
+                this.expression(node.left, scope);
+                this.expression(node.right, scope);
+                break;
+            case 'UnaryExpression':
+                this.expression(node.argument, scope);
+                break;
+            case 'MemberExpression':
+                // Field names are not variables
+                this.expression(node.base, scope);
+                break;
+            case 'IndexExpression':
+                this.expression(node.base, scope);
+                this.expression(node.index, scope);
+                break;
+            case 'CallExpression':
+                this.expression(node.base, scope);
+                node.arguments.forEach(arg => this.expression(arg, scope));
+                break;
+            case 'ParenthesizedExpression':
+                this.expression(node.expression, scope);
+                break;
+            case 'IfExpression':
+                this.expression(node.condition, scope);
+                this.expression(node.consequent, scope);
+                this.expression(node.alternate, scope);
+                break;
+            case 'InterpolatedStringExpression':
+                node.expressions.forEach(expr => this.expression(expr, scope));
+                break;
+            default:
+                break;
+        }
+    }
+}
+
+ScopeAnalyzer.Scope = Scope;
+
+module.exports = ScopeAnalyzer;
@@ -0,0 +1,89 @@
+// Source Map - Maps lines and identifiers of an obfuscated build back to the original script
+
+// "chunk:line" locations as Lua prints them in error messages and tracebacks
+const LOCATION_PATTERN = /(\[string "(?:[^"\\]|\\.)*"\]|[\w./\\-]+):(\d+)\b/g;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+class SourceMap {
+    constructor(data = {}) {
+        this.file = data.file || 'main.lua';
+        // Files of a bundled build; lines from them are stored as [line, source index]
+        this.sources = data.sources || [this.file];
+        // Original identifier names keyed by their generated replacement
+        this.names = data.names || {};
+        // Original line numbers keyed by line of the obfuscated output
+        this.lines = data.lines || {};
+        // Line tables of chunks the output loads at runtime, keyed by chunk name
+        this.chunks = data.chunks || {};
+    }
+
+    // Line table from code generator mappings; offset counts lines emitted before the code
+    static lineTable(mappings, offset = 0) {
+        const lines = {};
+        mappings.forEach(({ generated, original, source }) => {
+            const line = generated + offset;
+            if (lines[line] === undefined) {
+                lines[line] = source === undefined ? original : [original, source];
+            }
+        });
+        return lines;
+    }
+
+    // File and line in the original project, or null for code the obfuscator added
+    originalLocation(chunk, line) {
+        const table = this.chunks[chunk] || this.lines;
+        const entry = table[line];
+        if (!entry) return null;
+        if (Array.isArray(entry)) {
+            return { file: this.sources[entry[1]], line: entry[0] };
+        }
+        return { file: this.file, line: entry };
+    }
+
+    originalLine(chunk, line) {
+        const location = this.originalLocation(chunk, line);
+        return location ? location.line : null;
+    }
+
+    originalName(name) {
+        return this.names[name] || name;
+    }
+
+    // Rewrites the locations and generated names in an error message or traceback.
+    // Locations in code the obfuscator added (decoders, virtual machine) stay as they are.
+    mapTrace(trace) {
+        const frames = [];
+        let mapped = trace.replace(LOCATION_PATTERN, (match, chunk, line) => {
+            const location = this.originalLocation(chunk, Number(line));
+            frames.push({
+                chunk,
+                line: Number(line),
+                file: location ? location.file : null,
+                originalLine: location ? location.line : null
+            });
+            return location ? `${location.file}:${location.line}` : match;
+        });
+
+        const names = Object.keys(this.names);
+        if (names.length > 0) {
+            const pattern = new RegExp(`\\b(?:${names.map(escapeRegExp).join('|')})\\b`, 'g');
+            mapped = mapped.replace(pattern, name => this.names[name]);
+        }
+
+        return { trace: mapped, frames };
+    }
+
+    toJSON() {
+        return {
+            version: 1,
+            file: this.file,
+            sources: this.sources,
+            names: this.names,
+            lines: this.lines,
+            chunks: this.chunks
+        };
+    }
+}
+
+module.exports = SourceMap;
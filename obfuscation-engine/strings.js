@@ -0,0 +1,71 @@
+// String Cipher - Symmetric string protection shared by the JS encoder and the Lua decoder
+const crypto = require('crypto');
+
+// Multiplier for the ciphertext-feedback state; must match the Lua decoder
+const FEEDBACK = 13;
+
+class StringCipher {
+    constructor(buildKey, keyLength = 32) {
+        // Per-build key material is derived deterministically from the build key
+        this.key = [...crypto.createHmac('sha256', String(buildKey))
+            .update('enigmacode:string-cipher')
+            .digest()
+            .subarray(0, keyLength)];
+    }
+
+    keyByte(position, salt) {
+        return this.key[(position + salt) % this.key.length];
+    }
+
+    // value is a byte string (one char per byte); returns the encrypted byte string
+    encrypt(value, salt) {
+        let state = salt % 256;
+        let out = '';
+        for (let i = 1; i <= value.length; i++) {
+            const plain = value.charCodeAt(i - 1);
+            const cipher = (plain + this.keyByte(i, salt) + state) % 256;
+            out += String.fromCharCode(cipher);
+            state = (state * FEEDBACK + cipher) % 256;
+        }
+        return out;
+    }
+
+    // Mirror of the generated Lua decoder, used to verify round trips
+    decrypt(value, salt) {
+        let state = salt % 256;
+        let out = '';
+        for (let i = 1; i <= value.length; i++) {
+            const cipher = value.charCodeAt(i - 1);
+            const plain = ((cipher - this.keyByte(i, salt) - state) % 256 + 256) % 256;
+            out += String.fromCharCode(plain);
+            state = (state * FEEDBACK + cipher) % 256;
+        }
+        return out;
+    }
+
+    // Lua expression evaluating to the decoder function. Uses only arithmetic
+    // so that it runs unchanged on Lua 5.1, 5.3/5.4 and Luau.
+    generateDecoder() {
+        return `(function()
+    local byte, char, concat = string.byte, string.char, table.concat
+    local key = {${this.key.join(', ')}}
+    local cache = {}
+    return function(data, salt)
+        local cached = cache[salt]
+        if cached then return cached end
+        local out = {}
+        local state = salt % 256
+        for i = 1, #data do
+            local c = byte(data, i)
+            out[i] = char((c - key[(i + salt) % #key + 1] - state) % 256)
+            state = (state * ${FEEDBACK} + c) % 256
+        end
+        cached = concat(out)
+        cache[salt] = cached
+        return cached
+    end
+end)()`;
+    }
+}
+
+module.exports = StringCipher;
@@ -0,0 +1,124 @@
+// Target Dialects - Syntax and runtime capabilities of each supported Lua flavour
+
+const BASE_KEYWORDS = [
+    'and', 'break', 'do', 'else', 'elseif', 'end', 'false', 'for',
+    'function', 'if', 'in', 'local', 'nil', 'not', 'or',
+    'repeat', 'return', 'then', 'true', 'until', 'while'
+];
+
+const BASE_SYMBOLS = [
+    '...', '..', '==', '~=', '<=', '>=',
+    '+', '-', '*', '/', '%', '^', '#', '<', '>', '=',
+    '(', ')', '{', '}', '[', ']', ';', ':', ',', '.'
+];
+
+const TARGETS = {
+    '5.1': {
+        id: '5.1',
+        name: 'Lua 5.1',
+        keywords: new Set(BASE_KEYWORDS),
+        symbols: BASE_SYMBOLS,
+        features: {
+            goto: false,
+            bitwiseOperators: false,
+            integerDivision: false,
+            attributes: false,
+            integers: false,
+            continue: false,
+            compoundAssignment: false,
+            typeAnnotations: false,
+            ifExpressions: false,
+            interpolatedStrings: false,
+            binaryLiterals: false
+        },
+        runtime: {
+            load: 'loadstring',
+            unpack: 'unpack',
+            env: 'getfenv(1)'
+        }
+    },
+    '5.3': {
+        id: '5.3',
+        name: 'Lua 5.3/5.4',
+        keywords: new Set([...BASE_KEYWORDS, 'goto']),
+        symbols: [
+            '...', '..', '==', '~=', '<=', '>=', '<<', '>>', '//', '::',
+            '+', '-', '*', '/', '%', '^', '#', '&', '~', '|', '<', '>', '=',
+            '(', ')', '{', '}', '[', ']', ';', ':', ',', '.'
+        ],
+        features: {
+            goto: true,
+            bitwiseOperators: true,
+            integerDivision: true,
+            attributes: true,
+            integers: true,
+            continue: false,
+            compoundAssignment: false,
+            typeAnnotations: false,
+            ifExpressions: false,
+            interpolatedStrings: false,
+            binaryLiterals: false
+        },
+        runtime: {
+            load: 'load',
+            unpack: 'table.unpack',
+            env: '_ENV'
+        }
+    },
+    luau: {
+        id: 'luau',
+        name: 'Luau',
+        keywords: new Set(BASE_KEYWORDS),
+        // No "<<"/">>" so nested generics like Array<Array<T>> lex correctly;
+        // "|", "&" and "?" only appear in type annotations
+        symbols: [
+            '...', '..=', '..', '//=', '//', '==', '~=', '<=', '>=', '->', '::',
+            '+=', '-=', '*=', '/=', '%=', '^=',
+            '+', '-', '*', '/', '%', '^', '#', '&', '|', '?', '@', '<', '>', '=',
+            '(', ')', '{', '}', '[', ']', ';', ':', ',', '.'
+        ],
+        features: {
+            goto: false,
+            bitwiseOperators: false,
+            integerDivision: true,
+            attributes: false,
+            integers: false,
+            continue: true,
+            compoundAssignment: true,
+            typeAnnotations: true,
+            ifExpressions: true,
+            interpolatedStrings: true,
+            binaryLiterals: true
+        },
+        runtime: {
+            load: 'loadstring',
+            unpack: 'unpack',
+            env: 'getfenv(1)'
+        }
+    }
+};
+
+const ALIASES = {
+    '5.4': '5.3',
+    'lua5.1': '5.1',
+    'lua5.3': '5.3',
+    'lua5.4': '5.3',
+    'roblox': 'luau'
+};
+
+const DEFAULT_TARGET = 'luau';
+
+function resolveTarget(target = DEFAULT_TARGET) {
+    if (target && typeof target === 'object') return target;
+    const id = ALIASES[String(target).toLowerCase()] || String(target).toLowerCase();
+    if (!TARGETS[id]) {
+        throw new Error(`Unknown obfuscation target '${target}' (expected one of ${Object.keys(TARGETS).join(', ')})`);
+    }
+    return TARGETS[id];
+}
+
+module.exports = {
+    TARGETS,
+    DEFAULT_TARGET,
+    resolveTarget
+};
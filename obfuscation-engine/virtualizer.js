@@ -0,0 +1,986 @@
+// Virtualizer - Compiles a Lua AST to per-build bytecode executed by a generated Lua interpreter
+const LuaParser = require('./parser');
+const CodeGenerator = require('./codegen');
+const ScopeAnalyzer = require('./scope');
+const { clearLines } = require('./ast');
+
+// Thrown for valid scripts that use a feature the interpreter cannot run; line is the
+// line of the statement or expression that uses it, when known
+class VirtualizationError extends Error {
+    constructor(feature, line = null) {
+        super(`Virtualization does not support ${feature}${line ? ` (line ${line})` : ''}`);
+        this.name = 'VirtualizationError';
+        this.feature = feature;
+        this.line = line;
+    }
+}
+
+// Operands are stored as three bytes each
+const MAX_OPERAND = (1 << 24) - 1;
+
+// Slots of a serialized function prototype
+const PROTO_FIELDS = ['code', 'constants', 'protos', 'params', 'upvalues'];
+
+// Interpreter source for every instruction. a, b and c are the operands,
+// R the register file, K the constants and U the upvalue boxes.
+const HANDLERS = {
+    MOVE: 'R[a] = R[b]',
+    LOADK: 'R[a] = K[b]',
+    LOADNIL: 'for i = a, a + b - 1 do R[i] = nil end',
+    LOADBOOL: 'R[a] = b == 1',
+    GETUPVAL: 'R[a] = U[b][1]',
+    SETUPVAL: 'U[b][1] = R[a]',
+    GETBOX: 'R[a] = R[b][1]',
+    SETBOX: 'R[a][1] = R[b]',
+    NEWBOX: 'R[a] = {R[a]}',
+    GETGLOBAL: 'R[a] = env[K[b]]',
+    SETGLOBAL: 'env[K[b]] = R[a]',
+    GETTABLE: 'R[a] = R[b][R[c]]',
+    GETFIELD: 'R[a] = R[b][K[c]]',
+    SETTABLE: 'R[a][R[b]] = R[c]',
+    SETFIELD: 'R[a][K[b]] = R[c]',
+    NEWTABLE: 'R[a] = {}',
+    SETLIST: `local t, n = R[a], b - 1
+        if b == 0 then n = top - a end
+        for i = 1, n do t[i] = R[a + i] end`,
+    ADD: 'R[a] = R[b] + R[c]',
+    SUB: 'R[a] = R[b] - R[c]',
+    MUL: 'R[a] = R[b] * R[c]',
+    DIV: 'R[a] = R[b] / R[c]',
+    MOD: 'R[a] = R[b] % R[c]',
+    POW: 'R[a] = R[b] ^ R[c]',
+    IDIV: 'R[a] = R[b] // R[c]',
+    BAND: 'R[a] = R[b] & R[c]',
+    BOR: 'R[a] = R[b] | R[c]',
+    BXOR: 'R[a] = R[b] ~ R[c]',
+    SHL: 'R[a] = R[b] << R[c]',
+    SHR: 'R[a] = R[b] >> R[c]',
+    CONCAT: 'R[a] = R[b] .. R[c]',
+    EQ: 'R[a] = R[b] == R[c]',
+    NE: 'R[a] = R[b] ~= R[c]',
+    LT: 'R[a] = R[b] < R[c]',
+    LE: 'R[a] = R[b] <= R[c]',
+    UNM: 'R[a] = -R[b]',
+    NOT: 'R[a] = not R[b]',
+    LEN: 'R[a] = #R[b]',
+    BNOT: 'R[a] = ~R[b]',
+    TOSTRING: 'R[a] = tostring(R[b])',
+    JMP: 'pc = a',
+    JMPIF: 'if R[a] then pc = b end',
+    JMPIFNOT: 'if not R[a] then pc = b end',
+    CALL: `local last = a + b - 1
+        if b == 0 then last = top end
+        if c == 1 then
+            R[a](unpack(R, a + 1, last))
+        elseif c == 2 then
+            R[a] = R[a](unpack(R, a + 1, last))
+        else
+            local results = pack(R[a](unpack(R, a + 1, last)))
+            local n = c - 1
+            if c == 0 then
+                n = results.n
+                top = a + n - 1
+            end
+            for i = 1, n do R[a + i - 1] = results[i] end
+        end`,
+    TAILCALL: `local last = a + b - 1
+        if b == 0 then last = top end
+        return R[a](unpack(R, a + 1, last))`,
+    RETURN: `local last = a + b - 2
+        if b == 0 then last = top end
+        return unpack(R, a, last)`,
+    VARARG: `local n = b - 1
+        if b == 0 then
+            n = args.n - params
+            if n < 0 then n = 0 end
+            top = a + n - 1
+        end
+        for i = 1, n do R[a + i - 1] = args[params + i] end`,
+    CLOSURE: `local proto = P[b]
+        local captures, boxes = proto[UPVALUES], {}
+        for i = 1, #captures, 2 do
+            if captures[i] == 1 then
+                boxes[#boxes + 1] = R[captures[i + 1]]
+            else
+                boxes[#boxes + 1] = U[captures[i + 1]]
+            end
+        end
+        R[a] = wrap(proto, boxes)`,
+    FORPREP: `local value, limit, step = tonumber(R[a]), tonumber(R[a + 1]), tonumber(R[a + 2])
+        if not value then error("'for' initial value must be a number") end
+        if not limit then error("'for' limit must be a number") end
+        if not step then error("'for' step must be a number") end
+        R[a], R[a + 1], R[a + 2] = value, limit, step`,
+    FORPREP_INTEGERS: `local value, limit, step = tonumber(R[a]), tonumber(R[a + 1]), tonumber(R[a + 2])
+        if not value then error("'for' initial value must be a number") end
+        if not limit then error("'for' limit must be a number") end
+        if not step then error("'for' step must be a number") end
+        if mathType(step) == "float" then value = value + 0.0 end
+        R[a], R[a + 1], R[a + 2] = value, limit, step`,
+    FORTEST: `local value, step = R[a], R[a + 2]
+        if (step > 0 and value <= R[a + 1]) or (step <= 0 and value >= R[a + 1]) then
+            R[a + 3] = value
+        else
+            pc = b
+        end`,
+    FORSTEP: `R[a] = R[a] + R[a + 2]
+        pc = b`,
+    TFORPREP: `local iterator = R[a]
+        if type(iterator) == "table" then
+            local mt = getmetatable(iterator)
+            if not (mt and mt.__call) then
+                if mt and mt.__iter then
+                    R[a], R[a + 1], R[a + 2] = mt.__iter(iterator)
+                else
+                    R[a], R[a + 1], R[a + 2] = next, iterator, nil
+                end
+            end
+        end`,
+    TFORCALL: `local results = pack(R[a](R[a + 1], R[a + 2]))
+        for i = 1, c do R[a + 2 + i] = results[i] end`,
+    TFORTEST: `if R[a + 3] == nil then
+            pc = b
+        else
+            R[a + 2] = R[a + 3]
+        end`,
+    GETENV: 'R[a] = env'
+};
+
+const ARITHMETIC_OPS = {
+    '+': 'ADD', '-': 'SUB', '*': 'MUL', '/': 'DIV', '%': 'MOD', '^': 'POW', '//': 'IDIV',
+    '&': 'BAND', '|': 'BOR', '~': 'BXOR', '<<': 'SHL', '>>': 'SHR', '..': 'CONCAT',
+    '==': 'EQ', '~=': 'NE', '<': 'LT', '<=': 'LE'
+};
+
+// a > b is evaluated as b < a, exactly as the reference compiler does
+const SWAPPED_OPS = { '>': 'LT', '>=': 'LE' };
+
+const UNARY_OPS = { '-': 'UNM', 'not': 'NOT', '#': 'LEN', '~': 'BNOT' };
+
+class FunctionState {
+    constructor(parent, node) {
+        this.parent = parent;
+        this.node = node;
+        this.code = [];
+        this.constants = [];
+        this.constantIndex = new Map();
+        this.protos = [];
+        this.upvalues = [];
+        this.upvalueIndex = new Map();
+        this.registers = new Map();
+        this.blocks = [];
+        this.active = 1;
+        this.freereg = 1;
+        this.numParams = 0;
+    }
+}
+
+class Virtualizer {
+    constructor(options) {
+        this.random = options.random;
+        this.target = options.target;
+        this.generateName = options.generateName;
+    }
+
+    // Returns the statements of a chunk that runs the program through the interpreter
+    virtualize(ast) {
+        this.scope = ScopeAnalyzer.analyze(ast);
+        // Reading _ENV on 5.3 gives the interpreter's environment; replacing it is not supported
+        const env = this.scope.globals.get('_ENV');
+        if (env && (this.target.id !== '5.3' || env.assigned)) {
+            throw new VirtualizationError('scripts that use _ENV', env.references[0] && env.references[0].line);
+        }
+
+        this.opcodes = this.assignOpcodes();
+        this.fieldOrder = this.random.shuffle([0, 1, 2, 3]);
+        this.protoOrder = this.random.shuffle(PROTO_FIELDS.map((_, i) => i));
+
+        const main = new FunctionState(null, ast);
+        this.block(main, ast.body);
+        this.emit(main, 'RETURN', 1, 1);
+
+        const chunk = clearLines(LuaParser.parse(this.generateInterpreter(this.serialize(main)), { target: this.target }));
+        this.renameLocals(chunk);
+        return chunk.body;
+    }
+
+    // Instruction set
+
+    assignOpcodes() {
+        const features = this.target.features;
+        const names = Object.keys(HANDLERS).filter(name => {
+            if (['IDIV'].includes(name)) return features.integerDivision;
+            if (['BAND', 'BOR', 'BXOR', 'SHL', 'SHR', 'BNOT'].includes(name)) return features.bitwiseOperators;
+            if (name === 'TFORPREP') return this.target.id === 'luau';
+            if (name === 'FORPREP') return !features.integers;
+            if (name === 'FORPREP_INTEGERS') return features.integers;
+            if (name === 'GETENV') return this.target.id === '5.3';
+            return true;
+        });
+
+        // Fresh random numbering for every build
+        const used = new Set();
+        const opcodes = {};
+        names.forEach(name => {
+            let code;
+            do {
+                code = this.random.int(0, MAX_OPERAND + 1);
+            } while (used.has(code));
+            used.add(code);
+            opcodes[name] = code;
+        });
+        return opcodes;
+    }
+
+    emit(fs, op, a = 0, b = 0, c = 0) {
+        fs.code.push([op, a, b, c]);
+        return fs.code.length - 1;
+    }
+
+    // Program counter of the next instruction; each instruction takes four slots
+    here(fs) {
+        return fs.code.length * 4 + 1;
+    }
+
+    patch(fs, index, target) {
+        const instruction = fs.code[index];
+        // Jump targets live in operand a for JMP and in operand b otherwise
+        if (instruction[0] === 'JMP') {
+            instruction[1] = target;
+        } else {
+            instruction[2] = target;
+        }
+    }
+
+    // Constants are kept as Lua source; numbers keep their literal so integer
+    // and float constants stay distinct
+    constant(fs, value) {
+        const source = typeof value === 'string'
+            ? CodeGenerator.quoteString(value)
+            : CodeGenerator.formatNumber(typeof value === 'number' ? { value } : value);
+        if (!fs.constantIndex.has(source)) {
+            fs.constants.push(source);
+            fs.constantIndex.set(source, fs.constants.length);
+        }
+        return fs.constantIndex.get(source);
+    }
+
+    alloc(fs) {
+        return fs.freereg++;
+    }
+
+    // Blocks and scoping
+
+    enterBlock(fs, loop = null) {
+        fs.blocks.push({ labels: new Map(), gotos: [], active: fs.active, loop });
+    }
+
+    leaveBlock(fs) {
+        const block = fs.blocks.pop();
+        fs.active = block.active;
+        fs.freereg = block.active;
+
+        // Unresolved gotos may target a later label of an enclosing block
+        if (block.gotos.length > 0) {
+            const parent = fs.blocks[fs.blocks.length - 1];
+            if (!parent) {
+                throw new Error(`Virtualization failed: no visible label '${block.gotos[0].label}' for goto`);
+            }
+            parent.gotos.push(...block.gotos);
+        }
+    }
+
+    block(fs, statements, loop = null) {
+        this.enterBlock(fs, loop);
+        this.statements(fs, statements);
+        this.leaveBlock(fs);
+    }
+
+    statements(fs, statements) {
+        statements.forEach(statement => {
+            this.statement(fs, statement);
+            fs.freereg = fs.active;
+        });
+    }
+
+    // Locals in scope hold the registers below fs.active; everything above is scratch space
+    declare(fs, identifier, register) {
+        const binding = this.scope.bindingOf.get(identifier);
+        fs.registers.set(binding, register);
+        fs.active = Math.max(fs.active, register + 1);
+        if (binding.captured) {
+            // Captured locals live in boxes shared with the closures that use them
+            this.emit(fs, 'NEWBOX', register);
+        }
+    }
+
+    findLoop(fs) {
+        for (let i = fs.blocks.length - 1; i >= 0; i--) {
+            if (fs.blocks[i].loop) return fs.blocks[i].loop;
+        }
+        throw new Error('Virtualization failed: break outside a loop');
+    }
+
+    // Statements
+
+    statement(fs, node) {
+        switch (node.type) {
+            case 'LocalStatement': {
+                if (node.attribs && node.attribs.includes('close')) {
+                    throw new VirtualizationError('to-be-closed variables', node.line);
+                }
+                const base = fs.freereg;
+                this.expressionList(fs, node.init, base, node.variables.length);
+                node.variables.forEach((variable, i) => this.declare(fs, variable, base + i));
+                fs.freereg = base + node.variables.length;
+                break;
+            }
+            case 'AssignmentStatement':
+                this.assignment(fs, node);
+                break;
+            case 'CompoundAssignmentStatement': {
+                const target = this.lvalue(fs, node.variable);
+                const current = this.alloc(fs);
+                this.load(fs, target, current);
+                const value = this.operand(fs, node.value);
+                const op = ARITHMETIC_OPS[node.operator];
+                this.emit(fs, op, current, current, value);
+                this.store(fs, target, current);
+                break;
+            }
+            case 'CallStatement':
+                this.call(fs, node.expression, 0);
+                break;
+            case 'FunctionDeclaration':
+                this.functionStatement(fs, node);
+                break;
+            case 'IfStatement':
+                this.ifStatement(fs, node);
+                break;
+            case 'WhileStatement': {
+                const start = this.here(fs);
+                const exitJump = this.emit(fs, 'JMPIFNOT', this.operand(fs, node.condition), 0);
+                fs.freereg = fs.active;
+                const loop = { breaks: [], continues: [] };
+                this.block(fs, node.body, loop);
+                this.emit(fs, 'JMP', start);
+                this.closeLoop(fs, loop, start);
+                this.patch(fs, exitJump, this.here(fs));
+                break;
+            }
+            case 'RepeatStatement': {
+                // The condition is compiled inside the body's scope
+                const start = this.here(fs);
+                const loop = { breaks: [], continues: [] };
+                this.enterBlock(fs, loop);
+                this.statements(fs, node.body);
+                const condition = this.here(fs);
+                this.emit(fs, 'JMPIFNOT', this.operand(fs, node.condition), start);
+                this.leaveBlock(fs);
+                this.closeLoop(fs, loop, condition);
+                break;
+            }
+            case 'ForNumericStatement':
+                this.numericFor(fs, node);
+                break;
+            case 'ForGenericStatement':
+                this.genericFor(fs, node);
+                break;
+            case 'DoStatement':
+                this.block(fs, node.body);
+                break;
+            case 'ReturnStatement':
+                this.returnStatement(fs, node);
+                break;
+            case 'BreakStatement':
+                this.findLoop(fs).breaks.push(this.emit(fs, 'JMP'));
+                break;
+            case 'ContinueStatement':
+                this.findLoop(fs).continues.push(this.emit(fs, 'JMP'));
+                break;
+            case 'GotoStatement':
+                this.gotoStatement(fs, node);
+                break;
+            case 'LabelStatement': {
+                const block = fs.blocks[fs.blocks.length - 1];
+                const target = this.here(fs);
+                block.labels.set(node.label, target);
+                block.gotos = block.gotos.filter(pending => {
+                    if (pending.label !== node.label) return true;
+                    this.patch(fs, pending.index, target);
+                    return false;
+                });
+                break;
+            }
+            default:
+                throw new VirtualizationError(node.type, node.line);
+        }
+    }
+
+    closeLoop(fs, loop, continueTarget) {
+        const exit = this.here(fs);
+        loop.breaks.forEach(index => this.patch(fs, index, exit));
+        loop.continues.forEach(index => this.patch(fs, index, continueTarget));
+    }
+
+    gotoStatement(fs, node) {
+        const index = this.emit(fs, 'JMP');
+        for (let i = fs.blocks.length - 1; i >= 0; i--) {
+            if (fs.blocks[i].labels.has(node.label)) {
+                this.patch(fs, index, fs.blocks[i].labels.get(node.label));
+                return;
+            }
+        }
+        fs.blocks[fs.blocks.length - 1].gotos.push({ label: node.label, index });
+    }
+
+    ifStatement(fs, node) {
+        const endJumps = [];
+        node.clauses.forEach((clause, i) => {
+            const isLast = i === node.clauses.length - 1;
+            let skip = null;
+            if (clause.condition) {
+                skip = this.emit(fs, 'JMPIFNOT', this.operand(fs, clause.condition), 0);
+                fs.freereg = fs.active;
+            }
+            this.block(fs, clause.body);
+            if (!isLast) endJumps.push(this.emit(fs, 'JMP'));
+            if (skip !== null) this.patch(fs, skip, this.here(fs));
+        });
+        endJumps.forEach(index => this.patch(fs, index, this.here(fs)));
+    }
+
+    numericFor(fs, node) {
+        const base = fs.freereg;
+        fs.freereg = base + 3;
+        this.expression(fs, node.start, base);
+        fs.freereg = base + 3;
+        this.expression(fs, node.end, base + 1);
+        fs.freereg = base + 3;
+        if (node.step) {
+            this.expression(fs, node.step, base + 2);
+        } else {
+            this.emit(fs, 'LOADK', base + 2, this.constant(fs, 1));
+        }
+        this.emit(fs, this.target.features.integers ? 'FORPREP_INTEGERS' : 'FORPREP', base);
+
+        // The loop state occupies three hidden registers below the loop variable
+        const test = this.here(fs);
+        const exitJump = this.emit(fs, 'FORTEST', base, 0);
+        const loop = { breaks: [], continues: [] };
+        fs.active = base + 3;
+        this.enterBlock(fs, loop);
+        this.declare(fs, node.variable, base + 3);
+        fs.freereg = fs.active;
+        this.statements(fs, node.body);
+        this.leaveBlock(fs);
+
+        const step = this.here(fs);
+        this.emit(fs, 'FORSTEP', base, test);
+        this.closeLoop(fs, loop, step);
+        this.patch(fs, exitJump, this.here(fs));
+        fs.active = base;
+        fs.freereg = base;
+    }
+
+    genericFor(fs, node) {
+        const base = fs.freereg;
+        this.expressionList(fs, node.iterators, base, 3);
+        fs.freereg = base + 3;
+        if (this.target.id === 'luau') {
+            // Luau can iterate tables directly
+            this.emit(fs, 'TFORPREP', base);
+        }
+
+        const test = this.here(fs);
+        this.emit(fs, 'TFORCALL', base, 0, node.variables.length);
+        const exitJump = this.emit(fs, 'TFORTEST', base, 0);
+        const loop = { breaks: [], continues: [] };
+        fs.active = base + 3;
+        this.enterBlock(fs, loop);
+        node.variables.forEach((variable, i) => this.declare(fs, variable, base + 3 + i));
+        fs.freereg = fs.active;
+        this.statements(fs, node.body);
+        this.leaveBlock(fs);
+
+        this.emit(fs, 'JMP', test);
+        this.closeLoop(fs, loop, test);
+        this.patch(fs, exitJump, this.here(fs));
+        fs.active = base;
+        fs.freereg = base;
+    }
+
+    returnStatement(fs, node) {
+        const args = node.arguments;
+        if (args.length === 1 && args[0].type === 'CallExpression') {
+            const { base, argCount } = this.prepareCall(fs, args[0]);
+            this.emit(fs, 'TAILCALL', base, argCount);
+            return;
+        }
+        const base = fs.freereg;
+        const multi = this.expressionList(fs, args, base, -1);
+        this.emit(fs, 'RETURN', base, multi ? 0 : args.length + 1);
+    }
+
+    functionStatement(fs, node) {
+        if (node.isLocal) {
+            // Declared before the body so the function can call itself
+            const register = fs.freereg;
+            this.emit(fs, 'LOADNIL', register, 1);
+            this.declare(fs, node.identifier, register);
+            fs.freereg = register + 1;
+            const binding = this.scope.bindingOf.get(node.identifier);
+            if (binding.captured) {
+                const temp = this.alloc(fs);
+                this.closure(fs, node, temp);
+                this.emit(fs, 'SETBOX', register, temp);
+            } else {
+                this.closure(fs, node, register);
+            }
+            return;
+        }
+
+        const target = this.lvalue(fs, node.identifier);
+        const value = this.alloc(fs);
+        this.closure(fs, node, value);
+        this.store(fs, target, value);
+    }
+
+    assignment(fs, node) {
+        // Table and key operands are evaluated before the values
+        const targets = node.variables.map(variable => this.lvalue(fs, variable));
+        const base = fs.freereg;
+        this.expressionList(fs, node.init, base, targets.length);
+        for (let i = targets.length - 1; i >= 0; i--) {
+            this.store(fs, targets[i], base + i);
+        }
+    }
+
+    // Assignable places
+
+    lvalue(fs, node) {
+        switch (node.type) {
+            case 'Identifier':
+                return this.resolve(fs, node);
+            case 'MemberExpression': {
+                const object = this.alloc(fs);
+                this.expression(fs, node.base, object);
+                return { kind: 'field', object, key: this.constant(fs, node.identifier.name) };
+            }
+            case 'IndexExpression': {
+                const object = this.alloc(fs);
+                this.expression(fs, node.base, object);
+                const key = this.alloc(fs);
+                this.expression(fs, node.index, key);
+                return { kind: 'index', object, key };
+            }
+            default:
+                throw new Error(`Cannot assign to ${node.type}`);
+        }
+    }
+
+    load(fs, place, register) {
+        switch (place.kind) {
+            case 'local': this.emit(fs, 'MOVE', register, place.register); break;
+            case 'box': this.emit(fs, 'GETBOX', register, place.register); break;
+            case 'upvalue': this.emit(fs, 'GETUPVAL', register, place.index); break;
+            case 'global': this.emit(fs, 'GETGLOBAL', register, this.constant(fs, place.name)); break;
+            case 'env': this.emit(fs, 'GETENV', register); break;
+            case 'field': this.emit(fs, 'GETFIELD', register, place.object, place.key); break;
+            case 'index': this.emit(fs, 'GETTABLE', register, place.object, place.key); break;
+            default: break;
+        }
+    }
+
+    store(fs, place, register) {
+        switch (place.kind) {
+            case 'local': this.emit(fs, 'MOVE', place.register, register); break;
+            case 'box': this.emit(fs, 'SETBOX', place.register, register); break;
+            case 'upvalue': this.emit(fs, 'SETUPVAL', register, place.index); break;
+            case 'global': this.emit(fs, 'SETGLOBAL', register, this.constant(fs, place.name)); break;
+            case 'field': this.emit(fs, 'SETFIELD', place.object, place.key, register); break;
+            case 'index': this.emit(fs, 'SETTABLE', place.object, place.key, register); break;
+            default: break;
+        }
+    }
+
+    resolve(fs, identifier) {
+        const binding = this.scope.bindingOf.get(identifier);
+        if (!binding || binding.kind === 'global') {
+            if (identifier.name === '_ENV' && this.target.id === '5.3') return { kind: 'env' };
+            return { kind: 'global', name: identifier.name };
+        }
+        if (fs.registers.has(binding)) {
+            return { kind: binding.captured ? 'box' : 'local', register: fs.registers.get(binding) };
+        }
+        return { kind: 'upvalue', index: this.upvalue(fs, binding) };
+    }
+
+    upvalue(fs, binding) {
+        if (fs.upvalueIndex.has(binding)) return fs.upvalueIndex.get(binding);
+        const parent = fs.parent;
+        const capture = parent.registers.has(binding)
+            ? [1, parent.registers.get(binding)]
+            : [0, this.upvalue(parent, binding)];
+        fs.upvalues.push(capture);
+        fs.upvalueIndex.set(binding, fs.upvalues.length);
+        return fs.upvalues.length;
+    }
+
+    // Expressions
+
+    isMultiValue(node) {
+        return node.type === 'CallExpression' || node.type === 'VarargLiteral';
+    }
+
+    // Evaluates a list into consecutive registers from base. want is the number
+    // of values needed, or -1 to keep every value of a trailing call or vararg.
+    // Returns true when the list ends in an open multi-value expression.
+    expressionList(fs, expressions, base, want) {
+        let open = false;
+        expressions.forEach((node, i) => {
+            const isLast = i === expressions.length - 1;
+            const register = base + i;
+            fs.freereg = Math.max(fs.freereg, register);
+
+            if (isLast && this.isMultiValue(node) && (want === -1 || want > i)) {
+                const count = want === -1 ? -1 : want - i;
+                fs.freereg = register;
+                this.multiValue(fs, node, register, count);
+                open = count === -1;
+            } else if (want !== -1 && i >= want) {
+                // Extra values are still evaluated for their side effects
+                this.expression(fs, node, this.alloc(fs));
+            } else {
+                fs.freereg = register + 1;
+                this.expression(fs, node, register);
+            }
+        });
+
+        if (want > expressions.length && !(expressions.length > 0 && this.isMultiValue(expressions[expressions.length - 1]))) {
+            this.emit(fs, 'LOADNIL', base + expressions.length, want - expressions.length);
+        }
+        if (want !== -1) fs.freereg = Math.max(fs.freereg, base + want);
+        return open;
+    }
+
+    // Places count values (or all of them for -1) starting at register
+    multiValue(fs, node, register, count) {
+        if (node.type === 'VarargLiteral') {
+            this.emit(fs, 'VARARG', register, count + 1);
+            return;
+        }
+        this.call(fs, node, count);
+    }
+
+    prepareCall(fs, node) {
+        const base = this.alloc(fs);
+        let first = base + 1;
+        if (node.base.type === 'MemberExpression' && node.base.indexer === ':') {
+            // Method calls evaluate the object once and pass it as self
+            fs.freereg = base + 2;
+            this.expression(fs, node.base.base, base + 1);
+            this.emit(fs, 'GETFIELD', base, base + 1, this.constant(fs, node.base.identifier.name));
+            first = base + 2;
+        } else {
+            fs.freereg = base + 1;
+            this.expression(fs, node.base, base);
+        }
+
+        const multi = this.expressionList(fs, node.arguments, first, -1);
+        const argCount = multi ? 0 : first - base + node.arguments.length;
+        return { base, argCount };
+    }
+
+    // Calls with results placed from the call's base register
+    call(fs, node, count) {
+        const { base, argCount } = this.prepareCall(fs, node);
+        this.emit(fs, 'CALL', base, argCount, count + 1);
+        fs.freereg = base + Math.max(count, 0);
+        return base;
+    }
+
+    // Register holding the value; locals are used in place
+    operand(fs, node) {
+        if (node.type === 'Identifier') {
+            const place = this.resolve(fs, node);
+            if (place.kind === 'local') return place.register;
+        }
+        const register = this.alloc(fs);
+        this.expression(fs, node, register);
+        return register;
+    }
+
+    expression(fs, node, target) {
+        switch (node.type) {
+            case 'NilLiteral':
+                this.emit(fs, 'LOADNIL', target, 1);
+                break;
+            case 'BooleanLiteral':
+                this.emit(fs, 'LOADBOOL', target, node.value ? 1 : 0);
+                break;
+            case 'NumericLiteral':
+                this.emit(fs, 'LOADK', target, this.constant(fs, node));
+                break;
+            case 'StringLiteral':
+                this.emit(fs, 'LOADK', target, this.constant(fs, node.value));
+                break;
+            case 'VarargLiteral':
+                this.emit(fs, 'VARARG', target, 2);
+                break;
+            case 'Identifier':
+                this.load(fs, this.resolve(fs, node), target);
+                break;
+            case 'FunctionDeclaration':
+                this.closure(fs, node, target);
+                break;
+            case 'TableConstructorExpression':
+                this.table(fs, node, target);
+                break;
+            case 'BinaryExpression': {
+                if (SWAPPED_OPS[node.operator]) {
+                    const left = this.operand(fs, node.left);
+                    const right = this.operand(fs, node.right);
+                    this.emit(fs, SWAPPED_OPS[node.operator], target, right, left);
+                } else {
+                    const left = this.operand(fs, node.left);
+                    const right = this.operand(fs, node.right);
+                    this.emit(fs, ARITHMETIC_OPS[node.operator], target, left, right);
+                }
+                break;
+            }
+            case 'LogicalExpression': {
+                this.expression(fs, node.left, target);
+                const skip = this.emit(fs, node.operator === 'and' ? 'JMPIFNOT' : 'JMPIF', target, 0);
+                this.expression(fs, node.right, target);
+                this.patch(fs, skip, this.here(fs));
+                break;
+            }
+            case 'UnaryExpression':
+                this.emit(fs, UNARY_OPS[node.operator], target, this.operand(fs, node.argument));
+                break;
+            case 'MemberExpression':
+                this.emit(fs, 'GETFIELD', target, this.operand(fs, node.base), this.constant(fs, node.identifier.name));
+                break;
+            case 'IndexExpression': {
+                const object = this.operand(fs, node.base);
+                const key = this.operand(fs, node.index);
+                this.emit(fs, 'GETTABLE', target, object, key);
+                break;
+            }
+            case 'CallExpression': {
+                const base = this.call(fs, node, 1);
+                if (base !== target) this.emit(fs, 'MOVE', target, base);
+                break;
+            }
+            case 'ParenthesizedExpression':
+                this.expression(fs, node.expression, target);
+                break;
+            case 'IfExpression': {
+                const skip = this.emit(fs, 'JMPIFNOT', this.operand(fs, node.condition), 0);
+                this.expression(fs, node.consequent, target);
+                const end = this.emit(fs, 'JMP');
+                this.patch(fs, skip, this.here(fs));
+                this.expression(fs, node.alternate, target);
+                this.patch(fs, end, this.here(fs));
+                break;
+            }
+            case 'InterpolatedStringExpression':
+                this.interpolatedString(fs, node, target);
+                break;
+            default:
+                throw new VirtualizationError(node.type, node.line);
+        }
+    }
+
+    table(fs, node, target) {
+        const table = this.alloc(fs);
+        this.emit(fs, 'NEWTABLE', table);
+        const lastField = node.fields[node.fields.length - 1];
+        let count = 0;
+        let open = false;
+
+        node.fields.forEach(field => {
+            if (field.type === 'TableValue') {
+                count++;
+                const register = table + count;
+                fs.freereg = register;
+                if (field === lastField && this.isMultiValue(field.value)) {
+                    this.multiValue(fs, field.value, register, -1);
+                    open = true;
+                } else {
+                    fs.freereg = register + 1;
+                    this.expression(fs, field.value, register);
+                }
+                return;
+            }
+
+            // Keyed fields use scratch registers above the positional values
+            fs.freereg = table + count + 1;
+            if (field.type === 'TableKeyString') {
+                const value = this.operand(fs, field.value);
+                this.emit(fs, 'SETFIELD', table, this.constant(fs, field.key.name), value);
+            } else {
+                const key = this.operand(fs, field.key);
+                const value = this.operand(fs, field.value);
+                this.emit(fs, 'SETTABLE', table, key, value);
+            }
+        });
+
+        if (count > 0) {
+            this.emit(fs, 'SETLIST', table, open ? 0 : count + 1);
+        }
+        if (table !== target) this.emit(fs, 'MOVE', target, table);
+    }
+
+    interpolatedString(fs, node, target) {
+        // Every expression is evaluated before any is converted, as string.format does
+        const values = node.expressions.map(expression => {
+            const register = this.alloc(fs);
+            this.expression(fs, expression, register);
+            return register;
+        });
+        values.forEach(register => this.emit(fs, 'TOSTRING', register, register));
+
+        this.emit(fs, 'LOADK', target, this.constant(fs, node.parts[0]));
+        const part = this.alloc(fs);
+        values.forEach((register, i) => {
+            this.emit(fs, 'CONCAT', target, target, register);
+            if (node.parts[i + 1] !== '') {
+                this.emit(fs, 'LOADK', part, this.constant(fs, node.parts[i + 1]));
+                this.emit(fs, 'CONCAT', target, target, part);
+            }
+        });
+    }
+
+    closure(fs, node, target) {
+        const child = new FunctionState(fs, node);
+        child.numParams = node.parameters.length;
+        this.enterBlock(child);
+        node.parameters.forEach((parameter, i) => this.declare(child, parameter, i + 1));
+        child.freereg = child.active;
+        this.statements(child, node.body);
+        this.leaveBlock(child);
+        this.emit(child, 'RETURN', 1, 1);
+
+        fs.protos.push(child);
+        this.emit(fs, 'CLOSURE', target, fs.protos.length);
+    }
+
+    // Serialization
+
+    serialize(fs) {
+        const bytes = [];
+        fs.code.forEach(([op, ...operands]) => {
+            const fields = [this.opcodes[op], ...operands];
+            this.fieldOrder.forEach(index => {
+                const value = fields[index];
+                if (value < 0 || value > MAX_OPERAND) {
+                    throw new Error('Virtualization failed: script is too large');
+                }
+                bytes.push(String.fromCharCode(value >> 16, (value >> 8) & 0xFF, value & 0xFF));
+            });
+        });
+
+        const fields = {
+            code: CodeGenerator.quoteString(bytes.join('')),
+            constants: `{${fs.constants.join(', ')}}`,
+            protos: `{${fs.protos.map(child => this.serialize(child)).join(', ')}}`,
+            params: String(fs.numParams),
+            upvalues: `{${fs.upvalues.flat().join(', ')}}`
+        };
+        return `{${this.protoOrder.map(index => fields[PROTO_FIELDS[index]]).join(', ')}}`;
+    }
+
+    // Interpreter
+
+    slot(field) {
+        return this.protoOrder.indexOf(PROTO_FIELDS.indexOf(field)) + 1;
+    }
+
+    dispatcher() {
+        const handlers = Object.keys(this.opcodes)
+            .map(name => ({ code: this.opcodes[name], source: HANDLERS[name] }))
+            .sort((a, b) => a.code - b.code);
+
+        const tree = (items) => {
+            if (items.length === 1) return items[0].source;
+            const mid = items.length >> 1;
+            return `if op < ${items[mid].code} then
+                ${tree(items.slice(0, mid))}
+            else
+                ${tree(items.slice(mid))}
+            end`;
+        };
+        return tree(handlers);
+    }
+
+    generateInterpreter(program) {
+        const { runtime, features } = this.target;
+        // Globals resolve against the environment of the protected script
+        const { env } = runtime;
+        const slots = ['op', 'a', 'b', 'c'].map((name, i) => `local ${name} = code[pc + ${this.fieldOrder.indexOf(i)}]`);
+
+        return `
+local env = ${env}
+local unpack, select, type, tostring, tonumber, error = ${runtime.unpack}, select, type, tostring, tonumber, error
+local getmetatable, next, byte = getmetatable, next, string.byte
+${features.integers ? 'local mathType = math.type' : ''}
+local UPVALUES = ${this.slot('upvalues')}
+
+local function pack(...)
+    return {n = select("#", ...), ...}
+end
+
+local function decode(proto)
+    local data, code = proto[${this.slot('code')}], {}
+    for i = 1, #data, 3 do
+        local x, y, z = byte(data, i, i + 2)
+        code[#code + 1] = (x * 256 + y) * 256 + z
+    end
+    proto[${this.slot('code')}] = code
+    local protos = proto[${this.slot('protos')}]
+    for i = 1, #protos do decode(protos[i]) end
+    return proto
+end
+
+local run
+
+local function wrap(proto, U)
+    return function(...)
+        return run(proto, U, ...)
+    end
+end
+
+run = function(proto, U, ...)
+    local code, K, P = proto[${this.slot('code')}], proto[${this.slot('constants')}], proto[${this.slot('protos')}]
+    local params = proto[${this.slot('params')}]
+    local args = pack(...)
+    local R = {}
+    for i = 1, params do R[i] = args[i] end
+    local top = 0
+    local pc = 1
+    while true do
+        ${slots.join('\n        ')}
+        pc = pc + 4
+        ${this.dispatcher()}
+    end
+end
+
+return wrap(decode(${program}), {})(...)`;
+    }
+
+    // Gives the interpreter's own locals generated names
+    renameLocals(chunk) {
+        const scope = ScopeAnalyzer.analyze(chunk);
+        scope.localBindings().forEach(binding => {
+            const name = this.generateName();
+            binding.declarations.forEach(identifier => { identifier.name = name; });
+            binding.references.forEach(identifier => { identifier.name = name; });
+        });
+    }
+}
+
+Virtualizer.VirtualizationError = VirtualizationError;
+
+module.exports = Virtualizer;
@@ -0,0 +1,57 @@
+// Watermark - Derives per-key build variants and traces a leaked script back to its variant
+const crypto = require('crypto');
+
+// Tokens that can tell builds apart: names, numbers of three or more digits and string literals
+const TOKEN = /[A-Za-z_][A-Za-z0-9_]*|\d{3,}(?:\.\d+)?|"(?:[^"\\\n]|\\[\s\S])*"|'(?:[^'\\\n]|\\[\s\S])*'/g;
+
+// Tokens kept per variant; enough to survive partial copies and edits
+const FINGERPRINT_SIZE = 64;
+
+// Share of a fingerprint a script must contain to count as that variant
+const MATCH_THRESHOLD = 0.5;
+
+const tokensOf = (code) => new Set(code.match(TOKEN) || []);
+const digest = (text) => crypto.createHash('sha256').update(text).digest('hex');
+
+class Watermark {
+    // Seed of a key's variant. Every random choice of a build comes from its seed, so a
+    // variant differs from the base build in identifier names, string keys and salts,
+    // constant shapes and junk code while doing exactly the same thing.
+    static seed(baseSeed, keyId) {
+        const tag = crypto.createHmac('sha256', baseSeed).update(String(keyId)).digest('hex').slice(0, 16);
+        return `${baseSeed}:${tag}`;
+    }
+
+    // Tokens of the variant that the base build does not contain, in a stable order
+    static fingerprint(code, baseCode = '') {
+        const base = tokensOf(baseCode);
+        return [...tokensOf(code)]
+            .filter(token => !base.has(token))
+            .map(token => ({ token, order: digest(token) }))
+            .sort((a, c) => (a.order < c.order ? -1 : 1))
+            .slice(0, FINGERPRINT_SIZE)
+            .map(({ token }) => token);
+    }
+
+    // Scores each candidate { id, fingerprint } by the share of its fingerprint found in
+    // the script, best first. match is the best candidate when it clearly stands out.
+    static identify(code, candidates) {
+        const tokens = tokensOf(code);
+        const scores = candidates
+            .filter(candidate => candidate.fingerprint && candidate.fingerprint.length > 0)
+            .map(candidate => {
+                const found = candidate.fingerprint.filter(token => tokens.has(token)).length;
+                return { id: candidate.id, score: Math.round((found / candidate.fingerprint.length) * 1000) / 1000 };
+            })
+            .filter(candidate => candidate.score > 0)
+            .sort((a, c) => c.score - a.score);
+
+        const [best, second] = scores;
+        const clear = best && best.score >= MATCH_THRESHOLD && (!second || best.score - second.score >= MATCH_THRESHOLD / 2);
+        return { match: clear ? best.id : null, scores };
+    }
+}
+
+Watermark.FINGERPRINT_SIZE = FINGERPRINT_SIZE;
+
+module.exports = Watermark;
@@ -5,6 +5,9 @@ const app = require('../backend/server');
 const User = require('../backend/models/User');
 const Project = require('../backend/models/Project');
 const Key = require('../backend/models/Key');
+const Profile = require('../backend/models/Profile');
+const Build = require('../backend/models/Build');
+const Variant = require('../backend/models/Variant');
 
 describe('EnigmaCode API Tests', () => {
     let authToken;
@@ -12,6 +15,26 @@ describe('EnigmaCode API Tests', () => {
     let testProject;
     let testKey;
 
+    // Queues a build of the project and polls its job until it finishes
+    const build = async (projectId, body = {}) => {
+        const queued = await request(app)
+            .post(`/api/projects/${projectId}/obfuscate`)
+            .set('Authorization', `Bearer ${authToken}`)
+            .send(body)
+            .expect(202);
+
+        for (;;) {
+            const response = await request(app)
+                .get(`/api/jobs/${queued.body.job.jobId}`)
+                .set('Authorization', `Bearer ${authToken}`)
+                .expect(200);
+            if (['completed', 'failed', 'cancelled'].includes(response.body.job.status)) {
+                return response.body.job;
+            }
+            await new Promise(resolve => setTimeout(resolve, 50));
+        }
+    };
+
     beforeAll(async () => {
         // Connect to test database
         const mongoUri = process.env.MONGODB_TEST_URI || 'mongodb://localhost:27017/enigmacode_test';
@@ -32,6 +55,9 @@ describe('EnigmaCode API Tests', () => {
         await User.deleteMany({});
         await Project.deleteMany({});
         await Key.deleteMany({});
+        await Profile.deleteMany({});
+        await Build.deleteMany({});
+        await Variant.deleteMany({});
     });
 
     describe('Authentication', () => {
@@ -191,14 +217,316 @@ describe('EnigmaCode API Tests', () => {
 
             const projectId = projectResponse.body.project.projectId;
 
-            const response = await request(app)
+            const job = await build(projectId, { tier: 'standard' });
+
+            expect(job.status).toBe('completed');
+            expect(job.progress).toBe(100);
+            expect(job.logs.map(log => log.message)).toContain('Build completed');
+            expect(job.result.obfuscatedCode).toBeDefined();
+            expect(job.result.report.transforms).toContain('stringEncryption');
+        });
+
+        test('POST /api/projects/:projectId/obfuscate - should reproduce seeded builds and their loader', async () => {
+            const projectResponse = await request(app)
+                .post('/api/projects')
+                .set('Authorization', `Bearer ${authToken}`)
+                .field('name', 'Test Project')
+                .attach('file', Buffer.from('print("Hello, World!")'), 'test.lua')
+                .expect(201);
+
+            const projectId = projectResponse.body.project.projectId;
+            const loader = async () => {
+                const response = await request(app)
+                    .get(`/api/projects/${projectId}/loader`)
+                    .set('Authorization', `Bearer ${authToken}`)
+                    .expect(200);
+                return response.body.loaderScript;
+            };
+
+            const first = await build(projectId, { seed: 'release-1' });
+            const firstLoader = await loader();
+            const second = await build(projectId, { seed: 'release-1' });
+
+            expect(second.result.obfuscatedCode).toBe(first.result.obfuscatedCode);
+            expect(await loader()).toBe(firstLoader);
+        });
+
+        test('POST /api/jobs/:jobId/cancel - should cancel queued builds', async () => {
+            const projectResponse = await request(app)
+                .post('/api/projects')
+                .set('Authorization', `Bearer ${authToken}`)
+                .field('name', 'Test Project')
+                .attach('file', Buffer.from('print("Hello, World!")'), 'test.lua')
+                .expect(201);
+
+            const projectId = projectResponse.body.project.projectId;
+            const queued = await request(app)
                 .post(`/api/projects/${projectId}/obfuscate`)
                 .set('Authorization', `Bearer ${authToken}`)
-                .send({ tier: 'standard' })
+                .expect(202);
+
+            const response = await request(app)
+                .post(`/api/jobs/${queued.body.job.jobId}/cancel`)
+                .set('Authorization', `Bearer ${authToken}`);
+
+            // A fast build can finish before the cancel request arrives
+            if (response.status === 200) {
+                expect(response.body.job.status).toBe('cancelled');
+            } else {
+                expect(response.status).toBe(409);
+            }
+        });
+
+        test('GET /api/projects/passes - should describe the obfuscation passes', async () => {
+            const response = await request(app)
+                .get('/api/projects/passes')
+                .set('Authorization', `Bearer ${authToken}`)
                 .expect(200);
 
-            expect(response.body.message).toBe('Project obfuscated successfully');
-            expect(response.body.obfuscatedCode).toBeDefined();
+            const names = response.body.passes.map(pass => pass.name);
+            expect(names).toContain('stringEncryption');
+            expect(names).toContain('virtualization');
+            expect(response.body.passes.find(pass => pass.name === 'virtualization').tier).toBe('premium');
+        });
+
+        test('PUT /api/projects/:projectId - should reject invalid pass orders', async () => {
+            const projectResponse = await request(app)
+                .post('/api/projects')
+                .set('Authorization', `Bearer ${authToken}`)
+                .field('name', 'Test Project')
+                .attach('file', Buffer.from('print("test")'), 'test.lua')
+                .expect(201);
+
+            const response = await request(app)
+                .put(`/api/projects/${projectResponse.body.project.projectId}`)
+                .set('Authorization', `Bearer ${authToken}`)
+                .send({ obfuscationSettings: { passOrder: ['integrityChecks', 'stringEncryption'] } })
+                .expect(400);
+
+            expect(response.body.details).toEqual(["Pass 'integrityChecks' must run after 'stringEncryption'"]);
+        });
+
+        test('POST /api/projects - should bundle projects with several files', async () => {
+            const projectResponse = await request(app)
+                .post('/api/projects')
+                .set('Authorization', `Bearer ${authToken}`)
+                .field('name', 'Bundled Project')
+                .field('entryPoint', 'main.lua')
+                .attach('files', Buffer.from('print(require("util").name)'), 'main.lua')
+                .attach('files', Buffer.from('return { name = "util" }'), 'util.lua')
+                .expect(201);
+
+            const projectId = projectResponse.body.project.projectId;
+
+            const job = await build(projectId);
+
+            expect(job.result.report.files).toEqual(['main.lua', 'util.lua']);
+
+            await request(app)
+                .post(`/api/projects/${projectId}/files`)
+                .set('Authorization', `Bearer ${authToken}`)
+                .attach('files', Buffer.from('return require("missing")'), 'util.lua')
+                .expect(200);
+
+            const failed = await build(projectId);
+
+            expect(failed.status).toBe('failed');
+            expect(failed.error).toMatch(/^Bundling failed: util\.lua:1: module 'missing' not found/);
+        });
+
+        test('POST /api/projects/:projectId/deobfuscate - should map a trace to the original script', async () => {
+            const projectResponse = await request(app)
+                .post('/api/projects')
+                .set('Authorization', `Bearer ${authToken}`)
+                .field('name', 'Test Project')
+                .attach('file', Buffer.from('local value = nil\nprint(value.field)'), 'test.lua')
+                .expect(201);
+
+            const projectId = projectResponse.body.project.projectId;
+
+            await request(app)
+                .post(`/api/projects/${projectId}/deobfuscate`)
+                .set('Authorization', `Bearer ${authToken}`)
+                .send({ trace: 'script:1: error' })
+                .expect(400);
+
+            const job = await build(projectId);
+
+            // The script runs from the chunk the integrity check embeds, so errors name that chunk
+            const code = job.result.obfuscatedCode;
+            const chunk = /"=(\w+)"/.exec(code)[1];
+            const printLine = code.slice(code.indexOf('[[\n') + 3).split('\n').findIndex(line => /^\s*print\(/.test(line)) + 1;
+
+            const response = await request(app)
+                .post(`/api/projects/${projectId}/deobfuscate`)
+                .set('Authorization', `Bearer ${authToken}`)
+                .send({ trace: `${chunk}:${printLine}: attempt to index a nil value` })
+                .expect(200);
+
+            expect(response.body.file).toBe('test.lua');
+            expect(response.body.trace).toBe('test.lua:2: attempt to index a nil value');
+
+            await request(app)
+                .post(`/api/projects/${projectId}/deobfuscate`)
+                .set('Authorization', `Bearer ${authToken}`)
+                .send({ trace: 'script:1: error', keyId: { $ne: null } })
+                .expect(400);
+        });
+
+        test('POST /api/projects/preview - should preview a snippet without storing it', async () => {
+            const response = await request(app)
+                .post('/api/projects/preview')
+                .set('Authorization', `Bearer ${authToken}`)
+                .send({ code: 'local greeting = "Hello"\nprint(greeting)', settings: { antiDebugging: false }, seed: 'preview' })
+                .expect(200);
+
+            expect(response.body.preview.seed).toBe('preview');
+            expect(response.body.preview.passes.map(pass => pass.name))
+                .toEqual(['stringEncryption', 'variableRenaming', 'integrityChecks', 'output']);
+            expect(response.body.preview.passes[1].diff).toContain('-print(greeting)');
+            expect(await Project.countDocuments()).toBe(0);
+
+            await request(app)
+                .post('/api/projects/preview')
+                .set('Authorization', `Bearer ${authToken}`)
+                .send({ code: 'local = 1' })
+                .expect(400);
+            await request(app)
+                .post('/api/projects/preview')
+                .set('Authorization', `Bearer ${authToken}`)
+                .send({ code: 'print(1)', settings: { tier: 'premium', virtualization: true } })
+                .expect(403);
+            await request(app)
+                .post('/api/projects/preview')
+                .set('Authorization', `Bearer ${authToken}`)
+                .send({ code: `print("${'x'.repeat(20000)}")` })
+                .expect(413);
+        });
+    });
+
+    describe('Profiles', () => {
+        const createProject = async (name) => {
+            const response = await request(app)
+                .post('/api/projects')
+                .set('Authorization', `Bearer ${authToken}`)
+                .field('name', name)
+                .attach('file', Buffer.from('local greeting = "Hello"\nprint(greeting)'), 'test.lua')
+                .expect(201);
+            return response.body.project.projectId;
+        };
+
+        beforeEach(async () => {
+            const response = await request(app)
+                .post('/api/auth/register')
+                .send({ username: 'testuser', email: 'test@example.com', password: 'TestPassword123!' })
+                .expect(201);
+
+            authToken = response.body.token;
+        });
+
+        test('GET /api/profiles - should list the built-in presets', async () => {
+            const response = await request(app)
+                .get('/api/profiles')
+                .set('Authorization', `Bearer ${authToken}`)
+                .expect(200);
+
+            expect(response.body.presets.map(preset => preset.name)).toEqual(['fast', 'balanced', 'max']);
+            expect(response.body.profiles).toEqual([]);
+        });
+
+        test('PUT /api/profiles/:profileId - should version saved profiles', async () => {
+            const created = await request(app)
+                .post('/api/profiles')
+                .set('Authorization', `Bearer ${authToken}`)
+                .send({ name: 'Shipping', settings: { junkCode: true, antiDebugging: false } })
+                .expect(201);
+
+            const { profileId } = created.body.profile;
+            expect(created.body.profile.version).toBe(1);
+            expect(created.body.profile.settings.junkCode).toBe(true);
+
+            const updated = await request(app)
+                .put(`/api/profiles/${profileId}`)
+                .set('Authorization', `Bearer ${authToken}`)
+                .send({ settings: { junkCode: true, antiDebugging: false, minify: true } })
+                .expect(200);
+
+            expect(updated.body.profile.version).toBe(2);
+            expect(updated.body.profile.versions.map(entry => entry.settings.minify)).toEqual([false, true]);
+
+            // The same settings again add no version
+            const unchanged = await request(app)
+                .put(`/api/profiles/${profileId}`)
+                .set('Authorization', `Bearer ${authToken}`)
+                .send({ settings: { junkCode: true, antiDebugging: false, minify: true } })
+                .expect(200);
+            expect(unchanged.body.profile.version).toBe(2);
+
+            await request(app)
+                .post('/api/profiles')
+                .set('Authorization', `Bearer ${authToken}`)
+                .send({ name: 'Shipping', settings: {} })
+                .expect(409);
+            await request(app)
+                .post('/api/profiles')
+                .set('Authorization', `Bearer ${authToken}`)
+                .send({ name: 'Premium', settings: { tier: 'premium', virtualization: true } })
+                .expect(403);
+            await request(app)
+                .put('/api/profiles/balanced')
+                .set('Authorization', `Bearer ${authToken}`)
+                .send({ settings: {} })
+                .expect(403);
+        });
+
+        test('POST /api/profiles/:profileId/apply - should pin projects to a profile version', async () => {
+            const first = await createProject('First');
+            const second = await createProject('Second');
+
+            await request(app)
+                .put(`/api/projects/${second}`)
+                .set('Authorization', `Bearer ${authToken}`)
+                .send({ obfuscationSettings: { target: '5.1' } })
+                .expect(200);
+
+            const created = await request(app)
+                .post('/api/profiles')
+                .set('Authorization', `Bearer ${authToken}`)
+                .send({ name: 'Shipping', settings: { antiDebugging: false, minify: true } })
+                .expect(201);
+            const { profileId } = created.body.profile;
+
+            const response = await request(app)
+                .post(`/api/profiles/${profileId}/apply`)
+                .set('Authorization', `Bearer ${authToken}`)
+                .send({ projectIds: [first, second, 'proj_missing'] })
+                .expect(200);
+
+            expect(response.body.applied.sort()).toEqual([first, second].sort());
+            expect(response.body.notFound).toEqual(['proj_missing']);
+
+            // A new version does not reach projects until the profile is applied again
+            await request(app)
+                .put(`/api/profiles/${profileId}`)
+                .set('Authorization', `Bearer ${authToken}`)
+                .send({ settings: { antiDebugging: false, minify: false } })
+                .expect(200);
+
+            const job = await build(second);
+            expect(job.result.report.transforms).toEqual(['stringEncryption', 'variableRenaming', 'minify', 'integrityChecks']);
+            expect(job.result.report.target).toBe('5.1');
+
+            const project = await Project.findOne({ projectId: second });
+            expect(project.profile).toEqual({ profileId, name: 'Shipping', version: 1 });
+            expect(project.lastBuild.profile).toEqual({ profileId, name: 'Shipping', version: 1 });
+
+            // Editing the settings by hand detaches the project from the profile
+            const edited = await request(app)
+                .put(`/api/projects/${first}`)
+                .set('Authorization', `Bearer ${authToken}`)
+                .send({ obfuscationSettings: { junkCode: true } })
+                .expect(200);
+            expect(edited.body.project.profile).toBeNull();
         });
     });
 
@@ -317,11 +645,7 @@ describe('EnigmaCode API Tests', () => {
             testProject = projectResponse.body.project;
 
             // Obfuscate the project
-            await request(app)
-                .post(`/api/projects/${testProject.projectId}/obfuscate`)
-                .set('Authorization', `Bearer ${authToken}`)
-                .send({ tier: 'standard' })
-                .expect(200);
+            await build(testProject.projectId, { tier: 'standard' });
 
             const keyResponse = await request(app)
                 .post('/api/keys')
@@ -348,6 +672,227 @@ describe('EnigmaCode API Tests', () => {
             expect(response.body.keyInfo).toBeDefined();
         });
 
+        test('POST /api/projects/:projectId/builds/:buildId/promote - should roll the loader back to an earlier build', async () => {
+            const validate = async () => {
+                const response = await request(app)
+                    .get('/api/loader/validate')
+                    .set('X-Project-ID', testProject.projectId)
+                    .set('X-User-Key', testKey.keyString)
+                    .set('X-User-ID', '12345')
+                    .expect(200);
+                return response.body.code;
+            };
+            const first = await validate();
+
+            await request(app)
+                .post(`/api/projects/${testProject.projectId}/files`)
+                .set('Authorization', `Bearer ${authToken}`)
+                .attach('files', Buffer.from('print("Broken release")'), 'test.lua')
+                .expect(200);
+
+            // A build that is not promoted is recorded but not served
+            const staged = await build(testProject.projectId, { promote: false });
+            expect(staged.result.build).toMatchObject({ number: 2, live: false });
+            expect(await validate()).toBe(first);
+
+            const second = await build(testProject.projectId);
+            expect(second.result.build).toMatchObject({ number: 3, live: true });
+            expect(await validate()).toBe(second.result.obfuscatedCode);
+
+            const history = await request(app)
+                .get(`/api/projects/${testProject.projectId}/builds`)
+                .set('Authorization', `Bearer ${authToken}`)
+                .expect(200);
+
+            expect(history.body.builds.map(entry => [entry.number, entry.live])).toEqual([[3, true], [2, false], [1, false]]);
+            expect(history.body.builds[0].author.username).toBe('testuser');
+            expect(history.body.builds[0].sourceHash).toBe(history.body.builds[1].sourceHash);
+            expect(history.body.builds[0].sourceHash).not.toBe(history.body.builds[2].sourceHash);
+            expect(history.body.builds[0].obfuscatedCode).toBeUndefined();
+
+            const promoted = await request(app)
+                .post(`/api/projects/${testProject.projectId}/builds/${history.body.builds[2].buildId}/promote`)
+                .set('Authorization', `Bearer ${authToken}`)
+                .expect(200);
+
+            expect(promoted.body.build).toMatchObject({ number: 1, live: true });
+            expect(await validate()).toBe(first);
+
+            const detail = await request(app)
+                .get(`/api/projects/${testProject.projectId}/builds/${history.body.builds[2].buildId}`)
+                .set('Authorization', `Bearer ${authToken}`)
+                .expect(200);
+            expect(detail.body.build.obfuscatedCode).toBe(first);
+
+            await request(app)
+                .post(`/api/projects/${testProject.projectId}/builds/build_missing/promote`)
+                .set('Authorization', `Bearer ${authToken}`)
+                .expect(404);
+        });
+
+        test('GET /api/loader/validate - should serve beta keys the build published to beta', async () => {
+            const validate = async (keyString) => {
+                const response = await request(app)
+                    .get('/api/loader/validate')
+                    .set('X-Project-ID', testProject.projectId)
+                    .set('X-User-Key', keyString)
+                    .set('X-User-ID', '12345')
+                    .expect(200);
+                return response.body.code;
+            };
+            const stable = await validate(testKey.keyString);
+
+            const betaKey = await request(app)
+                .post('/api/keys')
+                .set('Authorization', `Bearer ${authToken}`)
+                .send({ projectId: testProject.projectId, type: 'permanent', channel: 'beta' })
+                .expect(201);
+            expect(betaKey.body.key.channel).toBe('beta');
+
+            // Until beta has a build of its own, beta keys get the stable one
+            expect(await validate(betaKey.body.key.keyString)).toBe(stable);
+
+            const beta = await build(testProject.projectId, { channel: 'beta' });
+            expect(beta.result.build).toMatchObject({ number: 2, live: false, channels: ['beta'] });
+            expect(await validate(betaKey.body.key.keyString)).toBe(beta.result.obfuscatedCode);
+            expect(await validate(testKey.keyString)).toBe(stable);
+
+            // Moving a key to stable, or closing the channel, serves the stable build again
+            await request(app)
+                .put(`/api/keys/${testKey.keyId}`)
+                .set('Authorization', `Bearer ${authToken}`)
+                .send({ channel: 'beta' })
+                .expect(200);
+            expect(await validate(testKey.keyString)).toBe(beta.result.obfuscatedCode);
+
+            await request(app)
+                .delete(`/api/projects/${testProject.projectId}/channels/beta`)
+                .set('Authorization', `Bearer ${authToken}`)
+                .expect(200);
+            expect(await validate(betaKey.body.key.keyString)).toBe(stable);
+
+            await request(app)
+                .post('/api/keys')
+                .set('Authorization', `Bearer ${authToken}`)
+                .send({ projectId: testProject.projectId, channel: 'Beta!' })
+                .expect(400);
+            await request(app)
+                .delete(`/api/projects/${testProject.projectId}/channels/stable`)
+                .set('Authorization', `Bearer ${authToken}`)
+                .expect(400);
+        });
+
+        test('GET /api/loader/validate - should not serve one key the response cached for another', async () => {
+            const betaKey = await request(app)
+                .post('/api/keys')
+                .set('Authorization', `Bearer ${authToken}`)
+                .send({ projectId: testProject.projectId, type: 'permanent', channel: 'beta' })
+                .expect(201);
+            const beta = await build(testProject.projectId, { channel: 'beta' });
+
+            // Both requests share a path and query; only the key header tells them apart
+            const validate = (keyString) => request(app)
+                .get('/api/loader/validate')
+                .set('X-Project-ID', testProject.projectId)
+                .set('X-User-Key', keyString)
+                .set('X-User-ID', '12345')
+                .expect('Cache-Control', 'no-store')
+                .expect(200);
+            const stable = await validate(testKey.keyString);
+            const served = await validate(betaKey.body.key.keyString);
+            expect(served.body.code).toBe(beta.result.obfuscatedCode);
+            expect(served.body.code).not.toBe(stable.body.code);
+            expect((await validate(testKey.keyString)).body.code).toBe(stable.body.code);
+        });
+
+        test('GET /api/loader/validate - should serve each build its own watermarked variant', async () => {
+            const validate = () => request(app)
+                .get('/api/loader/validate')
+                .set('X-Project-ID', testProject.projectId)
+                .set('X-User-Key', testKey.keyString)
+                .set('X-User-ID', '12345');
+            // Keys are asked to retry until their variant has been built on the queue; the
+            // shared build is never served to them
+            const variantOf = async (shared) => {
+                for (let attempt = 0; attempt < 200; attempt++) {
+                    const response = await validate();
+                    if (response.status === 200) {
+                        expect(response.body.code).not.toBe(shared);
+                        return response.body.code;
+                    }
+                    expect(response.status).toBe(202);
+                    expect(response.body).toMatchObject({ valid: false, retry: true });
+                    expect(response.body.code).toBeUndefined();
+                    expect(response.headers['retry-after']).toBeDefined();
+                    await new Promise(resolve => setTimeout(resolve, 50));
+                }
+                throw new Error('Variant was not built');
+            };
+            const upload = (greeting) => request(app)
+                .post(`/api/projects/${testProject.projectId}/files`)
+                .set('Authorization', `Bearer ${authToken}`)
+                .attach('files', Buffer.from(`local greeting = "${greeting}"\nlocal name = "World"\nlocal count = 42\nprint(greeting .. ", " .. name, count * 2)`), 'test.lua')
+                .expect(200);
+            const settings = (obfuscationSettings) => request(app)
+                .put(`/api/projects/${testProject.projectId}`)
+                .set('Authorization', `Bearer ${authToken}`)
+                .send({ watermarkKeys: true, obfuscationSettings })
+                .expect(200);
+            const variants = async () => {
+                const response = await request(app)
+                    .get(`/api/keys/${testKey.keyId}`)
+                    .set('Authorization', `Bearer ${authToken}`)
+                    .expect(200);
+                return response.body.variants;
+            };
+
+            await upload('Hello');
+            await settings({ antiDebugging: false, constantObfuscation: true });
+
+            // Rebuilding with the same seed from other source must not serve the old variant
+            const first = await build(testProject.projectId, { seed: 'release' });
+            const firstVariant = await variantOf(first.result.obfuscatedCode);
+
+            await upload('Goodbye');
+            const second = await build(testProject.projectId, { seed: 'release' });
+            const secondVariant = await variantOf(second.result.obfuscatedCode);
+            expect(secondVariant).not.toBe(firstVariant);
+
+            // Each build keeps its variant, so a leak of either traces back to the key
+            await User.updateOne({ _id: testUser.id }, { role: 'admin' });
+            for (const leaked of [firstVariant, secondVariant]) {
+                const response = await request(app)
+                    .post('/api/keys/identify-leak')
+                    .set('Authorization', `Bearer ${authToken}`)
+                    .send({ code: leaked, projectId: testProject.projectId })
+                    .expect(200);
+                expect(response.body.match.keyId).toBe(testKey.keyId);
+            }
+            expect((await variants()).map(variant => variant.build.buildId))
+                .toEqual(expect.arrayContaining([first.result.build.buildId, second.result.build.buildId]));
+
+            // Rolling back serves the variant already made of the earlier build
+            await request(app)
+                .post(`/api/projects/${testProject.projectId}/builds/${first.result.build.buildId}/promote`)
+                .set('Authorization', `Bearer ${authToken}`)
+                .expect(200);
+            const rolledBack = await validate().expect(200);
+            expect(rolledBack.body.code).toBe(firstVariant);
+
+            // Builds that cannot be watermarked are refused to the key, with the reason on its variant
+            await settings({ antiDebugging: false, stringEncryption: false, variableRenaming: false });
+            const plain = await build(testProject.projectId);
+            let failed;
+            for (let attempt = 0; attempt < 200 && !failed; attempt++) {
+                await new Promise(resolve => setTimeout(resolve, 50));
+                failed = (await variants()).find(variant => variant.build.buildId === plain.result.build.buildId && variant.error);
+            }
+            expect(failed.error).toMatch(/varies too little/);
+            const refused = await validate().expect(503);
+            expect(refused.body.valid).toBe(false);
+            expect(refused.body.code).toBeUndefined();
+        });
+
         test('GET /api/loader/validate - should reject invalid key', async () => {
             const response = await request(app)
                 .get('/api/loader/validate')
@@ -429,11 +974,7 @@ describe('EnigmaCode API Tests', () => {
 
             const project = projectResponse.body.project;
 
-            await request(app)
-                .post(`/api/projects/${project.projectId}/obfuscate`)
-                .set('Authorization', `Bearer ${authToken}`)
-                .send({ tier: 'standard' })
-                .expect(200);
+            await build(project.projectId, { tier: 'standard' });
 
             const keyResponse = await request(app)
                 .post('/api/keys')
@@ -0,0 +1,203 @@
+// Build Queue Tests for EnigmaCode Platform
+const path = require('path');
+
+// Loaded by the service here and in every build worker
+process.env.ENIGMA_PASS_MODULES = path.join(__dirname, 'fixtures/banner-pass.js');
+
+const buildQueue = require('../backend/services/builds');
+const obfuscationService = require('../backend/services/obfuscation');
+
+const premiumUser = { subscription: { plan: 'premium', isActive: true } };
+
+const makeInput = (content, settings = {}) => obfuscationService.buildInput({
+    obfuscationSettings: { antiDebugging: false, ...settings },
+    files: [{ originalName: 'main.lua', content }]
+}, premiumUser);
+
+// Resolves with the job once the queue reports it finished
+const finished = (job) => new Promise(resolve => {
+    const listener = (updated) => {
+        if (updated.id === job.id && buildQueue.isFinished(updated)) {
+            buildQueue.off('update', listener);
+            resolve(updated);
+        }
+    };
+    if (buildQueue.isFinished(job)) resolve(job);
+    else buildQueue.on('update', listener);
+});
+
+describe('Build Queue', () => {
+    const concurrency = buildQueue.concurrency;
+
+    beforeAll(() => {
+        buildQueue.concurrency = 1;
+    });
+
+    afterAll(() => {
+        buildQueue.concurrency = concurrency;
+    });
+
+    test('should build on a worker and report progress, logs and the saved result', async () => {
+        const saved = [];
+        const job = buildQueue.enqueue({
+            owner: 'user-1',
+            projectId: 'project-1',
+            input: { ...makeInput('local greeting = "Hello"\nprint(greeting)'), seed: 'queue' },
+            onComplete: async ({ code, report }) => {
+                saved.push(code);
+                return { obfuscatedCode: code, report };
+            }
+        });
+        expect(buildQueue.activeJob('project-1')).toBe(job);
+
+        const done = await finished(job);
+        const view = buildQueue.describe(done, { withResult: true });
+        expect(view.status).toBe('completed');
+        expect(view.progress).toBe(100);
+        expect(view.logs.map(log => log.message)).toEqual([
+            'Queued', 'Started', 'Loaded main.lua',
+            'Ran stringEncryption (1/3)', 'Ran variableRenaming (2/3)', 'Ran integrityChecks (3/3)',
+            'Saving build', 'Build completed'
+        ]);
+        expect(view.result.report.seed).toBe('queue');
+        expect(view.result.obfuscatedCode).toBe(saved[0]);
+        expect(buildQueue.describe(done).result).toBeUndefined();
+        expect(buildQueue.activeJob('project-1')).toBeNull();
+        expect(buildQueue.list('user-1')[0]).toBe(done);
+    });
+
+    test('should run passes from pass modules in the worker', async () => {
+        const input = makeInput('print("Hello")', { stringEncryption: false, passOptions: { banner: { enabled: true, text: 'release' } } });
+        expect(obfuscationService.validatePipeline(input.project.obfuscationSettings)).toEqual([]);
+
+        const done = await finished(buildQueue.enqueue({
+            owner: 'user-1',
+            projectId: 'project-7',
+            input,
+            onComplete: async ({ code, report }) => ({ code, report })
+        }));
+        expect(done.error).toBeNull();
+        expect(done.result.report.transforms).toContain('banner');
+        expect(done.result.code).toContain('"release"');
+    });
+
+    test('should fail jobs with the reason the build failed', async () => {
+        const job = buildQueue.enqueue({ owner: 'user-1', projectId: 'project-2', input: makeInput('local = 1') });
+        const done = await finished(job);
+
+        expect(done.status).toBe('failed');
+        expect(done.error).toMatch(/^Lua syntax error: /);
+    });
+
+    test('should fail builds that use features virtualization cannot run with where they are', async () => {
+        const input = makeInput('print("start")\nlocal file <close> = nil', { tier: 'premium', target: '5.3', virtualization: true });
+        const done = await finished(buildQueue.enqueue({ owner: 'user-1', projectId: 'project-5', input }));
+
+        expect(done.status).toBe('failed');
+        expect(done.error).toMatch(/^Virtualization does not support to-be-closed variables \(line 2\)/);
+        expect(done.details).toEqual({ feature: 'to-be-closed variables', line: 2 });
+    });
+
+    test('should build watermarked variants for keys once per build', async () => {
+        const input = makeInput('local greeting = "Hello"\nlocal name = "World"\nlocal count = 42\nprint(greeting .. name, count)', { constantObfuscation: true });
+        const { code, report } = obfuscationService.obfuscateProject(input.project, premiumUser);
+        const variant = (keyId, build, handlers, source = input) => buildQueue.enqueue({
+            owner: 'user-1',
+            projectId: 'project-6',
+            variant: `${keyId}:build-1`,
+            input: { ...source, task: 'variant', key: { keyId }, build },
+            ...handlers
+        });
+
+        const saved = [];
+        const job = variant('key-a', { seed: report.seed, code }, { onComplete: async (result) => { saved.push(result); } });
+        expect(variant('key-a', { seed: report.seed, code })).toBe(job);
+        expect(buildQueue.variantJob('key-a:build-1')).toBe(job);
+        expect(buildQueue.activeJob('project-6')).toBeNull();
+        expect(buildQueue.list('user-1')).not.toContain(job);
+
+        expect((await finished(job)).status).toBe('completed');
+        expect(saved[0]).toMatchObject({ baseSeed: report.seed, seed: expect.any(String) });
+        expect(saved[0].code).not.toBe(code);
+
+        // A build that cannot be watermarked reports why instead of being saved
+        const plain = makeInput('print("Hello")', { stringEncryption: false, variableRenaming: false });
+        const plainBuild = obfuscationService.obfuscateProject(plain.project, premiumUser);
+        const failures = [];
+        const failed = variant('key-b', { seed: plainBuild.report.seed, code: plainBuild.code }, {
+            onComplete: async (result) => { saved.push(result); },
+            onFail: async (error) => { failures.push(error); }
+        }, plain);
+        expect((await finished(failed)).status).toBe('failed');
+        await new Promise(resolve => setImmediate(resolve));
+        expect(saved).toHaveLength(1);
+        expect(failures).toEqual([{ message: expect.stringMatching(/varies too little/), status: 400 }]);
+    });
+
+    test('should run variants after owner builds and cap them per project', async () => {
+        const input = makeInput('local greeting = "Hello"\nlocal name = "World"\nprint(greeting .. name)');
+        const { code, report } = obfuscationService.obfuscateProject(input.project, premiumUser);
+        const variant = (keyId) => buildQueue.enqueue({
+            owner: 'user-1',
+            projectId: 'project-8',
+            variant: `${keyId}:build-1`,
+            input: { ...input, task: 'variant', key: { keyId }, build: { seed: report.seed, code } }
+        });
+
+        const limit = buildQueue.variantLimit;
+        buildQueue.variantLimit = 2;
+        try {
+            const first = variant('key-a');
+            const second = variant('key-b');
+            expect(variant('key-c')).toBeNull();
+            const owned = buildQueue.enqueue({ owner: 'user-1', projectId: 'project-8', input });
+
+            await Promise.all([first, second, owned].map(finished));
+            expect(owned.startedAt <= second.startedAt).toBe(true);
+            const third = variant('key-c');
+            expect(third).not.toBeNull();
+            await finished(third);
+        } finally {
+            buildQueue.variantLimit = limit;
+        }
+    });
+
+    test('should run previews on a worker with a time limit', async () => {
+        const user = obfuscationService.userInput(premiumUser);
+        const preview = await buildQueue.preview({ code: 'print("preview")', settings: { antiDebugging: false }, user, seed: 'preview' });
+        expect(preview.transforms).toEqual(['stringEncryption', 'variableRenaming', 'integrityChecks']);
+        expect(preview.passes).toHaveLength(4);
+
+        await expect(buildQueue.preview({ code: 'local = 1', settings: {}, user }))
+            .rejects.toMatchObject({ status: 400, message: expect.stringMatching(/^Lua syntax error: /) });
+
+        const timeout = buildQueue.previewTimeout;
+        buildQueue.previewTimeout = 1;
+        try {
+            await expect(buildQueue.preview({ code: 'print(1)', settings: { tier: 'premium', virtualization: true }, user }))
+                .rejects.toMatchObject({ status: 422 });
+        } finally {
+            buildQueue.previewTimeout = timeout;
+        }
+        expect(buildQueue.previews).toBe(0);
+    });
+
+    test('should cancel queued and running jobs', async () => {
+        const running = buildQueue.enqueue({
+            owner: 'user-1',
+            projectId: 'project-3',
+            input: makeInput('print(1)', { tier: 'premium', virtualization: true })
+        });
+        const queued = buildQueue.enqueue({ owner: 'user-1', projectId: 'project-4', input: makeInput('print(1)') });
+
+        expect(buildQueue.describe(running).status).toBe('running');
+        expect(buildQueue.describe(queued)).toMatchObject({ status: 'queued', position: 1 });
+
+        expect(buildQueue.cancel(queued.id)).toBe(true);
+        expect(buildQueue.cancel(running.id)).toBe(true);
+        expect((await finished(running)).status).toBe('cancelled');
+        expect(queued.status).toBe('cancelled');
+        expect(running.result).toBeNull();
+        expect(buildQueue.cancel(running.id)).toBe(false);
+    });
+});
@@ -0,0 +1,31 @@
+// Cache Middleware Tests for EnigmaCode Platform
+const express = require('express');
+const request = require('supertest');
+const { CacheMiddleware } = require('../backend/middleware/performance');
+
+describe('Cache Middleware', () => {
+    let app;
+    let calls;
+
+    beforeEach(() => {
+        calls = 0;
+        app = express();
+        app.use(new CacheMiddleware().middleware());
+        app.get('/cached', (req, res) => res.json({ calls: ++calls }));
+        app.get('/live', (req, res) => {
+            res.set('Cache-Control', 'no-store');
+            res.json({ calls: ++calls });
+        });
+    });
+
+    test('should serve repeated GETs from the cache', async () => {
+        await request(app).get('/cached').expect(200, { calls: 1 });
+        await request(app).get('/cached').expect(200, { calls: 1 });
+    });
+
+    test('should answer every request to routes that opt out', async () => {
+        for (let i = 1; i <= 3; i++) {
+            await request(app).get('/live').expect(200, { calls: i });
+        }
+    });
+});
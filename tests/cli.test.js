@@ -0,0 +1,174 @@
+// Command Line Tests for EnigmaCode Platform
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const CommandLine = require('../obfuscation-engine/cli');
+
+// Collects what the command writes to stdout and stderr
+const output = () => {
+    const stream = { text: '', write: (chunk) => { stream.text += chunk; } };
+    return stream;
+};
+
+describe('Command Line', () => {
+    let cwd;
+    let stdout;
+    let stderr;
+
+    const write = (file, content) => {
+        fs.mkdirSync(path.dirname(path.join(cwd, file)), { recursive: true });
+        fs.writeFileSync(path.join(cwd, file), content);
+    };
+    const read = (file) => fs.readFileSync(path.join(cwd, file), 'utf8');
+    const run = (...argv) => new CommandLine({ stdout, stderr, cwd }).run(['obfuscate', ...argv]);
+
+    beforeEach(() => {
+        cwd = fs.mkdtempSync(path.join(os.tmpdir(), 'enigmacode-cli-'));
+        stdout = output();
+        stderr = output();
+        write('src/main.lua', 'local util = require("lib.util")\nprint(util.greet("World"))\n');
+        write('src/lib/util.lua', 'local M = {}\nfunction M.greet(name)\n    return "Hello, " .. name\nend\nreturn M\n');
+        write('src/.git/hook.lua', 'print("ignored")\n');
+        write('src/README.md', '# not Lua\n');
+    });
+
+    afterEach(() => {
+        fs.rmSync(cwd, { recursive: true, force: true });
+    });
+
+    test('should obfuscate every Lua file of a directory and write a report', () => {
+        expect(run('src', '-o', 'dist', '--seed', 'cli')).toBe(0);
+
+        expect(read('dist/main.lua')).not.toContain('Hello');
+        expect(read('dist/lib/util.lua')).not.toContain('Hello, ');
+        expect(fs.existsSync(path.join(cwd, 'dist/.git'))).toBe(false);
+
+        const report = JSON.parse(read('dist/enigmacode-report.json'));
+        expect(report.settings).toEqual({ seed: 'cli' });
+        expect(report.errors).toEqual([]);
+        expect(report.files.map(file => [file.input, file.output])).toEqual([
+            ['src/lib/util.lua', 'dist/lib/util.lua'],
+            ['src/main.lua', 'dist/main.lua']
+        ]);
+        expect(report.files[1]).toMatchObject({ seed: 'cli', tier: 'standard', target: 'luau' });
+        expect(report.files[1].outputSize).toBe(Buffer.byteLength(read('dist/main.lua')));
+
+        // The same seed reproduces the same build
+        const first = read('dist/main.lua');
+        expect(run('src/main.lua', '-o', 'again.lua', '--seed', 'cli')).toBe(0);
+        expect(read('again.lua')).toBe(first);
+    });
+
+    test('should bundle a directory with settings from a file and flags on top', () => {
+        write('settings.json', JSON.stringify({
+            target: '5.1',
+            antiDebugging: false,
+            passOptions: { junkCode: { density: 0.1 } }
+        }));
+
+        expect(run('src', '--bundle', 'main.lua', '-c', 'settings.json', '--enable', 'junkCode,minify',
+            '-o', 'build/app.lua', '--report', 'report.json', '--source-maps')).toBe(0);
+
+        const report = JSON.parse(read('report.json'));
+        expect(report.files).toHaveLength(1);
+        expect(report.files[0]).toMatchObject({
+            input: 'src/main.lua',
+            output: 'build/app.lua',
+            target: '5.1',
+            files: ['main.lua', 'lib/util.lua']
+        });
+        expect(report.files[0].transforms).toEqual(expect.arrayContaining(['junkCode', 'minify']));
+        expect(report.files[0].transforms).not.toContain('antiDebugging');
+        expect(report.files[0].minification.savedBytes).toBeGreaterThan(0);
+        expect(JSON.parse(read('build/app.lua.map.json')).sources).toEqual(['main.lua', 'lib/util.lua']);
+    });
+
+    test('should start from a preset and record its version in the report', () => {
+        write('settings.json', JSON.stringify({ preset: 'balanced', passOptions: { junkCode: { density: 0.3 } } }));
+
+        expect(run('src/main.lua', '-c', 'settings.json', '--disable', 'globalAliasing', '-o', 'main.lua')).toBe(0);
+
+        const report = JSON.parse(read('enigmacode-report.json'));
+        expect(report.preset).toEqual({ name: 'balanced', version: 1 });
+        expect(report.settings.passOptions).toEqual({
+            junkCode: { density: 0.3 },
+            constantObfuscation: { intensity: 1, coverage: 0.5 }
+        });
+        expect(report.files[0].transforms).toEqual([
+            'stringEncryption', 'variableRenaming', 'antiDebugging', 'junkCode', 'constantObfuscation', 'minify', 'integrityChecks'
+        ]);
+
+        expect(run('src', '--preset', 'max', '--tier', 'standard')).toBe(2);
+        expect(stderr.text).toContain("pass 'controlFlowFlattening' needs the premium tier");
+        expect(run('src', '--preset', 'strongest')).toBe(2);
+        expect(stderr.text).toContain("unknown preset 'strongest'");
+    });
+
+    test('should report syntax errors with file and line and exit with status 1', () => {
+        write('src/lib/broken.lua', 'local x = 1\nlocal = 2\n');
+
+        expect(run('src', '-o', 'dist')).toBe(1);
+        expect(stderr.text).toContain("src/lib/broken.lua:2:7: error: <name> expected near '='\n");
+        expect(fs.existsSync(path.join(cwd, 'dist/main.lua'))).toBe(true);
+
+        const report = JSON.parse(read('dist/enigmacode-report.json'));
+        expect(report.files).toHaveLength(2);
+        expect(report.errors).toEqual([
+            { file: 'src/lib/broken.lua', line: 2, column: 7, message: "<name> expected near '='" }
+        ]);
+    });
+
+    test('should report scripts the passes cannot obfuscate and still build the rest', () => {
+        write('ok.lua', 'print("ok")\n');
+        write('close.lua', 'print("start")\nlocal file <close> = nil\n');
+
+        expect(run('ok.lua', 'close.lua', '-o', 'out', '--target', '5.3', '--tier', 'premium', '--enable', 'virtualization')).toBe(1);
+        expect(stderr.text).toContain('close.lua:2:1: error: Virtualization does not support to-be-closed variables (line 2)\n');
+
+        const report = JSON.parse(read('out/enigmacode-report.json'));
+        expect(report.files.map(file => file.input)).toEqual(['ok.lua']);
+        expect(report.errors).toEqual([
+            { file: 'close.lua', line: 2, column: 1, message: 'Virtualization does not support to-be-closed variables (line 2)' }
+        ]);
+    });
+
+    test('should report bundling errors in the file that caused them', () => {
+        write('src/main.lua', 'local util = require("lib.util")\nlocal missing = require("lib.missing")\n');
+        expect(run('src', '--bundle', 'main.lua')).toBe(1);
+        expect(stderr.text).toMatch(/^src\/main\.lua:2:1: error: module 'lib\.missing' not found/m);
+
+        write('src/main.lua', 'local util = require("lib.util")\nprint(util.greet(]])\n');
+        expect(run('src', '--bundle', 'main.lua')).toBe(1);
+        expect(stderr.text).toMatch(/^src\/main\.lua:2:\d+: error: /m);
+    });
+
+    test('should reject invalid options and settings with status 2 before building', () => {
+        expect(run('src', '--target', 'lua9')).toBe(2);
+        expect(stderr.text).toContain("Unknown obfuscation target 'lua9'");
+
+        write('settings.json', JSON.stringify({ stringEncrypton: true }));
+        expect(run('src', '-c', 'settings.json')).toBe(2);
+        expect(stderr.text).toContain("unknown setting 'stringEncrypton'");
+
+        write('settings.json', JSON.stringify({ passOptions: { junkCode: { density: 'high' } } }));
+        expect(run('src', '-c', 'settings.json')).toBe(2);
+        expect(stderr.text).toContain("Option 'density' of pass 'junkCode' must be number");
+
+        expect(run('src', '--enable', 'virtualization')).toBe(2);
+        expect(stderr.text).toContain("pass 'virtualization' needs the premium tier");
+        expect(run('src', '--tier', 'gold')).toBe(2);
+        expect(run('src/main.lua', '--bundle', 'main.lua')).toBe(2);
+        write('other/main.lua', 'print("other")\n');
+        expect(run('src/main.lua', 'other/main.lua')).toBe(2);
+        expect(stderr.text).toContain('src/main.lua and other/main.lua would both be written to main.lua');
+        expect(run('src', 'other')).toBe(2);
+        expect(run('src', '--frobnicate')).toBe(2);
+        expect(run()).toBe(2);
+        expect(fs.existsSync(path.join(cwd, 'obfuscated'))).toBe(false);
+    });
+
+    test('should print usage', () => {
+        expect(new CommandLine({ stdout, stderr, cwd }).run(['--help'])).toBe(0);
+        expect(stdout.text).toContain('Usage: enigmacode obfuscate');
+    });
+});
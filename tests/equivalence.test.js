@@ -0,0 +1,57 @@
+// Semantic-Equivalence Tests for EnigmaCode Platform
+// Runs every Lua fixture before and after each pass, and after the whole pipeline, and
+// checks that the build prints the same lines and returns the same values as the source.
+const fs = require('fs');
+const path = require('path');
+const LuaObfuscator = require('../obfuscation-engine/obfuscator');
+const LuaRunner = require('./lua-runner');
+
+const FIXTURES = path.join(__dirname, 'fixtures');
+const TARGETS = ['5.1', '5.3', 'luau'];
+
+const runner = new LuaRunner();
+const passes = LuaObfuscator.passes.names();
+
+// Fixtures run on every target unless a "-- targets: 5.3, ..." line on top says otherwise
+const fixtures = fs.readdirSync(FIXTURES).filter(file => file.endsWith('.lua')).sort().map(file => {
+    const source = fs.readFileSync(path.join(FIXTURES, file), 'utf8');
+    const targets = /^-- targets: (.*)/.exec(source);
+    return { file, source, targets: targets ? targets[1].split(/,\s*/) : TARGETS };
+});
+
+// Options that switch on exactly the given passes
+const only = (enabled) => Object.fromEntries(passes.map(name => [name, enabled.includes(name)]));
+
+// Names say what ran each target, since fengari only approximates 5.1 and Luau
+describe.each(fixtures)('Semantic equivalence: $file', ({ file, source, targets }) => {
+    describe.each(targets.map(target => [target, runner.runtime(target)]))('on %s (%s)', (target) => {
+        let expected;
+
+        beforeAll(() => {
+            expected = runner.run(source, { target });
+        });
+
+        test('runs without errors before obfuscation', () => {
+            expect(expected.error).toBeNull();
+            expect(expected.output.length).toBeGreaterThan(0);
+        });
+
+        const cases = [
+            ...passes.map(name => ({ name, enabled: [name] })),
+            { name: 'full pipeline', enabled: passes }
+        ];
+        cases.forEach(({ name, enabled }) => {
+            test(`behaves the same after ${name}`, () => {
+                const code = LuaObfuscator.obfuscate(source, {
+                    target,
+                    tier: 'premium',
+                    seed: `${file}:${name}`,
+                    ...only(enabled)
+                });
+                // Anti-debugging stops scripts that can reach the debug library, by design
+                const actual = runner.run(code, { target, debugLibrary: !enabled.includes('antiDebugging') });
+                expect(actual).toEqual(expected);
+            });
+        });
+    });
+});
@@ -0,0 +1,12 @@
+// Banner Pass - A custom pass loaded through ENIGMA_PASS_MODULES in the build queue tests
+module.exports = (passes) => passes.register({
+    name: 'banner',
+    description: 'Adds a string naming the build',
+    enabled: false,
+    before: ['integrityChecks'],
+    options: { text: { type: 'string', default: 'built by enigmacode' } },
+    run: (ast, obfuscator, options) => {
+        ast.body.unshift(...obfuscator.parseSnippet(`local _ = ${JSON.stringify(options.text)}`));
+        return ast;
+    }
+});
@@ -0,0 +1,56 @@
+-- Closures, upvalues, recursion and varargs
+local function counter(start, step)
+    local value = start
+    return function()
+        value = value + step
+        return value
+    end
+end
+
+local up, down = counter(0, 2), counter(10, -3)
+print(up(), up(), down(), up(), down())
+
+local handlers = {}
+for i = 1, 3 do
+    handlers[i] = function() return i * i end
+end
+print(handlers[1](), handlers[2](), handlers[3]())
+
+local function fib(n)
+    if n < 2 then return n end
+    return fib(n - 1) + fib(n - 2)
+end
+print("fib", fib(15))
+
+local function pack(...)
+    return select("#", ...), {...}
+end
+local count, values = pack(1, nil, "three", nil)
+print(count, values[1], values[3])
+
+local function sum(...)
+    local total = 0
+    for _, v in ipairs({...}) do total = total + v end
+    return total
+end
+print(sum(1, 2, 3, 4.5))
+
+local Account = {}
+Account.__index = Account
+function Account.new(owner, balance)
+    return setmetatable({owner = owner, balance = balance}, Account)
+end
+function Account:deposit(amount)
+    self.balance = self.balance + amount
+    return self
+end
+function Account:describe()
+    return string.format("%s has %d", self.owner, self.balance)
+end
+print(Account.new("ada", 10):deposit(5):deposit(7):describe())
+
+local function swap(a, b) return b, a end
+local x, y = swap("left", "right")
+print(x, y)
+
+return fib(10), Account.new("grace", 1):describe(), sum()
@@ -0,0 +1,60 @@
+-- Loops, branches and error handling
+local out = {}
+local function emit(value) out[#out + 1] = tostring(value) end
+
+for i = 10, 1, -3 do emit(i) end
+local n = 0
+while true do
+    n = n + 1
+    if n % 2 == 0 then emit("even " .. n) elseif n > 6 then break else emit("odd") end
+end
+repeat
+    local stop = n <= 3
+    n = n - 2
+until stop
+emit(n)
+
+for i = 1, 3 do
+    for j = 1, 3 do
+        if j > i then break end
+        emit(i .. "x" .. j)
+    end
+end
+
+local function classify(value)
+    if type(value) == "number" then
+        if value < 0 then return "negative" end
+        return value == 0 and "zero" or "positive"
+    elseif type(value) == "string" then
+        return #value > 3 and "long" or "short"
+    end
+    return "other"
+end
+emit(classify(-1) .. classify(0) .. classify(5) .. classify("hi") .. classify("hello") .. classify(true))
+
+local ok, err = pcall(function() error({code = 7}) end)
+emit(tostring(ok) .. " " .. err.code)
+ok, err = pcall(function() local t = nil; return t.field end)
+emit(tostring(ok))
+local results = {pcall(function(...) return ... end, 1, 2, 3)}
+emit(#results)
+
+local co = coroutine.create(function(a)
+    local b = coroutine.yield(a + 1)
+    local c = coroutine.yield(b * 2)
+    return a + b + c
+end)
+local _, first = coroutine.resume(co, 1)
+local _, second = coroutine.resume(co, 10)
+local _, third = coroutine.resume(co, 100)
+emit(first .. " " .. second .. " " .. third .. " " .. coroutine.status(co))
+
+local truthy = {false, nil, 0, "", {}}
+for i = 1, 5 do emit(truthy[i] and "T" or "F") end
+emit(not nil == true)
+
+print(table.concat(out, " "))
+
+local module = {}
+function module.greet(name) return "hi " .. name end
+return module, module.greet("there")
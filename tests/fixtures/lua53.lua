@@ -0,0 +1,26 @@
+-- targets: 5.3
+-- Integers, bitwise operators and goto
+print(7 // 2, -7 // 2, 7 % -3, 2^10, 10 / 4)
+print(0xF0 | 0x0F, 0xFF & 0x3C, 5 ~ 3, ~0, 1 << 10, 256 >> 4)
+print(math.type(3), math.type(3.0), math.type("3"), 3 == 3.0, math.tointeger(4.0))
+
+local i = 1
+::top::
+if i <= 3 then
+    print("step", i)
+    i = i + 1
+    goto top
+end
+
+for row = 1, 3 do
+    for col = 1, 3 do
+        if col == row then goto continue end
+        io.write("")
+        print(row, col)
+        ::continue::
+    end
+end
+
+local mask = 0
+for bit = 0, 7, 2 do mask = mask | (1 << bit) end
+return mask, string.format("%08x", mask ~ 0xFF), utf8 and utf8.char(72, 105)
@@ -0,0 +1,46 @@
+-- Tables, metatables and the string library
+local Vector = {}
+Vector.__index = Vector
+Vector.__add = function(a, b) return Vector.new(a.x + b.x, a.y + b.y) end
+Vector.__eq = function(a, b) return a.x == b.x and a.y == b.y end
+Vector.__tostring = function(v) return "(" .. v.x .. ", " .. v.y .. ")" end
+Vector.__call = function(v, scale) return Vector.new(v.x * scale, v.y * scale) end
+function Vector.new(x, y) return setmetatable({x = x, y = y}, Vector) end
+
+local a, b = Vector.new(1, 2), Vector.new(3, 4)
+print(tostring(a + b), tostring(a(3)), a + b == Vector.new(4, 6))
+
+local defaults = setmetatable({}, {__index = function(_, key) return "missing " .. key end})
+defaults.present = "here"
+print(defaults.present, defaults.absent)
+
+local scores = {mia = 31, leo = 12, ana = 27, bo = 12}
+local names = {}
+for name in pairs(scores) do names[#names + 1] = name end
+table.sort(names, function(p, q)
+    if scores[p] ~= scores[q] then return scores[p] > scores[q] end
+    return p < q
+end)
+print(table.concat(names, ","))
+
+local list = {5, 3, 8}
+table.insert(list, 1, 9)
+table.insert(list, 4)
+print(#list, table.remove(list), table.concat(list, " "))
+
+local text = "The quick brown fox jumps over the lazy dog"
+local words = {}
+for word in text:gmatch("%a+") do words[#words + 1] = word:lower() end
+print(#words, words[2], (text:gsub("o", "0")))
+print(text:find("brown"), text:sub(-3), ("ab"):rep(3, "-"))
+print(string.format("%5.2f|%-4s|%x|%q", 3.14159, "ok", 255, "line\n"))
+print(string.byte("A"), string.char(72, 105), ("%d items"):format(3))
+
+local escapes = "tab\tquote\"back\\slash\0zero"
+print(#escapes, escapes:byte(-5), [[long
+string]])
+
+local nested = {inner = {deeper = {value = 42}}, [1] = "one", ["two"] = 2}
+print(nested.inner.deeper.value, nested[1], nested.two, rawget(nested, "three"))
+
+return #words, tostring(b), nested
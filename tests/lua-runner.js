@@ -0,0 +1,171 @@
+// Lua Runner - Runs Lua scripts for the semantic-equivalence tests and reports what they did
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { lua, lauxlib, lualib, to_luastring } = require('fengari');
+
+// Printed between a script's output and its results
+const RESULT_MARKER = '--enigma:result';
+
+// fengari runs Lua 5.3; these stand in for the 5.1 functions Lua 5.1 and Luau builds call
+const COMPAT_51 = 'loadstring = load\nunpack = table.unpack\ngetfenv = function() return _G end\n';
+
+// Interpreters of each target under the names Linux distributions and Homebrew install them as
+const INTERPRETERS = { '5.1': 'lua5.1', '5.3': 'lua5.3', luau: 'luau' };
+
+// Scripts are stopped after this many instructions, so a broken build cannot hang the suite
+const INSTRUCTION_LIMIT = 50000000;
+const HOOK_INTERVAL = 100000;
+
+// A long string literal holding text, with enough "=" that the text cannot close it
+function longString(text) {
+    let level = '';
+    while (text.includes(`]${level}]`)) level += '=';
+    return `[${level}[\n${text}]${level}]`;
+}
+
+// Wraps a script so that it records its printed lines and reports them with its results.
+// Tables and functions are reported by type, since their addresses differ between runs.
+function driver(code, options = {}) {
+    return `local report = print
+local output = {}
+print = function(...)
+    local parts = {}
+    for i = 1, select('#', ...) do parts[i] = tostring((select(i, ...))) end
+    output[#output + 1] = table.concat(parts, '\\t')
+end
+${options.debugLibrary === false ? 'debug = nil\n' : ''}local function show(value)
+    local kind = type(value)
+    if kind == 'table' or kind == 'function' or kind == 'userdata' or kind == 'thread' then return kind end
+    return tostring(value)
+end
+local function finish(success, ...)
+    for _, line in ipairs(output) do report(line) end
+    report('${RESULT_MARKER}')
+    if not success then
+        report('error', (...))
+        return
+    end
+    report('ok')
+    for i = 1, select('#', ...) do report(show((select(i, ...)))) end
+end
+local chunk, problem = (loadstring or load)(${longString(code)}, '=script')
+if not chunk then
+    finish(false, problem)
+else
+    finish(pcall(chunk))
+end
+`;
+}
+
+function parseReport(stdout) {
+    const lines = stdout.replace(/\n$/, '').split('\n');
+    const marker = lines.lastIndexOf(RESULT_MARKER);
+    if (marker < 0) {
+        return { output: lines, returns: [], error: 'script did not finish' };
+    }
+    const [status, ...returns] = lines.slice(marker + 1);
+    return {
+        output: lines.slice(0, marker),
+        returns: status === 'ok' ? returns : [],
+        error: status === 'ok' ? null : status.replace(/^error\t/, '')
+    };
+}
+
+class LuaRunner {
+    // commands maps a target to an interpreter to run its scripts with, as in
+    // { luau: 'luau', '5.1': 'lua5.1' }. Installed lua5.1, lua5.3 and luau binaries are used
+    // by default, and ENIGMA_LUA_LUAU, ENIGMA_LUA_5_1 and ENIGMA_LUA_5_3 override them.
+    // Targets without one run on fengari, which is Lua 5.3 with 32-bit integers; 5.1 and
+    // Luau scripts then only run through 5.1 shims, not with those dialects' own behaviour.
+    constructor(options = {}) {
+        this.commands = {
+            ...(options.detect === false ? {} : LuaRunner.installedCommands()),
+            ...LuaRunner.commandsFromEnv(),
+            ...(options.commands || {})
+        };
+        this.instructionLimit = options.instructionLimit || INSTRUCTION_LIMIT;
+    }
+
+    static installedCommands() {
+        const commands = {};
+        Object.entries(INTERPRETERS).forEach(([target, command]) => {
+            const probe = spawnSync(command, ['-v'], { stdio: 'ignore', timeout: 5000 });
+            if (!probe.error) commands[target] = command;
+        });
+        return commands;
+    }
+
+    static commandsFromEnv(env = process.env) {
+        const commands = {};
+        ['5.1', '5.3', 'luau'].forEach(target => {
+            const command = env[`ENIGMA_LUA_${target.replace('.', '_').toUpperCase()}`];
+            if (command) commands[target] = command;
+        });
+        return commands;
+    }
+
+    // What runs the scripts of a target, for test names
+    runtime(target) {
+        if (this.commands[target]) return this.commands[target];
+        return target === '5.3' ? 'fengari' : 'fengari with 5.1 shims';
+    }
+
+    // Runs a script as the target would and returns { output, returns, error }: the lines
+    // it printed, its return values and the error that stopped it, if any.
+    // debugLibrary: false runs it without the debug library, as in a sandbox.
+    run(code, options = {}) {
+        const target = options.target || '5.3';
+        const script = driver(code, options);
+        const stdout = this.commands[target]
+            ? this.runCommand(this.commands[target], script)
+            : this.runFengari(target === '5.3' ? script : COMPAT_51 + script);
+        return parseReport(stdout);
+    }
+
+    runCommand(command, script) {
+        const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'enigma-lua-')), 'script.lua');
+        fs.writeFileSync(file, script);
+        try {
+            const result = spawnSync(command, [file], { encoding: 'utf8', timeout: 60000 });
+            if (result.error) throw result.error;
+            return result.stdout;
+        } finally {
+            fs.rmSync(path.dirname(file), { recursive: true, force: true });
+        }
+    }
+
+    runFengari(script) {
+        const L = lauxlib.luaL_newstate();
+        lualib.luaL_openlibs(L);
+        let stdout = '';
+        lua.lua_pushjsfunction(L, (state) => {
+            const parts = [];
+            for (let i = 1; i <= lua.lua_gettop(state); i++) {
+                lauxlib.luaL_tolstring(state, i);
+                parts.push(lua.lua_tojsstring(state, -1));
+                lua.lua_pop(state, 1);
+            }
+            stdout += `${parts.join('\t')}\n`;
+            return 0;
+        });
+        lua.lua_setglobal(L, to_luastring('print'));
+
+        let executed = 0;
+        lua.lua_sethook(L, (state) => {
+            executed += HOOK_INTERVAL;
+            if (executed > this.instructionLimit) lauxlib.luaL_error(state, to_luastring('instruction limit reached'));
+        }, lua.LUA_MASKCOUNT, HOOK_INTERVAL);
+
+        const status = lauxlib.luaL_loadbuffer(L, to_luastring(script), null, to_luastring('=driver'));
+        if (status !== lua.LUA_OK || lua.lua_pcall(L, 0, 0, 0) !== lua.LUA_OK) {
+            stdout += `${RESULT_MARKER}\nerror\t${lua.lua_tojsstring(L, -1)}\n`;
+        }
+        return stdout;
+    }
+}
+
+LuaRunner.RESULT_MARKER = RESULT_MARKER;
+
+module.exports = LuaRunner;
@@ -0,0 +1,267 @@
+// Obfuscation Service Tests for EnigmaCode Platform
+const obfuscationService = require('../backend/services/obfuscation');
+const ModuleBundler = require('../obfuscation-engine/bundler');
+
+const makeProject = (settings) => ({
+    obfuscationSettings: settings,
+    files: [{ originalName: 'hello.lua', content: 'local greeting = "Hello"\nprint(greeting)' }]
+});
+
+const freeUser = { subscription: { plan: 'free', isActive: true } };
+const premiumUser = { subscription: { plan: 'premium', isActive: true } };
+
+describe('Obfuscation Service', () => {
+    test('should obfuscate with the project settings and report the build', () => {
+        const { code, report } = obfuscationService.obfuscateProject(makeProject({
+            tier: 'standard',
+            target: '5.1',
+            antiDebugging: false
+        }), freeUser);
+
+        expect(code).not.toContain('greeting');
+        expect(report.tier).toBe('standard');
+        expect(report.target).toBe('5.1');
+        expect(report.transforms).toEqual(['stringEncryption', 'variableRenaming', 'integrityChecks']);
+        expect(report.inputSize).toBe(40);
+        expect(report.outputSize).toBe(Buffer.byteLength(code));
+        expect(report.duration).toBeGreaterThanOrEqual(0);
+    });
+
+    test('should regenerate a build from the seed in its report', () => {
+        const project = makeProject({ tier: 'standard' });
+        const first = obfuscationService.obfuscateProject(project, freeUser);
+        const again = obfuscationService.obfuscateProject(project, freeUser, { seed: first.report.seed });
+
+        expect(again.code).toBe(first.code);
+        expect(again.report.settings).toEqual({ tier: 'standard' });
+    });
+
+    test('should run premium transforms for premium plans', () => {
+        const { report } = obfuscationService.obfuscateProject(makeProject({
+            tier: 'premium',
+            controlFlowFlattening: true,
+            bytecodeEncryption: true
+        }), premiumUser);
+
+        expect(report.transforms).toContain('controlFlowFlattening');
+        expect(report.transforms).toContain('bytecodeEncryption');
+    });
+
+    test('should return a source map that deobfuscates traces', () => {
+        const { code, sourceMap } = obfuscationService.obfuscateProject(makeProject({ tier: 'standard' }), freeUser);
+        // The script runs from the chunk the integrity check embeds, so errors name that chunk
+        const [chunk] = Object.keys(sourceMap.chunks);
+        const printLine = code.slice(code.indexOf('[[\n') + 3).split('\n').findIndex(line => /^\s*print\(/.test(line)) + 1;
+        const renamed = Object.keys(sourceMap.names).find(name => sourceMap.names[name] === 'greeting');
+
+        expect(sourceMap.file).toBe('hello.lua');
+        expect(obfuscationService.deobfuscateTrace(sourceMap, `${chunk}:${printLine}: bad value '${renamed}'`))
+            .toEqual({
+                trace: "hello.lua:2: bad value 'greeting'",
+                frames: [{ chunk, line: printLine, file: 'hello.lua', originalLine: 2 }]
+            });
+    });
+
+    test('should bundle multi-file projects from their entry point', () => {
+        const project = {
+            obfuscationSettings: { tier: 'standard' },
+            entryPoint: 'main.lua',
+            files: [
+                { originalName: 'util.lua', content: 'return { name = "util" }' },
+                { originalName: 'main.lua', content: 'local util = require("util")\nprint(util.name)' },
+                { originalName: 'notes.lua', content: '-- not required' }
+            ]
+        };
+        const { code, report, sourceMap } = obfuscationService.obfuscateProject(project, freeUser);
+
+        expect(code).not.toMatch(/\brequire\(/);
+        expect(report.files).toEqual(['main.lua', 'util.lua']);
+        expect(report.inputSize).toBe(24 + 45);
+        expect(sourceMap.file).toBe('main.lua');
+
+        project.files[1].content = 'require("missing")';
+        expect(() => obfuscationService.obfuscateProject(project, freeUser)).toThrow(ModuleBundler.BundleError);
+        project.externalModules = ['missing'];
+        expect(() => obfuscationService.obfuscateProject(project, freeUser)).not.toThrow();
+    });
+
+    test('should reject settings the plan does not allow', () => {
+        const settings = { tier: 'premium', virtualization: true };
+
+        expect(obfuscationService.validateSettings(settings, freeUser)).toEqual([
+            'The premium tier is not available on the free plan',
+            'virtualization requires a premium plan'
+        ]);
+        expect(obfuscationService.validateSettings(settings, premiumUser)).toEqual([]);
+        expect(() => obfuscationService.obfuscateProject(makeProject(settings), freeUser))
+            .toThrow(expect.objectContaining({ status: 403 }));
+    });
+
+    test('should check the pass order and options of the settings', () => {
+        expect(obfuscationService.validatePipeline({
+            passOrder: ['virtualization', 'stringEncryption'],
+            virtualization: true
+        })).toEqual(["Pass 'virtualization' must run after 'stringEncryption'"]);
+        expect(obfuscationService.validatePipeline({
+            passOptions: { variableRenaming: { renameGlobals: 'yes' }, unknownPass: {} }
+        })).toEqual([
+            "Option 'renameGlobals' of pass 'variableRenaming' must be boolean or string[]",
+            "Unknown obfuscation pass 'unknownPass'"
+        ]);
+        expect(obfuscationService.validatePipeline({ passOrder: ['antiDebugging'] })).toEqual([]);
+
+        const project = makeProject({ passOrder: ['unknownPass'] });
+        expect(() => obfuscationService.obfuscateProject(project, freeUser))
+            .toThrow(expect.objectContaining({ status: 400 }));
+    });
+
+    test('should refuse passes build workers do not load', () => {
+        obfuscationService.passes.register({ name: 'banner', run: ast => ast });
+        try {
+            expect(obfuscationService.validatePipeline({ passOptions: { banner: { enabled: true } } }))
+                .toEqual(["Pass 'banner' is not available to builds; register it from a module in ENIGMA_PASS_MODULES"]);
+            expect(obfuscationService.describePasses().map(pass => pass.name)).not.toContain('banner');
+        } finally {
+            obfuscationService.passes.unregister('banner');
+        }
+    });
+
+    test('should enforce pass tiers from the registry', () => {
+        const settings = { passOptions: { bytecodeEncryption: { enabled: true } } };
+
+        expect(obfuscationService.validateSettings(settings, freeUser)).toEqual(['bytecodeEncryption requires a premium plan']);
+        expect(obfuscationService.describePasses().filter(pass => pass.tier === 'premium').map(pass => pass.name))
+            .toEqual(['controlFlowFlattening', 'bytecodeEncryption', 'virtualization']);
+    });
+
+    test('should keep preserved names as written', () => {
+        const project = makeProject({ antiDebugging: false, preserve: ['greeting'] });
+        const { code, report } = obfuscationService.obfuscateProject(project, freeUser);
+
+        expect(code).toContain('local greeting = ');
+        expect(report.settings.preserve).toEqual(['greeting']);
+        expect(obfuscationService.validatePipeline({ preserve: 'greeting' })).toEqual(['preserve must be an array of names']);
+    });
+
+    test('should build watermarked variants per key and identify leaks', () => {
+        const project = makeProject({ antiDebugging: false, constantObfuscation: true });
+        expect(() => obfuscationService.buildKeyVariant(project, { keyId: 'a' }, null))
+            .toThrow(expect.objectContaining({ status: 400 }));
+
+        const { code, report } = obfuscationService.obfuscateProject(project, freeUser);
+        const build = { seed: report.seed, code };
+        const variants = ['a', 'b'].map(keyId => ({ id: keyId, ...obfuscationService.buildKeyVariant(project, { keyId }, build) }));
+
+        expect(variants[0].baseSeed).toBe(report.seed);
+        expect(variants[0].code).not.toBe(code);
+        expect(variants[0].code).not.toBe(variants[1].code);
+        expect(obfuscationService.buildKeyVariant(project, { keyId: 'a' }, build).code).toBe(variants[0].code);
+        expect(obfuscationService.identifyLeak(variants[1].code, variants).match).toBe('b');
+        expect(obfuscationService.identifyLeak(code, variants).match).toBeNull();
+    });
+
+    test('should keep building variants of premium builds after the plan changes', () => {
+        const project = makeProject({ antiDebugging: false, constantObfuscation: true, tier: 'premium', controlFlowFlattening: true });
+        const { code, report } = obfuscationService.obfuscateProject(project, premiumUser);
+        expect(() => obfuscationService.obfuscateProject(project, freeUser)).toThrow(expect.objectContaining({ status: 403 }));
+
+        const variant = obfuscationService.buildKeyVariant(project, { keyId: 'a' }, { seed: report.seed, code });
+        expect(variant.code).not.toBe(code);
+        expect(variant.fingerprint.length).toBeGreaterThanOrEqual(8);
+    });
+
+    test('should offer valid presets that build for the plans they need', () => {
+        const presets = obfuscationService.listPresets();
+        expect(presets.map(preset => [preset.name, preset.version])).toEqual([['fast', 1], ['balanced', 1], ['max', 1]]);
+
+        presets.forEach(preset => {
+            expect(obfuscationService.validatePipeline(preset.settings)).toEqual([]);
+            const { report } = obfuscationService.obfuscateProject(makeProject(preset.settings), premiumUser);
+            expect(report.transforms).toEqual(obfuscationService.passes.names().filter(name => preset.settings[name]));
+        });
+        expect(obfuscationService.validateSettings(presets[1].settings, freeUser)).toEqual([]);
+        expect(obfuscationService.validateSettings(presets[2].settings, freeUser)).toContain('virtualization requires a premium plan');
+    });
+
+    test('should store profiles with every pass set and apply them per project', () => {
+        const settings = obfuscationService.profileSettings({
+            target: '5.1',
+            preserve: ['main'],
+            junkCode: true,
+            passOptions: { junkCode: { density: 0.5 }, minify: { enabled: true } }
+        });
+
+        expect(settings).toEqual({
+            passOptions: { junkCode: { density: 0.5 }, minify: { enabled: true } },
+            stringEncryption: true,
+            variableRenaming: true,
+            antiDebugging: true,
+            globalAliasing: false,
+            junkCode: true,
+            constantObfuscation: false,
+            controlFlowFlattening: false,
+            bytecodeEncryption: false,
+            virtualization: false,
+            minify: true,
+            integrityChecks: true
+        });
+
+        const applied = obfuscationService.applyProfile(
+            { tier: 'standard', target: 'luau', preserve: ['Players'], passOrder: ['antiDebugging'], globalAliasing: true },
+            settings
+        );
+        expect(applied).toEqual({ ...settings, passOrder: [], target: 'luau', preserve: ['Players'] });
+
+        expect(obfuscationService.touchesProfile({ target: '5.3', preserve: [] })).toBe(false);
+        expect(obfuscationService.touchesProfile({ target: '5.3', junkCode: false })).toBe(true);
+    });
+
+    test('should preview a snippet with the diff of every pass', () => {
+        const source = 'local greeting = "Hello"\nprint(greeting)';
+        const preview = obfuscationService.previewSnippet(source, { antiDebugging: false, minify: true }, freeUser, { seed: 'preview' });
+
+        expect(preview.passes.map(pass => pass.name)).toEqual([
+            'stringEncryption', 'variableRenaming', 'minify', 'integrityChecks', 'output'
+        ]);
+        expect(preview.passes[0].diff).toContain('-local greeting = "Hello"');
+        expect(preview.passes[0].diff).not.toContain('-print(greeting)');
+        expect(preview.passes[1].diff).toContain('-print(greeting)');
+        expect(preview.passes[4].size).toBe(preview.outputSize);
+        expect(preview).toMatchObject({ seed: 'preview', tier: 'standard', target: 'luau', inputSize: 40 });
+
+        // The same seed gives the build a project with these settings would get
+        const { code } = obfuscationService.obfuscateProject(makeProject({ antiDebugging: false, minify: true }), freeUser, { seed: 'preview' });
+        expect(preview.code).toBe(code);
+
+        expect(() => obfuscationService.previewSnippet(source, { tier: 'premium', virtualization: true }, freeUser))
+            .toThrow(expect.objectContaining({ status: 403 }));
+    });
+
+    test('should hash the source a build reads regardless of file order', () => {
+        const files = [
+            { originalName: 'main.lua', content: 'require("util")' },
+            { originalName: 'util.lua', content: 'return {}' }
+        ];
+        const hash = obfuscationService.sourceHash({ files, entryPoint: 'main.lua' });
+
+        expect(hash).toMatch(/^[0-9a-f]{64}$/);
+        expect(obfuscationService.sourceHash({ files: [...files].reverse(), entryPoint: 'main.lua' })).toBe(hash);
+        expect(obfuscationService.sourceHash({ files, entryPoint: 'util.lua' })).not.toBe(hash);
+
+        // Without an entry point builds start from the first file, and the hash follows them
+        expect(obfuscationService.entryPoint({ files: [...files].reverse() })).toBe('util.lua');
+        expect(obfuscationService.sourceHash({ files })).toBe(hash);
+        expect(obfuscationService.sourceHash({ files: [...files].reverse() }))
+            .toBe(obfuscationService.sourceHash({ files, entryPoint: 'util.lua' }));
+        expect(obfuscationService.sourceHash({ files: [files[0], { ...files[1], content: 'return 1' }] })).not.toBe(hash);
+    });
+
+    test('should treat lapsed subscriptions as free', () => {
+        const expired = { subscription: { plan: 'premium', isActive: true, expiresAt: new Date(Date.now() - 1000) } };
+        const inactive = { subscription: { plan: 'premium', isActive: false } };
+
+        expect(obfuscationService.getEffectivePlan(expired)).toBe('free');
+        expect(obfuscationService.getEffectivePlan(inactive)).toBe('free');
+        expect(obfuscationService.getEffectivePlan(premiumUser)).toBe('premium');
+    });
+});
@@ -0,0 +1,1174 @@
+// Obfuscation Engine Tests for EnigmaCode Platform
+const LuaObfuscator = require('../obfuscation-engine/obfuscator');
+const LuaParser = require('../obfuscation-engine/parser');
+const CodeGenerator = require('../obfuscation-engine/codegen');
+const ScopeAnalyzer = require('../obfuscation-engine/scope');
+const StringCipher = require('../obfuscation-engine/strings');
+const SeededRandom = require('../obfuscation-engine/random');
+const Virtualizer = require('../obfuscation-engine/virtualizer');
+const SourceMap = require('../obfuscation-engine/sourcemap');
+const ModuleBundler = require('../obfuscation-engine/bundler');
+const PassRegistry = require('../obfuscation-engine/passes');
+const ConstantObfuscator = require('../obfuscation-engine/constants');
+const JunkInjector = require('../obfuscation-engine/junk');
+const GlobalAliaser = require('../obfuscation-engine/aliases');
+const Annotations = require('../obfuscation-engine/annotations');
+const Minifier = require('../obfuscation-engine/minify');
+const Watermark = require('../obfuscation-engine/watermark');
+const IntegrityChecker = require('../obfuscation-engine/integrity');
+const LineDiff = require('../obfuscation-engine/diff');
+const LuaRunner = require('./lua-runner');
+const { resolveTarget } = require('../obfuscation-engine/targets');
+
+const roundTrip = (code) => CodeGenerator.generate(LuaParser.parse(code));
+
+describe('Lua Parser', () => {
+    test('should parse all statement types', () => {
+        const ast = LuaParser.parse(`
+            local a, b <const> = 1, 2
+            x.y[1] = a
+            print(a)
+            function t.m:run(...) return self, ... end
+            if a then elseif b then else end
+            while false do break end
+            do end
+            repeat until true
+            for i = 1, 2, 3 do end
+            for k, v in pairs(t) do end
+            goto done
+            ::done::
+        `);
+
+        expect(ast.body.map(node => node.type)).toEqual([
+            'LocalStatement', 'AssignmentStatement', 'CallStatement', 'FunctionDeclaration',
+            'IfStatement', 'WhileStatement', 'DoStatement', 'RepeatStatement',
+            'ForNumericStatement', 'ForGenericStatement', 'GotoStatement', 'LabelStatement'
+        ]);
+        expect(ast.body[0].attribs).toEqual([null, 'const']);
+        expect(ast.body[3].parameters[0].name).toBe('self');
+        expect(ast.body[3].isVararg).toBe(true);
+    });
+
+    test('should decode string escapes and long strings', () => {
+        const ast = LuaParser.parse('local s, l = "a\\65\\x42\\u{48}\\n", [==[\nx]]y]==]');
+        expect(ast.body[0].init[0].value).toBe('aABH\n');
+        expect(ast.body[0].init[1].value).toBe('x]]y');
+    });
+
+    test('should collect comments without tokenizing them', () => {
+        const ast = LuaParser.parse('-- local hidden = "x"\nlocal a = 1 --[[ block\ncomment ]]');
+        expect(ast.body).toHaveLength(1);
+        expect(ast.comments.map(comment => comment.value)).toEqual([' local hidden = "x"', ' block\ncomment ']);
+    });
+
+    test('should report syntax errors with line and column', () => {
+        expect(() => LuaParser.parse('local x = 1\nif x then\nprint(x)'))
+            .toThrow(/\[3:9\] 'end' expected \(to close 'if' at line 2\)/);
+        expect(() => LuaParser.parse('x = "unterminated')).toThrow(LuaParser.LuaSyntaxError);
+    });
+});
+
+describe('Code Generator', () => {
+    test('should preserve operator precedence and associativity', () => {
+        expect(roundTrip('x = (a + b) * c - (d - e)')).toBe('x = (a + b) * c - (d - e)');
+        expect(roundTrip('x = a .. (b .. c)')).toBe('x = a .. b .. c');
+        expect(roundTrip('x = (a .. b) .. c')).toBe('x = (a .. b) .. c');
+        expect(roundTrip('x = (-2) ^ 2, -2 ^ 2, 2 ^ -2, (2 ^ 3) ^ 2')).toBe('x = (-2) ^ 2, -2 ^ 2, 2 ^ -2, (2 ^ 3) ^ 2');
+        expect(roundTrip('x = not (a == b), - -y')).toBe('x = not (a == b), - -y');
+    });
+
+    test('should keep parentheses that truncate multiple values', () => {
+        expect(roundTrip('return (f()), (...)')).toBe('return (f()), (...)');
+    });
+
+    test('should separate statements that start with a parenthesis', () => {
+        expect(roundTrip('local a = b\n;(f or g)()')).toBe('local a = b;\n(f or g)()');
+    });
+
+    test('should write long strings that read back to the same text', () => {
+        ['line 1\nline 2', 'a[b]]', 'x]=]', 'ends with ]', 'ends with ]='].forEach(value => {
+            const literal = CodeGenerator.longString(value);
+            expect(LuaParser.parse(`return ${literal}`).body[0].arguments[0].value).toBe(value);
+        });
+        expect(CodeGenerator.longString('a[b]]')).toBe('[=[\na[b]]]=]');
+    });
+
+    test('should produce output that parses back to the same code', () => {
+        const source = `
+            local t = {name = "x", [1] = 2; 3, f = function(...) return ... end}
+            function t.a.b:c(x) return self[x]:d "s" {1} end
+            print(#t, 0x10, 1e3, 3.0, 5 // 2, 1 << 4, ~0, "\\0\\255")
+        `;
+        const generated = roundTrip(source);
+        expect(roundTrip(generated)).toBe(generated);
+    });
+});
+
+describe('Target Dialects', () => {
+    test('should parse and strip Luau syntax', () => {
+        const source = `
+            export type Point<T = number> = { x: T, y: T, [string]: any }
+            local function add<T>(a: number, b: number?, ...: any): (number, string)
+                local sum: number = a + (b :: number)
+                sum += 1
+                return sum, \`sum {sum} of {if b then "two" else "one"} \\{ok}\`
+            end
+            for i: number = 1, 3 do
+                if i == 2 then continue end
+                local continue = i
+            end
+            local mask = 0b1010
+        `;
+        const ast = LuaParser.parse(source, { target: 'luau' });
+        const generated = CodeGenerator.generate(ast);
+
+        expect(ast.body.map(node => node.type)).toEqual([
+            'FunctionDeclaration', 'ForNumericStatement', 'LocalStatement'
+        ]);
+        expect(generated).not.toMatch(/: number|Point|<T>/);
+        expect(generated).toContain('sum += 1');
+        expect(generated).toContain('`sum {sum} of {if b then "two" else "one"} \\{ok}`');
+        expect(generated).toContain('continue\n');
+        expect(CodeGenerator.generate(LuaParser.parse(generated, { target: 'luau' }))).toBe(generated);
+    });
+
+    test('should reject syntax the target does not support', () => {
+        expect(() => LuaParser.parse('x = a & b', { target: 'luau' }))
+            .toThrow(/operator '&' is not supported by Luau/);
+        expect(() => LuaParser.parse('::top::', { target: 'luau' })).toThrow(/labels are not supported/);
+        expect(() => LuaParser.parse('local x <const> = 1', { target: '5.1' }))
+            .toThrow(/attributes are not supported by Lua 5.1/);
+        expect(() => LuaParser.parse('x = a // b', { target: '5.1' })).toThrow(LuaParser.LuaSyntaxError);
+        expect(() => LuaParser.parse('x = a // b ~ c', { target: '5.4' })).not.toThrow();
+        expect(() => LuaParser.parse('x = 1', { target: '6.0' })).toThrow(/Unknown obfuscation target/);
+    });
+
+    test('should use the target runtime in generated loaders', () => {
+        const options = { tier: 'premium', bytecodeEncryption: true, antiDebugging: false, integrityChecks: false };
+        const lua51 = LuaObfuscator.obfuscate('print(1)', { ...options, target: '5.1' });
+        const lua53 = LuaObfuscator.obfuscate('print(1)', { ...options, target: '5.3' });
+
+        expect(lua51).toMatch(/loadstring\(/);
+        expect(lua53).toMatch(/ load\(/);
+        expect(() => LuaParser.parse(lua51, { target: '5.1' })).not.toThrow();
+        expect(() => LuaParser.parse(lua53, { target: '5.3' })).not.toThrow();
+    });
+});
+
+describe('Scope Analyzer', () => {
+    test('should resolve shadowed locals to separate bindings', () => {
+        const ast = LuaParser.parse(`
+            local x = 1
+            local x = x + 1
+            local function f(x) return x end
+            print(x, y)
+        `);
+        const scope = ScopeAnalyzer.analyze(ast);
+        const xs = scope.localBindings().filter(binding => binding.name === 'x');
+
+        expect(xs).toHaveLength(3);
+        expect(xs[0].references).toHaveLength(1);
+        expect(xs[1].references).toHaveLength(1);
+        expect(xs[2].kind).toBe('parameter');
+        expect([...scope.globalNames()].sort()).toEqual(['print', 'y']);
+    });
+
+    test('should mark locals captured by inner functions as upvalues', () => {
+        const scope = ScopeAnalyzer.analyze(LuaParser.parse(`
+            local counter = 0
+            local other = 0
+            local function inc() counter = counter + 1 end
+            other = other + 1
+        `));
+        const [counter, other] = scope.localBindings();
+
+        expect(counter.captured).toBe(true);
+        expect(other.captured).toBe(false);
+    });
+
+    test('should let repeat conditions see locals from the loop body', () => {
+        const scope = ScopeAnalyzer.analyze(LuaParser.parse('repeat local done = true until done'));
+        expect(scope.localBindings()[0].references).toHaveLength(1);
+        expect(scope.globals.has('done')).toBe(false);
+    });
+});
+
+describe('String Cipher', () => {
+    test('should decrypt what it encrypts for every byte value', () => {
+        const cipher = new StringCipher('build-key');
+        const bytes = Array.from({ length: 256 }, (_, i) => String.fromCharCode(i)).join('');
+
+        [bytes, 'Hello, World!', '\0', 'x'.repeat(100)].forEach((value, salt) => {
+            const encrypted = cipher.encrypt(value, salt + 1000);
+            expect(encrypted).not.toBe(value);
+            expect(cipher.decrypt(encrypted, salt + 1000)).toBe(value);
+        });
+    });
+
+    test('should derive the same key from the same build key', () => {
+        expect(new StringCipher('a').key).toEqual(new StringCipher('a').key);
+        expect(new StringCipher('a').key).not.toEqual(new StringCipher('b').key);
+        expect(new StringCipher('a').encrypt('secret', 7)).toBe(new StringCipher('a').encrypt('secret', 7));
+    });
+
+    test('should embed the derived key in the Lua decoder', () => {
+        const cipher = new StringCipher('build-key');
+        const decoder = cipher.generateDecoder();
+        expect(decoder).toContain(`local key = {${cipher.key.join(', ')}}`);
+        expect(decoder).not.toMatch(/~|bit32|_G/);
+        expect(() => LuaParser.parse(`return ${decoder}`)).not.toThrow();
+    });
+});
+
+describe('Seeded Random', () => {
+    test('should produce the same stream for the same seed', () => {
+        const a = new SeededRandom('seed');
+        const b = new SeededRandom('seed');
+        const draws = (random) => [random.hex(40), random.int(1, 1000), random.float(), random.shuffle([1, 2, 3, 4, 5])];
+
+        expect(draws(a)).toEqual(draws(b));
+        expect(new SeededRandom('seed').hex(8)).not.toBe(new SeededRandom('other').hex(8));
+        expect(new SeededRandom('seed').fork('x').hex(8)).not.toBe(new SeededRandom('seed').hex(8));
+    });
+
+    test('should keep integers within range', () => {
+        const random = new SeededRandom('range');
+        for (let i = 0; i < 1000; i++) {
+            const value = random.int(3, 7);
+            expect(value).toBeGreaterThanOrEqual(3);
+            expect(value).toBeLessThan(7);
+        }
+    });
+});
+
+describe('Control-Flow Flattening', () => {
+    const flatten = (source, extra = {}) => LuaObfuscator.obfuscate(source, {
+        tier: 'premium',
+        target: '5.3',
+        controlFlowFlattening: true,
+        stringEncryption: false,
+        antiDebugging: false,
+        integrityChecks: false,
+        seed: 'flatten',
+        ...extra
+    });
+    const loops = code => code.match(/^\s*(while|repeat|for)\b/gm).map(line => line.trim());
+
+    test('should lower every loop and jump into a single dispatcher', () => {
+        const output = flatten(`
+            local total = 0
+            for i = 1, 10 do
+                if i % 2 == 0 then total = total + i elseif i == 7 then break else total = total - 1 end
+            end
+            for k, v in pairs({1, 2}) do total = total + v end
+            while total > 100 do total = total - 1 end
+            repeat local done = total > 0; total = total + 1 until done
+            goto finish
+            total = 0
+            ::finish::
+            return total
+        `);
+
+        expect(loops(output)).toEqual(['while']);
+        expect(output).not.toMatch(/\bbreak\b[\s\S]*\bbreak\b[\s\S]*\bbreak\b/);
+        expect(output).not.toMatch(/goto|::/);
+        expect(output).toContain("'for' initial value must be a number");
+    });
+
+    test('should use shuffled state ids', () => {
+        const output = flatten('local a = 1\nif a then a = 2 else a = 3 end\nprint(a)');
+        const ids = [...output.matchAll(/= (\d+)\n/g)].map(match => Number(match[1]));
+
+        expect(ids.length).toBeGreaterThan(2);
+        expect(ids.every(id => id >= 1 && id < 1 << 24)).toBe(true);
+        expect(ids).not.toEqual([...ids].sort((x, y) => x - y));
+    });
+
+    test('should keep loops whose locals are captured by closures', () => {
+        const output = flatten(`
+            local fns = {}
+            for i = 1, 3 do
+                fns[i] = function() return i end
+            end
+            return fns
+        `);
+
+        // The loop stays, and its body and the closure get dispatchers of their own
+        expect(loops(output)).toEqual(['while', 'for', 'while', 'while']);
+    });
+
+    test('should keep generic for loops on Luau', () => {
+        const output = flatten('for k, v in t do print(k) end', { target: 'luau' });
+        expect(output).toMatch(/for _\w+, _\w+ in t do/);
+    });
+
+    test('should leave bodies with to-be-closed variables structured', () => {
+        const output = flatten('local f <close> = nil\nif f then print(f) end', { variableRenaming: false });
+        expect(output).toContain('local f <close> = nil');
+        expect(output).toContain('if f then');
+    });
+
+    test('should be reproducible from the seed', () => {
+        const source = 'for i = 1, 3 do if i > 1 then print(i) end end';
+        expect(flatten(source)).toBe(flatten(source));
+        expect(flatten(source)).not.toBe(flatten(source, { seed: 'other' }));
+    });
+});
+
+describe('Virtualization', () => {
+    const virtualize = (code, extra = {}) => LuaObfuscator.obfuscate(code, {
+        tier: 'premium',
+        virtualization: true,
+        stringEncryption: false,
+        antiDebugging: false,
+        integrityChecks: false,
+        seed: 'virtualization-seed',
+        ...extra
+    });
+
+    const source = `
+        local function accumulate(...)
+            local total = 0
+            for _, value in ipairs({...}) do total = total + value end
+            return total, select('#', ...)
+        end
+        local Vector = setmetatable({}, { __call = function(_, x) return { x = x } end })
+        print(accumulate(1, 2, 3), Vector(4).x)
+    `;
+
+    test('should compile the whole script into bytecode', () => {
+        const output = virtualize(source, { variableRenaming: false });
+
+        expect(output).not.toMatch(/accumulate|total|Vector/);
+        expect(output).not.toContain('_EC_VM');
+        expect(output).toContain('"ipairs"');
+        expect(() => LuaParser.parse(output)).not.toThrow();
+    });
+
+    test('should only use operators the target supports in the interpreter', () => {
+        expect(() => LuaParser.parse(virtualize(source, { target: '5.1' }), { target: '5.1' })).not.toThrow();
+        expect(() => LuaParser.parse(virtualize(source, { target: 'luau' }), { target: 'luau' })).not.toThrow();
+        expect(virtualize(source, { target: '5.3' })).toContain('math.type');
+    });
+
+    test('should shuffle the instruction set per build', () => {
+        const opcodes = (seed) => new Virtualizer({
+            random: new SeededRandom(seed),
+            target: resolveTarget('5.3')
+        }).assignOpcodes();
+
+        expect(opcodes('a')).toEqual(opcodes('a'));
+        expect(opcodes('a')).not.toEqual(opcodes('b'));
+        expect(virtualize(source)).toBe(virtualize(source));
+        expect(virtualize(source)).not.toBe(virtualize(source, { seed: 'other' }));
+    });
+
+    test('should reject to-be-closed variables with their line', () => {
+        expect(() => virtualize('print(1)\nlocal f <close> = nil', { target: '5.3' }))
+            .toThrow(expect.objectContaining({
+                name: 'VirtualizationError',
+                message: 'Virtualization does not support to-be-closed variables (line 2)',
+                feature: 'to-be-closed variables',
+                line: 2
+            }));
+        expect(() => virtualize('local f <close> = nil', { target: '5.3' })).toThrow(Virtualizer.VirtualizationError);
+    });
+});
+
+describe('Source Maps', () => {
+    const source = [
+        'local function divide(numerator, denominator)',
+        '    if denominator == 0 then',
+        '        error("division by zero")',
+        '    end',
+        '    return numerator / denominator',
+        'end',
+        'print(divide(1, 0))'
+    ].join('\n');
+
+    const build = (extra = {}) => {
+        const obfuscator = new LuaObfuscator({ seed: 'map', fileName: 'game.lua', antiDebugging: false, integrityChecks: false, ...extra });
+        const lines = obfuscator.obfuscate(source).split('\n');
+        return { obfuscator, lines };
+    };
+
+    test('should map output lines and renamed identifiers to the original', () => {
+        const { obfuscator, lines } = build();
+        const { sourceMap } = obfuscator;
+        const errorLine = lines.findIndex(line => /^\s*error\(/.test(line)) + 1;
+        const divide = Object.keys(sourceMap.names).find(name => sourceMap.names[name] === 'divide');
+
+        expect(sourceMap.originalLine('[string "x"]', errorLine)).toBe(3);
+        expect(lines[errorLine - 1]).not.toContain('divide');
+        expect(divide).toBeDefined();
+        expect(sourceMap.toJSON()).toMatchObject({ version: 1, file: 'game.lua' });
+
+        // Runtime code the obfuscator added has no original line
+        const decoderLine = lines.findIndex(line => line.includes('string.byte')) + 1;
+        expect(sourceMap.originalLine('[string "x"]', decoderLine)).toBeNull();
+    });
+
+    test('should rewrite locations and names in a stack trace', () => {
+        const { obfuscator, lines } = build();
+        const map = new SourceMap(JSON.parse(JSON.stringify(obfuscator.sourceMap)));
+        const errorLine = lines.findIndex(line => /^\s*error\(/.test(line)) + 1;
+        const divide = Object.keys(map.names).find(name => map.names[name] === 'divide');
+
+        const { trace, frames } = map.mapTrace(
+            `[string "-- EnigmaCode..."]:${errorLine}: division by zero\n` +
+            `stack traceback:\n\t[C]: in function 'error'\n\t[string "-- EnigmaCode..."]:${errorLine}: in upvalue '${divide}'`
+        );
+
+        expect(trace).toBe(
+            'game.lua:3: division by zero\n' +
+            "stack traceback:\n\t[C]: in function 'error'\n\tgame.lua:3: in upvalue 'divide'"
+        );
+        expect(frames).toEqual([
+            { chunk: '[string "-- EnigmaCode..."]', line: errorLine, file: 'game.lua', originalLine: 3 },
+            { chunk: '[string "-- EnigmaCode..."]', line: errorLine, file: 'game.lua', originalLine: 3 }
+        ]);
+    });
+
+    test('should map lines inside the encrypted bytecode chunk by its name', () => {
+        const { obfuscator, lines } = build({ tier: 'premium', bytecodeEncryption: true });
+        const [chunkName] = Object.keys(obfuscator.sourceMap.chunks);
+
+        expect(lines.join('\n')).toContain(`"=${chunkName}"`);
+        const inner = obfuscator.sourceMap.chunks[chunkName];
+        const errorLine = Number(Object.keys(inner).find(line => inner[line] === 3));
+        expect(obfuscator.sourceMap.mapTrace(`${chunkName}:${errorLine}: division by zero`).trace)
+            .toBe('game.lua:3: division by zero');
+    });
+});
+
+describe('Module Bundler', () => {
+    const bundle = (files, entry, options = {}) => new ModuleBundler(options).bundle(
+        Object.entries(files).map(([name, content]) => ({ name, content })),
+        entry
+    );
+
+    test('should resolve dotted, relative and script-relative requires', () => {
+        const ast = bundle({
+            'main.lua': 'local a = require("lib.util")\nlocal b = require("./shared/init.lua")\nreturn a, b',
+            'lib/util.lua': 'return require(script.Parent.helpers)',
+            'lib/helpers.luau': 'return require(script:WaitForChild("child"))',
+            'lib/helpers/child.lua': 'return 1',
+            'shared/init.lua': 'return require("lib/util")',
+            'unused.lua': 'error("not bundled")'
+        }, 'main.lua');
+        const output = CodeGenerator.generate(ast);
+
+        expect(ast.sources).toEqual(['main.lua', 'lib/util.lua', 'lib/helpers.luau', 'lib/helpers/child.lua', 'shared/init.lua']);
+        expect(output).not.toMatch(/\brequire\(/);
+        expect(output).not.toContain('not bundled');
+        expect(output).toContain('local a = _EC_require(1)\nlocal b = _EC_require(4)\nreturn a, b');
+        expect(output).toContain('_EC_modules[4] = function(...)\n    return _EC_require(1)\nend');
+    });
+
+    test('should leave a single file without requires untouched', () => {
+        const output = CodeGenerator.generate(bundle({ 'main.lua': 'print(require(game.ReplicatedStorage.X))' }));
+        expect(output).toBe('print(require(game.ReplicatedStorage.X))');
+    });
+
+    test('should report missing modules with file and line', () => {
+        expect(() => bundle({ 'main.lua': 'print(1)\nlocal m = require("missing")' }, 'main.lua'))
+            .toThrow("main.lua:2: module 'missing' not found (tried missing, missing.lua");
+        expect(() => bundle({ 'main.lua': 'require(script.Parent.Gone)' }))
+            .toThrow(/module script\.Parent\.Gone not found/);
+        expect(() => bundle({ 'main.lua': 'require("socket")\nrequire(script.Remote)' }, 'main.lua', {
+            externals: ['socket', 'script.Remote']
+        })).not.toThrow();
+        expect(() => bundle({ 'main.lua': '' }, 'other.lua')).toThrow(ModuleBundler.BundleError);
+    });
+
+    test('should reject circular requires', () => {
+        expect(() => bundle({
+            'main.lua': 'require("a")',
+            'a.lua': 'require("b")',
+            'b.lua': 'local function lazy() return require("a") end'
+        }, 'main.lua')).toThrow('b.lua:1: circular require: a.lua -> b.lua -> a.lua');
+    });
+
+    test('should name the original file of each mapped line', () => {
+        const obfuscator = new LuaObfuscator({ seed: 'bundle', antiDebugging: false, integrityChecks: false });
+        const lines = obfuscator.obfuscate(bundle({
+            'main.lua': 'local util = require("util")\nprint(util.twice(2))',
+            'util.lua': 'local M = {}\n\nfunction M.twice(x)\n    return x * 2\nend\nreturn M'
+        }, 'main.lua')).split('\n');
+        const returnLine = lines.findIndex(line => line.includes('* 2')) + 1;
+
+        expect(obfuscator.sourceMap.originalLocation('x', returnLine)).toEqual({ file: 'util.lua', line: 4 });
+        expect(obfuscator.sourceMap.mapTrace(`x:${returnLine}: oops`).trace).toBe('util.lua:4: oops');
+    });
+});
+
+describe('LuaObfuscator', () => {
+    const options = {
+        stringEncryption: false,
+        antiDebugging: false,
+        integrityChecks: false
+    };
+
+    test('should not rename field and method names', () => {
+        const output = LuaObfuscator.obfuscate(`
+            local name = "player"
+            local obj = { name = name }
+            function obj:getName() return self.name end
+            print(obj.name, obj:getName())
+        `, options);
+
+        expect(output).toContain('{name = ');
+        expect(output).toContain('.name');
+        expect(output).toContain(':getName()');
+        expect(output).not.toMatch(/local name\b/);
+    });
+
+    test('should rename locals by scope and leave globals alone', () => {
+        const obfuscator = new LuaObfuscator(options);
+        const output = obfuscator.obfuscate(`
+            local value = 1
+            local function outer(value)
+                local value = value + 1
+                return function() return value end
+            end
+            result = outer(value)
+            print(string.format("%d", result))
+        `);
+
+        expect(output).not.toMatch(/\bvalue\b/);
+        expect(output).toContain('result = ');
+        expect(output).toContain('print(string.format(');
+        expect([...obfuscator.variableMap.values()].filter(name => name === 'value')).toHaveLength(3);
+    });
+
+    test('should rename globals and fields only when opted in', () => {
+        const output = LuaObfuscator.obfuscate(`
+            Config = { secret = 1 }
+            print(Config.secret, Config.other)
+        `, { ...options, renameGlobals: ['Config', 'print'], renameFields: ['secret'] });
+
+        expect(output).not.toContain('Config');
+        expect(output).not.toContain('secret');
+        expect(output).toContain('.other');
+        expect(output).toContain('print(');
+    });
+
+    test('should leave comments and long strings intact', () => {
+        const output = LuaObfuscator.obfuscate(`
+            -- local secret = "comment"
+            local text = [[keep "this" = 1]]
+            print(text)
+        `, options);
+
+        expect(output).toContain('"keep \\"this\\" = 1"');
+        expect(output).not.toContain('secret');
+    });
+
+    test('should replace string literals with calls to a local decoder', () => {
+        const output = LuaObfuscator.obfuscate('print("Hello, World!")', { ...options, stringEncryption: true });
+        expect(output).not.toContain('Hello, World!');
+        expect(output).not.toContain('_G');
+        expect(output).toMatch(/local (_\w+) = \(function\(\)[\s\S]*\1\(".*", \d+\)/);
+    });
+
+    test('should reproduce a build byte-for-byte from its seed', () => {
+        const source = 'local secret = "value"\nif secret then print(secret) else print("none") end';
+        const settings = { tier: 'premium', controlFlowFlattening: true, bytecodeEncryption: true };
+
+        const first = new LuaObfuscator(settings);
+        const output = first.obfuscate(source);
+        expect(first.seed).toMatch(/^[0-9a-f]{32}$/);
+        expect(LuaObfuscator.obfuscate(source, { ...settings, seed: first.seed })).toBe(output);
+        expect(LuaObfuscator.obfuscate(source, settings)).not.toBe(output);
+    });
+
+    test('should accept a tier name instead of options', () => {
+        const output = LuaObfuscator.obfuscate('print("test")', 'standard');
+        expect(output).toContain('EnigmaCode Protected Script');
+    });
+});
+
+describe('Constant Obfuscation', () => {
+    const source = 'return 0, 1, 42, -7, 65536, 0x7FFFFFFF, 1234567890123, 0.0, 0.1, 1.5, 3.0, 1e300, 5e-324, true, false';
+
+    // Evaluates the rewritten constants with Lua 5.3 semantics: integers as BigInt, floats as numbers
+    const evaluate = (node) => {
+        switch (node.type) {
+            case 'NumericLiteral':
+                return node.isFloat ? node.value : BigInt(node.value);
+            case 'BooleanLiteral':
+                return node.value;
+            case 'ParenthesizedExpression':
+                return evaluate(node.expression);
+            case 'UnaryExpression':
+                return -evaluate(node.argument);
+            default: {
+                let left = evaluate(node.left);
+                let right = evaluate(node.right);
+                if (node.operator === '/' || typeof left !== typeof right) {
+                    [left, right] = [Number(left), Number(right)];
+                }
+                switch (node.operator) {
+                    case '+': return left + right;
+                    case '-': return left - right;
+                    case '*': return left * right;
+                    case '/': return left / right;
+                    case '//': return typeof left === 'bigint'
+                        ? (left - ((left % right) + right) % right) / right
+                        : Math.floor(left / right);
+                    case '~': return left ^ right;
+                    case '<': return left < right;
+                    case '>': return left > right;
+                    case '<=': return left <= right;
+                    case '>=': return left >= right;
+                    case '==': return left === right;
+                    case '~=': return left !== right;
+                    default: throw new Error(`unexpected operator ${node.operator}`);
+                }
+            }
+        }
+    };
+
+    const rewrite = (seed, target, options = {}) => {
+        const ast = LuaParser.parse(source, { target });
+        new ConstantObfuscator({ random: new SeededRandom(seed), target: resolveTarget(target), intensity: 3, ...options })
+            .obfuscate(ast);
+        return CodeGenerator.generate(ast);
+    };
+    // Reparses the generated code so literal formatting is checked as well
+    const constants = (code, target) => LuaParser.parse(code, { target }).body[0].arguments;
+
+    test('should keep exact values and the integer/float subtype', () => {
+        const expected = LuaParser.parse(source, { target: '5.3' }).body[0].arguments.map(evaluate);
+        ['a', 'b', 'c', 'd', 'e', 'f'].forEach(seed => {
+            const values = constants(rewrite(seed, '5.3'), '5.3').map(evaluate);
+            values.forEach((value, i) => {
+                expect(typeof value).toBe(typeof expected[i]);
+                expect(Object.is(value, expected[i])).toBe(true);
+            });
+        });
+    });
+
+    test('should only use operators the target supports', () => {
+        const code = rewrite('a', '5.1');
+        expect(code).not.toMatch(/\/\/|~[^=]/);
+        expect(code).not.toMatch(/\b(?:true|false)\b/);
+    });
+
+    test('should rewrite only the configured share of literals', () => {
+        expect(rewrite('a', '5.3', { coverage: 0 })).toBe(CodeGenerator.generate(LuaParser.parse(source, { target: '5.3' })));
+
+        expect(() => LuaObfuscator.obfuscate(source, { constantObfuscation: true, passOptions: { constantObfuscation: { intensity: 4 } } }))
+            .toThrow("Option 'intensity' of pass 'constantObfuscation' must be at most 3");
+    });
+});
+
+describe('Junk Code', () => {
+    const source = `
+        local total = 0
+        for i = 1, 10 do
+            if i % 2 == 0 then goto continue end
+            local half = i / 2
+            total = total + half
+            ::continue::
+        end
+        while true do break end
+        return total
+    `;
+
+    const inject = (seed, density = 1) => {
+        const ast = LuaParser.parse(source, { target: '5.3' });
+        let counter = 0;
+        new JunkInjector({
+            random: new SeededRandom(seed),
+            target: resolveTarget('5.3'),
+            generateName: () => `_j${counter++}`,
+            density
+        }).inject(ast);
+        return ast;
+    };
+
+    // Evaluates a predicate over the opaque value table with Lua's modulo
+    const evaluate = (node, values) => {
+        switch (node.type) {
+            case 'NumericLiteral': return node.value;
+            case 'ParenthesizedExpression': return evaluate(node.expression, values);
+            case 'IndexExpression': return values[node.index.value - 1];
+            case 'UnaryExpression': return -evaluate(node.argument, values);
+            default: {
+                const left = evaluate(node.left, values);
+                const right = evaluate(node.right, values);
+                switch (node.operator) {
+                    case '+': return left + right;
+                    case '*': return left * right;
+                    case '%': return left - Math.floor(left / right) * right;
+                    case '==': return left === right;
+                    case '~=': return left !== right;
+                    case '<': return left < right;
+                    case '>': return left > right;
+                    default: throw new Error(`unexpected operator ${node.operator}`);
+                }
+            }
+        }
+    };
+
+    test('should guard junk with predicates that always have the same value', () => {
+        ['a', 'b', 'c', 'd'].forEach(seed => {
+            const ast = inject(seed);
+            const values = ast.body[0].init[0].fields.map(field => evaluate(field.value, []));
+            const opaque = (condition) => JSON.stringify(condition).includes('"_j0"');
+            let checked = 0;
+            ast.body.slice(1).forEach(function visit(statement) {
+                if (!statement || typeof statement !== 'object') return;
+                if (statement.type === 'IfStatement' && opaque(statement.clauses[0].condition)) {
+                    const expected = statement.clauses.length === 2;
+                    expect(evaluate(statement.clauses[0].condition, values)).toBe(expected);
+                    checked++;
+                } else if (statement.type === 'WhileStatement' && opaque(statement.condition)) {
+                    expect(evaluate(statement.condition, values)).toBe(false);
+                    checked++;
+                } else if (statement.type === 'RepeatStatement' && opaque(statement.condition)) {
+                    expect(evaluate(statement.condition, values)).toBe(true);
+                    checked++;
+                }
+                Object.values(statement).forEach(child => (Array.isArray(child) ? child.forEach(visit) : visit(child)));
+            });
+            expect(checked).toBeGreaterThan(5);
+        });
+    });
+
+    test('should only insert junk at valid statement boundaries', () => {
+        const ast = inject('a');
+        const loop = ast.body.find(statement => statement.type === 'ForNumericStatement');
+        expect(loop.body[loop.body.length - 1].type).toBe('LabelStatement');
+        const whileLoop = ast.body.find(statement => statement.type === 'WhileStatement' && statement.condition.type === 'BooleanLiteral');
+        expect(whileLoop.body[whileLoop.body.length - 1].type).toBe('BreakStatement');
+        expect(ast.body[ast.body.length - 1].type).toBe('ReturnStatement');
+        expect(() => LuaParser.parse(CodeGenerator.generate(ast), { target: '5.3' })).not.toThrow();
+    });
+
+    test('should vary with the seed and honour the density', () => {
+        expect(CodeGenerator.generate(inject('a'))).not.toBe(CodeGenerator.generate(inject('b')));
+        expect(CodeGenerator.generate(inject('a', 0))).toBe(CodeGenerator.generate(LuaParser.parse(source, { target: '5.3' })));
+    });
+});
+
+describe('Global Aliasing', () => {
+    const source = `
+        local Players = game:GetService("Players")
+        game:GetService("RunService")
+        print(string.format("%d", math.floor(2.5)), Players)
+        workspace:FindFirstChild("Part")
+        local count = 0
+        for _, value in ipairs({1, 2}) do count = count + value end
+        function string.trim(s) return (string.gsub(s, "^%s+", "")) end
+        print(string.trim(" x"), string.upper("y"))
+    `;
+
+    // Statements after the lookup table, which takes a declaration and a do block
+    const alias = (code, target = '5.3', allowlist = []) => {
+        const ast = LuaParser.parse(code, { target });
+        let counter = 0;
+        new GlobalAliaser({
+            random: new SeededRandom('aliases'),
+            target: resolveTarget(target),
+            generateName: () => `_a${counter++}`,
+            key: 'test-key',
+            allowlist
+        }).alias(ast);
+        return ast;
+    };
+    const userCode = (ast) => CodeGenerator.generate({ ...ast, body: ast.body.slice(2) });
+
+    test('should replace global, library and service lookups with table entries', () => {
+        const ast = alias(source);
+        expect(ast.body[1].type).toBe('DoStatement');
+        const code = userCode(ast);
+        ['game', 'GetService', 'Players"', 'print', 'format', 'floor', 'workspace',
+            'FindFirstChild', 'ipairs', 'upper'].forEach(name => {
+            expect(code).not.toContain(name);
+        });
+        // Entry names are encrypted in the table as well
+        expect(CodeGenerator.generate(ast)).not.toContain('Players"');
+        // A call statement keeps its call, with the service name left to string encryption
+        expect(code).toMatch(/^_a0\[\d+\]\(_a0\[\d+\], "RunService"\)$/m);
+    });
+
+    test('should keep allowlisted names literal', () => {
+        const code = userCode(alias(source, 'luau', ['print', 'string.format', 'game:GetService']));
+        expect(code).toContain('print(string.format("%d", _a0[');
+        expect(code).toContain('game:GetService("Players")');
+        expect(code).not.toContain('floor');
+        expect(code).not.toContain('FindFirstChild');
+    });
+
+    test('should leave library fields the script defines alone', () => {
+        const code = userCode(alias(source));
+        expect(code).toContain('function string.trim(s)');
+        expect(code).toMatch(/_a0\[\d+\]\.trim\(" x"\)/);
+        expect(code).not.toContain('gsub');
+    });
+
+    test('should skip scripts that swap their environment', () => {
+        const unchanged = (code, target) => {
+            const ast = alias(code, target);
+            expect(CodeGenerator.generate(ast)).toBe(CodeGenerator.generate(LuaParser.parse(code, { target })));
+        };
+        unchanged('local _ENV = {print = print}\nprint(1)', '5.3');
+        unchanged('_ENV = setmetatable({}, {__index = _G})\nprint(1)', '5.3');
+        unchanged('setfenv(1, {})\nprint(1)', '5.1');
+        expect(CodeGenerator.generate(alias('print(_ENV)', '5.3'))).toContain('_a0[1](_ENV)');
+    });
+});
+
+describe('Annotations', () => {
+    const source = `
+        --@enigma:keep exported, api
+        local secret = "hidden"
+        local exported = {}
+        --@enigma:nostrings
+        local banner = "Welcome " .. secret
+        --@enigma:keep
+        --[[ stacked comments are skipped ]]
+        local function helper(value)
+            local doubled = value * 2
+            return "helper:" .. doubled
+        end
+        function exported.run(n)
+            local total = 0
+            for i = 1, n do
+                if i % 2 == 0 then total = total + i end --@enigma:keep
+            end
+            return total
+        end
+        api = exported
+        print(banner, helper(21), api.run(10))
+    `;
+    const options = {
+        target: '5.3', seed: 'annotations', tier: 'premium', antiDebugging: false, renameGlobals: true,
+        junkCode: true, constantObfuscation: true, globalAliasing: true, controlFlowFlattening: true
+    };
+
+    test('should attach annotations to the statement on or below them', () => {
+        const ast = Annotations.attach(LuaParser.parse(source, { target: '5.3' }));
+        expect(ast.preserve).toEqual(['exported', 'api']);
+        expect(ast.body[2].annotations).toEqual(['nostrings']);
+        expect(ast.body[3].annotations).toEqual(['keep']);
+        const loop = ast.body[4].body[1];
+        expect(loop.body[0].annotations).toEqual(['keep']);
+        expect(Annotations.within(ast, ['nostrings']).has(ast.body[2].init[0].left)).toBe(true);
+    });
+
+    test('should reject unknown and misplaced annotations', () => {
+        const attach = (code) => () => Annotations.attach(LuaParser.parse(code));
+        expect(attach('local a = 1 --@enigma:nostring')).toThrow(LuaParser.LuaSyntaxError);
+        expect(attach('local a = 1 --@enigma:nostring')).toThrow('[1:13] unknown annotation');
+        expect(attach('local a = 1\n\n--@enigma:keep\n\nprint(a)')).toThrow('must be on or directly above a statement');
+        expect(attach('--@enigma:nostrings a\nprint(1)')).toThrow("does not take names");
+        expect(attach('-- @enigma is mentioned here\nprint(1)')).not.toThrow();
+    });
+
+    test('should leave kept code and names as written', () => {
+        const code = LuaObfuscator.obfuscate(source, options);
+        expect(code).toContain('local function helper(value)\n');
+        expect(code).toContain('local doubled = value * 2');
+        expect(code).toContain('"Welcome " .. ');
+        expect(code).toMatch(/if \w+ % 2 == 0 then/);
+        expect(code).toContain('local exported = {}');
+        expect(code).toContain('api = exported');
+        expect(code).not.toContain('hidden');
+        expect(code).not.toContain('secret');
+    });
+
+    test('should keep names from the preserve list', () => {
+        const obfuscator = new LuaObfuscator({ ...options, preserve: ['total', 'run'], renameFields: ['run'] });
+        const code = obfuscator.obfuscate('local t = {}\nfunction t.run() local total = 1 return total end\nreturn t');
+        expect(code).toContain('.run');
+        expect(code).toMatch(/\blocal total\b|\btotal = /);
+        expect([...obfuscator.variableMap.values()]).not.toContain('total');
+    });
+});
+
+describe('Minification', () => {
+    const minifier = new Minifier({ target: resolveTarget('5.3') });
+
+    test('should keep tokens apart only where they would merge', () => {
+        const code = [
+            'local a = 1 .. 2 .. x',
+            'local b = - -a; local c = t[ [[s]] ]',
+            'local d = a . b',
+            '',
+            'f(x);',
+            '(g)()',
+            'return a ~= b and -1 or not c'
+        ].join('\n');
+        expect(minifier.minify(code)).toBe([
+            'local a=1 ..2 ..x',
+            'local b=- -a local c=t[ [[s]]]',
+            'local d=a.b',
+            '',
+            'f(x);',
+            '(g)()',
+            'return a~=b and-1 or not c'
+        ].join('\n'));
+    });
+
+    test('should drop parentheses that do not change the meaning', () => {
+        const code = 'local x = ((a + b)) * (c) .. (f()) .. (...)\nreturn ("s"):rep(2), -(-1), not (a == b)';
+        const ast = minifier.simplify(LuaParser.parse(code, { target: '5.3' }));
+        expect(CodeGenerator.generate(ast)).toBe('local x = (a + b) * c .. (f()) .. (...)\nreturn ("s"):rep(2), - -1, not (a == b)');
+    });
+
+    test('should minify builds and report the bytes saved', () => {
+        const source = 'local function add(a, b)\n    return (a + b)\nend\nprint(add(1, 2))';
+        const plain = new LuaObfuscator({ seed: 'minify', fileName: 'add.lua' });
+        const minified = new LuaObfuscator({ seed: 'minify', fileName: 'add.lua', minify: true });
+        const before = plain.obfuscate(source);
+        const after = minified.obfuscate(source);
+
+        expect(plain.minification).toBeNull();
+        expect(after).not.toContain('EnigmaCode Protected Script');
+        expect(after).not.toMatch(/^\s/m);
+        expect(minified.appliedTransforms.slice(-2)).toEqual(['minify', 'integrityChecks']);
+        const { originalSize, minifiedSize, savedBytes } = minified.minification;
+        expect(minifiedSize).toBe(Buffer.byteLength(after));
+        expect(savedBytes).toBe(originalSize - minifiedSize);
+        // The embedded chunk is minified before it is hashed, so the unminified build only
+        // differs from the original size in the digits of its integrity digest
+        expect(Math.abs(originalSize - Buffer.byteLength(before))).toBeLessThanOrEqual(10);
+        expect(savedBytes).toBeGreaterThan(before.length / 5);
+
+        // Lines are kept, so the source map still points at the original line of the
+        // chunk the integrity check embeds
+        const [chunk] = Object.keys(minified.sourceMap.chunks);
+        const returnLine = after.slice(after.indexOf('[[\n') + 3).split('\n').findIndex(line => /^return \w+\+\w+$/.test(line)) + 1;
+        expect(minified.sourceMap.originalLine(chunk, returnLine)).toBe(2);
+    });
+});
+
+describe('Watermarks', () => {
+    const source = [
+        'local Players = game:GetService("Players")',
+        'local function greet(player, count)',
+        '    local message = "Welcome " .. player.Name',
+        '    for index = 1, count do print(message, index * 1000) end',
+        'end',
+        'Players.PlayerAdded:Connect(function(player) greet(player, 3) end)'
+    ].join('\n');
+    const build = (seed, options = {}) => new LuaObfuscator({ target: 'luau', seed, constantObfuscation: true, ...options }).obfuscate(source);
+    const base = build('base');
+    const variants = ['key-a', 'key-b', 'key-c'].map(id => {
+        const code = build(Watermark.seed('base', id));
+        return { id, code, fingerprint: Watermark.fingerprint(code, base) };
+    });
+
+    test('should derive a distinct, stable variant for every key', () => {
+        expect(Watermark.seed('base', 'key-a')).toBe(Watermark.seed('base', 'key-a'));
+        expect(Watermark.seed('base', 'key-a')).not.toBe(Watermark.seed('base', 'key-b'));
+        expect(new Set(variants.map(variant => variant.code)).size).toBe(3);
+        variants.forEach(variant => {
+            expect(variant.fingerprint.length).toBeGreaterThan(16);
+            expect(variant.fingerprint.length).toBeLessThanOrEqual(Watermark.FINGERPRINT_SIZE);
+        });
+    });
+
+    test('should trace a leaked variant back to its key', () => {
+        const leaked = variants[1].code;
+        const { match, scores } = Watermark.identify(leaked, variants);
+        expect(match).toBe('key-b');
+        expect(scores[0]).toEqual({ id: 'key-b', score: 1 });
+
+        // Reformatting or trimming the script does not hide where it came from
+        const reformatted = new Minifier({ target: resolveTarget('luau') }).minify(leaked);
+        expect(Watermark.identify(reformatted, variants).match).toBe('key-b');
+        const trimmed = leaked.split('\n').slice(0, Math.ceil(leaked.split('\n').length * 0.8)).join('\n');
+        expect(Watermark.identify(trimmed, variants).match).toBe('key-b');
+    });
+
+    test('should not match the shared build or unrelated code', () => {
+        expect(Watermark.identify(base, variants).match).toBeNull();
+        expect(Watermark.identify('print("hello")', variants)).toEqual({ match: null, scores: [] });
+    });
+});
+
+describe('Integrity Checks', () => {
+    const runner = new LuaRunner();
+    const source = 'local label = "licensed"\nprint(label, #label)\nreturn label';
+
+    test('should hash constants with FNV-1a', () => {
+        // Each constant is followed by a zero byte, so ['a'] hashes "a\0", a published test vector
+        expect(IntegrityChecker.digest([])).toBe(0x811c9dc5);
+        expect(IntegrityChecker.digest(['a'])).toBe(0x2b24d044);
+        expect(IntegrityChecker.digest(['a'])).not.toBe(IntegrityChecker.digest(['', 'a']));
+    });
+
+    test.each(['5.1', '5.3', 'luau'])('should run unchanged builds and stop changed ones on %s', (target) => {
+        const code = LuaObfuscator.obfuscate(source, { target, seed: 'integrity', stringEncryption: false, antiDebugging: false });
+        expect(code).toContain('"licensed"');
+        expect(code).not.toContain('debug');
+        expect(runner.run(code, { target })).toEqual({ output: ['licensed\t8'], returns: ['licensed'], error: null });
+
+        const tampered = runner.run(code.replace('"licensed"', '"pirated!"'), { target });
+        expect(tampered).toEqual({ output: [], returns: [], error: null });
+    });
+
+    test('should stop builds whose code changed and map errors inside it', () => {
+        const obfuscator = new LuaObfuscator({ target: '5.3', seed: 'integrity', antiDebugging: false, constantObfuscation: false });
+        const code = obfuscator.obfuscate('local function scale(n)\n    return n * 7\nend\nprint(scale(6))');
+        expect(runner.run(code, { target: '5.3' }).output).toEqual(['42']);
+
+        // The program is embedded as a chunk, so its code is hashed along with its strings
+        const tampered = code.replace('* 7', '* 9');
+        expect(tampered).not.toBe(code);
+        expect(runner.run(tampered, { target: '5.3' })).toEqual({ output: [], returns: [], error: null });
+
+        const [chunk] = Object.keys(obfuscator.sourceMap.chunks);
+        const line = code.slice(code.indexOf('[[\n') + 3).split('\n').findIndex(text => text.includes('* 7')) + 1;
+        expect(obfuscator.sourceMap.originalLine(chunk, line)).toBe(2);
+    });
+
+    test('should cover encrypted code and minified builds', () => {
+        const options = { target: '5.3', seed: 'integrity', tier: 'premium', bytecodeEncryption: true, minify: true, antiDebugging: false };
+        const obfuscator = new LuaObfuscator(options);
+        const code = obfuscator.obfuscate(source);
+        expect(obfuscator.appliedTransforms.slice(-3)).toEqual(['bytecodeEncryption', 'minify', 'integrityChecks']);
+        expect(runner.run(code, { target: '5.3' }).output).toEqual(['licensed\t8']);
+
+        // Flipping one character of the encrypted chunk is caught before it is loaded
+        const payload = /"((?:[^"\\]|\\.){40,})"/.exec(code);
+        const flipped = payload[1].replace(/[A-Za-z]/, (c) => (c === 'a' ? 'b' : 'a'));
+        const tampered = code.replace(payload[1], flipped);
+        expect(tampered).not.toBe(code);
+        expect(runner.run(tampered, { target: '5.3' })).toEqual({ output: [], returns: [], error: null });
+    });
+});
+
+describe('Line Diff', () => {
+    test('should find changed lines and group them into hunks with context', () => {
+        const before = ['a', 'b', 'c', 'd', 'e', 'f', 'g', 'h', 'i', 'j'].join('\n');
+        const after = ['a', 'B', 'c', 'd', 'e', 'f', 'g', 'h', 'i', 'j', 'k'].join('\n');
+        const diff = LineDiff.compare(before, after);
+
+        expect(diff).toMatchObject({ added: 2, removed: 1 });
+        expect(LineDiff.format(diff)).toBe([
+            '--- before',
+            '+++ after',
+            '@@ -1,5 +1,5 @@',
+            ' a', '-b', '+B', ' c', ' d', ' e',
+            '@@ -8,3 +8,4 @@',
+            ' h', ' i', ' j', '+k'
+        ].join('\n'));
+        expect(LineDiff.format(LineDiff.compare(before, before))).toBe('');
+    });
+
+    test('should report changes too large to search as a full replacement', () => {
+        const diff = LineDiff.compare('a\nb\nc', 'c\nb\na', { maxCells: 1 });
+        expect(diff).toMatchObject({ added: 3, removed: 3 });
+        expect(diff.hunks[0].lines).toEqual(['-a', '-b', '-c', '+c', '+b', '+a']);
+    });
+
+    test('should let callers see the tree after every pass', () => {
+        const seen = [];
+        const obfuscator = new LuaObfuscator({
+            antiDebugging: false,
+            onPass: (name, done, total, ast) => seen.push([name, done, total, obfuscator.generate(ast)])
+        });
+        obfuscator.obfuscate('local greeting = "Hello"\nprint(greeting)');
+
+        expect(seen.map(([name, done, total]) => [name, done, total])).toEqual([
+            ['stringEncryption', 1, 3], ['variableRenaming', 2, 3], ['integrityChecks', 3, 3]
+        ]);
+        expect(seen[0][3]).toContain('local greeting =');
+        expect(seen[1][3]).not.toContain('greeting');
+    });
+});
+
+describe('Pass Registry', () => {
+    const source = 'local greeting = "Hello"\nprint(greeting)';
+    const premium = { tier: 'premium', controlFlowFlattening: true, bytecodeEncryption: true, virtualization: true };
+
+    test('should run the built-in passes in their default order', () => {
+        const obfuscator = new LuaObfuscator({ ...premium, target: '5.3' });
+        obfuscator.obfuscate(source);
+        expect(obfuscator.appliedTransforms).toEqual([
+            'stringEncryption', 'variableRenaming', 'antiDebugging',
+            'controlFlowFlattening', 'bytecodeEncryption', 'virtualization', 'integrityChecks'
+        ]);
+    });
+
+    test('should skip passes above the build tier', () => {
+        const obfuscator = new LuaObfuscator({ ...premium, tier: 'standard' });
+        obfuscator.obfuscate(source);
+        expect(obfuscator.appliedTransforms).toEqual(['stringEncryption', 'variableRenaming', 'antiDebugging', 'integrityChecks']);
+    });
+
+    test('should reorder passes within their constraints', () => {
+        const obfuscator = new LuaObfuscator({ passOrder: ['antiDebugging', 'variableRenaming'] });
+        obfuscator.obfuscate(source);
+        expect(obfuscator.appliedTransforms).toEqual(['antiDebugging', 'variableRenaming', 'stringEncryption', 'integrityChecks']);
+
+        expect(() => LuaObfuscator.obfuscate(source, { passOrder: ['integrityChecks', 'stringEncryption'] }))
+            .toThrow("Pass 'integrityChecks' must run after 'stringEncryption'");
+        expect(() => LuaObfuscator.obfuscate(source, { passOrder: ['missing'] }))
+            .toThrow(PassRegistry.PipelineError);
+    });
+
+    test('should pass declared options to each pass', () => {
+        const output = LuaObfuscator.obfuscate('Config = { secret = 1 }\nprint(Config.secret)', {
+            stringEncryption: false,
+            antiDebugging: false,
+            integrityChecks: false,
+            passOptions: { variableRenaming: { renameGlobals: ['Config'], renameFields: ['secret'] } }
+        });
+        expect(output).not.toMatch(/\bConfig\b|\bsecret\b/);
+
+        expect(() => LuaObfuscator.obfuscate(source, { passOptions: { variableRenaming: { renameFields: 'secret' } } }))
+            .toThrow("Option 'renameFields' of pass 'variableRenaming' must be string[]");
+        expect(() => LuaObfuscator.obfuscate(source, { passOptions: { antiDebugging: { level: 2 } } }))
+            .toThrow("Pass 'antiDebugging' has no option 'level'");
+    });
+
+    test('should run custom passes with their dependencies', () => {
+        LuaObfuscator.passes.register({
+            name: 'watermarkComment',
+            dependencies: ['variableRenaming'],
+            before: ['integrityChecks'],
+            options: { text: { type: 'string', default: 'built' } },
+            run: (ast, obfuscator, options) => {
+                ast.body.push(...obfuscator.parseSnippet(`local _ = ${JSON.stringify(options.text)}`));
+                return ast;
+            }
+        });
+        try {
+            const obfuscator = new LuaObfuscator({ stringEncryption: false, passOptions: { watermarkComment: { enabled: true, text: 'team' } } });
+            const output = obfuscator.obfuscate(source);
+            expect(output).toContain('"team"');
+            expect(obfuscator.appliedTransforms).toEqual(['variableRenaming', 'antiDebugging', 'watermarkComment', 'integrityChecks']);
+
+            expect(() => LuaObfuscator.obfuscate(source, { variableRenaming: false, watermarkComment: true }))
+                .toThrow("Pass 'watermarkComment' requires 'variableRenaming' to be enabled");
+            expect(LuaObfuscator.obfuscate(source, { seed: 'same' })).toBe(LuaObfuscator.obfuscate(source, { seed: 'same' }));
+        } finally {
+            LuaObfuscator.passes.unregister('watermarkComment');
+        }
+    });
+
+    test('should reject circular ordering constraints', () => {
+        const registry = new PassRegistry()
+            .register({ name: 'a', enabled: true, after: ['b'], run: ast => ast })
+            .register({ name: 'b', enabled: true, after: ['a'], run: ast => ast });
+        expect(() => registry.plan(registry.enabledNames())).toThrow("Passes 'a', 'b' have circular ordering constraints");
+        expect(() => registry.register({ name: 'a', run: ast => ast })).toThrow("Pass 'a' is already registered");
+    });
+
+    test('should describe passes for the settings form', () => {
+        const renaming = LuaObfuscator.passes.describe().find(pass => pass.name === 'variableRenaming');
+        expect(renaming).toMatchObject({ tier: 'standard', enabled: true });
+        expect(renaming.options.renameFields).toEqual({
+            type: 'string[]',
+            default: [],
+            description: expect.any(String)
+        });
+        expect(JSON.parse(JSON.stringify(LuaObfuscator.passes.describe()))).toEqual(LuaObfuscator.passes.describe());
+    });
+});